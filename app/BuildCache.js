@@ -0,0 +1,258 @@
+import { WorkflowMetadata } from "./WorkflowMetadata.js";
+
+import * as crypto from "crypto";
+import * as fs from "fs";
+import * as path from "path";
+
+/**
+ * Remember the workflow files that have been read, and the files that have been written, between runs.
+ *
+ * The cache is stored in a manifest file in the output directory. It records a hash of the content of each
+ * workflow file along with the metadata read from it, so unchanged workflow files do not need to be read again,
+ * and a hash of each file written, so unchanged files are not written again and files that are no longer written
+ * can be removed.
+ */
+export class BuildCache {
+
+  /**
+   * Construct a new object.
+   *
+   * @param {string} outputPath Path to the root directory of the output folder.
+   * @param {string} version The version of the app, the cache is not used if it was written by another version.
+   * @throws {TypeError} Parameter outputPath is required and must be a string.
+   * @throws {TypeError} Parameter version is required and must be a string.
+   * @since 1.1.0
+   */
+  constructor( outputPath, version ) {
+
+    if ( !outputPath || typeof outputPath !== "string" ) {
+      throw new TypeError( "outputPath parameter is required and must be a string" );
+    }
+
+    if ( !version || typeof version !== "string" ) {
+      throw new TypeError( "version parameter is required and must be a string" );
+    }
+
+    this.filePath = path.join( outputPath, BuildCache.fileName );
+
+    this.version = version;
+
+    // The hash and metadata of each workflow file, keyed by the path relative to the project directory.
+    this.workflows = new Map();
+
+    // The workflow files read, or found in the cache, since the cache was loaded.
+    this.usedWorkflows = new Set();
+
+    // The hash of each file written, keyed by the name of the file relative to the output path.
+    this.outputs = new Map();
+
+    // The files written, or found to be unchanged, since the cache was loaded.
+    this.currentOutputs = new Set();
+  }
+
+  /**
+   * Load the cache from the manifest file.
+   *
+   * The cache is left empty if the manifest file does not exist, cannot be parsed, or was written by another
+   * version of the app or with another version of the workflow metadata.
+   *
+   * @since 1.1.0
+   */
+  load() {
+
+    let manifest = null;
+
+    try {
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      manifest = JSON.parse( fs.readFileSync( this.filePath ).toString() );
+    } catch ( err ) {
+      return;
+    }
+
+    let isValid = manifest !== null && typeof manifest === "object";
+
+    if ( !isValid || manifest.version !== this.version ||
+      manifest.schemaVersion !== BuildCache.schemaVersion ) {
+      return;
+    }
+
+    this.workflows = new Map( Object.entries( manifest.workflows || {} ) );
+
+    let outputs = Object.entries( manifest.outputs || {} );
+
+    // The files are written to the output path, so ignore any other paths rather than deleting them later.
+    this.outputs = new Map( outputs.filter( function( output ) {
+      return path.basename( output[ 0 ] ) === output[ 0 ];
+    } ) );
+  }
+
+  /**
+   * Save the cache to the manifest file.
+   *
+   * Only the workflow files used since the cache was loaded are saved, so deleted workflow files are forgotten.
+   *
+   * @since 1.1.0
+   */
+  save() {
+
+    const self = this;
+
+    // Sort the entries by key, so the manifest file only changes when the cache does.
+    let byKey = function( a, b ) {
+      return a[ 0 ].localeCompare( b[ 0 ] );
+    };
+
+    let workflows = Array.from( this.workflows.entries() ).filter( function( entry ) {
+      return self.usedWorkflows.has( entry[ 0 ] );
+    } );
+
+    let manifest = {
+      "version": this.version,
+      "schemaVersion": BuildCache.schemaVersion,
+      "workflows": Object.fromEntries( workflows.sort( byKey ) ),
+      "outputs": Object.fromEntries( Array.from( this.outputs.entries() ).sort( byKey ) )
+    };
+
+    let content = JSON.stringify( manifest, null, 2 ) + "\n";
+
+    // Leave the manifest file untouched if the cache has not changed.
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    if ( fs.existsSync( this.filePath ) ) {
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      if ( fs.readFileSync( this.filePath ).toString() === content ) {
+        return;
+      }
+    }
+
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    fs.writeFileSync( this.filePath, content );
+  }
+
+  /**
+   * Get the hash of some content.
+   *
+   * @param {string|Buffer} content The content.
+   * @returns {string} The SHA-256 hash of the content, as a hexadecimal string.
+   * @since 1.1.0
+   */
+  getHash( content ) {
+    return crypto.createHash( "sha256" ).update( content ).digest( "hex" );
+  }
+
+  /**
+   * Get the metadata of a workflow file from the cache.
+   *
+   * @param {string} key The path to the workflow file, relative to the project directory.
+   * @param {string} sourceHash The hash of the current content of the workflow file.
+   * @param {string} filePath The full path to the workflow file.
+   * @returns {WorkflowMetadata|null} The metadata, or null if the workflow file is not in the cache or has changed.
+   * @since 1.1.0
+   */
+  getWorkflow( key, sourceHash, filePath ) {
+
+    let entry = this.workflows.get( key );
+
+    if ( typeof entry === "undefined" ) {
+      return null;
+    }
+
+    if ( entry.sourceHash !== sourceHash ) {
+      this.removeWorkflow( key );
+      return null;
+    }
+
+    this.usedWorkflows.add( key );
+
+    // The project directory may have moved since the workflow file was read.
+    return WorkflowMetadata.fromJSON( Object.assign( {}, entry.metadata, { "filePath": filePath } ) );
+  }
+
+  /**
+   * Add the metadata of a workflow file to the cache.
+   *
+   * @param {string} key The path to the workflow file, relative to the project directory.
+   * @param {string} sourceHash The hash of the content of the workflow file.
+   * @param {WorkflowMetadata} metadata The metadata read from the workflow file.
+   * @since 1.1.0
+   */
+  setWorkflow( key, sourceHash, metadata ) {
+    this.workflows.set( key, { "sourceHash": sourceHash, "metadata": metadata.toJSON() } );
+    this.usedWorkflows.add( key );
+  }
+
+  /**
+   * Remove a workflow file from the cache.
+   *
+   * @param {string} key The path to the workflow file, relative to the project directory.
+   * @since 1.1.0
+   */
+  removeWorkflow( key ) {
+    this.workflows.delete( key );
+    this.usedWorkflows.delete( key );
+  }
+
+  /**
+   * Get the hash of a file when it was last written.
+   *
+   * @param {string} fileName The name of the file, relative to the output path.
+   * @returns {string|null} The hash, or null if the file is not in the cache.
+   * @since 1.1.0
+   */
+  getOutputHash( fileName ) {
+    return this.outputs.has( fileName ) ? this.outputs.get( fileName ) : null;
+  }
+
+  /**
+   * Record a file that has been written, or was found to be unchanged.
+   *
+   * @param {string} fileName The name of the file, relative to the output path.
+   * @param {string} contentHash The hash of the content of the file.
+   * @since 1.1.0
+   */
+  setOutput( fileName, contentHash ) {
+    this.outputs.set( fileName, contentHash );
+    this.currentOutputs.add( fileName );
+  }
+
+  /**
+   * Remove a file that has been deleted from the cache.
+   *
+   * @param {string} fileName The name of the file, relative to the output path.
+   * @since 1.1.0
+   */
+  removeOutput( fileName ) {
+    this.outputs.delete( fileName );
+    this.currentOutputs.delete( fileName );
+  }
+
+  /**
+   * Get the files written by a previous run that have not been written since the cache was loaded.
+   *
+   * @returns {Array} The names of the files, relative to the output path.
+   * @since 1.1.0
+   */
+  getStaleOutputs() {
+
+    const self = this;
+
+    return Array.from( this.outputs.keys() ).filter( function( fileName ) {
+      return !self.currentOutputs.has( fileName );
+    } ).sort();
+  }
+}
+
+/**
+ * The name of the manifest file used to store the cache in the output directory.
+ *
+ * @type {string}
+ */
+BuildCache.fileName = ".rpa-doc-cache.json";
+
+/**
+ * The version of the workflow metadata stored in the cache. Increase it whenever the metadata read from the workflow
+ * files changes, so caches written before the change are not used.
+ *
+ * @type {number}
+ */
+BuildCache.schemaVersion = 3;
@@ -0,0 +1,297 @@
+import * as fs from "fs";
+import * as path from "path";
+import * as util from "util";
+import minimatch from "minimatch";
+
+/**
+ * Represents the settings used to generate the documentation for a UiPath project.
+ *
+ * The settings are read from a .rpadoc.json file, or a rpaDoc block in the UiPath project.json file. Relative paths
+ * in the settings are resolved against the directory that contains the file.
+ */
+export class Configuration {
+
+  /**
+   * Construct a new object.
+   *
+   * @param {string} projectPath Path to the directory that contains the configuration, usually the project directory.
+   * @param {string} configFile Optional path to a configuration file to use instead of the project directory files.
+   * @throws {TypeError} Parameter projectPath is required and must be a string.
+   * @throws {Error} Reading, parsing or validating the configuration fails.
+   * @since 1.1.0
+   */
+  constructor( projectPath, configFile = null ) {
+
+    if ( !projectPath || typeof projectPath !== "string" ) {
+      throw new TypeError( "projectPath parameter is required and must be a string" );
+    }
+
+    this.settings = new Map( [
+      [ "format", "markdown" ],
+      [ "clean", false ],
+      [ "naming", "workflow" ],
+      [ "include", [ "**/*.xaml" ] ],
+      [ "exclude", [] ],
+      [ "sections", {} ],
+      [ "templates", {} ],
+      [ "threshold", 100 ]
+    ] );
+
+    this.source = "";
+
+    let settings = null;
+
+    if ( configFile !== null ) {
+      settings = this.parseFile( configFile );
+      this.source = configFile;
+    } else if ( this.isFile( path.join( projectPath, Configuration.fileName ) ) ) {
+      this.source = path.join( projectPath, Configuration.fileName );
+      settings = this.parseFile( this.source );
+    } else if ( this.isFile( path.join( projectPath, "project.json" ) ) ) {
+      let projectFile = this.parseFile( path.join( projectPath, "project.json" ) );
+
+      if ( typeof projectFile.rpaDoc !== "undefined" ) {
+        this.source = path.join( projectPath, "project.json" );
+        settings = projectFile.rpaDoc;
+      }
+    }
+
+    if ( settings !== null ) {
+      const self = this;
+
+      this.validate( settings );
+
+      settings = this.resolvePaths( settings, path.dirname( this.source ) );
+
+      Object.entries( settings ).forEach( function( setting ) {
+        self.settings.set( setting[ 0 ], setting[ 1 ] );
+      } );
+    }
+  }
+
+  /**
+   * Get the path to the file that contained the settings.
+   *
+   * @returns {string} The path to the file, or an empty string if the default settings are used.
+   * @since 1.1.0
+   */
+  getSource() {
+    return this.source;
+  }
+
+  /**
+   * Get the value of a setting.
+   *
+   * @param {string} name The name of the setting.
+   * @returns {*} The value of the setting, or undefined if it is not set.
+   * @since 1.1.0
+   */
+  get( name ) {
+    return this.settings.get( name );
+  }
+
+  /**
+   * Merge the settings with the command line options, the command line options take precedence.
+   *
+   * @param {object} options The command line options, options that are not set are undefined.
+   * @returns {object} The merged settings.
+   * @since 1.1.0
+   */
+  merge( options ) {
+
+    let merged = Object.fromEntries( this.settings );
+
+    Object.assign( merged, Object.fromEntries(
+      Object.entries( options ).filter( function( option ) {
+        return typeof option[ 1 ] !== "undefined";
+      } )
+    ) );
+
+    // The command line uses a flag for the XAML file naming scheme.
+    if ( options.xamlNames === true ) {
+      merged.naming = "xaml";
+    }
+
+    return merged;
+  }
+
+  /**
+   * Return a flag indicating if a workflow file should be documented, using the include and exclude globs.
+   *
+   * @param {string} projectFilePath The path to the XAML file, relative to the UiPath project directory.
+   * @returns {boolean} True if the workflow file should be documented, false if it should not.
+   * @since 1.1.0
+   */
+  isIncluded( projectFilePath ) {
+
+    let filePath = projectFilePath.split( path.sep ).join( "/" );
+
+    let matches = function( pattern ) {
+      return minimatch( filePath, pattern, { "dot": true } );
+    };
+
+    return this.settings.get( "include" ).some( matches ) &&
+      !this.settings.get( "exclude" ).some( matches );
+  }
+
+  /**
+   * Validate the settings read from a file.
+   *
+   * @param {object} settings The settings.
+   * @throws {Error} If a setting is unknown or has the wrong type.
+   * @since 1.1.0
+   */
+  validate( settings ) {
+
+    const self = this;
+
+    if ( typeof settings !== "object" || settings === null || Array.isArray( settings ) ) {
+      throw new Error( util.format( "The settings in '%s' must be an object", this.source ) );
+    }
+
+    let invalid = function( name, expected ) {
+      return new Error( util.format(
+        "The '%s' setting in '%s' must be %s",
+        name,
+        self.source,
+        expected
+      ) );
+    };
+
+    let isStringArray = function( value ) {
+      return Array.isArray( value ) && value.every( function( item ) {
+        return typeof item === "string";
+      } );
+    };
+
+    Object.entries( settings ).forEach( function( setting ) {
+      let name = setting[ 0 ];
+      let value = setting[ 1 ];
+
+      switch ( name ) {
+        case "input":
+        case "output":
+        case "format":
+          if ( typeof value !== "string" || value === "" ) {
+            throw invalid( name, "a string" );
+          }
+          break;
+        case "clean":
+          if ( typeof value !== "boolean" ) {
+            throw invalid( name, "true or false" );
+          }
+          break;
+        case "naming":
+          if ( !Configuration.namingSchemes.includes( value ) ) {
+            throw invalid( name, "one of " + Configuration.namingSchemes.join( ", " ) );
+          }
+          break;
+        case "include":
+        case "exclude":
+          if ( !isStringArray( value ) ) {
+            throw invalid( name, "an array of glob patterns" );
+          }
+          break;
+        case "sections":
+          if ( typeof value !== "object" || value === null || !Object.values( value ).every(
+            function( enabled ) {
+              return typeof enabled === "boolean";
+            }
+          ) ) {
+            throw invalid( name, "an object of section names and true or false values" );
+          }
+          break;
+        case "templates":
+          if ( typeof value !== "object" || value === null || !Object.values( value ).every(
+            function( templatePath ) {
+              return typeof templatePath === "string";
+            }
+          ) ) {
+            throw invalid( name, "an object of template names and file paths" );
+          }
+          break;
+        case "threshold":
+          if ( typeof value !== "number" || isNaN( value ) || value < 0 || value > 100 ) {
+            throw invalid( name, "a number between 0 and 100" );
+          }
+          break;
+        default:
+          throw new Error( util.format( "Unknown setting '%s' in '%s'", name, self.source ) );
+      }
+    } );
+  }
+
+  /**
+   * Resolve the paths in the settings against a directory.
+   *
+   * @param {object} settings The settings.
+   * @param {string} basePath The directory used to resolve relative paths.
+   * @returns {object} A copy of the settings with resolved paths.
+   * @since 1.1.0
+   */
+  resolvePaths( settings, basePath ) {
+
+    let resolved = Object.assign( {}, settings );
+
+    if ( typeof resolved.input !== "undefined" ) {
+      resolved.input = path.resolve( basePath, resolved.input );
+    }
+
+    if ( typeof resolved.output !== "undefined" ) {
+      resolved.output = path.resolve( basePath, resolved.output );
+    }
+
+    if ( typeof resolved.templates !== "undefined" ) {
+      resolved.templates = Object.fromEntries(
+        Object.entries( resolved.templates ).map( function( template ) {
+          return [ template[ 0 ], path.resolve( basePath, template[ 1 ] ) ];
+        } )
+      );
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Read and parse a JSON file.
+   *
+   * @param {string} filePath The path to the file.
+   * @returns {object} The parsed contents of the file.
+   * @throws {Error} Reading or parsing the file fails.
+   * @since 1.1.0
+   */
+  parseFile( filePath ) {
+    try {
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      return JSON.parse( fs.readFileSync( filePath ) );
+    } catch ( err ) {
+      throw new Error( util.format( "Unable to read '%s': %s", filePath, err.message ) );
+    }
+  }
+
+  /**
+   * Return a flag indicating if a file exists.
+   *
+   * @param {string} filePath The path to the file.
+   * @returns {boolean} True if the file exists, false if it does not.
+   * @since 1.1.0
+   */
+  isFile( filePath ) {
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    return fs.existsSync( filePath );
+  }
+}
+
+/**
+ * The name of the configuration file in the UiPath project directory.
+ *
+ * @type {string}
+ */
+Configuration.fileName = ".rpadoc.json";
+
+/**
+ * The supported schemes used to derive the name of the file for each workflow.
+ *
+ * @type {Array}
+ */
+Configuration.namingSchemes = [ "workflow", "xaml" ];
@@ -0,0 +1,379 @@
+import { UiPathProject } from "./UiPathProject.js";
+import { WorkflowMetadata } from "./WorkflowMetadata.js";
+
+import * as path from "path";
+import * as util from "util";
+
+/**
+ * Report how well the public workflows of a UiPath project are documented.
+ *
+ * Each workflow is checked for an annotation, annotations on each argument and variable, and activities that still
+ * use the DisplayName assigned by UiPath Studio. The coverage is the percentage of checks that pass.
+ */
+export class CoverageReport {
+
+  /**
+   * Construct a new object.
+   *
+   * @param {UiPathProject} projectInfo The information about the UiPath project.
+   * @throws {TypeError} Parameter projectInfo is required and must be a UiPathProject object.
+   * @since 1.1.0
+   */
+  constructor( projectInfo ) {
+
+    if ( !projectInfo || !( projectInfo instanceof UiPathProject ) ) {
+      throw new TypeError( "projectInfo parameter is required and must be a UiPathProject object" );
+    }
+
+    this.projectInfo = projectInfo;
+
+    this.workflows = new Map();
+  }
+
+  /**
+   * Check the documentation of a workflow and add it to the report.
+   *
+   * @param {WorkflowMetadata} metadata The metadata extracted from a workflow.
+   * @throws {TypeError} Parameter metadata is required and must be a WorkflowMetadata object.
+   * @since 1.1.0
+   */
+  addWorkflow( metadata ) {
+
+    if ( !metadata || !( metadata instanceof WorkflowMetadata ) ) {
+      throw new TypeError( "metadata parameter is required and must be a WorkflowMetadata object" );
+    }
+
+    const self = this;
+    const checks = [];
+
+    let workflowPath = path.relative(
+      this.projectInfo.getProjectPath(),
+      path.resolve( metadata.getFilePath() )
+    ).split( path.sep ).join( "/" );
+
+    checks.push( this.createCheck(
+      "workflowAnnotation",
+      "Workflow annotation",
+      metadata.hasWorkflowAnnotation(),
+      "The workflow does not have an annotation"
+    ) );
+
+    checks.push( this.createCheck(
+      "displayName",
+      util.format( "DisplayName of workflow '%s'", metadata.getWorkflowName() ),
+      !this.isDefaultDisplayName( metadata.getWorkflowName() ),
+      util.format( "The root activity uses the default DisplayName '%s'", metadata.getWorkflowName() )
+    ) );
+
+    metadata.getArguments().forEach( function( arg ) {
+      checks.push( self.createCheck(
+        "argumentAnnotation",
+        util.format( "Annotation of argument '%s'", arg.name ),
+        arg.annotation !== "",
+        util.format( "The argument '%s' does not have an annotation", arg.name )
+      ) );
+    } );
+
+    metadata.getVariables().forEach( function( variable ) {
+      checks.push( self.createCheck(
+        "variableAnnotation",
+        util.format( "Annotation of variable '%s' in '%s'", variable.name, variable.scope ),
+        variable.annotation !== "",
+        util.format(
+          "The variable '%s' in '%s' does not have an annotation",
+          variable.name,
+          variable.scope
+        )
+      ) );
+    } );
+
+    metadata.getStates().forEach( function( state ) {
+      checks.push( self.createCheck(
+        "displayName",
+        util.format( "DisplayName of state '%s'", state.name ),
+        !self.isDefaultDisplayName( state.name ),
+        util.format( "A state uses the default DisplayName '%s'", state.name )
+      ) );
+    } );
+
+    metadata.getInvokedWorkflows().forEach( function( invokedWorkflow ) {
+      checks.push( self.createCheck(
+        "displayName",
+        util.format( "DisplayName of the activity invoking '%s'", invokedWorkflow.workflowFileName ),
+        !self.isDefaultDisplayName( invokedWorkflow.displayName ),
+        util.format(
+          "The activity invoking '%s' uses the default DisplayName '%s'",
+          invokedWorkflow.workflowFileName,
+          invokedWorkflow.displayName
+        )
+      ) );
+    } );
+
+    this.workflows.set( workflowPath, {
+      "workflow": workflowPath,
+      "name": metadata.getWorkflowName(),
+      "checks": checks
+    } );
+  }
+
+  /**
+   * Get the coverage of each workflow in the report.
+   *
+   * Each workflow has the project relative path, the workflow name, the number of checks, the number of
+   * checks that passed, the coverage as a percentage, and the list of checks.
+   *
+   * @returns {Array} The list of workflows, sorted by the project relative path.
+   * @since 1.1.0
+   */
+  getWorkflows() {
+
+    const self = this;
+
+    return Array.from( this.workflows.keys() ).sort().map( function( workflowPath ) {
+      let workflow = self.workflows.get( workflowPath );
+      let passed = self.countPassed( workflow.checks );
+
+      return {
+        "workflow": workflow.workflow,
+        "name": workflow.name,
+        "total": workflow.checks.length,
+        "passed": passed,
+        "coverage": self.getPercentage( passed, workflow.checks.length ),
+        "checks": workflow.checks
+      };
+    } );
+  }
+
+  /**
+   * Get the list of checks that failed.
+   *
+   * @returns {Array} The list of failed checks, each with the project relative path of the workflow.
+   * @since 1.1.0
+   */
+  getIssues() {
+
+    const issues = [];
+
+    this.getWorkflows().forEach( function( workflow ) {
+      workflow.checks.forEach( function( check ) {
+        if ( !check.passed ) {
+          issues.push( Object.assign( { "workflow": workflow.workflow }, check ) );
+        }
+      } );
+    } );
+
+    return issues;
+  }
+
+  /**
+   * Get the coverage of the project.
+   *
+   * @returns {number} The percentage of checks that passed, across all of the workflows.
+   * @since 1.1.0
+   */
+  getCoverage() {
+
+    let total = 0;
+    let passed = 0;
+
+    this.getWorkflows().forEach( function( workflow ) {
+      total += workflow.total;
+      passed += workflow.passed;
+    } );
+
+    return this.getPercentage( passed, total );
+  }
+
+  /**
+   * Return a flag indicating if the coverage of the project meets a threshold.
+   *
+   * @param {number} threshold The minimum coverage, as a percentage.
+   * @returns {boolean} True if the coverage is at least the threshold, false if it is not.
+   * @throws {TypeError} Parameter threshold is required and must be a number between 0 and 100.
+   * @since 1.1.0
+   */
+  meetsThreshold( threshold ) {
+
+    if ( typeof threshold !== "number" || isNaN( threshold ) || threshold < 0 || threshold > 100 ) {
+      throw new TypeError( "threshold parameter is required and must be a number between 0 and 100" );
+    }
+
+    return this.getCoverage() >= threshold;
+  }
+
+  /**
+   * Return a plain object representation of the report, suitable for serialising as JSON.
+   *
+   * @returns {object} The report as a plain object.
+   * @since 1.1.0
+   */
+  toJSON() {
+    return {
+      "name": this.projectInfo.getName(),
+      "projectVersion": this.projectInfo.getVersion(),
+      "coverage": this.getCoverage(),
+      "workflows": this.getWorkflows()
+    };
+  }
+
+  /**
+   * Get the report in the JUnit XML format, used by continuous integration servers to display test results.
+   *
+   * Each workflow is a test suite, and each check is a test case that fails if the check did not pass.
+   *
+   * @returns {string} The JUnit XML document.
+   * @since 1.1.0
+   */
+  toJUnit() {
+
+    const self = this;
+    const content = [];
+
+    let workflows = this.getWorkflows();
+    let total = 0;
+    let passed = 0;
+
+    workflows.forEach( function( workflow ) {
+      total += workflow.total;
+      passed += workflow.passed;
+    } );
+
+    content.push( "<?xml version=\"1.0\" encoding=\"UTF-8\"?>\n" );
+    content.push( util.format(
+      "<testsuites name=\"%s\" tests=\"%d\" failures=\"%d\">\n",
+      this.escape( "Documentation coverage of " + this.projectInfo.getName() ),
+      total,
+      total - passed
+    ) );
+
+    workflows.forEach( function( workflow ) {
+      content.push( util.format(
+        "  <testsuite name=\"%s\" tests=\"%d\" failures=\"%d\">\n",
+        self.escape( workflow.workflow ),
+        workflow.total,
+        workflow.total - workflow.passed
+      ) );
+
+      workflow.checks.forEach( function( check ) {
+        let testCase = util.format(
+          "    <testcase classname=\"%s\" name=\"%s\"",
+          self.escape( workflow.workflow ),
+          self.escape( check.name )
+        );
+
+        if ( check.passed ) {
+          content.push( testCase + " />\n" );
+        } else {
+          content.push( testCase + ">\n" );
+          content.push( util.format(
+            "      <failure type=\"%s\" message=\"%s\" />\n",
+            check.type,
+            self.escape( check.description )
+          ) );
+          content.push( "    </testcase>\n" );
+        }
+      } );
+
+      content.push( "  </testsuite>\n" );
+    } );
+
+    content.push( "</testsuites>\n" );
+
+    return content.join( "" );
+  }
+
+  /**
+   * Return a flag indicating if a DisplayName is the default assigned by UiPath Studio.
+   *
+   * @param {string} displayName The DisplayName of an activity.
+   * @returns {boolean} True if the DisplayName is a default, false if it is not.
+   * @since 1.1.0
+   */
+  isDefaultDisplayName( displayName ) {
+
+    let name = displayName.trim().toLowerCase();
+
+    return name === "" || CoverageReport.defaultDisplayNames.some( function( defaultName ) {
+      return defaultName.toLowerCase() === name;
+    } );
+  }
+
+  /**
+   * Create an object describing a check.
+   *
+   * @param {string} type The type of check.
+   * @param {string} name The name of the check.
+   * @param {boolean} passed Flag indicating if the check passed.
+   * @param {string} description The description of the problem if the check failed.
+   * @returns {object} The check.
+   * @since 1.1.0
+   */
+  createCheck( type, name, passed, description ) {
+    return {
+      "type": type,
+      "name": name,
+      "passed": passed,
+      "description": passed ? "" : description
+    };
+  }
+
+  /**
+   * Count the checks that passed.
+   *
+   * @param {Array} checks The list of checks.
+   * @returns {number} The number of checks that passed.
+   * @since 1.1.0
+   */
+  countPassed( checks ) {
+    return checks.filter( function( check ) {
+      return check.passed;
+    } ).length;
+  }
+
+  /**
+   * Calculate a percentage, rounded down to one decimal place so a project never rounds up to a threshold.
+   *
+   * @param {number} passed The number of checks that passed.
+   * @param {number} total The total number of checks.
+   * @returns {number} The percentage, which is 100 if there are no checks.
+   * @since 1.1.0
+   */
+  getPercentage( passed, total ) {
+
+    if ( total === 0 ) {
+      return 100;
+    }
+
+    return Math.floor( passed / total * 1000 ) / 10;
+  }
+
+  /**
+   * Escape text for use in an XML attribute.
+   *
+   * @param {string} text The text to escape.
+   * @returns {string} The escaped text.
+   * @since 1.1.0
+   */
+  escape( text ) {
+    return String( text )
+      .replace( /&/g, "&amp;" )
+      .replace( /</g, "&lt;" )
+      .replace( />/g, "&gt;" )
+      .replace( /"/g, "&quot;" )
+      .replace( /'/g, "&apos;" );
+  }
+}
+
+/**
+ * The DisplayNames assigned by UiPath Studio to the activities that are checked, compared ignoring case.
+ *
+ * @type {Array}
+ */
+CoverageReport.defaultDisplayNames = [
+  "Sequence",
+  "Flowchart",
+  "State Machine",
+  "State",
+  "Final State",
+  "Invoke Workflow File"
+];
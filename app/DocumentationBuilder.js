@@ -0,0 +1,694 @@
+import { BuildCache } from "./BuildCache.js";
+import { Output } from "./Output.js";
+import { ParserPool } from "./ParserPool.js";
+import { UiPathProject } from "./UiPathProject.js";
+import { WorkflowGraph } from "./WorkflowGraph.js";
+import { WorkflowMetadata } from "./WorkflowMetadata.js";
+import { XamlProcessor } from "./XamlProcessor.js";
+
+import * as path from "path";
+
+/**
+ * Build the documentation for a UiPath project, and keep it up to date as workflow files change.
+ *
+ * The metadata of each workflow is kept after it is read, so only the workflow files that change need to be read
+ * again when the documentation is updated.
+ */
+export class DocumentationBuilder {
+
+  /**
+   * Construct a new object.
+   *
+   * The options are naming, set to xaml to derive the file names from the XAML file names, failFast, set to true to
+   * throw the error for the first workflow file that cannot be documented, isIncluded, a function that is passed
+   * the project relative path of a workflow file and returns true if it should be documented, and cache, a
+   * BuildCache object used to skip the workflow files and output files that have not changed since the last run.
+   *
+   * @param {UiPathProject} projectInfo The information about the UiPath project.
+   * @param {Output} output The output used to write the documentation.
+   * @param {object} options Optional settings used to build the documentation.
+   * @throws {TypeError} Parameter projectInfo is required and must be a UiPathProject object.
+   * @throws {TypeError} Parameter output is required and must be an Output object.
+   * @throws {TypeError} Option cache must be a BuildCache object.
+   * @since 1.1.0
+   */
+  constructor( projectInfo, output, options = {} ) {
+
+    if ( !projectInfo || !( projectInfo instanceof UiPathProject ) ) {
+      throw new TypeError( "projectInfo parameter is required and must be a UiPathProject object" );
+    }
+
+    if ( !output || !( output instanceof Output ) ) {
+      throw new TypeError( "output parameter is required and must be an Output object" );
+    }
+
+    this.projectInfo = projectInfo;
+
+    this.output = output;
+
+    this.naming = options.naming || "workflow";
+
+    this.failFast = options.failFast === true;
+
+    this.isIncluded = options.isIncluded || function() {
+      return true;
+    };
+
+    this.cache = options.cache || null;
+
+    if ( this.cache !== null && !( this.cache instanceof BuildCache ) ) {
+      throw new TypeError( "cache option must be a BuildCache object" );
+    }
+
+    this.output.setCache( this.cache );
+
+    this.processor = new XamlProcessor( projectInfo.getArchive() );
+
+    this.graph = new WorkflowGraph( projectInfo );
+
+    // The metadata of each workflow file that has been read, keyed by the full path to the XAML file.
+    this.workflows = new Map();
+
+    // The name of the file written for each workflow, keyed by the full path to the XAML file.
+    this.outputFiles = new Map();
+
+    this.failures = new Map();
+
+    this.warnings = [];
+  }
+
+  /**
+   * Replace the information about the UiPath project, for example after the project.json file changes.
+   *
+   * The workflow files need to be read again using the collect method.
+   *
+   * @param {UiPathProject} projectInfo The information about the UiPath project.
+   * @throws {TypeError} Parameter projectInfo is required and must be a UiPathProject object.
+   * @since 1.1.0
+   */
+  setProject( projectInfo ) {
+
+    if ( !projectInfo || !( projectInfo instanceof UiPathProject ) ) {
+      throw new TypeError( "projectInfo parameter is required and must be a UiPathProject object" );
+    }
+
+    this.projectInfo = projectInfo;
+    this.processor = new XamlProcessor( projectInfo.getArchive() );
+  }
+
+  /**
+   * Get the information about the UiPath project.
+   *
+   * @returns {UiPathProject} The information about the UiPath project.
+   * @since 1.1.0
+   */
+  getProject() {
+    return this.projectInfo;
+  }
+
+  /**
+   * Get the list of workflow files to document.
+   *
+   * @returns {Array} The full paths to the XAML files.
+   * @since 1.1.0
+   */
+  getWorkflowFiles() {
+
+    const self = this;
+
+    let projectPath = this.projectInfo.getProjectPath();
+
+    return this.projectInfo.getXamlFiles( true ).map( function( workflowFile ) {
+      return path.resolve( workflowFile );
+    } ).filter( function( workflowFile ) {
+      return self.isIncluded( path.relative( projectPath, workflowFile ) );
+    } );
+  }
+
+  /**
+   * Read the metadata from all of the workflow files.
+   *
+   * @throws {Error} If the failFast option is set and a public workflow file cannot be read.
+   * @since 1.1.0
+   */
+  collect() {
+
+    const self = this;
+
+    this.clear();
+
+    this.getWorkflowFiles().forEach( function( workflowFile ) {
+      self.readWorkflow( workflowFile );
+    } );
+
+    this.graph = this.buildGraph();
+  }
+
+  /**
+   * Read the metadata from all of the workflow files, using a pool of worker threads to parse the XAML code.
+   *
+   * The results are added in the order of the workflow files, so the documentation is the same as when the
+   * collect method is used.
+   *
+   * @param {ParserPool} pool The pool of worker threads.
+   * @param {Function} callback Function called with an error, or null once all of the workflow files are read.
+   * The error is a failure of the pool, or the first public workflow file that cannot be read if the failFast
+   * option is set.
+   * @throws {TypeError} Parameter pool is required and must be a ParserPool object.
+   * @throws {TypeError} Parameter callback is required and must be a function.
+   * @since 1.1.0
+   */
+  collectInParallel( pool, callback ) {
+
+    if ( !pool || !( pool instanceof ParserPool ) ) {
+      throw new TypeError( "pool parameter is required and must be a ParserPool object" );
+    }
+
+    if ( typeof callback !== "function" ) {
+      throw new TypeError( "callback parameter is required and must be a function" );
+    }
+
+    const self = this;
+
+    this.clear();
+
+    let workflowFiles = this.getWorkflowFiles();
+
+    // The metadata found in the cache, and the hashes of the workflow files that are not in the cache.
+    let cached = new Map();
+    let sourceHashes = new Map();
+
+    let pending = workflowFiles.filter( function( filePath ) {
+      if ( self.cache === null ) {
+        return true;
+      }
+
+      let sourceHash = null;
+
+      try {
+        sourceHash = self.getSourceHash( filePath );
+      } catch ( err ) {
+
+        // The worker thread reports the error when it reads the file.
+        return true;
+      }
+
+      let key = self.getCacheKey( filePath );
+      let metadata = self.cache.getWorkflow( key, sourceHash, filePath );
+
+      if ( metadata === null ) {
+        sourceHashes.set( filePath, sourceHash );
+        return true;
+      }
+
+      cached.set( filePath, metadata );
+      return false;
+    } );
+
+    pool.getMetadata( pending, function( err, results ) {
+
+      if ( err !== null ) {
+        callback( err );
+        return;
+      }
+
+      let parsed = new Map( pending.map( function( filePath, index ) {
+        // eslint-disable-next-line security/detect-object-injection
+        return [ filePath, results[ index ] ];
+      } ) );
+
+      try {
+        workflowFiles.forEach( function( filePath ) {
+          let result = parsed.get( filePath );
+
+          if ( cached.has( filePath ) ) {
+            result = cached.get( filePath );
+          }
+
+          if ( result instanceof Error ) {
+            self.recordReadError( filePath, result );
+            return;
+          }
+
+          if ( sourceHashes.has( filePath ) ) {
+            let key = self.getCacheKey( filePath );
+            self.cache.setWorkflow( key, sourceHashes.get( filePath ), result );
+          }
+
+          self.addWorkflow( filePath, result );
+        } );
+      } catch ( readError ) {
+        callback( readError );
+        return;
+      }
+
+      self.graph = self.buildGraph();
+
+      callback( null );
+    } );
+  }
+
+  /**
+   * Write the documentation for all of the public workflows, and remove the documentation for workflows that
+   * are no longer documented.
+   *
+   * @throws {Error} If the failFast option is set and a workflow file cannot be written.
+   * @since 1.1.0
+   */
+  write() {
+
+    const self = this;
+
+    this.writeWorkflows( Array.from( this.workflows.keys() ) );
+
+    if ( this.cache === null ) {
+      return;
+    }
+
+    // Remove the files written by a previous run that are no longer written.
+    this.cache.getStaleOutputs().forEach( function( fileName ) {
+      self.output.deleteOutputFile( fileName );
+    } );
+
+    this.cache.save();
+  }
+
+  /**
+   * Update the documentation after workflow files have changed.
+   *
+   * Changed workflow files are read again, and the documentation for deleted workflow files is removed. Only the
+   * changed workflows, the workflows they invoke, and the workflows that invoke them directly or indirectly, are
+   * written again, unless workflows were added or removed in which case all of the workflows are written to update
+   * the navigation.
+   *
+   * @param {Array} filePaths The paths to the workflow files that were changed, added or deleted.
+   * @returns {Array} The full paths to the workflow files that were written.
+   * @throws {TypeError} Parameter filePaths is required and must be an array.
+   * @throws {Error} If the failFast option is set and a workflow file cannot be read or written.
+   * @since 1.1.0
+   */
+  update( filePaths ) {
+
+    if ( !Array.isArray( filePaths ) ) {
+      throw new TypeError( "filePaths parameter is required and must be an array" );
+    }
+
+    const self = this;
+
+    let workflowFiles = new Set( this.getWorkflowFiles() );
+    let documented = this.getDocumentedFiles();
+    let affected = new Set();
+
+    this.warnings = [];
+
+    // Add the workflows invoked by, or invoking, a workflow whose documentation may have changed.
+    let addRelated = function( filePath ) {
+      if ( !self.workflows.has( filePath ) ) {
+        return;
+      }
+
+      let metadata = self.workflows.get( filePath );
+
+      self.graph.getCalls( metadata ).forEach( function( call ) {
+        if ( call.filePath !== null ) {
+          affected.add( call.filePath );
+        }
+      } );
+
+      // Workflows list the Orchestrator objects used by the workflows they invoke indirectly, so every caller is
+      // written again.
+      let visited = new Set();
+      let callers = self.graph.getCalledBy( metadata );
+
+      while ( callers.length > 0 ) {
+        let caller = callers.shift();
+        let callerPath = path.resolve( caller.getFilePath() );
+
+        if ( !visited.has( callerPath ) ) {
+          visited.add( callerPath );
+          affected.add( callerPath );
+          callers = callers.concat( self.graph.getCalledBy( caller ) );
+        }
+      }
+    };
+
+    filePaths = filePaths.map( function( filePath ) {
+      return path.resolve( filePath );
+    } );
+
+    // Include workflow files that were deleted without being reported.
+    let knownFiles = Array.from( this.workflows.keys() ).concat(
+      Array.from( this.failures.keys() )
+    );
+
+    knownFiles.forEach( function( filePath ) {
+      if ( !workflowFiles.has( filePath ) && !filePaths.includes( filePath ) ) {
+        filePaths.push( filePath );
+      }
+    } );
+
+    filePaths.forEach( function( filePath ) {
+      addRelated( filePath );
+
+      self.workflows.delete( filePath );
+      self.failures.delete( filePath );
+
+      if ( self.cache !== null && !workflowFiles.has( filePath ) ) {
+        self.cache.removeWorkflow( self.getCacheKey( filePath ) );
+      }
+    } );
+
+    // The graph is used to identify public workflows, including added workflows, while the files are read.
+    this.graph = new WorkflowGraph( this.projectInfo );
+
+    filePaths.forEach( function( filePath ) {
+      if ( workflowFiles.has( filePath ) ) {
+        self.readWorkflow( filePath );
+        affected.add( filePath );
+      }
+    } );
+
+    this.graph = this.buildGraph();
+
+    filePaths.forEach( addRelated );
+
+    // Write all of the workflows if the list of documented workflows changed.
+    let current = this.getDocumentedFiles();
+
+    let isChanged = current.size !== documented.size ||
+      Array.from( current ).some( function( filePath ) {
+        return !documented.has( filePath );
+      } );
+
+    if ( isChanged ) {
+      affected = new Set( this.workflows.keys() );
+    }
+
+    let written = this.writeWorkflows( Array.from( affected ) );
+
+    if ( this.cache !== null ) {
+      this.cache.save();
+    }
+
+    return written;
+  }
+
+  /**
+   * Get the metadata of the public workflows that can be documented, in the order of the workflow files.
+   *
+   * @returns {Array} An array of WorkflowMetadata objects.
+   * @since 1.1.0
+   */
+  getPublicWorkflows() {
+
+    const self = this;
+
+    return Array.from( this.workflows.keys() ).sort().filter( function( filePath ) {
+      return self.graph.isPublic( filePath ) && !self.failures.has( filePath );
+    } ).map( function( filePath ) {
+      return self.workflows.get( filePath );
+    } );
+  }
+
+  /**
+   * Get the graph of invoked workflows.
+   *
+   * @returns {WorkflowGraph} The graph of all of the workflows that have been read.
+   * @since 1.1.0
+   */
+  getGraph() {
+    return this.graph;
+  }
+
+  /**
+   * Get the list of workflow files that could not be documented.
+   *
+   * @returns {Array} An array of failures, each with the path to the file and the reason.
+   * @since 1.1.0
+   */
+  getFailures() {
+    return Array.from( this.failures.entries() ).map( function( failure ) {
+      return { "file": failure[ 0 ], "reason": failure[ 1 ] };
+    } );
+  }
+
+  /**
+   * Get the list of private workflow files that could not be read by the last collect or update.
+   *
+   * Private workflows are only used to build the graph of invoked workflows, so they are not failures.
+   *
+   * @returns {Array} An array of warnings, each with the path to the file and the reason.
+   * @since 1.1.0
+   */
+  getWarnings() {
+    return this.warnings;
+  }
+
+  /**
+   * Read the metadata from a workflow file.
+   *
+   * @param {string} filePath The full path to the XAML file.
+   * @throws {Error} If the failFast option is set and a public workflow file cannot be read.
+   * @since 1.1.0
+   */
+  readWorkflow( filePath ) {
+
+    let metadata = null;
+
+    try {
+      metadata = this.readMetadata( filePath );
+    } catch ( err ) {
+      this.recordReadError( filePath, err );
+      return;
+    }
+
+    this.addWorkflow( filePath, metadata );
+  }
+
+  /**
+   * Add the metadata read from a workflow file.
+   *
+   * @param {string} filePath The full path to the XAML file.
+   * @param {WorkflowMetadata} metadata The metadata read from the workflow file.
+   * @since 1.1.0
+   */
+  addWorkflow( filePath, metadata ) {
+
+    // Use file names derived from the UiPath project path.
+    if ( this.naming === "xaml" ) {
+      metadata.setProjectFilePath( this.projectInfo.getProjectPath() );
+    }
+
+    this.workflows.set( filePath, metadata );
+  }
+
+  /**
+   * Record a workflow file that could not be read.
+   *
+   * @param {string} filePath The full path to the XAML file.
+   * @param {Error} err The error that was thrown.
+   * @throws {Error} If the failFast option is set and the workflow file is public.
+   * @since 1.1.0
+   */
+  recordReadError( filePath, err ) {
+
+    // Private workflows are only used to build the call graph, so errors are not fatal.
+    if ( this.graph.isPublic( filePath ) ) {
+      this.recordFailure( filePath, err );
+    } else {
+      this.warnings.push( { "file": filePath, "reason": err.message } );
+    }
+  }
+
+  /**
+   * Read the metadata from a workflow file, or from the cache if the workflow file has not changed.
+   *
+   * @param {string} filePath The full path to the XAML file.
+   * @returns {WorkflowMetadata} The metadata read from the workflow file.
+   * @throws {Error} If the workflow file cannot be read.
+   * @since 1.1.0
+   */
+  readMetadata( filePath ) {
+
+    if ( this.cache === null ) {
+      return this.processor.getMetadata( filePath );
+    }
+
+    let key = this.getCacheKey( filePath );
+    let sourceHash = this.getSourceHash( filePath );
+    let metadata = this.cache.getWorkflow( key, sourceHash, filePath );
+
+    if ( metadata === null ) {
+      metadata = this.processor.getMetadata( filePath );
+      this.cache.setWorkflow( key, sourceHash, metadata );
+    }
+
+    return metadata;
+  }
+
+  /**
+   * Get the hash of the content of a workflow file, used to find the workflow file in the cache.
+   *
+   * @param {string} filePath The full path to the XAML file.
+   * @returns {string} The hash of the content of the workflow file.
+   * @throws {Error} If the workflow file cannot be read.
+   * @since 1.1.0
+   */
+  getSourceHash( filePath ) {
+
+    return this.cache.getHash( this.processor.readXamlContent( filePath ) );
+  }
+
+  /**
+   * Get the key used to store a workflow file in the cache.
+   *
+   * @param {string} filePath The full path to the XAML file.
+   * @returns {string} The path to the XAML file relative to the project directory, using forward slashes.
+   * @since 1.1.0
+   */
+  getCacheKey( filePath ) {
+    return path.relative( this.projectInfo.getProjectPath(), filePath ).split( path.sep ).join( "/" );
+  }
+
+  /**
+   * Write the documentation for some of the workflows, along with the index and graph.
+   *
+   * @param {Array} filePaths The full paths to the workflow files to write.
+   * @returns {Array} The full paths to the workflow files that were written.
+   * @throws {Error} If the failFast option is set and a workflow file cannot be written.
+   * @since 1.1.0
+   */
+  writeWorkflows( filePaths ) {
+
+    const self = this;
+    const written = [];
+
+    let selected = new Set( filePaths );
+
+    this.output.prepare( this.projectInfo, this.getPublicWorkflows() );
+
+    this.getPublicWorkflows().forEach( function( metadata ) {
+      let filePath = path.resolve( metadata.getFilePath() );
+
+      if ( !selected.has( filePath ) ) {
+        return;
+      }
+
+      let fileName = self.output.getOutputFileName( metadata );
+
+      // Remove the previous file if the name of the workflow changed.
+      let previousFileName = self.outputFiles.get( filePath );
+
+      if ( typeof previousFileName !== "undefined" && previousFileName !== fileName ) {
+        self.removeOutputFile( filePath );
+      }
+
+      try {
+        // eslint-disable-next-line security/detect-non-literal-fs-filename
+        self.output.writeFile( metadata, self.graph );
+      } catch ( err ) {
+        self.recordFailure( filePath, err );
+        return;
+      }
+
+      self.outputFiles.set( filePath, fileName );
+      written.push( filePath );
+    } );
+
+    // Remove the documentation for workflows that are no longer documented.
+    let documented = this.getDocumentedFiles();
+
+    Array.from( this.outputFiles.keys() ).forEach( function( filePath ) {
+      if ( !documented.has( filePath ) ) {
+        self.removeOutputFile( filePath );
+      }
+    } );
+
+    this.output.writeIndex( this.projectInfo, this.getPublicWorkflows(), this.graph );
+
+    this.output.writeGraph( this.graph );
+
+    return written;
+  }
+
+  /**
+   * Remove the documentation written for a workflow.
+   *
+   * The file is kept if another workflow was written to a file with the same name.
+   *
+   * @param {string} filePath The full path to the XAML file.
+   * @since 1.1.0
+   */
+  removeOutputFile( filePath ) {
+
+    let fileName = this.outputFiles.get( filePath );
+
+    this.outputFiles.delete( filePath );
+
+    if ( !Array.from( this.outputFiles.values() ).includes( fileName ) ) {
+      this.output.deleteOutputFile( fileName );
+    }
+  }
+
+  /**
+   * Get the list of workflow files that are documented.
+   *
+   * @returns {Set} The full paths to the XAML files.
+   * @since 1.1.0
+   */
+  getDocumentedFiles() {
+    return new Set( this.getPublicWorkflows().map( function( metadata ) {
+      return path.resolve( metadata.getFilePath() );
+    } ) );
+  }
+
+  /**
+   * Forget the workflow files that have been read, before reading all of them again.
+   *
+   * @since 1.1.0
+   */
+  clear() {
+
+    this.workflows.clear();
+    this.failures.clear();
+    this.warnings = [];
+
+    // The graph is used to identify public workflows while the workflow files are read.
+    this.graph = new WorkflowGraph( this.projectInfo );
+  }
+
+  /**
+   * Build the graph of invoked workflows from the metadata that has been read.
+   *
+   * @returns {WorkflowGraph} The graph of invoked workflows.
+   * @since 1.1.0
+   */
+  buildGraph() {
+
+    let graph = new WorkflowGraph( this.projectInfo );
+
+    this.workflows.forEach( function( metadata ) {
+      graph.addWorkflow( metadata );
+    } );
+
+    return graph;
+  }
+
+  /**
+   * Record a workflow file that could not be documented, unless the failFast option is set in which case the
+   * error is thrown.
+   *
+   * @param {string} filePath The full path to the XAML file.
+   * @param {Error} err The error that was thrown.
+   * @throws {Error} If the failFast option is set.
+   * @since 1.1.0
+   */
+  recordFailure( filePath, err ) {
+
+    if ( this.failFast ) {
+      throw err;
+    }
+
+    this.failures.set( filePath, err.message );
+  }
+}
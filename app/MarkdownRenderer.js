@@ -0,0 +1,138 @@
+import * as util from "util";
+
+/**
+ * Render values as markdown, escaping the characters that would otherwise break the formatting of a page.
+ *
+ * Pipes break tables, angle brackets are treated as HTML, backticks start code spans, and new lines end a
+ * table row. Every value extracted from a workflow or project should be rendered using this class.
+ */
+export class MarkdownRenderer {
+
+  /**
+   * Escape text for use in a paragraph or heading.
+   *
+   * @param {string} text The text to escape.
+   * @returns {string} The escaped text.
+   * @since 1.1.0
+   */
+  escape( text ) {
+    return String( text )
+      .replace( /\\/g, "\\\\" )
+      .replace( /\|/g, "\\|" )
+      .replace( /`/g, "\\`" )
+      .replace( /</g, "&lt;" )
+      .replace( />/g, "&gt;" );
+  }
+
+  /**
+   * Render text as a paragraph, keeping the line breaks in the text.
+   *
+   * @param {string} text The text to render.
+   * @returns {string} The markdown paragraph, or an empty string if there is no text.
+   * @since 1.1.0
+   */
+  paragraph( text ) {
+
+    let lines = this.escape( text ).trim().split( /\r?\n/ );
+
+    if ( lines.length === 1 && lines[ 0 ] === "" ) {
+      return "";
+    }
+
+    // End each line with two spaces to force a line break, unless it ends a paragraph.
+    return lines.map( function( line, index ) {
+      line = line.trimEnd();
+
+      if ( line === "" || index === lines.length - 1 || lines[ index + 1 ].trim() === "" ) {
+        return line;
+      }
+
+      return line + "  ";
+    } ).join( "\n" ) + "\n\n";
+  }
+
+  /**
+   * Render text for use in a table cell, where line breaks are replaced with HTML line breaks.
+   *
+   * @param {string} text The text to render.
+   * @returns {string} The escaped text.
+   * @since 1.1.0
+   */
+  cell( text ) {
+    return this.escape( text ).trim().split( /\s*\r?\n\s*/ ).join( "<br>" );
+  }
+
+  /**
+   * Render text as inline code, suitable for use in a table cell.
+   *
+   * @param {string} text The text to render.
+   * @returns {string} The inline code, or an empty string if there is no text.
+   * @since 1.1.0
+   */
+  code( text ) {
+
+    // Inline code cannot span lines, and pipes must still be escaped in a table.
+    let value = String( text ).trim().replace( /\s*\r?\n\s*/g, " " ).replace( /\|/g, "\\|" );
+
+    if ( value === "" ) {
+      return "";
+    }
+
+    // Use a fence that is longer than any run of backticks in the value.
+    let runs = value.match( /`+/g ) || [];
+    let fenceLength = runs.reduce( function( length, run ) {
+      return Math.max( length, run.length + 1 );
+    }, 1 );
+
+    let fence = "`".repeat( fenceLength );
+
+    // Pad the value if it starts or ends with a backtick, so it is not mistaken for part of the fence.
+    if ( value.startsWith( "`" ) || value.endsWith( "`" ) ) {
+      value = " " + value + " ";
+    }
+
+    return fence + value + fence;
+  }
+
+  /**
+   * Render a link.
+   *
+   * @param {string} text The text of the link.
+   * @param {string} url The target of the link.
+   * @returns {string} The markdown link.
+   * @since 1.1.0
+   */
+  linkTo( text, url ) {
+    return util.format(
+      "[%s](%s)",
+      this.cell( text ).replace( /\[/g, "\\[" ).replace( /\]/g, "\\]" ),
+      encodeURI( url ).replace( /\(/g, "%28" ).replace( /\)/g, "%29" )
+    );
+  }
+
+  /**
+   * Render a table.
+   *
+   * The content of the cells must already be rendered, using the cell, code or linkTo methods.
+   *
+   * @param {Array} headings The column headings.
+   * @param {Array} rows The rows of the table, each an array of rendered cells.
+   * @returns {string} The markdown table.
+   * @since 1.1.0
+   */
+  table( headings, rows ) {
+
+    const content = [];
+
+    content.push( util.format( "| %s |\n", headings.join( " | " ) ) );
+    content.push( util.format( "| %s |\n", headings.map( function( heading ) {
+      return "-".repeat( heading.length );
+    } ).join( " | " ) ) );
+
+    rows.forEach( function( row ) {
+      content.push( util.format( "|%s|\n", row.join( "|" ) ) );
+    } );
+
+    return content.join( "" );
+  }
+}
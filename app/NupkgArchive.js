@@ -0,0 +1,356 @@
+import AdmZip from "adm-zip";
+import { DOMParser } from "xmldom";
+import * as xpath from "xpath";
+import * as fs from "fs";
+import * as path from "path";
+import * as util from "util";
+
+/**
+ * Read the contents of a NuGet package, such as a library published to an Orchestrator or NuGet feed, without
+ * extracting the package to disk.
+ *
+ * The workflow files in the package are identified by paths that start with the path to the package, followed
+ * by the path of the workflow file relative to the content folder, for example `Flinders.Foundation.2.0.0.nupkg/
+ * Sub/Main.xaml` for the `lib/net45/Sub/Main.xaml` file. This means the workflow files in a package can be used in
+ * the same way as the workflow files in a project folder.
+ */
+export class NupkgArchive {
+
+  /**
+   * Construct a new object.
+   *
+   * @param {string} archivePath Path to the .nupkg file.
+   * @throws {TypeError} Parameter archivePath is required and must be a string.
+   * @throws {Error} Reading the .nupkg file fails, or it does not contain a .nuspec file.
+   * @since 1.1.0
+   */
+  constructor( archivePath ) {
+
+    if ( !archivePath || typeof archivePath !== "string" ) {
+      throw new TypeError( "archivePath parameter is required and must be a string" );
+    }
+
+    const entries = new Map();
+
+    this.archivePath = path.resolve( archivePath );
+
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    this.zip = new AdmZip( fs.readFileSync( this.archivePath ) );
+
+    // NuGet encodes the names of the files in the package, for example spaces are stored as %20.
+    this.entries = entries;
+
+    this.zip.getEntries().forEach( function( entry ) {
+      if ( !entry.isDirectory ) {
+        entries.set( NupkgArchive.decodeEntryName( entry.entryName ), entry.entryName );
+      }
+    } );
+
+    this.entryNames = Array.from( this.entries.keys() );
+
+    // The .nuspec file describing the package is in the root of the archive.
+    let nuspecName = this.entryNames.find( function( entryName ) {
+      return !entryName.includes( "/" ) && entryName.toLowerCase().endsWith( ".nuspec" );
+    } );
+
+    if ( typeof nuspecName === "undefined" ) {
+      throw new Error( "The package does not contain a .nuspec file" );
+    }
+
+    let nuspecContent = this.readEntry( nuspecName ).toString();
+
+    this.nuspec = new DOMParser().parseFromString( nuspecContent );
+
+    this.contentFolder = this.findContentFolder();
+  }
+
+  /**
+   * Get the full path to the .nupkg file.
+   *
+   * @returns {string} The full path to the .nupkg file.
+   * @since 1.1.0
+   */
+  getArchivePath() {
+    return this.archivePath;
+  }
+
+  /**
+   * Return a flag indicating if a path is to a file in the package.
+   *
+   * @param {string} filePath The path to check.
+   * @returns {boolean} True if the path is inside the .nupkg file, false if it is not.
+   * @since 1.1.0
+   */
+  containsPath( filePath ) {
+
+    let relativePath = path.relative( this.archivePath, path.resolve( filePath ) );
+
+    return relativePath !== "" && !relativePath.startsWith( ".." ) && !path.isAbsolute( relativePath );
+  }
+
+  /**
+   * Get the folder in the package that contains the workflow files.
+   *
+   * UiPath packages the workflow files in the `lib/net45` folder. The first `lib` sub folder that contains XAML
+   * files is used for packages built for other frameworks.
+   *
+   * @returns {string} The path to the folder in the package, ending with a forward slash.
+   * @since 1.1.0
+   */
+  getContentFolder() {
+    return this.contentFolder;
+  }
+
+  /**
+   * Find the folder in the package that contains the workflow files.
+   *
+   * @returns {string} The path to the folder in the package, ending with a forward slash.
+   * @since 1.1.0
+   */
+  findContentFolder() {
+
+    let folders = this.entryNames.filter( function( entryName ) {
+      return /^lib\/[^/]+\/.+\.xaml$/i.test( entryName );
+    } ).map( function( entryName ) {
+      return entryName.split( "/" ).slice( 0, 2 ).join( "/" ) + "/";
+    } ).sort();
+
+    if ( folders.length === 0 || folders.includes( NupkgArchive.contentFolder ) ) {
+      return NupkgArchive.contentFolder;
+    }
+
+    return folders[ 0 ];
+  }
+
+  /**
+   * Get the value of an element in the metadata of the .nuspec file.
+   *
+   * @param {string} name The name of the element.
+   * @returns {string} The text of the element, or an empty string if it is not found.
+   * @since 1.1.0
+   */
+  getNuspecValue( name ) {
+
+    let node = xpath.select1(
+      "/*[local-name()='package']/*[local-name()='metadata']/*[local-name()='" + name + "']",
+      this.nuspec
+    );
+
+    if ( !node ) {
+      return "";
+    }
+
+    return node.textContent.trim();
+  }
+
+  /**
+   * Get the dependencies listed in the .nuspec file.
+   *
+   * Dependencies can be listed for each target framework, in which case the dependencies of all of the target
+   * frameworks are combined.
+   *
+   * @returns {Map} A map of the package names and version ranges.
+   * @since 1.1.0
+   */
+  getDependencies() {
+
+    let nodes = xpath.select(
+      "/*[local-name()='package']/*[local-name()='metadata']/*[local-name()='dependencies']" +
+      "//*[local-name()='dependency']",
+      this.nuspec
+    );
+
+    let dependencies = new Map();
+
+    nodes.forEach( function( node ) {
+      let id = node.getAttribute( "id" );
+
+      if ( id !== "" && !dependencies.has( id ) ) {
+        dependencies.set( id, node.getAttribute( "version" ) );
+      }
+    } );
+
+    return dependencies;
+  }
+
+  /**
+   * Get the contents of the project.json file packaged with the workflow files, if there is one.
+   *
+   * @returns {object} The parsed contents of the project.json file, or an empty object if it is not found.
+   * @throws {Error} Parsing the project.json file fails.
+   * @since 1.1.0
+   */
+  getPackagedProject() {
+
+    let entryName = this.contentFolder + "project.json";
+
+    if ( !this.entryNames.includes( entryName ) ) {
+      return {};
+    }
+
+    return JSON.parse( this.readEntry( entryName ).toString() );
+  }
+
+  /**
+   * Get the project information from the package, in the same structure as the project.json file.
+   *
+   * The name, description, version and dependencies are read from the .nuspec file, as they describe what was
+   * published. Any other settings are read from the project.json file packaged with the workflow files.
+   *
+   * @returns {object} The project information.
+   * @since 1.1.0
+   */
+  getProjectContents() {
+
+    let contents = this.getPackagedProject();
+
+    contents.name = this.getNuspecValue( "id" );
+    contents.projectVersion = this.getNuspecValue( "version" );
+    contents.dependencies = Object.fromEntries( this.getDependencies() );
+
+    let description = this.getNuspecValue( "description" );
+
+    if ( description !== "" ) {
+      contents.description = description;
+    }
+
+    return contents;
+  }
+
+  /**
+   * Get the paths to the workflow files in the package.
+   *
+   * @returns {Array} The full paths to the XAML files, made up of the path to the package and the path of the XAML
+   * file relative to the content folder.
+   * @since 1.1.0
+   */
+  getXamlFiles() {
+
+    const self = this;
+
+    return this.entryNames.filter( function( entryName ) {
+      return entryName.startsWith( self.contentFolder ) && entryName.toLowerCase().endsWith( ".xaml" );
+    } ).map( function( entryName ) {
+      let relativePath = entryName.substring( self.contentFolder.length );
+
+      return path.join( self.archivePath, ...relativePath.split( "/" ) );
+    } ).sort();
+  }
+
+  /**
+   * Read a file from the package.
+   *
+   * @param {string} entryName The decoded path to the file in the package, using forward slashes.
+   * @returns {Buffer} The contents of the file.
+   * @throws {Error} The file is not found in the package.
+   * @since 1.1.0
+   */
+  readEntry( entryName ) {
+
+    if ( !this.entries.has( entryName ) ) {
+      throw new Error( util.format( "The package does not contain the file '%s'", entryName ) );
+    }
+
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    return this.zip.readFile( this.entries.get( entryName ) );
+  }
+
+  /**
+   * Read a workflow file from the package.
+   *
+   * @param {string} filePath The full path to the workflow file, as returned by the getXamlFiles method.
+   * @returns {Buffer} The contents of the file.
+   * @throws {Error} The file is not found in the package.
+   * @since 1.1.0
+   */
+  readXamlFile( filePath ) {
+
+    let relativePath = path.relative( this.archivePath, path.resolve( filePath ) );
+
+    return this.readEntry( this.contentFolder + relativePath.split( path.sep ).join( "/" ) );
+  }
+
+  /**
+   * Decode the name of a file in a package.
+   *
+   * @param {string} entryName The name of the file, as stored in the package.
+   * @returns {string} The decoded name, or the name as stored if it cannot be decoded.
+   * @since 1.1.0
+   */
+  static decodeEntryName( entryName ) {
+    try {
+      return decodeURIComponent( entryName );
+    } catch ( err ) {
+      return entryName;
+    }
+  }
+
+  /**
+   * Return a flag indicating if a path is to a .nupkg file.
+   *
+   * @param {string} filePath The path to check.
+   * @returns {boolean} True if the path ends with the .nupkg extension, false if it does not.
+   * @since 1.1.0
+   */
+  static isArchivePath( filePath ) {
+    return path.extname( filePath ).toLowerCase() === NupkgArchive.extension;
+  }
+
+  /**
+   * Find the path to the package that contains a file.
+   *
+   * @param {string} filePath The full path to the file.
+   * @returns {string|null} The path to the .nupkg file, or null if the file is not in a package.
+   * @since 1.1.0
+   */
+  static findArchivePath( filePath ) {
+
+    let currentPath = path.resolve( filePath );
+
+    while ( path.dirname( currentPath ) !== currentPath ) {
+      currentPath = path.dirname( currentPath );
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      if ( NupkgArchive.isArchivePath( currentPath ) && fs.existsSync( currentPath ) &&
+        fs.statSync( currentPath ).isFile() ) { // eslint-disable-line security/detect-non-literal-fs-filename
+        return currentPath;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Read a file from disk, or from a package if the path is to a workflow file in a package.
+   *
+   * @param {string} filePath The path to the file.
+   * @returns {Buffer} The contents of the file.
+   * @since 1.1.0
+   */
+  static readWorkflowFile( filePath ) {
+
+    let archivePath = NupkgArchive.findArchivePath( filePath );
+
+    if ( archivePath === null ) {
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      return fs.readFileSync( filePath );
+    }
+
+    return new NupkgArchive( archivePath ).readXamlFile( filePath );
+  }
+}
+
+/**
+ * The extension of NuGet package files.
+ *
+ * @type {string}
+ */
+NupkgArchive.extension = ".nupkg";
+
+/**
+ * The folder in a UiPath package that contains the workflow files.
+ *
+ * @type {string}
+ */
+NupkgArchive.contentFolder = "lib/net45/";
@@ -0,0 +1,506 @@
+import { BuildCache } from "./BuildCache.js";
+import { WorkflowMetadata } from "./WorkflowMetadata.js";
+import { UiPathProject } from "./UiPathProject.js";
+
+import * as fs from "fs";
+import * as glob from "glob";
+import * as path from "path";
+import * as util from "util";
+
+/**
+ * Common functionality for the classes that output the extracted metadata.
+ */
+export class Output {
+
+  /**
+   * Construct a new object.
+   *
+   * @param {string} outputPath Path to the root directory of the output folder.
+   * @param {boolean} emptyOutput Flag to delete output files prior to writing new ones.
+   * @param {Array} fileExtensions The extensions of the files written, the first is used for workflow files.
+   * @throws {TypeError} Parameter outputPath is required and must be a string.
+   * @throws {Error} If the output path does not exist.
+   * @throws {Error} If the output path is not a directory.
+   * @throws {Error} If the output path is not empty, and does not contain a cache written by a previous run.
+   * @since 1.1.0
+   */
+  constructor( outputPath, emptyOutput = false, fileExtensions = [ ".md" ] ) {
+
+    if ( !outputPath || typeof outputPath !== "string" ) {
+      throw new TypeError( "outputPath parameter is required and must be a string" );
+    }
+
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    if ( !fs.existsSync( outputPath ) ) {
+      throw new Error( util.format( "The output path '%s' does not exist", outputPath ) );
+    }
+
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    let fstat = fs.statSync( outputPath );
+    if ( !fstat.isDirectory() ) {
+      throw new Error( util.format( "The output path '%s' is not a directory", outputPath ) );
+    }
+
+    let fileList = [];
+
+    fileExtensions.forEach( function( fileExtension ) {
+      fileList = fileList.concat( glob.sync( path.join( outputPath, "*" + fileExtension ) ) );
+    } );
+
+    // The files written by a previous run are recorded in the cache, so they can be updated.
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    let hasCache = fs.existsSync( path.join( outputPath, BuildCache.fileName ) );
+
+    if ( fileList.length > 0 && !emptyOutput && !hasCache ) {
+      throw new Error( util.format( "The output path '%s' is not an empty directory", outputPath ) );
+    } else if ( fileList.length > 0 && emptyOutput ) {
+      fileList.forEach( function( file ) {
+        // eslint-disable-next-line security/detect-non-literal-fs-filename
+        fs.unlinkSync( file );
+      } );
+    }
+
+    this.outputPath = outputPath;
+
+    this.fileExtension = fileExtensions[ 0 ];
+
+    this.sections = new Map( Output.sectionNames.map( function( name ) {
+      return [ name, true ];
+    } ) );
+
+    this.templates = new Map();
+
+    this.projectInfo = null;
+
+    this.cache = null;
+
+  }
+
+  /**
+   * Prepare to write the documentation, before any of the workflow files are written.
+   *
+   * Formats that need to know about all of the workflows when writing a single workflow file, for example to
+   * add navigation, override this method.
+   *
+   * @param {UiPathProject} projectInfo The information about the UiPath project.
+   * @param {Array} workflowMeta An array of WorkflowMetadata objects to be documented.
+   * @since 1.1.0
+   */
+  // eslint-disable-next-line no-unused-vars
+  prepare( projectInfo, workflowMeta ) {
+    this.projectInfo = projectInfo;
+  }
+
+  /**
+   * Set the cache used to avoid writing files that have not changed.
+   *
+   * @param {BuildCache|null} cache The cache, or null to always write the files.
+   * @throws {TypeError} Parameter cache must be a BuildCache object or null.
+   * @since 1.1.0
+   */
+  setCache( cache ) {
+
+    if ( cache !== null && !( cache instanceof BuildCache ) ) {
+      throw new TypeError( "cache parameter must be a BuildCache object or null" );
+    }
+
+    this.cache = cache;
+  }
+
+  /**
+   * Enable or disable a section of the workflow pages.
+   *
+   * @param {string} name The name of the section.
+   * @param {boolean} enabled True to include the section, false to leave it out.
+   * @throws {Error} If the section name is unknown.
+   * @since 1.1.0
+   */
+  setSectionEnabled( name, enabled ) {
+
+    if ( !this.sections.has( name ) ) {
+      throw new Error( util.format(
+        "Unknown section '%s', expected one of %s",
+        name,
+        Output.sectionNames.join( ", " )
+      ) );
+    }
+
+    this.sections.set( name, enabled === true );
+  }
+
+  /**
+   * Return a flag indicating if a section of the workflow pages is enabled.
+   *
+   * @param {string} name The name of the section.
+   * @returns {boolean} True if the section is enabled, false if it is not.
+   * @since 1.1.0
+   */
+  isSectionEnabled( name ) {
+    return this.sections.get( name ) === true;
+  }
+
+  /**
+   * Load a template from a file.
+   *
+   * @param {string} name The name of the template, either header or footer.
+   * @param {string} filePath The path to the template file.
+   * @throws {Error} If the template name is unknown.
+   * @throws {Error} Reading the template file fails.
+   * @since 1.1.0
+   */
+  loadTemplate( name, filePath ) {
+
+    if ( !Output.templateNames.includes( name ) ) {
+      throw new Error( util.format(
+        "Unknown template '%s', expected one of %s",
+        name,
+        Output.templateNames.join( ", " )
+      ) );
+    }
+
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    this.templates.set( name, fs.readFileSync( filePath ).toString() );
+  }
+
+  /**
+   * Get the content of a template for a page.
+   *
+   * The {{title}}, {{projectName}} and {{projectVersion}} placeholders are replaced with their values.
+   *
+   * @param {string} name The name of the template.
+   * @param {string} title The title of the page.
+   * @returns {string} The content of the template, or an empty string if the template is not loaded.
+   * @since 1.1.0
+   */
+  getTemplate( name, title ) {
+
+    if ( !this.templates.has( name ) ) {
+      return "";
+    }
+
+    let projectInfo = this.projectInfo;
+
+    let values = new Map( [
+      [ "title", title ],
+      [ "projectName", projectInfo === null ? "" : projectInfo.getName() ],
+      [ "projectVersion", projectInfo === null ? "" : projectInfo.getVersion() ]
+    ] );
+
+    let template = this.templates.get( name );
+
+    return template.replace( /{{\s*(\w+)\s*}}/g, function( match, key ) {
+      return values.has( key ) ? values.get( key ) : match;
+    } );
+  }
+
+  /**
+   * Get the properties of a project shown on the landing page.
+   *
+   * The version and type of the project are always included, the other properties only if they are set.
+   *
+   * @param {UiPathProject} projectInfo The information about the UiPath project.
+   * @returns {Array} An array of properties, each an array with the name and value.
+   * @since 1.1.0
+   */
+  getProjectProperties( projectInfo ) {
+
+    let properties = [
+      [ "Version", projectInfo.getVersion() ],
+      [ "Project Type", projectInfo.getProjectType() ]
+    ];
+
+    let optional = [
+      [ "Main Workflow", projectInfo.getMain() ],
+      [ "Target Framework", projectInfo.getTargetFramework() ],
+      [ "Expression Language", projectInfo.getExpressionLanguage() ],
+      [ "Studio Version", projectInfo.getStudioVersion() ],
+      [ "Schema Version", projectInfo.getSchemaVersion() ]
+    ];
+
+    if ( projectInfo.isLibrary() ) {
+      optional.push( [ "Include Original XAML", projectInfo.getIncludeOriginalXaml() ? "Yes" : "No" ] );
+    }
+
+    return properties.concat( optional.filter( function( property ) {
+      return property[ 1 ] !== "";
+    } ) );
+  }
+
+  /**
+   * Get the settings in a group of settings from the project.json file, such as the runtime options.
+   *
+   * Settings are named using the labels used in UiPath Studio where they are known. Flags are shown as Yes or No.
+   * Settings that contain other settings, and empty lists, are left out.
+   *
+   * @param {object} settings The group of settings.
+   * @returns {Array} An array of settings, each an array with the name and value, where the value of a list is an
+   * array of strings.
+   * @since 1.1.0
+   */
+  getSettingRows( settings ) {
+
+    let format = function( value ) {
+      if ( typeof value === "boolean" ) {
+        return value ? "Yes" : "No";
+      }
+
+      return String( value );
+    };
+
+    let isScalar = function( value ) {
+      return value === null || typeof value !== "object";
+    };
+
+    return Object.entries( settings ).filter( function( setting ) {
+      let value = setting[ 1 ];
+
+      if ( Array.isArray( value ) ) {
+        return value.length > 0 && value.every( isScalar );
+      }
+
+      return isScalar( value );
+    } ).map( function( setting ) {
+      let name = Output.settingLabels.get( setting[ 0 ] ) || setting[ 0 ];
+      let value = setting[ 1 ];
+
+      if ( Array.isArray( value ) ) {
+        return [ name, value.map( format ) ];
+      }
+
+      return [ name, format( value ) ];
+    } );
+  }
+
+  /**
+   * Get the dependencies of a project shown on the landing page.
+   *
+   * @param {UiPathProject} projectInfo The information about the UiPath project.
+   * @returns {Array} An array of dependencies, each an array with the package id, version range, minimum version,
+   * maximum version, a Yes or No flag indicating if the version is pinned, and the category of the package.
+   * @since 1.1.0
+   */
+  getDependencyRows( projectInfo ) {
+
+    let limit = function( version, isInclusive ) {
+      if ( version === "" ) {
+        return "";
+      }
+
+      return util.format( "%s (%s)", version, isInclusive ? "inclusive" : "exclusive" );
+    };
+
+    return projectInfo.getPackageDependencies().map( function( dependency ) {
+      return [
+        dependency.getId(),
+        dependency.getRange(),
+        limit( dependency.getMinimum(), dependency.isMinInclusive() ),
+        limit( dependency.getMaximum(), dependency.isMaxInclusive() ),
+        dependency.isExact() ? "Yes" : "No",
+        dependency.getCategory()
+      ];
+    } );
+  }
+
+  /**
+   * Get the log messages and log fields of a workflow that use names covered by the excluded logged data of the
+   * project, as the values would be written to the logs.
+   *
+   * @param {WorkflowMetadata} metadata The metadata extracted from a workflow.
+   * @returns {Array} An array of warnings, each with the display name of the activity, the name, the matching
+   * pattern and the reason. The array is empty if the project has not been prepared.
+   * @since 1.1.0
+   */
+  getLoggedDataWarnings( metadata ) {
+
+    let projectInfo = this.projectInfo;
+    let warnings = [];
+
+    if ( projectInfo === null ) {
+      return warnings;
+    }
+
+    metadata.getLogMessages().forEach( function( logMessage ) {
+      let names = logMessage.identifiers.slice();
+
+      // The names of the fields added to the logs are written to every log message.
+      if ( logMessage.activity === "AddLogFields" ) {
+        logMessage.fields.forEach( function( field ) {
+          if ( !names.includes( field.name ) ) {
+            names.push( field.name );
+          }
+        } );
+      }
+
+      names.forEach( function( name ) {
+        let pattern = projectInfo.getExcludedLoggedDataPattern( name );
+
+        if ( pattern !== null ) {
+          warnings.push( {
+            "displayName": logMessage.displayName,
+            "name": name,
+            "pattern": pattern,
+            "reason": util.format(
+              "The activity '%s' logs '%s', which matches the excluded logged data pattern '%s'",
+              logMessage.displayName,
+              name,
+              pattern
+            )
+          } );
+        }
+      } );
+    } );
+
+    return warnings;
+  }
+
+  /**
+   * Get the name of the file used to document a workflow.
+   *
+   * @param {WorkflowMetadata} metadata The metadata extracted from a workflow.
+   * @returns {string} The name of the file, relative to the output path.
+   * @throws {TypeError} Parameter metadata is required and must be a WorkflowMetadata object.
+   * @since 1.1.0
+   */
+  getOutputFileName( metadata ) {
+
+    if ( !metadata || !( metadata instanceof WorkflowMetadata ) ) {
+      throw new TypeError( "metadata parameter is required and must be a WorkflowMetadata object" );
+    }
+
+    try {
+
+      // Use a file name derived from the UiPath project relative file name if available.
+      let fileName = metadata.getProjectFilePath().split( path.sep ).join( "-" );
+      return fileName.replace( ".xaml", this.fileExtension );
+    } catch ( ReferenceError ) {
+
+      // Use a file name derived from the workflow name.
+      return metadata.getWorkflowName() + this.fileExtension;
+    }
+  }
+
+  /**
+   * Write a file to the output path.
+   *
+   * If a cache is set, the file is not written when its content has not changed since the last run.
+   *
+   * @param {string} fileName The name of the file, relative to the output path.
+   * @param {string} content The content of the file.
+   * @since 1.1.0
+   */
+  writeOutputFile( fileName, content ) {
+
+    let filePath = path.join( this.outputPath, fileName );
+
+    if ( this.cache === null ) {
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      fs.writeFileSync( filePath, content );
+      return;
+    }
+
+    let contentHash = this.cache.getHash( content );
+    let isUnchanged = this.cache.getOutputHash( fileName ) === contentHash;
+
+    // Check the file itself, in case it was changed or deleted since the last run.
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    if ( isUnchanged && fs.existsSync( filePath ) ) {
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      isUnchanged = this.cache.getHash( fs.readFileSync( filePath ) ) === contentHash;
+    } else {
+      isUnchanged = false;
+    }
+
+    if ( !isUnchanged ) {
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      fs.writeFileSync( filePath, content );
+    }
+
+    this.cache.setOutput( fileName, contentHash );
+  }
+
+  /**
+   * Delete a file from the output path, if it exists.
+   *
+   * @param {string} fileName The name of the file, relative to the output path.
+   * @since 1.1.0
+   */
+  deleteOutputFile( fileName ) {
+
+    let filePath = path.join( this.outputPath, fileName );
+
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    if ( fs.existsSync( filePath ) ) {
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      fs.unlinkSync( filePath );
+    }
+
+    if ( this.cache !== null ) {
+      this.cache.removeOutput( fileName );
+    }
+  }
+}
+
+/**
+ * The names of the sections of the workflow pages that can be enabled or disabled.
+ *
+ * @type {Array}
+ */
+Output.sectionNames = [
+  "arguments",
+  "variables",
+  "states",
+  "activities",
+  "exceptions",
+  "logging",
+  "orchestrator",
+  "calls"
+];
+
+/**
+ * The names of the templates that can be added to each page.
+ *
+ * @type {Array}
+ */
+Output.templateNames = [ "header", "footer" ];
+
+/**
+ * The headings of the table of dependencies on the landing page.
+ *
+ * @type {Array}
+ */
+Output.dependencyHeadings = [ "Package", "Version Range", "Minimum", "Maximum", "Pinned", "Category" ];
+
+/**
+ * The headings of the table of Orchestrator objects on the landing page and workflow pages.
+ *
+ * @type {Array}
+ */
+Output.orchestratorHeadings = [ "Type", "Name", "Folder Path", "Activities", "Used In" ];
+
+/**
+ * The labels of the runtime and design options in the project.json file, keyed by the name of the setting.
+ *
+ * @type {Map}
+ */
+Output.settingLabels = new Map( [
+  [ "autoDispose", "Auto Dispose" ],
+  [ "netFrameworkLazyLoadingEnabled", ".NET Framework Lazy Loading" ],
+  [ "isPausable", "Pausable" ],
+  [ "isAttended", "Attended" ],
+  [ "requiresUserInteraction", "Requires User Interaction" ],
+  [ "supportsPersistence", "Supports Persistence" ],
+  [ "workflowSerialization", "Workflow Serialization" ],
+  [ "excludedLoggedData", "Excluded Logged Data" ],
+  [ "executionType", "Execution Type" ],
+  [ "readyForPiP", "Ready for Picture in Picture" ],
+  [ "startsInPiP", "Starts in Picture in Picture" ],
+  [ "mustRestoreAllDependencies", "Must Restore All Dependencies" ],
+  [ "pipType", "Picture in Picture Type" ],
+  [ "projectProfile", "Project Profile" ],
+  [ "outputType", "Output Type" ],
+  [ "modernBehavior", "Modern Behavior" ]
+] );
@@ -0,0 +1,1031 @@
+import { Output } from "./Output.js";
+import { WorkflowMetadata } from "./WorkflowMetadata.js";
+import { UiPathProject } from "./UiPathProject.js";
+import { WorkflowGraph } from "./WorkflowGraph.js";
+import { ProjectCatalogue } from "./ProjectCatalogue.js";
+
+import * as fs from "fs";
+import * as path from "path";
+import * as util from "util";
+
+/**
+ * Output the extracted metadata as a self-contained static HTML site.
+ *
+ * The site includes navigation, grouped by project folder, and a search index built when the
+ * documentation is generated so the site can be used offline, for example from a file share.
+ */
+export class OutputHtml extends Output {
+
+  /**
+   * Construct a new object.
+   *
+   * @param {string} outputPath Path to the root directory of the output folder.
+   * @param {boolean} emptyOutput Flag to delete HTML files prior to writing new ones.
+   * @throws {TypeError} Parameter outputPath is required and must be a string.
+   * @throws {Error} If the output path does not exist.
+   * @throws {Error} If the output path is not a directory.
+   * @throws {Error} If the output path is not empty.
+   * @since 1.1.0
+   */
+  constructor( outputPath, emptyOutput = false ) {
+
+    super( outputPath, emptyOutput, [ ".html" ] );
+
+    this.indexFileName = "index.html";
+
+    this.graphFileName = "call-graph.html";
+
+    this.searchIndexFileName = "search-index.js";
+
+    this.assetFileNames = [ "rpa-doc.css", "rpa-doc.js" ];
+
+    this.projectName = "";
+
+    this.navigation = new Map();
+  }
+
+  /**
+   * Prepare the navigation for the site using the list of workflows that will be documented.
+   *
+   * @param {UiPathProject} projectInfo The information about the UiPath project.
+   * @param {Array} workflowMeta An array of WorkflowMetadata objects documented in the project.
+   * @throws {TypeError} Parameter projectInfo is required and must be a UiPathProject object.
+   * @throws {TypeError} Parameter workflowMeta is required and must be an array.
+   * @since 1.1.0
+   */
+  prepare( projectInfo, workflowMeta ) {
+
+    if ( !projectInfo || !( projectInfo instanceof UiPathProject ) ) {
+      throw new TypeError( "projectInfo parameter is required and must be a UiPathProject object" );
+    }
+
+    if ( !Array.isArray( workflowMeta ) ) {
+      throw new TypeError( "workflowMeta parameter is required and must be an array" );
+    }
+
+    const self = this;
+
+    super.prepare( projectInfo, workflowMeta );
+
+    this.projectName = projectInfo.getName();
+    this.navigation = new Map();
+
+    workflowMeta.forEach( function( metadata ) {
+      let relativePath = self.getProjectRelativePath( projectInfo, metadata );
+      let folder = path.posix.dirname( relativePath );
+
+      if ( folder === "." ) {
+        folder = "";
+      }
+
+      if ( !self.navigation.has( folder ) ) {
+        self.navigation.set( folder, [] );
+      }
+
+      self.navigation.get( folder ).push( {
+        "name": metadata.getWorkflowName(),
+        "fileName": self.getOutputFileName( metadata )
+      } );
+    } );
+
+    // Sort the folders, and the workflows in each folder, by name.
+    this.navigation = new Map( Array.from( this.navigation.entries() ).sort() );
+
+    this.navigation.forEach( function( workflows ) {
+      workflows.sort( function( a, b ) {
+        return a.name.localeCompare( b.name );
+      } );
+    } );
+  }
+
+  /**
+   * Output the metadata as a HTML page.
+   *
+   * @param {WorkflowMetadata} metadata The metadata extracted from a workflow.
+   * @param {WorkflowGraph} graph Optional graph of invoked workflows used to add the calls and called by sections.
+   * @throws {TypeError} Parameter metadata is required and must be a WorkflowMetadata object.
+   * @throws {TypeError} Parameter graph must be a WorkflowGraph object.
+   * @since 1.1.0
+   */
+  writeFile( metadata, graph = null ) {
+
+    if ( !metadata || !( metadata instanceof WorkflowMetadata ) ) {
+      throw new TypeError( "metadata parameter is required and must be a WorkflowMetadata object" );
+    }
+
+    if ( graph !== null && !( graph instanceof WorkflowGraph ) ) {
+      throw new TypeError( "graph parameter must be a WorkflowGraph object" );
+    }
+
+    const self = this;
+    const content = [];
+    const code = function( value ) {
+      return value === "" ? "" : "<code>" + self.escape( value ) + "</code>";
+    };
+
+    content.push( util.format( "<h1>%s</h1>\n", this.escape( metadata.getWorkflowName() ) ) );
+
+    if ( metadata.hasWorkflowAnnotation() ) {
+      content.push( util.format(
+        "<p class=\"annotation\">%s</p>\n",
+        this.escape( metadata.getWorkflowAnnotation() )
+      ) );
+    }
+
+    if ( this.isSectionEnabled( "arguments" ) ) {
+      content.push( "<h2>Arguments</h2>\n" );
+
+      let workflowArguments = Array.from( metadata.getArguments().values() );
+
+      content.push( this.getTable(
+        [ "Name", "Purpose", "Direction", "Type", "Default Value" ],
+        workflowArguments.map( function( arg ) {
+          return [
+            self.escape( arg.name ),
+            self.escape( arg.annotation ),
+            self.escape( arg.direction.replace( "Argument", "" ) ),
+            code( arg.type ),
+            code( arg.defaultValue )
+          ];
+        } ),
+        "This activity does not define any arguments."
+      ) );
+    }
+
+    if ( this.isSectionEnabled( "variables" ) ) {
+      content.push( "<h2>Variables</h2>\n" );
+
+      content.push( this.getTable(
+        [ "Name", "Purpose", "Scope", "Type", "Default Value" ],
+        metadata.getVariables().map( function( variable ) {
+          return [
+            self.escape( variable.name ),
+            self.escape( variable.annotation ),
+            self.escape( variable.scope ),
+            code( variable.type ),
+            code( variable.defaultValue )
+          ];
+        } ),
+        "This activity does not define any variables."
+      ) );
+    }
+
+    if ( this.isSectionEnabled( "states" ) && metadata.getStates().length > 0 ) {
+      content.push( "<h2>States</h2>\n" );
+
+      content.push( this.getTable(
+        [ "State", "Purpose", "Initial", "Final" ],
+        metadata.getStates().map( function( state ) {
+          return [
+            self.escape( state.name ),
+            self.escape( state.annotation ),
+            state.isInitial ? "Yes" : "No",
+            state.isFinal ? "Yes" : "No"
+          ];
+        } ),
+        ""
+      ) );
+
+      content.push( "<h2>Transitions</h2>\n" );
+
+      content.push( this.getTable(
+        [ "From", "To", "Transition", "Condition" ],
+        metadata.getTransitions().map( function( transition ) {
+          return [
+            self.escape( metadata.getStateName( transition.from ) ),
+            self.escape( metadata.getStateName( transition.to ) ),
+            self.escape( transition.displayName ),
+            code( transition.condition )
+          ];
+        } ),
+        "This state machine does not define any transitions."
+      ) );
+    }
+
+    if ( this.isSectionEnabled( "activities" ) && metadata.getActivityTree() !== null ) {
+      content.push( this.getActivitiesContent( metadata ) );
+    }
+
+    if ( this.isSectionEnabled( "exceptions" ) ) {
+      content.push( this.getExceptionsContent( metadata ) );
+    }
+
+    if ( this.isSectionEnabled( "logging" ) ) {
+      content.push( this.getLoggingContent( metadata ) );
+    }
+
+    if ( this.isSectionEnabled( "orchestrator" ) && graph !== null ) {
+      let orchestratorObjects = graph.getOrchestratorObjects( [ metadata ] );
+
+      if ( orchestratorObjects.length > 0 ) {
+        content.push( this.getOrchestratorContent( orchestratorObjects ) );
+      }
+    }
+
+    if ( this.isSectionEnabled( "calls" ) && graph !== null ) {
+      content.push( this.getCallsContent( metadata, graph ) );
+    }
+
+    let fileName = this.getOutputFileName( metadata );
+
+    this.writeOutputFile(
+      fileName,
+      this.getPage( metadata.getWorkflowName(), content.join( "" ), fileName )
+    );
+  }
+
+  /**
+   * Get the content of the activities section of a workflow page, listing the tree of activities as a collapsible
+   * outline.
+   *
+   * @param {WorkflowMetadata} metadata The metadata extracted from a workflow.
+   * @returns {string} The HTML content of the section.
+   * @since 1.1.0
+   */
+  getActivitiesContent( metadata ) {
+
+    const self = this;
+
+    let getOutline = function( nodes ) {
+      let items = nodes.map( function( node ) {
+        let item = util.format( "<li>%s (<code>%s</code>)", self.escape( node.displayName ), self.escape( node.type ) );
+
+        if ( node.annotation !== "" ) {
+          item += ": " + self.escape( node.annotation );
+        }
+
+        if ( node.children.length > 0 ) {
+          item += "\n" + getOutline( node.children );
+        }
+
+        return item + "</li>\n";
+      } );
+
+      return "<ul>\n" + items.join( "" ) + "</ul>";
+    };
+
+    return "<h2>Activities</h2>\n<details>\n<summary>Outline</summary>\n" +
+      getOutline( [ metadata.getActivityTree() ] ) + "\n</details>\n";
+  }
+
+  /**
+   * Get the content of the exceptions section of a workflow page.
+   *
+   * @param {WorkflowMetadata} metadata The metadata extracted from a workflow.
+   * @returns {string} The HTML content of the section.
+   * @since 1.1.0
+   */
+  getExceptionsContent( metadata ) {
+
+    const self = this;
+    const content = [];
+    const code = function( value ) {
+      return value === "" ? "" : "<code>" + self.escape( value ) + "</code>";
+    };
+
+    content.push( "<h2>Exceptions</h2>\n" );
+
+    let exceptions = metadata.getExceptions();
+
+    if ( exceptions.length === 0 ) {
+      content.push( "<p>This activity does not throw or catch any exceptions.</p>\n" );
+      return content.join( "" );
+    }
+
+    let thrown = exceptions.filter( function( exception ) {
+      return exception.activity !== "Catch";
+    } );
+
+    let caught = exceptions.filter( function( exception ) {
+      return exception.activity === "Catch";
+    } );
+
+    content.push( "<h3>Thrown</h3>\n" );
+
+    content.push( this.getTable(
+      [ "Activity", "Exception", "Message" ],
+      thrown.map( function( exception ) {
+        let message = code( exception.expression );
+
+        if ( exception.activity === "Rethrow" ) {
+          message = "Rethrows the caught exception.";
+        } else if ( exception.message !== "" ) {
+          message = self.escape( exception.message );
+        }
+
+        return [
+          self.escape( exception.displayName ),
+          code( exception.type ),
+          message
+        ];
+      } ),
+      "This activity does not throw any exceptions."
+    ) );
+
+    content.push( "<h3>Caught</h3>\n" );
+
+    content.push( this.getTable(
+      [ "Activity", "Exception" ],
+      caught.map( function( exception ) {
+        return [
+          self.escape( exception.displayName ),
+          code( exception.type )
+        ];
+      } ),
+      "This activity does not catch any exceptions."
+    ) );
+
+    return content.join( "" );
+  }
+
+  /**
+   * Get the content of the logging section of a workflow page, listing the log messages and log fields along with
+   * any that use names covered by the excluded logged data of the project.
+   *
+   * @param {WorkflowMetadata} metadata The metadata extracted from a workflow.
+   * @returns {string} The HTML content of the section.
+   * @since 1.1.0
+   */
+  getLoggingContent( metadata ) {
+
+    const self = this;
+    const code = function( value ) {
+      return value === "" ? "" : "<code>" + self.escape( value ) + "</code>";
+    };
+
+    let content = [ "<h2>Logging</h2>\n" ];
+    let warnings = this.getLoggedDataWarnings( metadata );
+
+    content.push( this.getTable(
+      [ "Activity", "Type", "Level", "Message" ],
+      metadata.getLogMessages().map( function( logMessage ) {
+        let message = code( logMessage.message );
+
+        if ( logMessage.activity !== "LogMessage" ) {
+          message = logMessage.fields.map( function( field ) {
+            return field.value === "" ? code( field.name ) : code( field.name ) + " = " + code( field.value );
+          } ).join( "<br>" );
+        }
+
+        return [
+          self.escape( logMessage.displayName ),
+          self.escape( logMessage.activity ),
+          self.escape( logMessage.level ),
+          message
+        ];
+      } ),
+      "This activity does not write any log messages."
+    ) );
+
+    if ( warnings.length > 0 ) {
+      content.push( "<p><strong>Warnings</strong></p>\n<ul>\n" );
+
+      warnings.forEach( function( warning ) {
+        content.push( util.format(
+          "<li>The activity %s logs %s, which matches the excluded logged data pattern %s</li>\n",
+          self.escape( warning.displayName ),
+          code( warning.name ),
+          code( warning.pattern )
+        ) );
+      } );
+
+      content.push( "</ul>\n" );
+    }
+
+    return content.join( "" );
+  }
+
+  /**
+   * Get the content of the section listing the Orchestrator objects required by the workflows.
+   *
+   * @param {Array} orchestratorObjects The Orchestrator objects returned by the graph of invoked workflows.
+   * @returns {string} The HTML content of the section.
+   * @since 1.1.0
+   */
+  getOrchestratorContent( orchestratorObjects ) {
+
+    const self = this;
+    const code = function( value ) {
+      return value === "" ? "" : "<code>" + self.escape( value ) + "</code>";
+    };
+
+    return "<h2>Orchestrator Objects</h2>\n" + this.getTable(
+      Output.orchestratorHeadings,
+      orchestratorObjects.map( function( orchestratorObject ) {
+        return [
+          self.escape( orchestratorObject.type ),
+          code( orchestratorObject.name ),
+          code( orchestratorObject.folderPath ),
+          self.escape( orchestratorObject.activities.join( ", " ) ),
+          orchestratorObject.workflows.map( function( workflow ) {
+            return self.escape( workflow );
+          } ).join( "<br>" )
+        ];
+      } ),
+      ""
+    );
+  }
+
+  /**
+   * Get the content of the calls and called by sections of a workflow page.
+   *
+   * @param {WorkflowMetadata} metadata The metadata extracted from a workflow.
+   * @param {WorkflowGraph} graph The graph of invoked workflows.
+   * @returns {string} The HTML content of the sections.
+   * @since 1.1.0
+   */
+  getCallsContent( metadata, graph ) {
+
+    const self = this;
+    const content = [];
+
+    content.push( "<h2>Calls</h2>\n" );
+
+    content.push( this.getTable(
+      [ "Workflow", "Activity", "Arguments" ],
+      graph.getCalls( metadata ).map( function( call ) {
+        let workflow = self.escape( call.workflowFileName );
+
+        if ( call.metadata !== null ) {
+          workflow = self.getWorkflowLink( call.metadata, graph );
+        }
+
+        let argumentBindings = call.arguments.map( function( binding ) {
+          return util.format(
+            "%s: <code>%s</code>",
+            self.escape( binding.name ),
+            self.escape( binding.value )
+          );
+        } );
+
+        return [ workflow, self.escape( call.displayName ), argumentBindings.join( "<br>" ) ];
+      } ),
+      "This activity does not invoke any workflows."
+    ) );
+
+    content.push( "<h2>Called by</h2>\n" );
+
+    let callers = graph.getCalledBy( metadata );
+
+    if ( callers.length === 0 ) {
+      content.push( "<p>This activity is not invoked by any workflows in the project.</p>\n" );
+    } else {
+      content.push( "<ul>\n" );
+
+      callers.forEach( function( caller ) {
+        content.push( util.format( "<li>%s</li>\n", self.getWorkflowLink( caller, graph ) ) );
+      } );
+
+      content.push( "</ul>\n" );
+    }
+
+    return content.join( "" );
+  }
+
+  /**
+   * Get a link to the page for a workflow.
+   *
+   * Only public workflows are documented, so private workflows are identified by their project relative path instead.
+   *
+   * @param {WorkflowMetadata} metadata The metadata extracted from a workflow.
+   * @param {WorkflowGraph} graph The graph of invoked workflows.
+   * @returns {string} The HTML link to the workflow page.
+   * @since 1.1.0
+   */
+  getWorkflowLink( metadata, graph ) {
+
+    if ( graph.isPublic( metadata.getFilePath() ) ) {
+      return util.format(
+        "<a href=\"%s\">%s</a>",
+        this.escape( encodeURI( this.getOutputFileName( metadata ) ) ),
+        this.escape( metadata.getWorkflowName() )
+      );
+    } else {
+      return util.format( "%s (private)", this.escape( graph.getLabel( metadata.getFilePath() ) ) );
+    }
+  }
+
+  /**
+   * Output the landing page for the site, the search index and the supporting assets.
+   *
+   * @param {UiPathProject} projectInfo The information about the UiPath project.
+   * @param {Array} workflowMeta An array of WorkflowMetadata objects documented in the project.
+   * @param {WorkflowGraph} graph Optional graph of invoked workflows used to list the required Orchestrator objects.
+   * @throws {TypeError} Parameter projectInfo is required and must be a UiPathProject object.
+   * @throws {TypeError} Parameter workflowMeta is required and must be an array.
+   * @throws {TypeError} Parameter graph must be a WorkflowGraph object.
+   * @since 1.1.0
+   */
+  writeIndex( projectInfo, workflowMeta, graph = null ) {
+
+    if ( !projectInfo || !( projectInfo instanceof UiPathProject ) ) {
+      throw new TypeError( "projectInfo parameter is required and must be a UiPathProject object" );
+    }
+
+    if ( !Array.isArray( workflowMeta ) ) {
+      throw new TypeError( "workflowMeta parameter is required and must be an array" );
+    }
+
+    if ( graph !== null && !( graph instanceof WorkflowGraph ) ) {
+      throw new TypeError( "graph parameter must be a WorkflowGraph object" );
+    }
+
+    // Refresh the navigation in case workflows could not be documented.
+    this.prepare( projectInfo, workflowMeta );
+
+    const self = this;
+    const content = [];
+
+    content.push( util.format( "<h1>%s</h1>\n", this.escape( projectInfo.getName() ) ) );
+    content.push( util.format( "<p>%s</p>\n", this.escape( projectInfo.getDescription() ) ) );
+
+    content.push( "<h2>Project Information</h2>\n" );
+
+    content.push( this.getTable(
+      [ "Property", "Value" ],
+      this.getProjectProperties( projectInfo ).map( function( property ) {
+        return [ property[ 0 ], self.escape( property[ 1 ] ) ];
+      } ),
+      ""
+    ) );
+
+    content.push( this.getEntryPointsContent( projectInfo ) );
+    content.push( this.getSettingsContent( "Runtime Options", projectInfo.getRuntimeOptions() ) );
+    content.push( this.getSettingsContent( "Design Options", projectInfo.getDesignOptions() ) );
+    content.push( this.getWebServicesContent( projectInfo ) );
+
+    content.push( this.getDependenciesContent( projectInfo ) );
+
+    if ( graph !== null ) {
+      let orchestratorObjects = graph.getOrchestratorObjects( workflowMeta );
+
+      if ( orchestratorObjects.length > 0 ) {
+        content.push( this.getOrchestratorContent( orchestratorObjects ) );
+      }
+    }
+
+    content.push( "<h2>Workflows</h2>\n" );
+
+    content.push( this.getTable(
+      [ "Workflow", "Description" ],
+      workflowMeta.map( function( metadata ) {
+        return [
+          util.format(
+            "<a href=\"%s\">%s</a>",
+            self.escape( encodeURI( self.getOutputFileName( metadata ) ) ),
+            self.escape( metadata.getWorkflowName() )
+          ),
+          self.escape( metadata.getWorkflowSummary() )
+        ];
+      } ),
+      "This project does not contain any documented workflows."
+    ) );
+
+    this.writeOutputFile(
+      this.indexFileName,
+      this.getPage( projectInfo.getName(), content.join( "" ), this.indexFileName )
+    );
+
+    // Build the search index.
+    let searchIndex = workflowMeta.map( function( metadata ) {
+      let text = [
+        metadata.getWorkflowName(),
+        metadata.hasWorkflowAnnotation() ? metadata.getWorkflowAnnotation() : "",
+        self.getProjectRelativePath( projectInfo, metadata )
+      ];
+
+      metadata.getArguments().forEach( function( arg ) {
+        text.push( arg.name, arg.annotation );
+      } );
+
+      metadata.getVariables().forEach( function( variable ) {
+        text.push( variable.name, variable.annotation );
+      } );
+
+      return {
+        "name": metadata.getWorkflowName(),
+        "summary": metadata.getWorkflowSummary(),
+        "url": encodeURI( self.getOutputFileName( metadata ) ),
+        "text": text.join( " " ).toLowerCase()
+      };
+    } );
+
+    this.writeAssets( searchIndex );
+  }
+
+  /**
+   * Get the content of the dependencies section of the landing page, including any problems with the dependencies.
+   *
+   * @param {UiPathProject} projectInfo The information about the UiPath project.
+   * @returns {string} The HTML content of the section.
+   * @since 1.1.0
+   */
+  getDependenciesContent( projectInfo ) {
+
+    const self = this;
+
+    let content = [ "<h2>Dependencies</h2>\n" ];
+    let rows = this.getDependencyRows( projectInfo );
+    let warnings = projectInfo.getDependencyWarnings();
+
+    if ( rows.length > 0 || warnings.length === 0 ) {
+      content.push( this.getTable(
+        Output.dependencyHeadings,
+        rows.map( function( row ) {
+          return [
+            self.escape( row[ 0 ] ),
+            "<code>" + self.escape( row[ 1 ] ) + "</code>",
+            self.escape( row[ 2 ] ),
+            self.escape( row[ 3 ] ),
+            row[ 4 ],
+            self.escape( row[ 5 ] )
+          ];
+        } ),
+        "This project does not have any dependencies."
+      ) );
+    }
+
+    if ( warnings.length > 0 ) {
+      content.push( "<p><strong>Warnings</strong></p>\n<ul>\n" );
+
+      warnings.forEach( function( warning ) {
+        content.push( util.format( "<li>%s</li>\n", self.escape( warning.reason ) ) );
+      } );
+
+      content.push( "</ul>\n" );
+    }
+
+    return content.join( "" );
+  }
+
+  /**
+   * Get the content of the entry points section of the landing page.
+   *
+   * @param {UiPathProject} projectInfo The information about the UiPath project.
+   * @returns {string} The HTML content of the section, or an empty string if there are no entry points.
+   * @since 1.1.0
+   */
+  getEntryPointsContent( projectInfo ) {
+
+    const self = this;
+    const content = [];
+
+    let entryPoints = projectInfo.getEntryPoints();
+
+    if ( entryPoints.length === 0 ) {
+      return "";
+    }
+
+    let getRows = function( entryArguments, direction ) {
+      return entryArguments.map( function( entryArgument ) {
+        return [
+          self.escape( entryArgument.name ),
+          direction,
+          util.format( "<code>%s</code>", self.escape( entryArgument.type ) ),
+          entryArgument.required ? "Yes" : "No",
+          entryArgument.hasDefault ? "Yes" : "No"
+        ];
+      } );
+    };
+
+    content.push( "<h2>Entry Points</h2>\n" );
+
+    entryPoints.forEach( function( entryPoint ) {
+      content.push( util.format( "<h3>%s</h3>\n", self.escape( entryPoint.filePath ) ) );
+      content.push( self.getTable(
+        [ "Name", "Direction", "Type", "Required", "Has Default" ],
+        getRows( entryPoint.input, "In" ).concat( getRows( entryPoint.output, "Out" ) ),
+        "This entry point does not have any arguments."
+      ) );
+    } );
+
+    return content.join( "" );
+  }
+
+  /**
+   * Get the content of a section of the landing page that lists a group of settings, such as the runtime options.
+   *
+   * @param {string} heading The heading of the section.
+   * @param {object} settings The group of settings.
+   * @returns {string} The HTML content of the section, or an empty string if there are no settings.
+   * @since 1.1.0
+   */
+  getSettingsContent( heading, settings ) {
+
+    const self = this;
+
+    let rows = this.getSettingRows( settings );
+
+    if ( rows.length === 0 ) {
+      return "";
+    }
+
+    return util.format( "<h2>%s</h2>\n", heading ) + this.getTable(
+      [ "Option", "Value" ],
+      rows.map( function( row ) {
+        if ( Array.isArray( row[ 1 ] ) ) {
+          return [ self.escape( row[ 0 ] ), row[ 1 ].map( function( value ) {
+            return util.format( "<code>%s</code>", self.escape( value ) );
+          } ).join( ", " ) ];
+        }
+
+        return [ self.escape( row[ 0 ] ), self.escape( row[ 1 ] ) ];
+      } ),
+      ""
+    );
+  }
+
+  /**
+   * Get the content of the web services section of the landing page.
+   *
+   * @param {UiPathProject} projectInfo The information about the UiPath project.
+   * @returns {string} The HTML content of the section, or an empty string if there are no web services.
+   * @since 1.1.0
+   */
+  getWebServicesContent( projectInfo ) {
+
+    const self = this;
+
+    let webServices = projectInfo.getWebServices();
+
+    if ( webServices.length === 0 ) {
+      return "";
+    }
+
+    return "<h2>Web Services</h2>\n" + this.getTable(
+      [ "Namespace", "Service Document", "Web Reference URL" ],
+      webServices.map( function( webService ) {
+        return [
+          self.escape( webService.namespace ),
+          self.escape( webService.serviceDocument ),
+          self.escape( webService.webReferenceUrl )
+        ];
+      } ),
+      ""
+    );
+  }
+
+  /**
+   * Output the catalogue of projects as a HTML page.
+   *
+   * The catalogue lists each of the projects, and links to the index page in the folder for each project. The
+   * navigation and search are used to find projects instead of workflows.
+   *
+   * @param {ProjectCatalogue} catalogue The catalogue of UiPath projects.
+   * @throws {TypeError} Parameter catalogue is required and must be a ProjectCatalogue object.
+   * @since 1.1.0
+   */
+  writeCatalogue( catalogue ) {
+
+    if ( !catalogue || !( catalogue instanceof ProjectCatalogue ) ) {
+      throw new TypeError( "catalogue parameter is required and must be a ProjectCatalogue object" );
+    }
+
+    const self = this;
+    const content = [];
+
+    let getUrl = function( projectInfo ) {
+      return encodeURI( catalogue.getFolderName( projectInfo ) + "/" + self.indexFileName );
+    };
+
+    let linkTo = function( projectInfo ) {
+      return util.format(
+        "<a href=\"%s\">%s</a>",
+        self.escape( getUrl( projectInfo ) ),
+        self.escape( projectInfo.getName() )
+      );
+    };
+
+    // The catalogue does not have a call graph.
+    this.graphFileName = null;
+    this.projectName = "Projects";
+    this.navigation = new Map( [ [ "", catalogue.getProjects().map( function( projectInfo ) {
+      return { "name": projectInfo.getName(), "fileName": getUrl( projectInfo ) };
+    } ) ] ] );
+
+    content.push( "<h1>Projects</h1>\n" );
+
+    content.push( this.getTable(
+      [ "Project", "Type", "Version", "Description", "Depends On", "Used By" ],
+      catalogue.getProjects().map( function( projectInfo ) {
+        return [
+          linkTo( projectInfo ),
+          self.escape( projectInfo.getProjectType() ),
+          self.escape( projectInfo.getVersion() ),
+          self.escape( projectInfo.getDescription() ),
+          catalogue.getDependsOn( projectInfo ).map( linkTo ).join( ", " ),
+          catalogue.getUsedBy( projectInfo ).map( linkTo ).join( ", " )
+        ];
+      } ),
+      "No UiPath projects were found."
+    ) );
+
+    this.writeOutputFile(
+      this.indexFileName,
+      this.getPage( "Projects", content.join( "" ), this.indexFileName )
+    );
+
+    this.writeAssets( catalogue.getProjects().map( function( projectInfo ) {
+      return {
+        "name": projectInfo.getName(),
+        "summary": projectInfo.getDescription(),
+        "url": getUrl( projectInfo ),
+        "text": [ projectInfo.getName(), projectInfo.getDescription() ].join( " " ).toLowerCase()
+      };
+    } ) );
+  }
+
+  /**
+   * Output the search index and copy the supporting assets used by the pages.
+   *
+   * @param {Array} searchIndex The entries in the search index, each with a name, summary, URL and text.
+   * @since 1.1.0
+   */
+  writeAssets( searchIndex ) {
+
+    const self = this;
+
+    this.writeOutputFile(
+      this.searchIndexFileName,
+      "window.rpaDocSearchIndex = " + JSON.stringify( searchIndex, null, 2 ) + ";\n"
+    );
+
+    // Copy the supporting assets.
+    this.assetFileNames.forEach( function( assetFileName ) {
+      self.writeOutputFile(
+        assetFileName,
+        // eslint-disable-next-line security/detect-non-literal-fs-filename
+        fs.readFileSync( path.join( __dirname, "assets", assetFileName ) ).toString()
+      );
+    } );
+  }
+
+  /**
+   * Output the graph of invoked workflows as a HTML page.
+   *
+   * @param {WorkflowGraph} graph The graph of invoked workflows.
+   * @throws {TypeError} Parameter graph is required and must be a WorkflowGraph object.
+   * @since 1.1.0
+   */
+  writeGraph( graph ) {
+
+    if ( !graph || !( graph instanceof WorkflowGraph ) ) {
+      throw new TypeError( "graph parameter is required and must be a WorkflowGraph object" );
+    }
+
+    const self = this;
+    const content = [];
+
+    content.push( "<h1>Workflow Call Graph</h1>\n" );
+
+    content.push( this.getTable(
+      [ "Workflow", "Invokes" ],
+      graph.getEdges().map( function( edge ) {
+        return [ self.escape( edge.from ), self.escape( edge.to ) ];
+      } ),
+      "The workflows in this project do not invoke any other workflows."
+    ) );
+
+    this.writeOutputFile(
+      this.graphFileName,
+      this.getPage( "Workflow Call Graph", content.join( "" ), this.graphFileName )
+    );
+  }
+
+  /**
+   * Get the path to the workflow file, relative to the UiPath project directory.
+   *
+   * @param {UiPathProject} projectInfo The information about the UiPath project.
+   * @param {WorkflowMetadata} metadata The metadata extracted from a workflow.
+   * @returns {string} The project relative path using forward slashes.
+   * @since 1.1.0
+   */
+  getProjectRelativePath( projectInfo, metadata ) {
+    return path.relative(
+      projectInfo.getProjectPath(),
+      path.resolve( metadata.getFilePath() )
+    ).split( path.sep ).join( "/" );
+  }
+
+  /**
+   * Get a HTML table.
+   *
+   * @param {Array} headings The column headings.
+   * @param {Array} rows The rows of the table, each an array of HTML cell content.
+   * @param {string} emptyMessage The message to display instead of the table if there are no rows.
+   * @returns {string} The HTML table.
+   * @since 1.1.0
+   */
+  getTable( headings, rows, emptyMessage ) {
+
+    if ( rows.length === 0 ) {
+      return util.format( "<p>%s</p>\n", emptyMessage );
+    }
+
+    const content = [ "<table>\n<thead>\n<tr>" ];
+
+    headings.forEach( function( heading ) {
+      content.push( util.format( "<th>%s</th>", heading ) );
+    } );
+
+    content.push( "</tr>\n</thead>\n<tbody>\n" );
+
+    rows.forEach( function( row ) {
+      content.push( "<tr>" );
+
+      row.forEach( function( cell ) {
+        content.push( util.format( "<td>%s</td>", cell ) );
+      } );
+
+      content.push( "</tr>\n" );
+    } );
+
+    content.push( "</tbody>\n</table>\n" );
+
+    return content.join( "" );
+  }
+
+  /**
+   * Get a complete HTML page, including the navigation and search.
+   *
+   * @param {string} title The title of the page.
+   * @param {string} body The HTML content of the page.
+   * @param {string} fileName The name of the page file, used to highlight the current page.
+   * @returns {string} The HTML page.
+   * @since 1.1.0
+   */
+  getPage( title, body, fileName ) {
+
+    const self = this;
+    const content = [];
+
+    content.push( "<!DOCTYPE html>\n<html lang=\"en\">\n<head>\n" );
+    content.push( "<meta charset=\"utf-8\">\n" );
+    content.push( "<meta name=\"viewport\" content=\"width=device-width, initial-scale=1\">\n" );
+    content.push( util.format(
+      "<title>%s - %s</title>\n",
+      this.escape( title ),
+      this.escape( this.projectName )
+    ) );
+    content.push( "<link rel=\"stylesheet\" href=\"rpa-doc.css\">\n" );
+    content.push( "</head>\n<body>\n<nav>\n" );
+    content.push( util.format(
+      "<h2><a href=\"%s\">%s</a></h2>\n",
+      this.indexFileName,
+      this.escape( this.projectName )
+    ) );
+    content.push( "<input id=\"search\" type=\"search\" placeholder=\"Search workflows\">\n" );
+    content.push( "<ul id=\"search-results\"></ul>\n" );
+    content.push( "<div id=\"workflows\">\n" );
+
+    this.navigation.forEach( function( workflows, folder ) {
+      if ( folder !== "" ) {
+        content.push( util.format( "<h3>%s</h3>\n", self.escape( folder ) ) );
+      }
+
+      content.push( "<ul>\n" );
+
+      workflows.forEach( function( workflow ) {
+        content.push( util.format(
+          "<li><a href=\"%s\"%s>%s</a></li>\n",
+          self.escape( encodeURI( workflow.fileName ) ),
+          workflow.fileName === fileName ? " class=\"current\"" : "",
+          self.escape( workflow.name )
+        ) );
+      } );
+
+      content.push( "</ul>\n" );
+    } );
+
+    if ( this.graphFileName !== null ) {
+      content.push( util.format( "<p><a href=\"%s\">Workflow call graph</a></p>\n", this.graphFileName ) );
+    }
+
+    content.push( "</div>\n</nav>\n<main>\n" );
+    content.push( this.getTemplate( "header", title ) );
+    content.push( body );
+    content.push( this.getTemplate( "footer", title ) );
+    content.push( "</main>\n" );
+    content.push( util.format( "<script src=\"%s\"></script>\n", this.searchIndexFileName ) );
+    content.push( "<script src=\"rpa-doc.js\"></script>\n" );
+    content.push( "</body>\n</html>\n" );
+
+    return content.join( "" );
+  }
+
+  /**
+   * Escape text for use in HTML.
+   *
+   * @param {string} text The text to escape.
+   * @returns {string} The escaped text.
+   * @since 1.1.0
+   */
+  escape( text ) {
+    return String( text )
+      .replace( /&/g, "&amp;" )
+      .replace( /</g, "&lt;" )
+      .replace( />/g, "&gt;" )
+      .replace( /"/g, "&quot;" )
+      .replace( /'/g, "&#39;" );
+  }
+}
@@ -0,0 +1,215 @@
+import { Output } from "./Output.js";
+import { WorkflowMetadata } from "./WorkflowMetadata.js";
+import { UiPathProject } from "./UiPathProject.js";
+import { WorkflowGraph } from "./WorkflowGraph.js";
+import { ProjectCatalogue } from "./ProjectCatalogue.js";
+
+import * as path from "path";
+
+/**
+ * Output the extracted metadata as JSON formatted text files.
+ */
+export class OutputJson extends Output {
+
+  /**
+   * Construct a new object.
+   *
+   * @param {string} outputPath Path to the root directory of the output folder.
+   * @param {boolean} emptyOutput Flag to delete JSON files prior to writing new ones.
+   * @throws {TypeError} Parameter outputPath is required and must be a string.
+   * @throws {Error} If the output path does not exist.
+   * @throws {Error} If the output path is not a directory.
+   * @throws {Error} If the output path is not empty.
+   * @since 1.1.0
+   */
+  constructor( outputPath, emptyOutput = false ) {
+
+    super( outputPath, emptyOutput, [ ".json" ] );
+
+    this.indexFileName = "manifest.json";
+
+    this.graphFileName = "call-graph.json";
+
+    this.catalogueFileName = "catalogue.json";
+
+  }
+
+  /**
+   * Output the metadata as a JSON file.
+   *
+   * @param {WorkflowMetadata} metadata The metadata extracted from a workflow.
+   * @param {WorkflowGraph} graph Optional graph of invoked workflows used to add the project relative path, callers
+   * and the required Orchestrator objects.
+   * @throws {TypeError} Parameter metadata is required and must be a WorkflowMetadata object.
+   * @throws {TypeError} Parameter graph must be a WorkflowGraph object.
+   * @since 1.1.0
+   */
+  writeFile( metadata, graph = null ) {
+
+    if ( !metadata || !( metadata instanceof WorkflowMetadata ) ) {
+      throw new TypeError( "metadata parameter is required and must be a WorkflowMetadata object" );
+    }
+
+    if ( graph !== null && !( graph instanceof WorkflowGraph ) ) {
+      throw new TypeError( "graph parameter must be a WorkflowGraph object" );
+    }
+
+    let content = metadata.toJSON();
+
+    content.loggedDataWarnings = this.getLoggedDataWarnings( metadata );
+
+    if ( graph !== null ) {
+      content.projectFilePath = graph.getLabel( path.resolve( metadata.getFilePath() ) );
+
+      content.calledBy = graph.getCalledBy( metadata ).map( function( caller ) {
+        return graph.getLabel( path.resolve( caller.getFilePath() ) );
+      } );
+
+      content.requiredOrchestratorObjects = graph.getOrchestratorObjects( [ metadata ] );
+    }
+
+    this.writeOutputFile( this.getOutputFileName( metadata ), this.stringify( content ) );
+  }
+
+  /**
+   * Output a manifest describing the project and all of the documented workflows as a JSON file.
+   *
+   * The manifest uses the same property names as the UiPath project.json file where possible.
+   *
+   * @param {UiPathProject} projectInfo The information about the UiPath project.
+   * @param {Array} workflowMeta An array of WorkflowMetadata objects documented in the project.
+   * @param {WorkflowGraph} graph Optional graph of invoked workflows used to list the required Orchestrator objects.
+   * @throws {TypeError} Parameter projectInfo is required and must be a UiPathProject object.
+   * @throws {TypeError} Parameter workflowMeta is required and must be an array.
+   * @throws {TypeError} Parameter graph must be a WorkflowGraph object.
+   * @since 1.1.0
+   */
+  writeIndex( projectInfo, workflowMeta, graph = null ) {
+
+    if ( !projectInfo || !( projectInfo instanceof UiPathProject ) ) {
+      throw new TypeError( "projectInfo parameter is required and must be a UiPathProject object" );
+    }
+
+    if ( !Array.isArray( workflowMeta ) ) {
+      throw new TypeError( "workflowMeta parameter is required and must be an array" );
+    }
+
+    if ( graph !== null && !( graph instanceof WorkflowGraph ) ) {
+      throw new TypeError( "graph parameter must be a WorkflowGraph object" );
+    }
+
+    const self = this;
+
+    let content = {
+      "name": projectInfo.getName(),
+      "description": projectInfo.getDescription(),
+      "projectVersion": projectInfo.getVersion(),
+      "projectType": projectInfo.getProjectType(),
+      "main": projectInfo.getMain(),
+      "studioVersion": projectInfo.getStudioVersion(),
+      "schemaVersion": projectInfo.getSchemaVersion(),
+      "targetFramework": projectInfo.getTargetFramework(),
+      "expressionLanguage": projectInfo.getExpressionLanguage(),
+      "entryPoints": projectInfo.getEntryPoints(),
+      "runtimeOptions": projectInfo.getRuntimeOptions(),
+      "libraryOptions": {
+        "includeOriginalXaml": projectInfo.getIncludeOriginalXaml(),
+        "privateWorkflows": projectInfo.getPrivateWorkflows()
+      },
+      "designOptions": projectInfo.getDesignOptions(),
+      "webServices": projectInfo.getWebServices(),
+      "dependencies": Object.fromEntries( projectInfo.getDependencies() ),
+      "packageDependencies": projectInfo.getPackageDependencies(),
+      "dependencyWarnings": projectInfo.getDependencyWarnings(),
+      "orchestratorObjects": graph === null ? [] : graph.getOrchestratorObjects( workflowMeta ),
+      "workflows": workflowMeta.map( function( metadata ) {
+        let workflow = metadata.toJSON();
+
+        workflow.projectFilePath = path.relative(
+          projectInfo.getProjectPath(),
+          path.resolve( metadata.getFilePath() )
+        ).split( path.sep ).join( "/" );
+
+        workflow.outputFileName = self.getOutputFileName( metadata );
+
+        return workflow;
+      } )
+    };
+
+    this.writeOutputFile( this.indexFileName, this.stringify( content ) );
+  }
+
+  /**
+   * Output the graph of invoked workflows as a JSON file.
+   *
+   * @param {WorkflowGraph} graph The graph of invoked workflows.
+   * @throws {TypeError} Parameter graph is required and must be a WorkflowGraph object.
+   * @since 1.1.0
+   */
+  writeGraph( graph ) {
+
+    if ( !graph || !( graph instanceof WorkflowGraph ) ) {
+      throw new TypeError( "graph parameter is required and must be a WorkflowGraph object" );
+    }
+
+    let content = {
+      "nodes": graph.getNodes(),
+      "edges": graph.getEdges()
+    };
+
+    this.writeOutputFile( this.graphFileName, this.stringify( content ) );
+  }
+
+  /**
+   * Output the catalogue of projects as a JSON file.
+   *
+   * Each project includes the folder containing its manifest, and the names of the projects it depends on and
+   * that depend on it.
+   *
+   * @param {ProjectCatalogue} catalogue The catalogue of UiPath projects.
+   * @throws {TypeError} Parameter catalogue is required and must be a ProjectCatalogue object.
+   * @since 1.1.0
+   */
+  writeCatalogue( catalogue ) {
+
+    if ( !catalogue || !( catalogue instanceof ProjectCatalogue ) ) {
+      throw new TypeError( "catalogue parameter is required and must be a ProjectCatalogue object" );
+    }
+
+    const self = this;
+
+    let getName = function( projectInfo ) {
+      return projectInfo.getName();
+    };
+
+    let content = {
+      "projects": catalogue.getProjects().map( function( projectInfo ) {
+        let folderName = catalogue.getFolderName( projectInfo );
+
+        return {
+          "name": projectInfo.getName(),
+          "description": projectInfo.getDescription(),
+          "projectVersion": projectInfo.getVersion(),
+          "projectType": projectInfo.getProjectType(),
+          "folder": folderName,
+          "manifest": folderName + "/" + self.indexFileName,
+          "dependsOn": catalogue.getDependsOn( projectInfo ).map( getName ),
+          "usedBy": catalogue.getUsedBy( projectInfo ).map( getName )
+        };
+      } )
+    };
+
+    this.writeOutputFile( this.catalogueFileName, this.stringify( content ) );
+  }
+
+  /**
+   * Convert a value to a consistently formatted JSON string.
+   *
+   * @param {object} value The value to convert.
+   * @returns {string} The JSON string.
+   * @since 1.1.0
+   */
+  stringify( value ) {
+    return JSON.stringify( value, null, 2 ) + "\n";
+  }
+}
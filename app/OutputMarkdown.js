@@ -1,14 +1,16 @@
+import { Output } from "./Output.js";
 import { WorkflowMetadata } from "./WorkflowMetadata.js";
+import { UiPathProject } from "./UiPathProject.js";
+import { WorkflowGraph } from "./WorkflowGraph.js";
+import { MarkdownRenderer } from "./MarkdownRenderer.js";
+import { ProjectCatalogue } from "./ProjectCatalogue.js";
 
-import * as fs from "fs";
-import * as glob from "glob";
-import * as path from "path";
 import * as util from "util";
 
 /**
  * Output the extracted metadata as a markdown formatted text file.
  */
-export class OutputMarkdown {
+export class OutputMarkdown extends Output {
 
   /**
    * Construct a new object.
@@ -23,93 +25,1035 @@ export class OutputMarkdown {
    */
   constructor( outputPath, emptyOutput = false ) {
 
-    if ( !outputPath || typeof outputPath !== "string" ) {
-      throw new TypeError( "outputPath parameter is required and must be a string" );
+    super( outputPath, emptyOutput, [ ".md", ".dot" ] );
+
+    this.indexFileName = "README.md";
+
+    this.graphFileName = "call-graph";
+
+    this.markdown = new MarkdownRenderer();
+
+  }
+
+  /**
+   * Output the metadata as a markdown file.
+   *
+   * @param {WorkflowMetadata} metadata The metadata extracted from a workflow.
+   * @param {WorkflowGraph} graph Optional graph of invoked workflows used to add the calls and called by sections.
+   * @throws {TypeError} Parameter metadata is required and must be a WorkflowMetadata object.
+   * @throws {TypeError} Parameter graph must be a WorkflowGraph object.
+   * @since 1.0.0
+   */
+  writeFile( metadata, graph = null ) {
+
+    if ( !metadata || !( metadata instanceof WorkflowMetadata ) ) {
+      throw new TypeError( "metadata parameter is required and must be a WorkflowMetadata object" );
+    }
+
+    if ( graph !== null && !( graph instanceof WorkflowGraph ) ) {
+      throw new TypeError( "graph parameter must be a WorkflowGraph object" );
+    }
+
+    const content = [];
+    const sections = [];
+
+    // Build the content of the markdown file.
+    content.push( this.getTemplate( "header", metadata.getWorkflowName() ) );
+    content.push( util.format( "# %s\n\n", this.markdown.escape( metadata.getWorkflowName() ) ) );
+
+    if ( metadata.hasWorkflowAnnotation() ) {
+      content.push( this.markdown.paragraph( metadata.getWorkflowAnnotation() ) );
+    }
+
+    if ( this.isSectionEnabled( "arguments" ) ) {
+      sections.push( this.getArgumentsContent( metadata ) );
+    }
+
+    if ( this.isSectionEnabled( "variables" ) ) {
+      sections.push( this.getVariablesContent( metadata ) );
+    }
+
+    if ( this.isSectionEnabled( "states" ) && metadata.getStates().length > 0 ) {
+      sections.push( this.getStateMachineContent( metadata ) );
+    }
+
+    if ( this.isSectionEnabled( "activities" ) && metadata.getActivityTree() !== null ) {
+      sections.push( this.getActivitiesContent( metadata ) );
+    }
+
+    if ( this.isSectionEnabled( "exceptions" ) ) {
+      sections.push( this.getExceptionsContent( metadata ) );
+    }
+
+    if ( this.isSectionEnabled( "logging" ) ) {
+      sections.push( this.getLoggingContent( metadata ) );
     }
 
-    // eslint-disable-next-line security/detect-non-literal-fs-filename
-    if ( !fs.existsSync( outputPath ) ) {
-      throw new Error( util.format( "The output path '%s' does not exist", outputPath ) );
+    if ( this.isSectionEnabled( "orchestrator" ) && graph !== null ) {
+      let orchestratorObjects = graph.getOrchestratorObjects( [ metadata ] );
+
+      if ( orchestratorObjects.length > 0 ) {
+        sections.push( this.getOrchestratorContent( orchestratorObjects ) );
+      }
     }
 
-    // eslint-disable-next-line security/detect-non-literal-fs-filename
-    let fstat = fs.statSync( outputPath );
-    if ( !fstat.isDirectory() ) {
-      throw new Error( util.format( "The output path '%s' is not a directory", outputPath ) );
+    if ( this.isSectionEnabled( "calls" ) && graph !== null ) {
+      sections.push( this.getCallsContent( metadata, graph ) );
     }
 
-    let fileList = glob.sync( path.join( outputPath, "*.md" ) );
+    content.push( sections.join( "\n" ) );
+    content.push( this.getTemplate( "footer", metadata.getWorkflowName() ) );
+
+    this.writeOutputFile( this.getOutputFileName( metadata ), content.join( "" ) );
+  }
+
+  /**
+   * Get the content of the arguments section of a workflow page.
+   *
+   * @param {WorkflowMetadata} metadata The metadata extracted from a workflow.
+   * @returns {string} The markdown content of the section.
+   * @since 1.1.0
+   */
+  getArgumentsContent( metadata ) {
 
-    if ( fileList.length > 0 && !emptyOutput ) {
-      throw new Error( util.format( "The output path '%s' is not an empty directory", outputPath ) );
-    } else if ( fileList.length > 0 && emptyOutput ) {
-      fileList.forEach( function( file ) {
-        // eslint-disable-next-line security/detect-non-literal-fs-filename
-        fs.unlinkSync( file );
+    const content = [];
+    const markdown = this.markdown;
+
+    content.push( "## Arguments\n\n" );
+
+    let workflowArguments = Array.from( metadata.getArguments().values() );
+
+    if ( workflowArguments.length === 0 ) {
+      content.push( "This activity does not define any arguments.\n" );
+    } else {
+      content.push( markdown.table(
+        [ "Name", "Purpose", "Direction", "Type", "Default Value" ],
+        workflowArguments.map( function( arg ) {
+          return [
+            markdown.cell( arg.name ),
+            markdown.cell( arg.annotation ),
+            markdown.cell( arg.direction.replace( "Argument", "" ) ),
+            markdown.code( arg.type ),
+            markdown.code( arg.defaultValue )
+          ];
+        } )
+      ) );
+    }
+
+    return content.join( "" );
+  }
+
+  /**
+   * Get the content of the variables section of a workflow page.
+   *
+   * @param {WorkflowMetadata} metadata The metadata extracted from a workflow.
+   * @returns {string} The markdown content of the section.
+   * @since 1.1.0
+   */
+  getVariablesContent( metadata ) {
+
+    const content = [];
+    const markdown = this.markdown;
+
+    content.push( "## Variables\n\n" );
+
+    let workflowVariables = metadata.getVariables();
+
+    if ( workflowVariables.length === 0 ) {
+      content.push( "This activity does not define any variables.\n" );
+    } else {
+      content.push( markdown.table(
+        [ "Name", "Purpose", "Scope", "Type", "Default Value" ],
+        workflowVariables.map( function( variable ) {
+          return [
+            markdown.cell( variable.name ),
+            markdown.cell( variable.annotation ),
+            markdown.cell( variable.scope ),
+            markdown.code( variable.type ),
+            markdown.code( variable.defaultValue )
+          ];
+        } )
+      ) );
+    }
+
+    return content.join( "" );
+  }
+
+  /**
+   * Get the content of the states and transitions sections of a workflow page.
+   *
+   * The states and transitions are listed in tables and drawn as a Mermaid state diagram.
+   *
+   * @param {WorkflowMetadata} metadata The metadata extracted from a workflow with a StateMachine root activity.
+   * @returns {string} The markdown content of the sections.
+   * @since 1.1.0
+   */
+  getStateMachineContent( metadata ) {
+
+    const content = [];
+    const markdown = this.markdown;
+
+    let states = metadata.getStates();
+    let transitions = metadata.getTransitions();
+
+    content.push( "## States\n\n" );
+    content.push( markdown.table(
+      [ "State", "Purpose", "Initial", "Final" ],
+      states.map( function( state ) {
+        return [
+          markdown.cell( state.name ),
+          markdown.cell( state.annotation ),
+          state.isInitial ? "Yes" : "No",
+          state.isFinal ? "Yes" : "No"
+        ];
+      } )
+    ) );
+
+    content.push( "\n## Transitions\n\n" );
+
+    if ( transitions.length === 0 ) {
+      content.push( "This state machine does not define any transitions.\n" );
+    } else {
+      content.push( markdown.table(
+        [ "From", "To", "Transition", "Condition" ],
+        transitions.map( function( transition ) {
+          return [
+            markdown.cell( metadata.getStateName( transition.from ) ),
+            markdown.cell( metadata.getStateName( transition.to ) ),
+            markdown.cell( transition.displayName ),
+            markdown.code( transition.condition )
+          ];
+        } )
+      ) );
+    }
+
+    // Use generated identifiers as the Mermaid syntax restricts the characters in a state identifier.
+    let stateIds = new Map();
+
+    content.push( "\n```mermaid\nstateDiagram-v2\n" );
+
+    states.forEach( function( state, index ) {
+      stateIds.set( state.id, "s" + index );
+      content.push( util.format( "  s%d : %s\n", index, state.name.replace( /:/g, "#colon;" ) ) );
+
+      if ( state.isInitial ) {
+        content.push( util.format( "  [*] --> s%d\n", index ) );
+      }
+
+      if ( state.isFinal ) {
+        content.push( util.format( "  s%d --> [*]\n", index ) );
+      }
+    } );
+
+    transitions.forEach( function( transition ) {
+      if ( stateIds.has( transition.from ) && stateIds.has( transition.to ) ) {
+        let line = util.format(
+          "  %s --> %s",
+          stateIds.get( transition.from ),
+          stateIds.get( transition.to )
+        );
+
+        if ( transition.displayName !== "" ) {
+          line += " : " + transition.displayName.replace( /:/g, "#colon;" );
+        }
+
+        content.push( line + "\n" );
+      }
+    } );
+
+    content.push( "```\n" );
+
+    return content.join( "" );
+  }
+
+  /**
+   * Get the content of the activities section of a workflow page.
+   *
+   * The tree of activities is listed as a collapsible outline. The root activity is drawn as a Mermaid flowchart,
+   * unless it is a state machine, along with any Flowchart activities nested in the workflow.
+   *
+   * @param {WorkflowMetadata} metadata The metadata extracted from a workflow.
+   * @returns {string} The markdown content of the section.
+   * @since 1.1.0
+   */
+  getActivitiesContent( metadata ) {
+
+    const content = [];
+    const self = this;
+    const markdown = this.markdown;
+
+    let activityTree = metadata.getActivityTree();
+
+    let addOutline = function( node, depth ) {
+      let line = util.format(
+        "%s- %s (%s)",
+        "  ".repeat( depth ),
+        markdown.escape( node.displayName ),
+        markdown.code( node.type )
+      );
+
+      if ( node.annotation !== "" ) {
+        line += ": " + markdown.cell( node.annotation );
+      }
+
+      content.push( line + "\n" );
+
+      node.children.forEach( function( child ) {
+        addOutline( child, depth + 1 );
       } );
+    };
+
+    content.push( "## Activities\n\n<details>\n<summary>Outline</summary>\n\n" );
+    addOutline( activityTree, 0 );
+    content.push( "\n</details>\n" );
+
+    if ( activityTree.type === "Flowchart" ) {
+      content.push( "\n```mermaid\n" + this.getFlowchartDiagram( activityTree.flowchart ) + "```\n" );
+    } else if ( activityTree.type !== "StateMachine" ) {
+      content.push( "\n```mermaid\n" + this.getSequenceDiagram( activityTree ) + "```\n" );
     }
 
-    this.outputPath = outputPath;
+    // Draw the nested flowcharts, as their steps are not in sequence.
+    let addFlowcharts = function( node ) {
+      node.children.forEach( function( child ) {
+        if ( child.type === "Flowchart" && child.flowchart.nodes.length > 0 ) {
+          content.push( util.format( "\n### %s\n\n", markdown.escape( child.displayName ) ) );
+          content.push( "```mermaid\n" + self.getFlowchartDiagram( child.flowchart ) + "```\n" );
+        }
+
+        addFlowcharts( child );
+      } );
+    };
 
+    addFlowcharts( activityTree );
+
+    return content.join( "" );
   }
 
   /**
-   * Output the metadata as a markdown file.
+   * Get a Mermaid flowchart of a Flowchart activity, showing each step, decision and switch along with the
+   * connections between them.
+   *
+   * @param {object} flowchart The nodes and connections returned by XamlProcessor.getFlowchart.
+   * @returns {string} The flowchart in the Mermaid syntax.
+   * @since 1.1.0
+   */
+  getFlowchartDiagram( flowchart ) {
+
+    const content = [ "flowchart TD\n", "  start((Start))\n" ];
+
+    // Use generated identifiers as the Mermaid syntax restricts the characters in a node identifier.
+    let nodeIds = new Map();
+
+    let label = function( text ) {
+      return "\"" + text.replace( /"/g, "#quot;" ) + "\"";
+    };
+
+    flowchart.nodes.forEach( function( node, index ) {
+      let nodeId = "n" + index;
+      let shape = "%s[%s]";
+
+      if ( node.type === "FlowDecision" ) {
+        shape = "%s{%s}";
+      } else if ( node.type === "FlowSwitch" ) {
+        shape = "%s{{%s}}";
+      }
+
+      nodeIds.set( node.id, nodeId );
+      content.push( "  " + util.format( shape, nodeId, label( node.displayName || node.type ) ) + "\n" );
+    } );
+
+    if ( nodeIds.has( flowchart.startNode ) ) {
+      content.push( util.format( "  start --> %s\n", nodeIds.get( flowchart.startNode ) ) );
+    }
+
+    flowchart.connections.forEach( function( connection ) {
+      if ( nodeIds.has( connection.from ) && nodeIds.has( connection.to ) ) {
+        let arrow = connection.label === "" ? "-->" : util.format( "-->|%s|", label( connection.label ) );
+
+        content.push( util.format(
+          "  %s %s %s\n",
+          nodeIds.get( connection.from ),
+          arrow,
+          nodeIds.get( connection.to )
+        ) );
+      }
+    } );
+
+    return content.join( "" );
+  }
+
+  /**
+   * Get a Mermaid flowchart of an activity that runs its child activities in sequence.
+   *
+   * The activities that hold other activities, such as a nested Sequence or a ForEach, are drawn as a subgraph
+   * containing their child activities. The branches of an If and the try, catch and finally blocks of a TryCatch
+   * are drawn as labelled paths, which join again before the next activity. Nested flowcharts are drawn separately.
+   *
+   * @param {object} activity The activity from the tree returned by XamlProcessor.getActivityTree.
+   * @returns {string} The flowchart in the Mermaid syntax.
+   * @since 1.1.0
+   */
+  getSequenceDiagram( activity ) {
+
+    const content = [ "flowchart TD\n", "  start((Start))\n" ];
+
+    // Mermaid moves a node into a subgraph when a link to it is inside the subgraph, so the links are added after
+    // the outermost subgraph.
+    const links = [];
+
+    let nodeCount = 0;
+
+    let label = function( text ) {
+      return "\"" + text.replace( /"/g, "#quot;" ) + "\"";
+    };
+
+    let getBranch = function( node, branch ) {
+      return node.children.filter( function( child ) {
+        return child.branch === branch;
+      } );
+    };
+
+    // Each end is a node that leads to the next activity, along with the label of the branch it ends.
+    let connect = function( ends, nodeId ) {
+      ends.forEach( function( end ) {
+        let arrow = end.label === "" ? "-->" : util.format( "-->|%s|", label( end.label ) );
+
+        links.push( util.format( "  %s %s %s\n", end.id, arrow, nodeId ) );
+      } );
+    };
+
+    let addLinks = function() {
+      links.splice( 0 ).forEach( function( link ) {
+        content.push( link );
+      } );
+    };
+
+    let addSequence = function( activities, ends, indent ) {
+      activities.forEach( function( child ) {
+        ends = addActivity( child, ends, indent );
+
+        if ( indent === "  " ) {
+          addLinks();
+        }
+      } );
+
+      return ends;
+    };
+
+    let addActivity = function( node, ends, indent ) {
+      let nodeId = "n" + nodeCount++;
+      let displayName = node.displayName || node.type;
+
+      if ( node.type === "If" ) {
+        content.push( util.format( "%s%s{%s}\n", indent, nodeId, label( displayName ) ) );
+        connect( ends, nodeId );
+
+        return [ "Then", "Else" ].reduce( function( branchEnds, branch ) {
+          return branchEnds.concat(
+            addSequence( getBranch( node, branch ), [ { "id": nodeId, "label": branch } ], indent )
+          );
+        }, [] );
+      }
+
+      if ( node.type === "TryCatch" ) {
+        content.push( util.format( "%s%s[%s]\n", indent, nodeId, label( displayName ) ) );
+        connect( ends, nodeId );
+
+        let blockEnds = addSequence( getBranch( node, "Try" ), [ { "id": nodeId, "label": "Try" } ], indent );
+
+        node.children.filter( function( child ) {
+          return child.type === "Catch";
+        } ).forEach( function( catchNode ) {
+          blockEnds = blockEnds.concat(
+            addSequence( catchNode.children, [ { "id": nodeId, "label": catchNode.displayName } ], indent )
+          );
+        } );
+
+        return addSequence( getBranch( node, "Finally" ), blockEnds, indent );
+      }
+
+      // Flowcharts and state machines are not in sequence, so their activities are not drawn here.
+      if ( node.children.length === 0 || node.type === "Flowchart" || node.type === "StateMachine" ) {
+        content.push( util.format( "%s%s[%s]\n", indent, nodeId, label( displayName ) ) );
+        connect( ends, nodeId );
+
+        return [ { "id": nodeId, "label": "" } ];
+      }
+
+      content.push( util.format( "%ssubgraph %s [%s]\n", indent, nodeId, label( displayName ) ) );
+      ends = addSequence( node.children, ends, indent + "  " );
+      content.push( indent + "end\n" );
+
+      return ends;
+    };
+
+    let ends = [ { "id": "start", "label": "" } ];
+
+    if ( activity.type === "If" || activity.type === "TryCatch" ) {
+      ends = addActivity( activity, ends, "  " );
+    } else {
+      ends = addSequence( activity.children, ends, "  " );
+    }
+
+    connect( ends, "finish((End))" );
+    addLinks();
+
+    return content.join( "" );
+  }
+
+  /**
+   * Get the content of the exceptions section of a workflow page.
    *
    * @param {WorkflowMetadata} metadata The metadata extracted from a workflow.
-   * @throws {TypeError} Parameter metadata is required and must be a WorkflowMetadata object.
-   * @since 1.0.0
+   * @returns {string} The markdown content of the section.
+   * @since 1.1.0
    */
-  writeFile( metadata ) {
+  getExceptionsContent( metadata ) {
 
-    if ( !metadata || !( metadata instanceof WorkflowMetadata ) ) {
-      throw new TypeError( "metadata parameter is required and must be a WorkflowMetadata object" );
+    const content = [];
+    const markdown = this.markdown;
+
+    content.push( "## Exceptions\n\n" );
+
+    let exceptions = metadata.getExceptions();
+
+    if ( exceptions.length === 0 ) {
+      content.push( "This activity does not throw or catch any exceptions.\n" );
+      return content.join( "" );
     }
 
-    let outputFilePath = "";
+    let thrown = exceptions.filter( function( exception ) {
+      return exception.activity !== "Catch";
+    } );
 
-    try {
+    let caught = exceptions.filter( function( exception ) {
+      return exception.activity === "Catch";
+    } );
 
-      // Use a file name derived from the UiPath project relative file name if available.
-      outputFilePath =  metadata.getProjectFilePath().split( path.sep ).join( "-" ).replace( ".xaml", ".md" );
-      outputFilePath =  path.join( this.outputPath, outputFilePath );
-    } catch ( ReferenceError ) {
+    content.push( "### Thrown\n\n" );
 
-      // Use a file name derived from the workflow name.
-      outputFilePath = path.join( this.outputPath, metadata.getWorkflowName() + ".md" );
+    if ( thrown.length === 0 ) {
+      content.push( "This activity does not throw any exceptions.\n" );
+    } else {
+      content.push( markdown.table(
+        [ "Activity", "Exception", "Message" ],
+        thrown.map( function( exception ) {
+          let message = markdown.code( exception.expression );
+
+          if ( exception.activity === "Rethrow" ) {
+            message = "Rethrows the caught exception.";
+          } else if ( exception.message !== "" ) {
+            message = markdown.cell( exception.message );
+          }
+
+          return [
+            markdown.cell( exception.displayName ),
+            markdown.code( exception.type ),
+            message
+          ];
+        } )
+      ) );
+    }
+
+    content.push( "\n### Caught\n\n" );
+
+    if ( caught.length === 0 ) {
+      content.push( "This activity does not catch any exceptions.\n" );
+    } else {
+      content.push( markdown.table(
+        [ "Activity", "Exception" ],
+        caught.map( function( exception ) {
+          return [
+            markdown.cell( exception.displayName ),
+            markdown.code( exception.type )
+          ];
+        } )
+      ) );
+    }
+
+    return content.join( "" );
+  }
+
+  /**
+   * Get the content of the logging section of a workflow page, listing the log messages and log fields along with
+   * any that use names covered by the excluded logged data of the project.
+   *
+   * @param {WorkflowMetadata} metadata The metadata extracted from a workflow.
+   * @returns {string} The markdown content of the section.
+   * @since 1.1.0
+   */
+  getLoggingContent( metadata ) {
+
+    const content = [];
+    const markdown = this.markdown;
+
+    content.push( "## Logging\n\n" );
+
+    let logMessages = metadata.getLogMessages();
+
+    if ( logMessages.length === 0 ) {
+      content.push( "This activity does not write any log messages.\n" );
+      return content.join( "" );
+    }
+
+    content.push( markdown.table(
+      [ "Activity", "Type", "Level", "Message" ],
+      logMessages.map( function( logMessage ) {
+        let message = markdown.code( logMessage.message );
+
+        if ( logMessage.activity !== "LogMessage" ) {
+          message = logMessage.fields.map( function( field ) {
+            return field.value === "" ? markdown.code( field.name ) :
+              markdown.code( field.name ) + " = " + markdown.code( field.value );
+          } ).join( "<br>" );
+        }
+
+        return [
+          markdown.cell( logMessage.displayName ),
+          logMessage.activity,
+          markdown.cell( logMessage.level ),
+          message
+        ];
+      } )
+    ) );
+
+    let warnings = this.getLoggedDataWarnings( metadata );
+
+    if ( warnings.length > 0 ) {
+      content.push( "\n**Warnings**\n\n" );
+
+      // Show the names and patterns as code, as an asterisk in a pattern would start emphasis.
+      warnings.forEach( function( warning ) {
+        content.push( util.format(
+          "- The activity %s logs %s, which matches the excluded logged data pattern %s\n",
+          markdown.escape( warning.displayName ),
+          markdown.code( warning.name ),
+          markdown.code( warning.pattern )
+        ) );
+      } );
     }
 
+    return content.join( "" );
+  }
+
+  /**
+   * Get the content of the section listing the Orchestrator objects required by the workflows.
+   *
+   * @param {Array} orchestratorObjects The Orchestrator objects returned by the graph of invoked workflows.
+   * @returns {string} The markdown content of the section.
+   * @since 1.1.0
+   */
+  getOrchestratorContent( orchestratorObjects ) {
+
+    const markdown = this.markdown;
+
+    return "## Orchestrator Objects\n\n" + markdown.table(
+      Output.orchestratorHeadings,
+      orchestratorObjects.map( function( orchestratorObject ) {
+        return [
+          orchestratorObject.type,
+          markdown.code( orchestratorObject.name ),
+          markdown.code( orchestratorObject.folderPath ),
+          orchestratorObject.activities.join( ", " ),
+          orchestratorObject.workflows.map( function( workflow ) {
+            return markdown.cell( workflow );
+          } ).join( "<br>" )
+        ];
+      } )
+    );
+  }
+
+  /**
+   * Get the content of the calls and called by sections of a workflow page.
+   *
+   * @param {WorkflowMetadata} metadata The metadata extracted from a workflow.
+   * @param {WorkflowGraph} graph The graph of invoked workflows.
+   * @returns {string} The markdown content of the sections.
+   * @since 1.1.0
+   */
+  getCallsContent( metadata, graph ) {
+
     const content = [];
+    const self = this;
+    const markdown = this.markdown;
+
+    content.push( "## Calls\n\n" );
+
+    let calls = graph.getCalls( metadata );
+
+    if ( calls.length === 0 ) {
+      content.push( "This activity does not invoke any workflows.\n" );
+    } else {
+      content.push( markdown.table(
+        [ "Workflow", "Activity", "Arguments" ],
+        calls.map( function( call ) {
+          let workflow = markdown.cell( call.workflowFileName );
+
+          if ( call.metadata !== null ) {
+            workflow = self.getWorkflowLink( call.metadata, graph );
+          }
+
+          let argumentBindings = call.arguments.map( function( binding ) {
+            return util.format( "%s: %s", markdown.cell( binding.name ), markdown.code( binding.value ) );
+          } );
+
+          return [ workflow, markdown.cell( call.displayName ), argumentBindings.join( "<br>" ) ];
+        } )
+      ) );
+    }
+
+    content.push( "\n## Called by\n\n" );
+
+    let callers = graph.getCalledBy( metadata );
+
+    if ( callers.length === 0 ) {
+      content.push( "This activity is not invoked by any workflows in the project.\n" );
+    } else {
+      callers.forEach( function( caller ) {
+        content.push( util.format( "- %s\n", self.getWorkflowLink( caller, graph ) ) );
+      } );
+    }
+
+    return content.join( "" );
+  }
+
+  /**
+   * Get a link to the page for a workflow.
+   *
+   * Only public workflows are documented, so private workflows are identified by their project relative path instead.
+   *
+   * @param {WorkflowMetadata} metadata The metadata extracted from a workflow.
+   * @param {WorkflowGraph} graph The graph of invoked workflows.
+   * @returns {string} The markdown link to the workflow page.
+   * @since 1.1.0
+   */
+  getWorkflowLink( metadata, graph ) {
+
+    let markdown = this.markdown;
+    let filePath = metadata.getFilePath();
+
+    if ( graph.isPublic( filePath ) ) {
+      let fileName = this.getOutputFileName( metadata );
+
+      return markdown.linkTo( metadata.getWorkflowName(), fileName );
+    } else {
+      return util.format( "%s (private)", markdown.cell( graph.getLabel( filePath ) ) );
+    }
+  }
+
+  /**
+   * Output the graph of invoked workflows as a markdown file containing a Mermaid diagram and a Graphviz DOT file.
+   *
+   * @param {WorkflowGraph} graph The graph of invoked workflows.
+   * @throws {TypeError} Parameter graph is required and must be a WorkflowGraph object.
+   * @since 1.1.0
+   */
+  writeGraph( graph ) {
+
+    if ( !graph || !( graph instanceof WorkflowGraph ) ) {
+      throw new TypeError( "graph parameter is required and must be a WorkflowGraph object" );
+    }
+
+    const content = [];
+
+    content.push( this.getTemplate( "header", "Workflow Call Graph" ) );
+    content.push( "# Workflow Call Graph\n\n" );
+    content.push( "```mermaid\n" );
+    content.push( graph.toMermaid() );
+    content.push( "```\n" );
+    content.push( this.getTemplate( "footer", "Workflow Call Graph" ) );
+
+    this.writeOutputFile( this.graphFileName + ".md", content.join( "" ) );
+    this.writeOutputFile( this.graphFileName + ".dot", graph.toDot() );
+  }
+
+  /**
+   * Output an index page for the project as a markdown file.
+   *
+   * The index page describes the project and links to the page for each of the workflows.
+   *
+   * @param {UiPathProject} projectInfo The information about the UiPath project.
+   * @param {Array} workflowMeta An array of WorkflowMetadata objects documented in the project.
+   * @param {WorkflowGraph} graph Optional graph of invoked workflows used to list the required Orchestrator objects.
+   * @throws {TypeError} Parameter projectInfo is required and must be a UiPathProject object.
+   * @throws {TypeError} Parameter workflowMeta is required and must be an array.
+   * @throws {TypeError} Parameter graph must be a WorkflowGraph object.
+   * @since 1.1.0
+   */
+  writeIndex( projectInfo, workflowMeta, graph = null ) {
+
+    if ( !projectInfo || !( projectInfo instanceof UiPathProject ) ) {
+      throw new TypeError( "projectInfo parameter is required and must be a UiPathProject object" );
+    }
+
+    if ( !Array.isArray( workflowMeta ) ) {
+      throw new TypeError( "workflowMeta parameter is required and must be an array" );
+    }
+
+    if ( graph !== null && !( graph instanceof WorkflowGraph ) ) {
+      throw new TypeError( "graph parameter must be a WorkflowGraph object" );
+    }
+
+    const content = [];
+    const self = this;
+    const markdown = this.markdown;
 
     // Build the content of the markdown file.
-    content.push( util.format( "# %s\n\n", metadata.getWorkflowName() ) );
-    content.push( util.format( "%s\n\n", metadata.getWorkflowAnnotation() ) );
-    content.push( util.format( "## Arguments\n\n" ) );
+    content.push( this.getTemplate( "header", projectInfo.getName() ) );
+    content.push( util.format( "# %s\n\n", markdown.escape( projectInfo.getName() ) ) );
+    content.push( markdown.paragraph( projectInfo.getDescription() ) );
 
-    let workflowArguments = metadata.getArguments();
+    content.push( "## Project Information\n\n" );
+    content.push( markdown.table(
+      [ "Property", "Value" ],
+      this.getProjectProperties( projectInfo ).map( function( property ) {
+        return [ property[ 0 ], markdown.cell( property[ 1 ] ) ];
+      } )
+    ) );
 
-    if ( workflowArguments.size === 0 ) {
-      content.push( "This activity does not define any arguments.\n" );
+    content.push( this.getEntryPointsContent( projectInfo ) );
+    content.push( this.getSettingsContent( "Runtime Options", projectInfo.getRuntimeOptions() ) );
+    content.push( this.getSettingsContent( "Design Options", projectInfo.getDesignOptions() ) );
+    content.push( this.getWebServicesContent( projectInfo ) );
+
+    content.push( this.getDependenciesContent( projectInfo ) );
+
+    if ( graph !== null ) {
+      let orchestratorObjects = graph.getOrchestratorObjects( workflowMeta );
+
+      if ( orchestratorObjects.length > 0 ) {
+        content.push( "\n" + this.getOrchestratorContent( orchestratorObjects ) );
+      }
+    }
+
+    content.push( "\n## Workflows\n\n" );
+
+    if ( workflowMeta.length === 0 ) {
+      content.push( "This project does not contain any documented workflows.\n" );
     } else {
-      content.push( "| Name | Purpose | Direction | Type | Default Value |\n" );
-      content.push( "| ---- | ------- | --------- | ---- | ------------- |\n" );
-
-      workflowArguments.forEach( function( arg ) {
-        content.push(
-          util.format(
-            "|%s|%s|%s|%s|%s|\n",
-            arg.name,
-            arg.annotation,
-            arg.direction.replace( "Argument", "" ),
-            arg.type,
-            arg.defaultValue
-          )
-        );
+      content.push( markdown.table(
+        [ "Workflow", "Description" ],
+        workflowMeta.map( function( metadata ) {
+          let fileName = self.getOutputFileName( metadata );
+
+          return [
+            markdown.linkTo( metadata.getWorkflowName(), fileName ),
+            markdown.cell( metadata.getWorkflowSummary() )
+          ];
+        } )
+      ) );
+    }
+
+    content.push( this.getTemplate( "footer", projectInfo.getName() ) );
+
+    this.writeOutputFile( this.indexFileName, content.join( "" ) );
+  }
+
+  /**
+   * Get the content of the dependencies section of the landing page, including any problems with the dependencies.
+   *
+   * @param {UiPathProject} projectInfo The information about the UiPath project.
+   * @returns {string} The markdown content of the section.
+   * @since 1.1.0
+   */
+  getDependenciesContent( projectInfo ) {
+
+    const markdown = this.markdown;
+
+    let content = [ "\n## Dependencies\n\n" ];
+    let rows = this.getDependencyRows( projectInfo );
+    let warnings = projectInfo.getDependencyWarnings();
+
+    if ( rows.length === 0 && warnings.length === 0 ) {
+      content.push( "This project does not have any dependencies.\n" );
+    } else if ( rows.length > 0 ) {
+      content.push( markdown.table(
+        Output.dependencyHeadings,
+        rows.map( function( row ) {
+          return [
+            markdown.cell( row[ 0 ] ),
+            markdown.code( row[ 1 ] ),
+            markdown.cell( row[ 2 ] ),
+            markdown.cell( row[ 3 ] ),
+            row[ 4 ],
+            row[ 5 ]
+          ];
+        } )
+      ) );
+    }
+
+    if ( warnings.length > 0 ) {
+      content.push( "\n**Warnings**\n\n" );
+
+      warnings.forEach( function( warning ) {
+        content.push( util.format( "- %s\n", markdown.escape( warning.reason ) ) );
+      } );
+    }
+
+    return content.join( "" );
+  }
+
+  /**
+   * Get the content of the entry points section of the landing page.
+   *
+   * @param {UiPathProject} projectInfo The information about the UiPath project.
+   * @returns {string} The markdown content of the section, or an empty string if there are no entry points.
+   * @since 1.1.0
+   */
+  getEntryPointsContent( projectInfo ) {
+
+    const content = [];
+    const markdown = this.markdown;
+
+    let entryPoints = projectInfo.getEntryPoints();
+
+    if ( entryPoints.length === 0 ) {
+      return "";
+    }
+
+    let getRows = function( entryArguments, direction ) {
+      return entryArguments.map( function( entryArgument ) {
+        return [
+          markdown.cell( entryArgument.name ),
+          direction,
+          markdown.code( entryArgument.type ),
+          entryArgument.required ? "Yes" : "No",
+          entryArgument.hasDefault ? "Yes" : "No"
+        ];
       } );
+    };
+
+    content.push( "\n## Entry Points\n" );
+
+    entryPoints.forEach( function( entryPoint ) {
+      let rows = getRows( entryPoint.input, "In" ).concat( getRows( entryPoint.output, "Out" ) );
+
+      content.push( util.format( "\n### %s\n\n", markdown.escape( entryPoint.filePath ) ) );
+
+      if ( rows.length === 0 ) {
+        content.push( "This entry point does not have any arguments.\n" );
+      } else {
+        content.push( markdown.table(
+          [ "Name", "Direction", "Type", "Required", "Has Default" ],
+          rows
+        ) );
+      }
+    } );
+
+    return content.join( "" );
+  }
+
+  /**
+   * Get the content of a section of the landing page that lists a group of settings, such as the runtime options.
+   *
+   * @param {string} heading The heading of the section.
+   * @param {object} settings The group of settings.
+   * @returns {string} The markdown content of the section, or an empty string if there are no settings.
+   * @since 1.1.0
+   */
+  getSettingsContent( heading, settings ) {
+
+    const markdown = this.markdown;
+
+    let rows = this.getSettingRows( settings );
+
+    if ( rows.length === 0 ) {
+      return "";
     }
 
-    // eslint-disable-next-line security/detect-non-literal-fs-filename
-    fs.writeFileSync( outputFilePath, content.join( "" ) );
+    return util.format( "\n## %s\n\n", heading ) + markdown.table(
+      [ "Option", "Value" ],
+      rows.map( function( row ) {
+        if ( Array.isArray( row[ 1 ] ) ) {
+          return [ markdown.cell( row[ 0 ] ), row[ 1 ].map( markdown.code, markdown ).join( ", " ) ];
+        }
+
+        return [ markdown.cell( row[ 0 ] ), markdown.cell( row[ 1 ] ) ];
+      } )
+    );
+  }
+
+  /**
+   * Get the content of the web services section of the landing page.
+   *
+   * @param {UiPathProject} projectInfo The information about the UiPath project.
+   * @returns {string} The markdown content of the section, or an empty string if there are no web services.
+   * @since 1.1.0
+   */
+  getWebServicesContent( projectInfo ) {
+
+    const markdown = this.markdown;
+
+    let webServices = projectInfo.getWebServices();
+
+    if ( webServices.length === 0 ) {
+      return "";
+    }
+
+    return "\n## Web Services\n\n" + markdown.table(
+      [ "Namespace", "Service Document", "Web Reference URL" ],
+      webServices.map( function( webService ) {
+        return [
+          markdown.cell( webService.namespace ),
+          markdown.cell( webService.serviceDocument ),
+          markdown.cell( webService.webReferenceUrl )
+        ];
+      } )
+    );
+  }
+
+  /**
+   * Output the catalogue of projects as a markdown file.
+   *
+   * The catalogue lists each of the projects, and links to the index page in the folder for each project.
+   *
+   * @param {ProjectCatalogue} catalogue The catalogue of UiPath projects.
+   * @throws {TypeError} Parameter catalogue is required and must be a ProjectCatalogue object.
+   * @since 1.1.0
+   */
+  writeCatalogue( catalogue ) {
+
+    if ( !catalogue || !( catalogue instanceof ProjectCatalogue ) ) {
+      throw new TypeError( "catalogue parameter is required and must be a ProjectCatalogue object" );
+    }
+
+    const self = this;
+    const content = [];
+    const markdown = this.markdown;
+
+    let linkTo = function( projectInfo ) {
+      return markdown.linkTo(
+        projectInfo.getName(),
+        catalogue.getFolderName( projectInfo ) + "/" + self.indexFileName
+      );
+    };
+
+    // Build the content of the markdown file.
+    content.push( this.getTemplate( "header", "Projects" ) );
+    content.push( "# Projects\n\n" );
+
+    if ( catalogue.getProjects().length === 0 ) {
+      content.push( "No UiPath projects were found.\n" );
+    } else {
+      content.push( markdown.table(
+        [ "Project", "Type", "Version", "Description", "Depends On", "Used By" ],
+        catalogue.getProjects().map( function( projectInfo ) {
+          return [
+            linkTo( projectInfo ),
+            markdown.cell( projectInfo.getProjectType() ),
+            markdown.cell( projectInfo.getVersion() ),
+            markdown.cell( projectInfo.getDescription() ),
+            catalogue.getDependsOn( projectInfo ).map( linkTo ).join( ", " ),
+            catalogue.getUsedBy( projectInfo ).map( linkTo ).join( ", " )
+          ];
+        } )
+      ) );
+    }
+
+    content.push( this.getTemplate( "footer", "Projects" ) );
+
+    this.writeOutputFile( this.indexFileName, content.join( "" ) );
   }
 
 }
@@ -0,0 +1,309 @@
+import * as util from "util";
+
+/**
+ * Represents a NuGet package that a UiPath project depends on, along with the range of versions of the package that
+ * can be used.
+ *
+ * The version range uses the NuGet notation. A version on its own, such as `19.6.0`, is a minimum version. Newer
+ * versions of Studio pin the version using a range such as `[19.6.0]`, and ranges such as `[2.6.2, )` or
+ * `(1.0, 2.0]` set a minimum and maximum version, where a square bracket includes the version and a round bracket
+ * excludes it.
+ */
+export class PackageDependency {
+
+  /**
+   * Construct a new object.
+   *
+   * @param {string} id The id of the package.
+   * @param {string} range The version range of the package.
+   * @throws {TypeError} Parameter id is required and must be a string.
+   * @throws {TypeError} Parameter range is required and must be a string.
+   * @throws {Error} If the version range is not valid.
+   * @since 1.1.0
+   */
+  constructor( id, range ) {
+
+    if ( !id || typeof id !== "string" ) {
+      throw new TypeError( "id parameter is required and must be a string" );
+    }
+
+    if ( typeof range !== "string" ) {
+      throw new TypeError( "range parameter is required and must be a string" );
+    }
+
+    this.id = id;
+    this.range = range.trim();
+
+    let parsed = this.parseRange( this.range );
+
+    if ( parsed === null ) {
+      throw new Error( util.format( "The version range '%s' of the package '%s' is not valid", range, id ) );
+    }
+
+    this.minimum = parsed.minimum;
+    this.minInclusive = parsed.minInclusive;
+    this.maximum = parsed.maximum;
+    this.maxInclusive = parsed.maxInclusive;
+  }
+
+  /**
+   * Parse a version range.
+   *
+   * @param {string} range The version range.
+   * @returns {object|null} The minimum and maximum versions, an empty string if there is no limit, along with flags
+   * indicating if they are included in the range. Null is returned if the version range is not valid.
+   * @since 1.1.0
+   */
+  parseRange( range ) {
+
+    let isVersion = PackageDependency.isVersion;
+
+    // A version on its own is the minimum version, and can float using a wildcard.
+    if ( !range.startsWith( "[" ) && !range.startsWith( "(" ) ) {
+      if ( !isVersion( range ) && !PackageDependency.isFloatingVersion( range ) ) {
+        return null;
+      }
+
+      return { "minimum": range, "minInclusive": true, "maximum": "", "maxInclusive": false };
+    }
+
+    if ( !range.endsWith( "]" ) && !range.endsWith( ")" ) ) {
+      return null;
+    }
+
+    let parts = range.substring( 1, range.length - 1 ).split( "," ).map( function( part ) {
+      return part.trim();
+    } );
+
+    let minInclusive = range.startsWith( "[" );
+    let maxInclusive = range.endsWith( "]" );
+
+    // An exact version, such as [19.6.0].
+    if ( parts.length === 1 ) {
+      if ( !minInclusive || !maxInclusive || !isVersion( parts[ 0 ] ) ) {
+        return null;
+      }
+
+      return { "minimum": parts[ 0 ], "minInclusive": true, "maximum": parts[ 0 ], "maxInclusive": true };
+    }
+
+    let minimum = parts[ 0 ];
+    let maximum = parts[ 1 ];
+
+    if ( parts.length !== 2 || ( minimum === "" && maximum === "" ) ||
+      ( minimum !== "" && !isVersion( minimum ) ) || ( maximum !== "" && !isVersion( maximum ) ) ) {
+      return null;
+    }
+
+    return {
+      "minimum": minimum,
+      "minInclusive": minimum !== "" && minInclusive,
+      "maximum": maximum,
+      "maxInclusive": maximum !== "" && maxInclusive
+    };
+  }
+
+  /**
+   * Get the id of the package.
+   *
+   * @returns {string} The id of the package.
+   * @since 1.1.0
+   */
+  getId() {
+    return this.id;
+  }
+
+  /**
+   * Get the version range of the package, as written in the project.json file.
+   *
+   * @returns {string} The version range.
+   * @since 1.1.0
+   */
+  getRange() {
+    return this.range;
+  }
+
+  /**
+   * Get the minimum version of the package.
+   *
+   * @returns {string} The minimum version, or an empty string if there is no minimum version.
+   * @since 1.1.0
+   */
+  getMinimum() {
+    return this.minimum;
+  }
+
+  /**
+   * Get the maximum version of the package.
+   *
+   * @returns {string} The maximum version, or an empty string if there is no maximum version.
+   * @since 1.1.0
+   */
+  getMaximum() {
+    return this.maximum;
+  }
+
+  /**
+   * Return a flag indicating if the minimum version is included in the range.
+   *
+   * @returns {boolean} True if the minimum version can be used, false if it cannot or there is no minimum version.
+   * @since 1.1.0
+   */
+  isMinInclusive() {
+    return this.minInclusive;
+  }
+
+  /**
+   * Return a flag indicating if the maximum version is included in the range.
+   *
+   * @returns {boolean} True if the maximum version can be used, false if it cannot or there is no maximum version.
+   * @since 1.1.0
+   */
+  isMaxInclusive() {
+    return this.maxInclusive;
+  }
+
+  /**
+   * Return a flag indicating if the dependency is pinned to exactly one version of the package.
+   *
+   * @returns {boolean} True if only one version can be used, false if the version floats within the range.
+   * @since 1.1.0
+   */
+  isExact() {
+    return this.minimum !== "" && this.minimum === this.maximum && this.minInclusive && this.maxInclusive;
+  }
+
+  /**
+   * Return a flag indicating if the version range includes a prerelease version, such as 1.0.1-alpha.5.
+   *
+   * @returns {boolean} True if the minimum or maximum version is a prerelease version, false if neither is.
+   * @since 1.1.0
+   */
+  isPrerelease() {
+    return PackageDependency.isPrereleaseVersion( this.minimum ) ||
+      PackageDependency.isPrereleaseVersion( this.maximum );
+  }
+
+  /**
+   * Get the category of the package, based on the prefix of the package id.
+   *
+   * @returns {string} One of the values in PackageDependency.categories.
+   * @since 1.1.0
+   */
+  getCategory() {
+
+    let id = this.id.toLowerCase();
+
+    let category = PackageDependency.categories.find( function( candidate ) {
+      return candidate.prefix !== "" && id.startsWith( candidate.prefix.toLowerCase() );
+    } );
+
+    if ( typeof category === "undefined" ) {
+      return PackageDependency.categories[ PackageDependency.categories.length - 1 ].name;
+    }
+
+    return category.name;
+  }
+
+  /**
+   * Get a JSON friendly representation of the dependency.
+   *
+   * @returns {object} The parsed dependency.
+   * @since 1.1.0
+   */
+  toJSON() {
+    return {
+      "id": this.id,
+      "range": this.range,
+      "minimum": this.minimum,
+      "minInclusive": this.minInclusive,
+      "maximum": this.maximum,
+      "maxInclusive": this.maxInclusive,
+      "exact": this.isExact(),
+      "prerelease": this.isPrerelease(),
+      "category": this.getCategory()
+    };
+  }
+
+  /**
+   * Return a flag indicating if a string is a NuGet package version, such as 19.6.0 or 1.0.1-alpha.5.
+   *
+   * @param {string} version The string to check.
+   * @returns {boolean} True if the string is a version, false if it is not.
+   * @since 1.1.0
+   */
+  static isVersion( version ) {
+
+    let isIdentifier = function( value ) {
+      return /^[0-9A-Za-z.-]+$/.test( value );
+    };
+
+    let parts = version.split( "+" );
+
+    if ( parts.length > 2 || ( parts.length === 2 && !isIdentifier( parts[ 1 ] ) ) ) {
+      return false;
+    }
+
+    let labelIndex = parts[ 0 ].indexOf( "-" );
+    let numbers = labelIndex === -1 ? parts[ 0 ] : parts[ 0 ].substring( 0, labelIndex );
+
+    if ( labelIndex !== -1 && !isIdentifier( parts[ 0 ].substring( labelIndex + 1 ) ) ) {
+      return false;
+    }
+
+    return numbers.split( "." ).length <= 4 && numbers.split( "." ).every( function( number ) {
+      return /^\d+$/.test( number );
+    } );
+  }
+
+  /**
+   * Return a flag indicating if a string is a floating NuGet package version, such as 19.* or 1.0.1-*.
+   *
+   * @param {string} version The string to check.
+   * @returns {boolean} True if the string is a floating version, false if it is not.
+   * @since 1.1.0
+   */
+  static isFloatingVersion( version ) {
+
+    if ( !version.endsWith( "*" ) ) {
+      return false;
+    }
+
+    let prefix = version.substring( 0, version.length - 1 );
+
+    if ( prefix === "" ) {
+      return true;
+    }
+
+    // The wildcard can replace the end of the prerelease label, such as 1.0.1-beta*.
+    if ( prefix.includes( "-" ) ) {
+      return PackageDependency.isVersion( prefix + "0" );
+    }
+
+    return prefix.endsWith( "." ) && prefix.split( "." ).length <= 4 &&
+      PackageDependency.isVersion( prefix.substring( 0, prefix.length - 1 ) );
+  }
+
+  /**
+   * Return a flag indicating if a version is a prerelease version.
+   *
+   * @param {string} version The version.
+   * @returns {boolean} True if the version has a prerelease label, false if it does not.
+   * @since 1.1.0
+   */
+  static isPrereleaseVersion( version ) {
+    return version.split( "+" )[ 0 ].includes( "-" );
+  }
+}
+
+/**
+ * The categories of packages, each with the prefix of the ids of the packages in the category. The last category
+ * is used for packages that do not match any of the prefixes.
+ *
+ * @type {Array}
+ */
+PackageDependency.categories = [
+  { "name": "UiPath", "prefix": "UiPath." },
+  { "name": "Internal", "prefix": "Flinders." },
+  { "name": "Third Party", "prefix": "" }
+];
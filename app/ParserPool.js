@@ -0,0 +1,161 @@
+import { WorkflowMetadata } from "./WorkflowMetadata.js";
+
+import * as os from "os";
+import * as path from "path";
+import * as util from "util";
+import { Worker } from "worker_threads";
+
+/**
+ * Read the metadata from workflow files concurrently, using a pool of worker threads.
+ *
+ * Parsing the XAML code is the slowest part of generating the documentation, so the workflow files are shared
+ * between the workers as they become free, and the results are returned in the order of the workflow files.
+ */
+export class ParserPool {
+
+  /**
+   * Construct a new object.
+   *
+   * @param {number} size The number of worker threads, defaults to the number of CPUs.
+   * @throws {TypeError} Parameter size must be a positive integer.
+   * @since 1.1.0
+   */
+  constructor( size = os.cpus().length ) {
+
+    if ( !Number.isInteger( size ) || size < 1 ) {
+      throw new TypeError( "size parameter must be a positive integer" );
+    }
+
+    this.size = size;
+  }
+
+  /**
+   * Get the number of worker threads.
+   *
+   * @returns {number} The number of worker threads.
+   * @since 1.1.0
+   */
+  getSize() {
+    return this.size;
+  }
+
+  /**
+   * Read the metadata from a list of workflow files.
+   *
+   * The worker threads are started for each list of workflow files, and stopped once all of them have been read.
+   *
+   * @param {Array} filePaths The full paths to the XAML files.
+   * @param {Function} callback Function called with an error if a worker thread fails, or null and an array with
+   * a WorkflowMetadata object, or the Error thrown while reading the file, for each workflow file in order.
+   * @throws {TypeError} Parameter filePaths is required and must be an array.
+   * @throws {TypeError} Parameter callback is required and must be a function.
+   * @since 1.1.0
+   */
+  getMetadata( filePaths, callback ) {
+
+    if ( !Array.isArray( filePaths ) ) {
+      throw new TypeError( "filePaths parameter is required and must be an array" );
+    }
+
+    if ( typeof callback !== "function" ) {
+      throw new TypeError( "callback parameter is required and must be a function" );
+    }
+
+    const self = this;
+    const workers = [];
+
+    // The results keyed by the index of the workflow file, as they arrive in any order.
+    const results = new Map();
+
+    let next = 0;
+    let finished = false;
+
+    let finish = function( err ) {
+      if ( finished ) {
+        return;
+      }
+
+      finished = true;
+
+      workers.forEach( function( worker ) {
+        worker.terminate();
+      } );
+
+      if ( err !== null ) {
+        callback( err, null );
+        return;
+      }
+
+      callback( null, Array.from( filePaths.keys() ).map( function( index ) {
+        return results.get( index );
+      } ) );
+    };
+
+    let sendNext = function( worker ) {
+      if ( next < filePaths.length ) {
+        // eslint-disable-next-line security/detect-object-injection
+        worker.postMessage( { "index": next, "filePath": filePaths[ next ] } );
+        next++;
+      }
+    };
+
+    if ( filePaths.length === 0 ) {
+      process.nextTick( finish, null );
+      return;
+    }
+
+    for ( let i = 0; i < Math.min( this.size, filePaths.length ); i++ ) {
+      let worker = self.createWorker();
+
+      worker.on( "message", function( result ) {
+        if ( result.error === null ) {
+          results.set( result.index, WorkflowMetadata.fromJSON( result.metadata ) );
+        } else {
+          results.set( result.index, new Error( result.error ) );
+        }
+
+        if ( results.size === filePaths.length ) {
+          finish( null );
+        } else {
+          sendNext( worker );
+        }
+      } );
+
+      worker.on( "error", finish );
+
+      worker.on( "exit", function( code ) {
+        finish( new Error( util.format( "A parser worker thread stopped with exit code %d", code ) ) );
+      } );
+
+      workers.push( worker );
+
+      sendNext( worker );
+    }
+  }
+
+  /**
+   * Start a worker thread.
+   *
+   * The worker script is loaded using the same ECMAScript module loader as the app.
+   *
+   * @returns {Worker} The worker thread.
+   * @since 1.1.0
+   */
+  createWorker() {
+
+    let script = util.format(
+      "require = require( %s )( module );\nrequire( %s );\n",
+      JSON.stringify( require.resolve( "esm" ) ),
+      JSON.stringify( path.join( __dirname, ParserPool.workerFileName ) )
+    );
+
+    return new Worker( script, { "eval": true } );
+  }
+}
+
+/**
+ * The name of the script run by the worker threads.
+ *
+ * @type {string}
+ */
+ParserPool.workerFileName = "ParserWorker.js";
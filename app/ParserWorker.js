@@ -0,0 +1,43 @@
+import { NupkgArchive } from "./NupkgArchive.js";
+import { XamlProcessor } from "./XamlProcessor.js";
+
+import { parentPort } from "worker_threads";
+
+/*
+ * Read the metadata from workflow files on behalf of a ParserPool.
+ *
+ * Each message contains the index and path of a workflow file, and the reply contains the same index along with
+ * either the metadata as a plain object or the message of the error that was thrown.
+ */
+const processors = new Map();
+
+/*
+ * Get the processor for a workflow file, keyed by the path to the package that contains it, so each package is
+ * only opened once by the worker.
+ */
+const getProcessor = function( filePath ) {
+
+  let archivePath = NupkgArchive.findArchivePath( filePath );
+
+  if ( !processors.has( archivePath ) ) {
+    processors.set(
+      archivePath,
+      new XamlProcessor( archivePath === null ? null : new NupkgArchive( archivePath ) )
+    );
+  }
+
+  return processors.get( archivePath );
+};
+
+parentPort.on( "message", function( task ) {
+
+  let result = { "index": task.index, "metadata": null, "error": null };
+
+  try {
+    result.metadata = getProcessor( task.filePath ).getMetadata( task.filePath ).toJSON();
+  } catch ( err ) {
+    result.error = err.message;
+  }
+
+  parentPort.postMessage( result );
+} );
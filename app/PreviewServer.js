@@ -0,0 +1,338 @@
+import * as fs from "fs";
+import * as http from "http";
+import * as path from "path";
+import * as util from "util";
+import MarkdownIt from "markdown-it";
+
+/**
+ * Serve generated documentation over HTTP so it can be previewed in a web browser.
+ *
+ * Markdown files are rendered as HTML, and every page is reloaded by the browser when the reload method is called.
+ */
+export class PreviewServer {
+
+  /**
+   * Construct a new object.
+   *
+   * @param {string} rootPath Path to the directory containing the documentation.
+   * @throws {TypeError} Parameter rootPath is required and must be a string.
+   * @since 1.1.0
+   */
+  constructor( rootPath ) {
+
+    if ( !rootPath || typeof rootPath !== "string" ) {
+      throw new TypeError( "rootPath parameter is required and must be a string" );
+    }
+
+    this.rootPath = path.resolve( rootPath );
+
+    this.server = null;
+
+    // The responses of the browsers waiting to be told to reload the page.
+    this.clients = new Set();
+
+    this.markdown = new MarkdownIt( { "html": true } );
+  }
+
+  /**
+   * Start the server, listening on the local loopback address.
+   *
+   * @param {number} port The port to listen on, or 0 to use any free port.
+   * @param {Function} callback Function called with an error, or null and the URL of the server once it is listening.
+   * @since 1.1.0
+   */
+  start( port, callback ) {
+
+    const self = this;
+
+    this.server = http.createServer( function( request, response ) {
+      self.handleRequest( request, response );
+    } );
+
+    this.server.on( "error", function( err ) {
+      callback( err, null );
+    } );
+
+    this.server.listen( port, "127.0.0.1", function() {
+      callback( null, util.format( "http://localhost:%d/", self.server.address().port ) );
+    } );
+  }
+
+  /**
+   * Stop the server.
+   *
+   * @param {Function} callback Optional function called once the server has stopped.
+   * @since 1.1.0
+   */
+  stop( callback = function() {} ) {
+
+    this.clients.forEach( function( client ) {
+      client.end();
+    } );
+
+    this.clients.clear();
+
+    if ( this.server === null ) {
+      callback();
+      return;
+    }
+
+    this.server.close( callback );
+    this.server = null;
+  }
+
+  /**
+   * Tell the browsers viewing the documentation to reload the page.
+   *
+   * @since 1.1.0
+   */
+  reload() {
+    this.clients.forEach( function( client ) {
+      client.write( "data: reload\n\n" );
+    } );
+  }
+
+  /**
+   * Respond to a request from a browser.
+   *
+   * @param {http.IncomingMessage} request The request.
+   * @param {http.ServerResponse} response The response.
+   * @since 1.1.0
+   */
+  handleRequest( request, response ) {
+
+    const self = this;
+
+    if ( request.method !== "GET" && request.method !== "HEAD" ) {
+      this.sendPage( response, 405, "Method Not Allowed", "<p>Only GET requests are supported.</p>\n" );
+      return;
+    }
+
+    let urlPath = "";
+
+    try {
+      urlPath = decodeURIComponent( new URL( request.url, "http://localhost" ).pathname );
+    } catch ( err ) {
+      this.sendPage( response, 400, "Bad Request", "<p>The address is not valid.</p>\n" );
+      return;
+    }
+
+    // Keep the connection open, so the browser can be told to reload the page.
+    if ( urlPath === PreviewServer.eventsPath ) {
+      response.writeHead( 200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        "Connection": "keep-alive"
+      } );
+      response.write( ": connected\n\n" );
+
+      this.clients.add( response );
+
+      request.on( "close", function() {
+        self.clients.delete( response );
+      } );
+
+      return;
+    }
+
+    let filePath = this.resolveFile( urlPath );
+
+    if ( filePath === null ) {
+      this.sendPage( response, 404, "Not Found", util.format(
+        "<p>The page '%s' was not found. <a href=\"/\">Return to the index page</a>.</p>\n",
+        this.escape( urlPath )
+      ) );
+      return;
+    }
+
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    let content = fs.readFileSync( filePath );
+
+    switch ( path.extname( filePath ).toLowerCase() ) {
+      case ".md":
+        this.sendPage(
+          response,
+          200,
+          path.basename( filePath, ".md" ),
+          this.markdown.render( content.toString() )
+        );
+        break;
+      case ".html":
+        response.writeHead( 200, { "Content-Type": "text/html; charset=utf-8" } );
+        response.end( content.toString().replace( "</body>", this.getReloadScript() + "</body>" ) );
+        break;
+      default:
+        response.writeHead( 200, { "Content-Type": this.getContentType( filePath ) } );
+        response.end( content );
+    }
+  }
+
+  /**
+   * Resolve the path in a request to a file in the documentation directory.
+   *
+   * @param {string} urlPath The decoded path in the request.
+   * @returns {string|null} The full path to the file, or null if the file does not exist or is outside the
+   * documentation directory.
+   * @since 1.1.0
+   */
+  resolveFile( urlPath ) {
+
+    if ( urlPath === "/" ) {
+      return this.getIndexFile();
+    }
+
+    let filePath = path.resolve( this.rootPath, "." + path.posix.normalize( urlPath ) );
+
+    if ( !filePath.startsWith( this.rootPath + path.sep ) ) {
+      return null;
+    }
+
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    if ( !fs.existsSync( filePath ) || !fs.statSync( filePath ).isFile() ) {
+      return null;
+    }
+
+    return filePath;
+  }
+
+  /**
+   * Get the index page of the documentation.
+   *
+   * @returns {string|null} The full path to the index page, or null if there is no index page.
+   * @since 1.1.0
+   */
+  getIndexFile() {
+
+    const self = this;
+
+    let indexFile = PreviewServer.indexFileNames.map( function( fileName ) {
+      return path.join( self.rootPath, fileName );
+    } ).find( function( filePath ) {
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      return fs.existsSync( filePath );
+    } );
+
+    return typeof indexFile === "undefined" ? null : indexFile;
+  }
+
+  /**
+   * Get the content type of a file, using the file extension.
+   *
+   * @param {string} filePath The path to the file.
+   * @returns {string} The content type.
+   * @since 1.1.0
+   */
+  getContentType( filePath ) {
+
+    let extension = path.extname( filePath ).toLowerCase();
+    let contentType = PreviewServer.contentTypes.find( function( type ) {
+      return type[ 0 ] === extension;
+    } );
+
+    return typeof contentType === "undefined" ? "application/octet-stream" : contentType[ 1 ];
+  }
+
+  /**
+   * Send a HTML page that reloads when the documentation changes.
+   *
+   * @param {http.ServerResponse} response The response.
+   * @param {number} statusCode The HTTP status code.
+   * @param {string} title The title of the page.
+   * @param {string} body The HTML content of the page.
+   * @since 1.1.0
+   */
+  sendPage( response, statusCode, title, body ) {
+    response.writeHead( statusCode, { "Content-Type": "text/html; charset=utf-8" } );
+    response.end( this.getPage( title, body ) );
+  }
+
+  /**
+   * Get a complete HTML page.
+   *
+   * @param {string} title The title of the page.
+   * @param {string} body The HTML content of the page.
+   * @returns {string} The HTML page.
+   * @since 1.1.0
+   */
+  getPage( title, body ) {
+
+    const content = [];
+
+    content.push( "<!DOCTYPE html>\n<html lang=\"en\">\n<head>\n" );
+    content.push( "<meta charset=\"utf-8\">\n" );
+    content.push( util.format( "<title>%s</title>\n", this.escape( title ) ) );
+    content.push( "<style>\n" );
+    content.push( "body { max-width: 60em; margin: 0 auto; padding: 1em 2em; " );
+    content.push( "font-family: \"Segoe UI\", Helvetica, Arial, sans-serif; line-height: 1.5; }\n" );
+    content.push( "table { border-collapse: collapse; margin: 1em 0; }\n" );
+    content.push( "th, td { border: 1px solid #ddd; padding: 0.25em 0.5em; text-align: left; " );
+    content.push( "vertical-align: top; }\n" );
+    content.push( "code { background: #f4f4f4; padding: 0 0.2em; }\n" );
+    content.push( "pre { background: #f4f4f4; padding: 0.5em; overflow-x: auto; }\n" );
+    content.push( "</style>\n" );
+    content.push( "</head>\n<body>\n" );
+    content.push( body );
+    content.push( this.getReloadScript() );
+    content.push( "</body>\n</html>\n" );
+
+    return content.join( "" );
+  }
+
+  /**
+   * Get the script that reloads a page when the documentation changes.
+   *
+   * @returns {string} The HTML script element.
+   * @since 1.1.0
+   */
+  getReloadScript() {
+    return util.format(
+      "<script>new EventSource(\"%s\").onmessage = function() { location.reload(); };</script>\n",
+      PreviewServer.eventsPath
+    );
+  }
+
+  /**
+   * Escape text for use in HTML.
+   *
+   * @param {string} text The text to escape.
+   * @returns {string} The escaped text.
+   * @since 1.1.0
+   */
+  escape( text ) {
+    return String( text )
+      .replace( /&/g, "&amp;" )
+      .replace( /</g, "&lt;" )
+      .replace( />/g, "&gt;" )
+      .replace( /"/g, "&quot;" )
+      .replace( /'/g, "&#39;" );
+  }
+}
+
+/**
+ * The path used by browsers to wait for the documentation to change.
+ *
+ * @type {string}
+ */
+PreviewServer.eventsPath = "/__rpa-doc/events";
+
+/**
+ * The names of the index pages written by the output formats, in order of preference.
+ *
+ * @type {Array}
+ */
+PreviewServer.indexFileNames = [ "index.html", "README.md" ];
+
+/**
+ * The content types of the files written by the output formats, keyed by file extension.
+ *
+ * @type {Array}
+ */
+PreviewServer.contentTypes = [
+  [ ".css", "text/css; charset=utf-8" ],
+  [ ".dot", "text/plain; charset=utf-8" ],
+  [ ".js", "text/javascript; charset=utf-8" ],
+  [ ".json", "application/json; charset=utf-8" ],
+  [ ".svg", "image/svg+xml" ],
+  [ ".png", "image/png" ]
+];
@@ -0,0 +1,171 @@
+import { UiPathProject } from "./UiPathProject.js";
+
+import * as glob from "glob";
+import * as path from "path";
+
+/**
+ * Find all of the UiPath projects beneath a root directory, for example a repository containing many projects.
+ *
+ * Each project is documented in its own folder, and the catalogue lists the projects along with the projects
+ * that each of them depends on, found by matching the names of the dependencies to the names of the projects.
+ */
+export class ProjectCatalogue {
+
+  /**
+   * Construct a new object.
+   *
+   * Folders that start with a dot, such as the .local folder used by UiPath Studio, and node_modules folders are
+   * not searched.
+   *
+   * @param {string} rootPath Path to the directory that contains the UiPath projects.
+   * @throws {TypeError} Parameter rootPath is required and must be a string.
+   * @since 1.1.0
+   */
+  constructor( rootPath ) {
+
+    if ( !rootPath || typeof rootPath !== "string" ) {
+      throw new TypeError( "rootPath parameter is required and must be a string" );
+    }
+
+    const self = this;
+
+    this.rootPath = path.resolve( rootPath );
+
+    this.projects = [];
+
+    this.errors = [];
+
+    let projectFolders = glob.sync( "**/project.json", {
+      "cwd": this.rootPath,
+      "ignore": [ "**/node_modules/**" ]
+    } ).map( function( projectFile ) {
+      return path.dirname( projectFile );
+    } ).sort();
+
+    projectFolders.forEach( function( projectFolder ) {
+      let projectPath = path.join( self.rootPath, projectFolder );
+
+      try {
+        self.projects.push( new UiPathProject( projectPath ) );
+      } catch ( err ) {
+        self.errors.push( { "file": path.join( projectPath, "project.json" ), "reason": err.message } );
+      }
+    } );
+  }
+
+  /**
+   * Get the path to the directory that contains the UiPath projects.
+   *
+   * @returns {string} The full path to the directory.
+   * @since 1.1.0
+   */
+  getRootPath() {
+    return this.rootPath;
+  }
+
+  /**
+   * Get the UiPath projects that were found.
+   *
+   * @returns {Array} An array of UiPathProject objects, in the order of their paths.
+   * @since 1.1.0
+   */
+  getProjects() {
+    return this.projects;
+  }
+
+  /**
+   * Get the project.json files that could not be read.
+   *
+   * @returns {Array} An array of errors, each with the path to the file and the reason.
+   * @since 1.1.0
+   */
+  getErrors() {
+    return this.errors;
+  }
+
+  /**
+   * Get the name of the folder used to document a project.
+   *
+   * The name is derived from the path to the project, relative to the root directory, so it is unique.
+   *
+   * @param {UiPathProject} projectInfo The information about the UiPath project.
+   * @returns {string} The name of the folder, relative to the output path.
+   * @throws {TypeError} Parameter projectInfo is required and must be a UiPathProject object.
+   * @since 1.1.0
+   */
+  getFolderName( projectInfo ) {
+
+    if ( !projectInfo || !( projectInfo instanceof UiPathProject ) ) {
+      throw new TypeError( "projectInfo parameter is required and must be a UiPathProject object" );
+    }
+
+    let relativePath = path.relative( this.rootPath, projectInfo.getProjectPath() );
+
+    // Use the name of the project if it is in the root directory.
+    if ( relativePath === "" ) {
+      return projectInfo.getName().replace( /[^\w.-]+/g, "-" ) || "project";
+    }
+
+    return relativePath.split( path.sep ).join( "-" );
+  }
+
+  /**
+   * Return a flag indicating if a workflow file belongs to a project, and not to another project in a sub folder.
+   *
+   * @param {UiPathProject} projectInfo The information about the UiPath project.
+   * @param {string} projectFilePath The path to the XAML file, relative to the project directory.
+   * @returns {boolean} True if the workflow file belongs to the project, false if it does not.
+   * @since 1.1.0
+   */
+  isProjectFile( projectInfo, projectFilePath ) {
+
+    let filePath = path.resolve( projectInfo.getProjectPath(), projectFilePath );
+
+    return !this.projects.some( function( project ) {
+      let projectPath = project.getProjectPath();
+
+      return projectPath.startsWith( projectInfo.getProjectPath() + path.sep ) &&
+        filePath.startsWith( projectPath + path.sep );
+    } );
+  }
+
+  /**
+   * Get the projects that a project depends on.
+   *
+   * NuGet package names are not case sensitive, so the names are compared ignoring case.
+   *
+   * @param {UiPathProject} projectInfo The information about the UiPath project.
+   * @returns {Array} An array of UiPathProject objects.
+   * @since 1.1.0
+   */
+  getDependsOn( projectInfo ) {
+
+    let dependencies = Array.from( projectInfo.getDependencies().keys() );
+
+    dependencies = dependencies.map( function( name ) {
+      return name.toLowerCase();
+    } );
+
+    return this.projects.filter( function( project ) {
+      let name = project.getName().toLowerCase();
+
+      return project !== projectInfo && dependencies.includes( name );
+    } );
+  }
+
+  /**
+   * Get the projects that depend on a project.
+   *
+   * @param {UiPathProject} projectInfo The information about the UiPath project.
+   * @returns {Array} An array of UiPathProject objects.
+   * @since 1.1.0
+   */
+  getUsedBy( projectInfo ) {
+
+    const self = this;
+
+    return this.projects.filter( function( project ) {
+      return self.getDependsOn( project ).includes( projectInfo );
+    } );
+  }
+}
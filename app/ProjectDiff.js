@@ -0,0 +1,436 @@
+import { UiPathProject } from "./UiPathProject.js";
+import { XamlProcessor } from "./XamlProcessor.js";
+import { NupkgArchive } from "./NupkgArchive.js";
+
+import * as fs from "fs";
+import * as path from "path";
+import * as util from "util";
+
+/**
+ * Compare the public workflows of two versions of a UiPath project to identify breaking changes.
+ *
+ * Each version is either the path to a UiPath project directory, or the path to a manifest.json file
+ * previously written using the JSON output format.
+ */
+export class ProjectDiff {
+
+  /**
+   * Construct a new object.
+   *
+   * @param {string} previousPath Path to the previous version of the project, or its manifest file.
+   * @param {string} currentPath Path to the current version of the project, or its manifest file.
+   * @throws {TypeError} Parameter previousPath is required and must be a string.
+   * @throws {TypeError} Parameter currentPath is required and must be a string.
+   * @throws {Error} Reading either version of the project fails.
+   * @since 1.1.0
+   */
+  constructor( previousPath, currentPath ) {
+
+    if ( !previousPath || typeof previousPath !== "string" ) {
+      throw new TypeError( "previousPath parameter is required and must be a string" );
+    }
+
+    if ( !currentPath || typeof currentPath !== "string" ) {
+      throw new TypeError( "currentPath parameter is required and must be a string" );
+    }
+
+    this.previous = this.loadManifest( previousPath );
+
+    this.current = this.loadManifest( currentPath );
+
+    this.changes = null;
+  }
+
+  /**
+   * Load the manifest for a version of the project.
+   *
+   * If the path is a directory or a .nupkg file the manifest is built from the public workflows in the project.
+   *
+   * @param {string} inputPath Path to a UiPath project directory, a .nupkg file, or a manifest file.
+   * @returns {object} The manifest, using the same structure as the JSON output format.
+   * @throws {Error} Reading the project, a workflow or the manifest file fails.
+   * @since 1.1.0
+   */
+  loadManifest( inputPath ) {
+
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    if ( !fs.existsSync( inputPath ) ) {
+      throw new Error( util.format( "The path '%s' does not exist", inputPath ) );
+    }
+
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    let isDirectory = fs.statSync( inputPath ).isDirectory();
+
+    if ( !isDirectory && !NupkgArchive.isArchivePath( inputPath ) ) {
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      let manifest = JSON.parse( fs.readFileSync( inputPath ) );
+
+      if ( !Array.isArray( manifest.workflows ) ) {
+        throw new Error( util.format( "The file '%s' is not a rpa-doc manifest", inputPath ) );
+      }
+
+      return manifest;
+    }
+
+    let projectInfo = new UiPathProject( inputPath );
+    let processor = new XamlProcessor( projectInfo.getArchive() );
+
+    return {
+      "name": projectInfo.getName(),
+      "projectVersion": projectInfo.getVersion(),
+      "workflows": projectInfo.getXamlFiles( true, true ).map( function( xamlFile ) {
+        let workflow = null;
+
+        try {
+          workflow = processor.getMetadata( xamlFile ).toJSON();
+        } catch ( err ) {
+          throw new Error( util.format( "Unable to read workflow '%s': %s", xamlFile, err.message ) );
+        }
+
+        workflow.projectFilePath = path.relative(
+          projectInfo.getProjectPath(),
+          path.resolve( xamlFile )
+        ).split( path.sep ).join( "/" );
+
+        return workflow;
+      } )
+    };
+  }
+
+  /**
+   * Get the list of changes between the previous and current versions of the project.
+   *
+   * Each change has the project relative path of the workflow, the type of change, a flag indicating
+   * if the change is breaking, the semantic version bump it requires and a description.
+   *
+   * @returns {Array} The list of changes.
+   * @since 1.1.0
+   */
+  getChanges() {
+
+    // Cache the changes as they do not change once the manifests are loaded.
+    if ( this.changes !== null ) {
+      return this.changes;
+    }
+
+    const self = this;
+    const changes = [];
+
+    let previousWorkflows = this.indexWorkflows( this.previous );
+    let currentWorkflows = this.indexWorkflows( this.current );
+
+    previousWorkflows.forEach( function( workflow, workflowPath ) {
+      if ( !currentWorkflows.has( workflowPath ) ) {
+        changes.push( self.createChange(
+          workflowPath,
+          "workflowRemoved",
+          "major",
+          util.format( "Workflow '%s' was removed", workflow.name )
+        ) );
+      } else {
+        self.compareArguments(
+          workflowPath,
+          workflow.arguments,
+          currentWorkflows.get( workflowPath ).arguments
+        ).forEach( function( change ) {
+          changes.push( change );
+        } );
+      }
+    } );
+
+    currentWorkflows.forEach( function( workflow, workflowPath ) {
+      if ( !previousWorkflows.has( workflowPath ) ) {
+        changes.push( self.createChange(
+          workflowPath,
+          "workflowAdded",
+          "minor",
+          util.format( "Workflow '%s' was added", workflow.name )
+        ) );
+      }
+    } );
+
+    this.changes = changes;
+
+    return this.changes;
+  }
+
+  /**
+   * Compare the arguments of two versions of a workflow.
+   *
+   * An argument that is removed, and another argument with the same direction and type that is added,
+   * is reported as a renamed argument.
+   *
+   * @param {string} workflowPath The project relative path to the workflow.
+   * @param {Array} previousArguments The arguments of the previous version of the workflow.
+   * @param {Array} currentArguments The arguments of the current version of the workflow.
+   * @returns {Array} The list of changes.
+   * @since 1.1.0
+   */
+  compareArguments( workflowPath, previousArguments, currentArguments ) {
+
+    const self = this;
+    const changes = [];
+
+    let currentNames = new Map( currentArguments.map( function( arg ) {
+      return [ arg.name, arg ];
+    } ) );
+
+    let previousNames = new Map( previousArguments.map( function( arg ) {
+      return [ arg.name, arg ];
+    } ) );
+
+    let removed = previousArguments.filter( function( arg ) {
+      return !currentNames.has( arg.name );
+    } );
+
+    let added = currentArguments.filter( function( arg ) {
+      return !previousNames.has( arg.name );
+    } );
+
+    // Pair removed and added arguments to identify renamed arguments.
+    removed = removed.filter( function( previousArg ) {
+      let index = added.findIndex( function( currentArg ) {
+        return currentArg.direction === previousArg.direction &&
+          currentArg.type === previousArg.type;
+      } );
+
+      if ( index === -1 ) {
+        return true;
+      }
+
+      let currentArg = added.splice( index, 1 )[ 0 ];
+
+      changes.push( self.createChange(
+        workflowPath,
+        "argumentRenamed",
+        "major",
+        util.format( "Argument '%s' was renamed to '%s'", previousArg.name, currentArg.name )
+      ) );
+
+      return false;
+    } );
+
+    removed.forEach( function( arg ) {
+      changes.push( self.createChange(
+        workflowPath,
+        "argumentRemoved",
+        "major",
+        util.format( "Argument '%s' was removed", arg.name )
+      ) );
+    } );
+
+    added.forEach( function( arg ) {
+
+      // Existing callers do not supply a value for a new input argument, so it needs a default value.
+      let isBreaking = arg.direction !== "OutArgument" && arg.defaultValue === "";
+
+      changes.push( self.createChange(
+        workflowPath,
+        "argumentAdded",
+        isBreaking ? "major" : "minor",
+        util.format(
+          isBreaking ? "Argument '%s' was added without a default value" : "Argument '%s' was added",
+          arg.name
+        )
+      ) );
+    } );
+
+    previousArguments.forEach( function( previousArg ) {
+      if ( !currentNames.has( previousArg.name ) ) {
+        return;
+      }
+
+      let currentArg = currentNames.get( previousArg.name );
+
+      if ( currentArg.direction !== previousArg.direction ) {
+        changes.push( self.createChange(
+          workflowPath,
+          "directionChanged",
+          "major",
+          util.format(
+            "Argument '%s' changed direction from %s to %s",
+            previousArg.name,
+            previousArg.direction,
+            currentArg.direction
+          )
+        ) );
+      }
+
+      if ( currentArg.type !== previousArg.type ) {
+        changes.push( self.createChange(
+          workflowPath,
+          "typeChanged",
+          "major",
+          util.format(
+            "Argument '%s' changed type from %s to %s",
+            previousArg.name,
+            previousArg.type,
+            currentArg.type
+          )
+        ) );
+      }
+
+      if ( currentArg.defaultValue !== previousArg.defaultValue ) {
+        changes.push( self.createChange(
+          workflowPath,
+          "defaultChanged",
+          "patch",
+          util.format(
+            "Argument '%s' changed default value from '%s' to '%s'",
+            previousArg.name,
+            previousArg.defaultValue,
+            currentArg.defaultValue
+          )
+        ) );
+      }
+    } );
+
+    return changes;
+  }
+
+  /**
+   * Return a flag indicating if any of the changes are breaking.
+   *
+   * @returns {boolean} True if at least one change is breaking, false if none are.
+   * @since 1.1.0
+   */
+  isBreaking() {
+    return this.getChanges().some( function( change ) {
+      return change.breaking;
+    } );
+  }
+
+  /**
+   * Get the semantic version bump required by the changes.
+   *
+   * @returns {string|null} One of major, minor or patch, or null if there are no changes.
+   * @since 1.1.0
+   */
+  getSuggestedBump() {
+
+    if ( this.getChanges().length === 0 ) {
+      return null;
+    }
+
+    let levels = this.getChanges().map( function( change ) {
+      return change.bump;
+    } );
+
+    if ( levels.includes( "major" ) ) {
+      return "major";
+    } else if ( levels.includes( "minor" ) ) {
+      return "minor";
+    } else {
+      return "patch";
+    }
+  }
+
+  /**
+   * Get the previous version of the project.
+   *
+   * @returns {string} The project version, or an empty string if it is not known.
+   * @since 1.1.0
+   */
+  getPreviousVersion() {
+    return this.previous.projectVersion || "";
+  }
+
+  /**
+   * Get the current version of the project.
+   *
+   * @returns {string} The project version, or an empty string if it is not known.
+   * @since 1.1.0
+   */
+  getCurrentVersion() {
+    return this.current.projectVersion || "";
+  }
+
+  /**
+   * Get the suggested version of the project by applying the suggested bump to the previous version.
+   *
+   * A pre-release version is released, rather than bumped, if it already includes the bump.
+   *
+   * @returns {string|null} The suggested version, or null if there are no changes or the previous version is not a
+   * semantic version.
+   * @since 1.1.0
+   */
+  getSuggestedVersion() {
+
+    let bump = this.getSuggestedBump();
+
+    if ( bump === null ) {
+      return null;
+    }
+
+    let version = this.getPreviousVersion();
+    let isPrerelease = version.includes( "-" );
+
+    let numbers = version.split( "-" )[ 0 ].split( "." );
+
+    if ( numbers.length !== 3 || !numbers.every( function( number ) {
+      return /^\d+$/.test( number );
+    } ) ) {
+      return null;
+    }
+
+    let major = parseInt( numbers[ 0 ], 10 );
+    let minor = parseInt( numbers[ 1 ], 10 );
+    let patch = parseInt( numbers[ 2 ], 10 );
+
+    switch ( bump ) {
+      case "major":
+        if ( !isPrerelease || minor !== 0 || patch !== 0 ) {
+          major++;
+        }
+        minor = 0;
+        patch = 0;
+        break;
+      case "minor":
+        if ( !isPrerelease || patch !== 0 ) {
+          minor++;
+        }
+        patch = 0;
+        break;
+      default:
+        if ( !isPrerelease ) {
+          patch++;
+        }
+    }
+
+    return util.format( "%d.%d.%d", major, minor, patch );
+  }
+
+  /**
+   * Index the workflows in a manifest by their project relative path.
+   *
+   * @param {object} manifest The manifest for a version of the project.
+   * @returns {Map} A map of workflows keyed by the project relative path.
+   * @since 1.1.0
+   */
+  indexWorkflows( manifest ) {
+    return new Map( manifest.workflows.map( function( workflow ) {
+      return [ workflow.projectFilePath, workflow ];
+    } ) );
+  }
+
+  /**
+   * Create an object describing a change.
+   *
+   * @param {string} workflowPath The project relative path to the workflow.
+   * @param {string} type The type of change.
+   * @param {string} bump The semantic version bump required by the change.
+   * @param {string} description The description of the change.
+   * @returns {object} The change.
+   * @since 1.1.0
+   */
+  createChange( workflowPath, type, bump, description ) {
+    return {
+      "workflow": workflowPath,
+      "type": type,
+      "breaking": bump === "major",
+      "bump": bump,
+      "description": description
+    };
+  }
+}
@@ -0,0 +1,211 @@
+import * as fs from "fs";
+import * as path from "path";
+
+/**
+ * Watch a UiPath project directory for changes to the workflow files and the project.json file.
+ *
+ * UiPath Studio writes a file several times when it is saved, so changes are collected until no more changes are
+ * made for a short delay, and then reported together.
+ *
+ * Recursive watching is not available on Linux in all of the supported versions of Node.js, so each directory of
+ * the project is watched separately, other than the hidden directories used by UiPath Studio such as .local.
+ */
+export class ProjectWatcher {
+
+  /**
+   * Construct a new object.
+   *
+   * @param {string} projectPath Path to the root directory of the UiPath project.
+   * @param {number} delay Optional number of milliseconds to wait for more changes before reporting them.
+   * @throws {TypeError} Parameter projectPath is required and must be a string.
+   * @since 1.1.0
+   */
+  constructor( projectPath, delay = 250 ) {
+
+    if ( !projectPath || typeof projectPath !== "string" ) {
+      throw new TypeError( "projectPath parameter is required and must be a string" );
+    }
+
+    this.projectPath = path.resolve( projectPath );
+
+    this.delay = delay;
+
+    this.watchers = new Map();
+
+    this.timer = null;
+
+    this.callback = null;
+
+    this.changes = new Set();
+  }
+
+  /**
+   * Start watching the project directory.
+   *
+   * @param {Function} callback Function called with a sorted array of the full paths to the files that changed.
+   * @throws {TypeError} Parameter callback is required and must be a function.
+   * @since 1.1.0
+   */
+  start( callback ) {
+
+    if ( typeof callback !== "function" ) {
+      throw new TypeError( "callback parameter is required and must be a function" );
+    }
+
+    this.callback = callback;
+
+    this.watchDirectory( this.projectPath );
+  }
+
+  /**
+   * Watch a directory and the directories beneath it, skipping hidden directories.
+   *
+   * Directories created while the project is watched are watched as they are found, and the files already in them
+   * are reported as changes, since a directory moved into the project is only reported once.
+   *
+   * @param {string} directoryPath The full path to the directory.
+   * @param {boolean} isNew Optional flag indicating if the directory was created while the project is watched.
+   * @since 1.1.0
+   */
+  watchDirectory( directoryPath, isNew = false ) {
+
+    const self = this;
+
+    if ( this.watchers.has( directoryPath ) ) {
+      return;
+    }
+
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    let watcher = fs.watch( directoryPath, function( _eventType, fileName ) {
+      if ( !fileName ) {
+        return;
+      }
+
+      let filePath = path.join( directoryPath, fileName.toString() );
+
+      if ( self.isDirectory( filePath ) ) {
+        if ( !path.basename( filePath ).startsWith( "." ) ) {
+          self.watchDirectory( filePath, true );
+        }
+      } else {
+        self.notify( path.relative( self.projectPath, filePath ) );
+      }
+    } );
+
+    // The watcher reports an error if the directory is removed.
+    watcher.on( "error", function() {
+      watcher.close();
+      self.watchers.delete( directoryPath );
+    } );
+
+    this.watchers.set( directoryPath, watcher );
+
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    fs.readdirSync( directoryPath, { "withFileTypes": true } ).forEach( function( entry ) {
+      let entryPath = path.join( directoryPath, entry.name );
+
+      if ( entry.isDirectory() ) {
+        if ( !entry.name.startsWith( "." ) ) {
+          self.watchDirectory( entryPath, isNew );
+        }
+      } else if ( isNew ) {
+        self.notify( path.relative( self.projectPath, entryPath ) );
+      }
+    } );
+  }
+
+  /**
+   * Return a flag indicating if a path is to a directory.
+   *
+   * @param {string} filePath The full path to check.
+   * @returns {boolean} True if the path is to a directory, false if it is not or no longer exists.
+   * @since 1.1.0
+   */
+  isDirectory( filePath ) {
+    try {
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      return fs.statSync( filePath ).isDirectory();
+    } catch ( err ) {
+      return false;
+    }
+  }
+
+  /**
+   * Stop watching the project directory, discarding any changes that have not been reported.
+   *
+   * @since 1.1.0
+   */
+  stop() {
+
+    this.watchers.forEach( function( watcher ) {
+      watcher.close();
+    } );
+
+    this.watchers.clear();
+
+    clearTimeout( this.timer );
+
+    this.timer = null;
+
+    this.changes.clear();
+  }
+
+  /**
+   * Record a change to a file, and report the changes once no more changes are made for the delay.
+   *
+   * @param {string} fileName The path to the file, relative to the project directory.
+   * @since 1.1.0
+   */
+  notify( fileName ) {
+
+    const self = this;
+
+    if ( !this.isWatched( fileName ) ) {
+      return;
+    }
+
+    this.changes.add( path.resolve( this.projectPath, fileName ) );
+
+    clearTimeout( this.timer );
+
+    this.timer = setTimeout( function() {
+      let changes = Array.from( self.changes ).sort();
+
+      self.changes.clear();
+      self.timer = null;
+
+      self.callback( changes );
+    }, this.delay );
+  }
+
+  /**
+   * Return a flag indicating if changes to a file are reported.
+   *
+   * Changes to XAML files, other than the temporary files written by UiPath Studio, and the project.json file
+   * are reported.
+   *
+   * @param {string} fileName The path to the file, relative to the project directory.
+   * @returns {boolean} True if changes to the file are reported, false if they are not.
+   * @since 1.1.0
+   */
+  isWatched( fileName ) {
+
+    if ( this.isProjectFile( fileName ) ) {
+      return true;
+    }
+
+    return path.extname( fileName ).toLowerCase() === ".xaml" &&
+      !path.basename( fileName ).startsWith( "~" );
+  }
+
+  /**
+   * Return a flag indicating if a file is the project.json file of the project.
+   *
+   * @param {string} fileName The path to the file, relative to the project directory.
+   * @returns {boolean} True if the file is the project.json file, false if it is not.
+   * @since 1.1.0
+   */
+  isProjectFile( fileName ) {
+    return path.resolve( this.projectPath, fileName ) === path.join( this.projectPath, "project.json" );
+  }
+}
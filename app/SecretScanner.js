@@ -0,0 +1,649 @@
+import { UiPathProject } from "./UiPathProject.js";
+import { XamlProcessor } from "./XamlProcessor.js";
+
+import * as path from "path";
+import * as util from "util";
+
+/**
+ * The DomParser object as part of the [xmldom]{@link https://www.npmjs.com/package/xmldom} package.
+ *
+ * @typedef {DomParser} DomParser
+ */
+
+/**
+ * Scan the workflows of a UiPath project for hard-coded secrets and sensitive data.
+ *
+ * The default values of arguments and variables, and the properties of activities, are checked for passwords,
+ * tokens, connection strings, email addresses and URLs with embedded credentials. Type Into and log activities that
+ * use names covered by the excluded logged data of the project are also reported. Each finding has a severity, one
+ * of the values in SecretScanner.severities.
+ */
+export class SecretScanner {
+
+  /**
+   * Construct a new object.
+   *
+   * @param {UiPathProject} projectInfo The information about the UiPath project.
+   * @throws {TypeError} Parameter projectInfo is required and must be a UiPathProject object.
+   * @since 1.1.0
+   */
+  constructor( projectInfo ) {
+
+    if ( !projectInfo || !( projectInfo instanceof UiPathProject ) ) {
+      throw new TypeError( "projectInfo parameter is required and must be a UiPathProject object" );
+    }
+
+    this.projectInfo = projectInfo;
+    this.processor = new XamlProcessor( projectInfo.getArchive() );
+
+    this.workflows = new Map();
+  }
+
+  /**
+   * Scan a workflow and add its findings to the report.
+   *
+   * @param {string} filePath The path to the XAML file, which can be in a .nupkg file.
+   * @returns {Array} The findings for the workflow.
+   * @throws {TypeError} Parameter filePath is required and must be a string.
+   * @throws {Error} If the workflow file cannot be read or parsed.
+   * @since 1.1.0
+   */
+  scanWorkflow( filePath ) {
+
+    if ( !filePath || typeof filePath !== "string" ) {
+      throw new TypeError( "filePath parameter is required and must be a string" );
+    }
+
+    const self = this;
+    const processor = this.processor;
+    const findings = [];
+
+    let xamlDoc = processor.parseXaml( processor.readXamlContent( filePath ).toString() );
+
+    let workflowPath = path.relative(
+      this.projectInfo.getProjectPath(),
+      path.resolve( filePath )
+    ).split( path.sep ).join( "/" );
+
+    let addFindings = function( location, name, property, value ) {
+      self.getValueFindings( name, property, value ).forEach( function( finding ) {
+        findings.push( self.createFinding( workflowPath, location, finding ) );
+      } );
+    };
+
+    processor.getWorkflowArguments( xamlDoc ).forEach( function( arg ) {
+      addFindings(
+        util.format( "Default value of argument '%s'", arg.name ),
+        arg.name,
+        "Default",
+        arg.defaultValue
+      );
+    } );
+
+    processor.getWorkflowVariables( xamlDoc ).forEach( function( variable ) {
+      addFindings(
+        util.format( "Default value of variable '%s' in '%s'", variable.name, variable.scope ),
+        variable.name,
+        "Default",
+        variable.defaultValue
+      );
+    } );
+
+    this.getActivityValues( xamlDoc ).forEach( function( activityValue ) {
+      addFindings(
+        util.format( "Property '%s' of activity '%s'", activityValue.property, activityValue.displayName ),
+        activityValue.name,
+        activityValue.property,
+        activityValue.value
+      );
+    } );
+
+    this.getSensitiveDataFindings( xamlDoc ).forEach( function( finding ) {
+      findings.push( self.createFinding( workflowPath, finding.location, finding ) );
+    } );
+
+    this.workflows.set( workflowPath, findings );
+
+    return findings;
+  }
+
+  /**
+   * Get the values set on the properties of the activities in a workflow.
+   *
+   * The values are the attributes of each activity and the arguments in its property elements. An argument keyed by
+   * name, such as an argument of an invoked workflow, uses the key as the name, and the value of an Assign activity
+   * uses the expression it is assigned to.
+   *
+   * @param {DomParser} xamlDoc The XAML code represented as an XML DOMParser object.
+   * @returns {Array} The list of values, each with the display name of the activity, the property, the name used to
+   * check for secrets, and the value as written in the XAML code.
+   * @since 1.1.0
+   */
+  getActivityValues( xamlDoc ) {
+
+    const processor = this.processor;
+    const values = [];
+
+    let rootElement = processor.getRootActivity( xamlDoc );
+
+    let isActivity = function( element ) {
+      return !element.localName.includes( "." ) && processor.isActivityElement( element );
+    };
+
+    let getActivity = function( element ) {
+      let parent = element.parentNode;
+
+      while ( parent && parent.nodeType === parent.ELEMENT_NODE &&
+        !isActivity( parent ) ) {
+        parent = parent.parentNode;
+      }
+
+      return parent;
+    };
+
+    [ rootElement ].concat( processor.xpath( ".//*", rootElement ) ).filter( isActivity ).forEach(
+      function( activityElement ) {
+        let displayName = activityElement.getAttribute( "DisplayName" ) || activityElement.localName;
+        let prefix = activityElement.localName + ".";
+
+        // Attributes with a prefix, such as the annotation and view state, are set by Studio.
+        Array.from( activityElement.attributes ).forEach( function( attribute ) {
+          if ( !attribute.name.includes( ":" ) ) {
+            values.push( {
+              "displayName": displayName,
+              "property": attribute.name,
+              "name": attribute.name,
+              "value": attribute.value
+            } );
+          }
+        } );
+
+        Array.from( activityElement.childNodes ).forEach( function( propertyElement ) {
+          if ( propertyElement.nodeType !== propertyElement.ELEMENT_NODE ||
+            !propertyElement.localName.startsWith( prefix ) ) {
+            return;
+          }
+
+          let property = propertyElement.localName.substring( prefix.length );
+          let name = property;
+
+          if ( activityElement.localName === "Assign" && property === "Value" ) {
+            name = processor.getActivityProperty( activityElement, "To" ).replace( /^\[|\]$/g, "" );
+          }
+
+          processor.xpath( ".//*", propertyElement ).forEach( function( argumentElement ) {
+            if ( !argumentElement.localName.endsWith( "Argument" ) ||
+              getActivity( argumentElement ) !== activityElement ) {
+              return;
+            }
+
+            // Expressions in C# projects are elements, rather than text in square brackets.
+            let value = argumentElement.textContent;
+
+            if ( Array.from( argumentElement.childNodes ).some( function( child ) {
+              return child.nodeType === child.ELEMENT_NODE;
+            } ) ) {
+              value = "[" + value.trim() + "]";
+            }
+
+            values.push( {
+              "displayName": displayName,
+              "property": property,
+              "name": argumentElement.getAttribute( "x:Key" ) || name,
+              "value": value
+            } );
+          } );
+        } );
+      }
+    );
+
+    return values;
+  }
+
+  /**
+   * Get the findings for Type Into and log activities that use names covered by the excluded logged data of the
+   * project.
+   *
+   * The text typed by a Type Into activity is not protected, unlike the Type Secure Text activity, and the values
+   * used by log activities are written to the logs.
+   *
+   * @param {DomParser} xamlDoc The XAML code represented as an XML DOMParser object.
+   * @returns {Array} The findings, each with the location, severity, rule, description and excerpt.
+   * @since 1.1.0
+   */
+  getSensitiveDataFindings( xamlDoc ) {
+
+    const self = this;
+    const processor = this.processor;
+    const findings = [];
+
+    let addFindings = function( rule, displayName, names, location ) {
+      names.forEach( function( name ) {
+        let pattern = self.projectInfo.getExcludedLoggedDataPattern( name );
+
+        if ( pattern !== null ) {
+          let finding = self.createRuleFinding( rule, [ displayName, name, pattern ] );
+
+          finding.location = location;
+          findings.push( finding );
+        }
+      } );
+    };
+
+    processor.xpath(
+      "/xaml:Activity//*[local-name()='TypeInto' or local-name()='NTypeInto']",
+      xamlDoc
+    ).forEach( function( activityElement ) {
+      let displayName = activityElement.getAttribute( "DisplayName" ) || activityElement.localName;
+      let text = processor.getActivityProperty( activityElement, "Text", false );
+
+      addFindings(
+        "typeIntoSensitive",
+        displayName,
+        processor.getExpressionIdentifiers( text ),
+        util.format( "Property 'Text' of activity '%s'", displayName )
+      );
+    } );
+
+    processor.getLogMessages( xamlDoc ).forEach( function( logMessage ) {
+      let names = logMessage.identifiers.slice();
+
+      if ( logMessage.activity === "RemoveLogFields" ) {
+        return;
+      }
+
+      // The names of the fields added to the logs are written to every log message.
+      logMessage.fields.forEach( function( field ) {
+        if ( !names.includes( field.name ) ) {
+          names.push( field.name );
+        }
+      } );
+
+      addFindings(
+        "logSensitive",
+        logMessage.displayName,
+        names,
+        util.format(
+          "Property '%s' of activity '%s'",
+          logMessage.activity === "LogMessage" ? "Message" : "Fields",
+          logMessage.displayName
+        )
+      );
+    } );
+
+    return findings;
+  }
+
+  /**
+   * Get the findings for a value set on an argument, variable or activity property.
+   *
+   * A value assigned to a name that looks like a password or secret is reported if it is a literal, rather than an
+   * expression that reads the value from elsewhere. The text of the literal, and of the string literals in an
+   * expression, is checked for tokens, connection strings and URLs with embedded credentials. Email addresses are
+   * only reported in the properties that hold values, rather than in names and descriptions such as DisplayName.
+   *
+   * @param {string} name The name of the argument, variable or property.
+   * @param {string} property The property the value is set on, which is Default for an argument or variable.
+   * @param {string} value The value as written in the XAML code.
+   * @returns {Array} The findings, each with the severity, rule, description and excerpt.
+   * @since 1.1.0
+   */
+  getValueFindings( name, property, value ) {
+
+    const self = this;
+    const findings = [];
+
+    let literal = this.getLiteral( value );
+
+    if ( literal !== null && literal !== "" && this.isSecretName( name ) ) {
+      findings.push( this.createRuleFinding( "password", [ name ], literal ) );
+    }
+
+    this.getStringLiterals( value ).forEach( function( text ) {
+      SecretScanner.tokenPatterns.forEach( function( token ) {
+        let match = token.pattern.exec( text );
+
+        if ( match !== null ) {
+          findings.push( self.createRuleFinding( "token", [ token.name ], match[ 0 ] ) );
+        }
+      } );
+
+      let hasCredentials = /\b[a-z][\w+.-]*:\/\/[^\s/:@]+:[^\s/@]+@/i.exec( text );
+
+      if ( hasCredentials !== null ) {
+        findings.push( self.createRuleFinding( "urlCredentials", [], hasCredentials[ 0 ] ) );
+      } else if ( SecretScanner.valueProperties.includes( property ) ) {
+        let email = /[\w.%+-]+@[\w-]+\.[\w.-]*[a-z]{2,}/i.exec( text );
+
+        if ( email !== null ) {
+          findings.push( self.createRuleFinding( "emailAddress", [], email[ 0 ] ) );
+        }
+      }
+
+      if ( /(?:^|;)\s*(?:data source|server|host|dsn|driver)\s*=/i.test( text ) ) {
+        let embedded = /(?:^|;)\s*(?:password|pwd)\s*=\s*([^;\s][^;]*)/i.exec( text );
+
+        if ( embedded !== null ) {
+          findings.push(
+            self.createRuleFinding( "connectionStringPassword", [], embedded[ 1 ] )
+          );
+        } else {
+          findings.push( self.createRuleFinding( "connectionString", [], text ) );
+        }
+      }
+    } );
+
+    return findings;
+  }
+
+  /**
+   * Get the text of a value that is a literal, rather than an expression.
+   *
+   * @param {string} value The value as written in the XAML code, such as P@ssw0rd or ["P@ssw0rd"].
+   * @returns {string|null} The text of the literal, or null if the value is an expression or markup extension.
+   * @since 1.1.0
+   */
+  getLiteral( value ) {
+
+    let text = value.trim();
+
+    if ( text.startsWith( "{" ) ) {
+      return null;
+    }
+
+    if ( !text.startsWith( "[" ) || !text.endsWith( "]" ) ) {
+      return text;
+    }
+
+    let literals = this.getStringLiterals( text );
+    let code = text.substring( 1, text.length - 1 ).trim();
+
+    if ( literals.length === 1 && code === "\"" + literals[ 0 ].replace( /"/g, "\"\"" ) + "\"" ) {
+      return literals[ 0 ];
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the text of a literal value, or the text of the string literals in an expression.
+   *
+   * @param {string} value The value as written in the XAML code.
+   * @returns {Array} The text of each literal, with escaped quotes replaced.
+   * @since 1.1.0
+   */
+  getStringLiterals( value ) {
+
+    let text = value.trim();
+
+    if ( text === "" || text.startsWith( "{" ) ) {
+      return [];
+    }
+
+    if ( !text.startsWith( "[" ) || !text.endsWith( "]" ) ) {
+      return [ text ];
+    }
+
+    let literals = [];
+    let current = null;
+
+    for ( let index = 1; index < text.length - 1; index++ ) {
+      let character = text.charAt( index );
+
+      if ( current === null ) {
+        if ( character === "\"" ) {
+          current = "";
+        }
+      } else if ( character !== "\"" ) {
+        current += character;
+      } else if ( text.charAt( index + 1 ) === "\"" ) {
+
+        // A doubled quote is an escaped quote in Visual Basic.
+        current += character;
+        index++;
+      } else {
+        literals.push( current );
+        current = null;
+      }
+    }
+
+    return literals;
+  }
+
+  /**
+   * Return a flag indicating if a name looks like it holds a password or secret.
+   *
+   * Names that include one of SecretScanner.secretNames, or match the excluded logged data of the project, are
+   * secret unless they end with one of SecretScanner.referenceSuffixes, such as the name of a credential asset.
+   *
+   * @param {string} name The name of the argument, variable or property.
+   * @returns {boolean} True if the name looks like a secret, false if it does not.
+   * @since 1.1.0
+   */
+  isSecretName( name ) {
+
+    let value = name.toLowerCase();
+
+    let isReference = SecretScanner.referenceSuffixes.some( function( suffix ) {
+      return value.endsWith( suffix );
+    } );
+
+    if ( isReference ) {
+      return false;
+    }
+
+    return this.projectInfo.getExcludedLoggedDataPattern( name ) !== null ||
+      SecretScanner.secretNames.some( function( secretName ) {
+        return value.includes( secretName );
+      } );
+  }
+
+  /**
+   * Create a finding for one of the rules in SecretScanner.rules.
+   *
+   * The value that was found is masked, so the report does not repeat the secret.
+   *
+   * @param {string} rule The id of the rule.
+   * @param {Array} values The values used in the description of the rule.
+   * @param {string} excerpt Optional value that was found, which is masked.
+   * @returns {object} The finding, with the severity, rule, description and masked excerpt.
+   * @since 1.1.0
+   */
+  createRuleFinding( rule, values, excerpt = "" ) {
+
+    let definition = SecretScanner.rules.get( rule );
+
+    return {
+      "severity": definition.severity,
+      "rule": rule,
+      "description": util.format( definition.description, ...values ),
+      "excerpt": excerpt === "" ? "" : this.mask( excerpt )
+    };
+  }
+
+  /**
+   * Add the workflow and location to a finding.
+   *
+   * @param {string} workflowPath The project relative path of the workflow.
+   * @param {string} location The argument, variable or property where the finding was found.
+   * @param {object} finding The finding, with the severity, rule, description and excerpt.
+   * @returns {object} The finding with the workflow and location.
+   * @since 1.1.0
+   */
+  createFinding( workflowPath, location, finding ) {
+    return {
+      "workflow": workflowPath,
+      "severity": finding.severity,
+      "rule": finding.rule,
+      "location": location,
+      "description": finding.description,
+      "excerpt": finding.excerpt
+    };
+  }
+
+  /**
+   * Mask a value, leaving the first characters so the value can be found in the workflow.
+   *
+   * @param {string} value The value to mask.
+   * @returns {string} The masked value.
+   * @since 1.1.0
+   */
+  mask( value ) {
+
+    let visible = value.length > 8 ? 3 : 1;
+
+    return value.substring( 0, visible ) + "*".repeat( Math.min( value.length - visible, 8 ) );
+  }
+
+  /**
+   * Get the findings of the workflows in the report.
+   *
+   * @param {string} minimumSeverity Optional severity, only findings of this severity or higher are returned.
+   * @returns {Array} The findings, sorted by the project relative path of the workflow.
+   * @throws {TypeError} Parameter minimumSeverity must be one of the values in SecretScanner.severities.
+   * @since 1.1.0
+   */
+  getFindings( minimumSeverity = SecretScanner.severities[ 0 ] ) {
+
+    if ( !SecretScanner.severities.includes( minimumSeverity ) ) {
+      throw new TypeError(
+        "minimumSeverity parameter must be one of " + SecretScanner.severities.join( ", " )
+      );
+    }
+
+    const self = this;
+
+    let minimum = SecretScanner.severities.indexOf( minimumSeverity );
+    let findings = [];
+
+    Array.from( this.workflows.keys() ).sort().forEach( function( workflowPath ) {
+      let workflowFindings = self.workflows.get( workflowPath );
+
+      findings = findings.concat( workflowFindings.filter( function( finding ) {
+        return SecretScanner.severities.indexOf( finding.severity ) >= minimum;
+      } ) );
+    } );
+
+    return findings;
+  }
+
+  /**
+   * Get the number of findings of each severity.
+   *
+   * @returns {object} The number of findings keyed by severity.
+   * @since 1.1.0
+   */
+  getSummary() {
+
+    let findings = this.getFindings();
+
+    return Object.fromEntries( SecretScanner.severities.map( function( severity ) {
+      return [ severity, findings.filter( function( finding ) {
+        return finding.severity === severity;
+      } ).length ];
+    } ) );
+  }
+
+  /**
+   * Return a flag indicating if there are findings of a severity or higher.
+   *
+   * @param {string} minimumSeverity Optional severity, only findings of this severity or higher are counted.
+   * @returns {boolean} True if there are findings, false if there are not.
+   * @throws {TypeError} Parameter minimumSeverity must be one of the values in SecretScanner.severities.
+   * @since 1.1.0
+   */
+  hasFindings( minimumSeverity = SecretScanner.severities[ 0 ] ) {
+    return this.getFindings( minimumSeverity ).length > 0;
+  }
+
+  /**
+   * Return a plain object representation of the report, suitable for serialising as JSON.
+   *
+   * @returns {object} The report as a plain object.
+   * @since 1.1.0
+   */
+  toJSON() {
+    return {
+      "name": this.projectInfo.getName(),
+      "projectVersion": this.projectInfo.getVersion(),
+      "summary": this.getSummary(),
+      "findings": this.getFindings()
+    };
+  }
+}
+
+/**
+ * The severities of the findings, from lowest to highest.
+ *
+ * @type {Array}
+ */
+SecretScanner.severities = [ "low", "medium", "high" ];
+
+/**
+ * The rules used to scan the workflows, each with the severity and the format of the description.
+ *
+ * @type {Map}
+ */
+SecretScanner.rules = new Map( [
+  [ "password", {
+    "severity": "high",
+    "description": "A hard-coded value is assigned to '%s', which looks like a password or secret"
+  } ],
+  [ "token", { "severity": "high", "description": "The value contains a hard-coded %s" } ],
+  [ "connectionStringPassword", {
+    "severity": "high",
+    "description": "The value is a connection string with an embedded password"
+  } ],
+  [ "urlCredentials", {
+    "severity": "high",
+    "description": "The value contains a URL with an embedded user name and password"
+  } ],
+  [ "typeIntoSensitive", {
+    "severity": "medium",
+    "description": "The activity '%s' types '%s', which matches the excluded logged data pattern '%s', " +
+      "as plain text instead of using Type Secure Text"
+  } ],
+  [ "logSensitive", {
+    "severity": "medium",
+    "description": "The activity '%s' logs '%s', which matches the excluded logged data pattern '%s'"
+  } ],
+  [ "connectionString", { "severity": "low", "description": "The value is a hard-coded connection string" } ],
+  [ "emailAddress", { "severity": "low", "description": "The value contains a hard-coded email address" } ]
+] );
+
+/**
+ * The tokens and keys found in values, each with the name used in the description and the pattern to find.
+ *
+ * @type {Array}
+ */
+SecretScanner.tokenPatterns = [
+  { "name": "private key", "pattern": /-----BEGIN [A-Z ]*PRIVATE KEY-----/ },
+  { "name": "JSON Web Token", "pattern": /\beyJ[\w-]{10,}\.eyJ[\w-]{10,}\.[\w-]+/ },
+  { "name": "AWS access key", "pattern": /\bAKIA[0-9A-Z]{16}\b/ },
+  { "name": "GitHub token", "pattern": /\bgh[oprsu]_[A-Za-z0-9]{36}\b/ },
+  { "name": "Slack token", "pattern": /\bxox[abprs]-[A-Za-z0-9-]{10,}/ },
+  { "name": "bearer token", "pattern": /\bBearer\s+[\w.~+/-]{20,}/i }
+];
+
+/**
+ * The parts of names, in lower case, that indicate the value is a password or secret.
+ *
+ * @type {Array}
+ */
+SecretScanner.secretNames = [ "password", "passwd", "pwd", "secret", "token", "apikey", "api_key", "privatekey" ];
+
+/**
+ * The endings of names, in lower case, that indicate the value refers to a secret stored elsewhere, such as the name
+ * of a credential asset or the path to a file, rather than being the secret.
+ *
+ * @type {Array}
+ */
+SecretScanner.referenceSuffixes = [ "name", "asset", "path", "file", "folder", "url" ];
+
+/**
+ * The properties that hold values, where email addresses are reported. The Text property is used by activities such
+ * as Type Into and the To property by the activities that send email.
+ *
+ * @type {Array}
+ */
+SecretScanner.valueProperties = [ "Default", "Value", "Text", "To" ];
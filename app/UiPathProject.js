@@ -1,6 +1,12 @@
+import { NupkgArchive } from "./NupkgArchive.js";
+import { PackageDependency } from "./PackageDependency.js";
+import { XamlTypeParser } from "./XamlTypeParser.js";
+
 import * as path from "path";
 import * as fs from "fs";
 import * as glob from "glob";
+import * as util from "util";
+import minimatch from "minimatch";
 
 /**
  * Represents the information contained in the UiPath project.json file.
@@ -13,9 +19,12 @@ export class UiPathProject {
    *
    * Parse the project.json file that contains information about the UiPath project. To be exposed by the methods of this class.
    *
-   * @param {string} projectPath Path to the root directory of the UiPath project.
+   * The project path can also be the path to a .nupkg file, such as a published library. The information about the
+   * project is then read from the .nuspec file, and the workflow files are read from the package.
+   *
+   * @param {string} projectPath Path to the root directory of the UiPath project, or to a .nupkg file.
    * @throws {TypeError} Parameter projectPath is required and must be a string.
-   * @throws {Error} Reading or parsing the project.json file fails.
+   * @throws {Error} Reading or parsing the project.json file, or the .nupkg file, fails.
    * @since 1.0.0
    */
   constructor( projectPath ) {
@@ -23,8 +32,16 @@ export class UiPathProject {
       throw new TypeError( "projectPath parameter is required and must be a string" );
     }
 
-    // eslint-disable-next-line security/detect-non-literal-fs-filename
-    this.fileContents = JSON.parse( fs.readFileSync( path.join( projectPath, "project.json" ) ) );
+    this.archive = null;
+
+    if ( NupkgArchive.isArchivePath( projectPath ) ) {
+      this.archive = new NupkgArchive( projectPath );
+      this.fileContents = this.archive.getProjectContents();
+    } else {
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      this.fileContents = JSON.parse( fs.readFileSync( path.join( projectPath, "project.json" ) ) );
+    }
 
     this.projectPath = projectPath;
   }
@@ -71,6 +88,20 @@ export class UiPathProject {
     }
   }
 
+  /**
+   * Return the project type of the UiPath project.
+   *
+   * @returns {string} The project type of the UiPath project or an empty string if it is not found.
+   * @since 1.1.0
+   */
+  getProjectType() {
+    if ( typeof( this.fileContents.projectType ) === "undefined" ) {
+      return "";
+    } else {
+      return this.fileContents.projectType.toString();
+    }
+  }
+
   /**
    * Return a flag indicating if this project is a library or not.
    *
@@ -113,7 +144,303 @@ export class UiPathProject {
    * @since 1.0.0
    */
   getDependencies() {
-    return new Map( Object.entries( this.fileContents.dependencies ) );
+    return new Map( Object.entries( this.fileContents.dependencies || {} ) );
+  }
+
+  /**
+   * Return the NuGet packages that are dependencies for the UiPath project, with their version ranges parsed.
+   *
+   * Dependencies with a version range that is not valid are left out, the getDependencyWarnings method reports them.
+   *
+   * @returns {Array} An array of PackageDependency objects.
+   * @since 1.1.0
+   */
+  getPackageDependencies() {
+
+    let dependencies = [];
+
+    this.getDependencies().forEach( function( range, id ) {
+      try {
+        dependencies.push( new PackageDependency( id, String( range ) ) );
+      } catch ( err ) {
+
+        // Reported by the getDependencyWarnings method.
+      }
+    } );
+
+    return dependencies;
+  }
+
+  /**
+   * Return the problems found with the dependencies of the UiPath project.
+   *
+   * A warning is returned for each version range that is not valid, and for each prerelease dependency of a project
+   * that does not have a prerelease version, as the project may not be ready for release.
+   *
+   * @returns {Array} An array of warnings, each with the id of the package and the reason.
+   * @since 1.1.0
+   */
+  getDependencyWarnings() {
+
+    let warnings = [];
+    let isPrerelease = PackageDependency.isPrereleaseVersion( this.getVersion() );
+
+    this.getDependencies().forEach( function( range, id ) {
+      let dependency = null;
+
+      try {
+        dependency = new PackageDependency( id, String( range ) );
+      } catch ( err ) {
+        warnings.push( { "id": id, "reason": err.message } );
+        return;
+      }
+
+      if ( !isPrerelease && dependency.isPrerelease() ) {
+        warnings.push( {
+          "id": id,
+          "reason": util.format(
+            "The prerelease version '%s' of the package '%s' is used by a project that is not a prerelease",
+            dependency.getRange(),
+            id
+          )
+        } );
+      }
+    } );
+
+    return warnings;
+  }
+
+  /**
+   * Return the file name of the main workflow of the UiPath project.
+   *
+   * @returns {string} The path to the main workflow, relative to the project, or an empty string if it is not found.
+   * @since 1.1.0
+   */
+  getMain() {
+    return this.getSetting( "main" );
+  }
+
+  /**
+   * Return the version of UiPath Studio last used to save the UiPath project.
+   *
+   * @returns {string} The version of UiPath Studio or an empty string if it is not found.
+   * @since 1.1.0
+   */
+  getStudioVersion() {
+    return this.getSetting( "studioVersion" );
+  }
+
+  /**
+   * Return the version of the schema used by the project.json file.
+   *
+   * @returns {string} The version of the schema or an empty string if it is not found.
+   * @since 1.1.0
+   */
+  getSchemaVersion() {
+    return this.getSetting( "schemaVersion" );
+  }
+
+  /**
+   * Return the target framework of the UiPath project, for example Legacy, Windows or Portable.
+   *
+   * @returns {string} The target framework or an empty string if it is not found.
+   * @since 1.1.0
+   */
+  getTargetFramework() {
+    return this.getSetting( "targetFramework" );
+  }
+
+  /**
+   * Return the language used for the expressions in the workflows, for example VisualBasic or CSharp.
+   *
+   * @returns {string} The expression language or an empty string if it is not found.
+   * @since 1.1.0
+   */
+  getExpressionLanguage() {
+    return this.getSetting( "expressionLanguage" );
+  }
+
+  /**
+   * Return the entry points of the UiPath project, the workflows that can be started by Orchestrator.
+   *
+   * The types of the arguments are converted from assembly qualified names to .NET type names.
+   *
+   * @returns {Array} An array of entry points, each with the file path, unique id, and input and output arguments.
+   * Each argument has a name, type, and flags indicating if it is required and if it has a default value.
+   * @since 1.1.0
+   */
+  getEntryPoints() {
+
+    if ( !Array.isArray( this.fileContents.entryPoints ) ) {
+      return [];
+    }
+
+    const parser = new XamlTypeParser();
+
+    let getArguments = function( entryArguments ) {
+
+      if ( !Array.isArray( entryArguments ) ) {
+        return [];
+      }
+
+      return entryArguments.map( function( entryArgument ) {
+        let type = String( entryArgument.type || "" );
+
+        try {
+          type = parser.getClrTypeName( type );
+        } catch ( err ) {
+
+          // Show the type as it appears in the project.json file.
+        }
+
+        return {
+          "name": String( entryArgument.name || "" ),
+          "type": type,
+          "required": entryArgument.required === true,
+          "hasDefault": entryArgument.hasDefault === true
+        };
+      } );
+    };
+
+    return this.fileContents.entryPoints.map( function( entryPoint ) {
+      return {
+        "filePath": String( entryPoint.filePath || "" ),
+        "uniqueId": String( entryPoint.uniqueId || "" ),
+        "input": getArguments( entryPoint.input ),
+        "output": getArguments( entryPoint.output )
+      };
+    } );
+  }
+
+  /**
+   * Return the runtime options of the UiPath project, which control how Orchestrator runs the project.
+   *
+   * @returns {object} The runtime options, or an empty object if they are not found.
+   * @since 1.1.0
+   */
+  getRuntimeOptions() {
+    return this.getSettingsObject( this.fileContents.runtimeOptions );
+  }
+
+  /**
+   * Return the patterns of the variable and argument names whose values are not logged.
+   *
+   * @returns {Array} An array of patterns, for example Private:* and *password*.
+   * @since 1.1.0
+   */
+  getExcludedLoggedData() {
+
+    let excludedLoggedData = this.getRuntimeOptions().excludedLoggedData;
+
+    if ( !Array.isArray( excludedLoggedData ) ) {
+      return [];
+    }
+
+    return excludedLoggedData.map( function( pattern ) {
+      return String( pattern );
+    } );
+  }
+
+  /**
+   * Get the pattern of the excluded logged data that matches the name of a variable, argument or log field.
+   *
+   * The patterns are glob patterns matched ignoring case, so an asterisk matches any number of characters.
+   *
+   * @param {string} name The name to check.
+   * @returns {string|null} The first matching pattern, or null if the name is not excluded.
+   * @since 1.1.0
+   */
+  getExcludedLoggedDataPattern( name ) {
+
+    let pattern = this.getExcludedLoggedData().find( function( excludedPattern ) {
+      return minimatch( name, excludedPattern, { "nocase": true } );
+    } );
+
+    return typeof pattern === "undefined" ? null : pattern;
+  }
+
+  /**
+   * Return a flag indicating if the original XAML files are included when the library is published.
+   *
+   * Newer versions of UiPath Studio store the library options in the design options.
+   *
+   * @returns {boolean} True if the original XAML files are included, false if they are not.
+   * @since 1.1.0
+   */
+  getIncludeOriginalXaml() {
+
+    let libraryOptions = this.getSettingsObject( this.fileContents.libraryOptions );
+
+    if ( typeof libraryOptions.includeOriginalXaml === "undefined" ) {
+      libraryOptions = this.getSettingsObject( this.getDesignOptions().libraryOptions );
+    }
+
+    return libraryOptions.includeOriginalXaml === true;
+  }
+
+  /**
+   * Return the design options of the UiPath project, used by UiPath Studio.
+   *
+   * @returns {object} The design options, or an empty object if they are not found.
+   * @since 1.1.0
+   */
+  getDesignOptions() {
+    return this.getSettingsObject( this.fileContents.designOptions );
+  }
+
+  /**
+   * Return the web services referenced by the UiPath project.
+   *
+   * @returns {Array} An array of web services, each with the namespace, service document and web reference URL.
+   * @since 1.1.0
+   */
+  getWebServices() {
+
+    if ( !Array.isArray( this.fileContents.webServices ) ) {
+      return [];
+    }
+
+    return this.fileContents.webServices.map( function( webService ) {
+      return {
+        "namespace": String( webService.namespace || "" ),
+        "serviceDocument": String( webService.serviceDocument || "" ),
+        "webReferenceUrl": String( webService.webReferenceUrl || "" )
+      };
+    } );
+  }
+
+  /**
+   * Return a setting from the project.json file as a string.
+   *
+   * @param {string} name The name of the setting.
+   * @returns {string} The value of the setting or an empty string if it is not found.
+   * @since 1.1.0
+   */
+  getSetting( name ) {
+
+    let settings = new Map( Object.entries( this.fileContents ) );
+
+    if ( !settings.has( name ) || settings.get( name ) === null ) {
+      return "";
+    }
+
+    return settings.get( name ).toString();
+  }
+
+  /**
+   * Return a group of settings from the project.json file.
+   *
+   * @param {object} settings The group of settings.
+   * @returns {object} The group of settings, or an empty object if it is not an object.
+   * @since 1.1.0
+   */
+  getSettingsObject( settings ) {
+
+    if ( typeof settings !== "object" || settings === null || Array.isArray( settings ) ) {
+      return {};
+    }
+
+    return settings;
   }
 
   /**
@@ -132,6 +459,26 @@ export class UiPathProject {
     return this.fullProjectPath;
   }
 
+  /**
+   * Return a flag indicating if the project is read from a .nupkg file.
+   *
+   * @returns {boolean} True if the project is read from a .nupkg file, false if it is a project folder.
+   * @since 1.1.0
+   */
+  isPackage() {
+    return this.archive !== null;
+  }
+
+  /**
+   * Get the package the project is read from, so the workflow files can be read without opening it again.
+   *
+   * @returns {NupkgArchive|null} The package, or null if the project is read from a project folder.
+   * @since 1.1.0
+   */
+  getArchive() {
+    return this.archive;
+  }
+
   /**
    * Return an array of XAML files found in the UiPath project folder.
    *
@@ -142,14 +489,25 @@ export class UiPathProject {
    */
   getXamlFiles( recursive = false, publicOnly = false ) {
 
-    let globPattern = path.join( this.getProjectPath(), "*.xaml" );
+    let fileList = [];
 
-    if ( recursive ) {
-      globPattern = path.join( this.getProjectPath(), "**/*.xaml" );
-    }
+    if ( this.isPackage() ) {
+      const projectPath = this.getProjectPath();
 
-    // Get a list of files in the target directory.
-    let fileList = glob.sync( globPattern );
+      // Get a list of files in the package, in the content folder only if not recursive.
+      fileList = this.archive.getXamlFiles().filter( function( filePath ) {
+        return recursive || path.dirname( filePath ) === projectPath;
+      } );
+    } else {
+      let globPattern = path.join( this.getProjectPath(), "*.xaml" );
+
+      if ( recursive ) {
+        globPattern = path.join( this.getProjectPath(), "**/*.xaml" );
+      }
+
+      // Get a list of files in the target directory.
+      fileList = glob.sync( globPattern );
+    }
 
     // Filter the list of files to exclude temporary files
     fileList = fileList.filter( function( element ) {
@@ -0,0 +1,381 @@
+import { UiPathProject } from "./UiPathProject.js";
+import { WorkflowMetadata } from "./WorkflowMetadata.js";
+
+import * as path from "path";
+import * as util from "util";
+
+/**
+ * Represents the graph of workflows invoked by other workflows in a UiPath project.
+ */
+export class WorkflowGraph {
+
+  /**
+   * Construct a new object.
+   *
+   * @param {UiPathProject} projectInfo The information about the UiPath project.
+   * @throws {TypeError} Parameter projectInfo is required and must be a UiPathProject object.
+   * @since 1.1.0
+   */
+  constructor( projectInfo ) {
+
+    if ( !projectInfo || !( projectInfo instanceof UiPathProject ) ) {
+      throw new TypeError( "projectInfo parameter is required and must be a UiPathProject object" );
+    }
+
+    this.projectInfo = projectInfo;
+
+    // Index the workflow files using the full path for cross platform comparison.
+    this.xamlFiles = new Set( projectInfo.getXamlFiles( true ).map( function( xamlFile ) {
+      return path.resolve( xamlFile );
+    } ) );
+
+    let publicFiles = projectInfo.getXamlFiles( true, true );
+
+    this.publicFiles = new Set( publicFiles.map( function( xamlFile ) {
+      return path.resolve( xamlFile );
+    } ) );
+
+    this.workflows = new Map();
+  }
+
+  /**
+   * Add the metadata of a workflow to the graph.
+   *
+   * @param {WorkflowMetadata} metadata The metadata extracted from a workflow.
+   * @throws {TypeError} Parameter metadata is required and must be a WorkflowMetadata object.
+   * @since 1.1.0
+   */
+  addWorkflow( metadata ) {
+
+    if ( !metadata || !( metadata instanceof WorkflowMetadata ) ) {
+      throw new TypeError( "metadata parameter is required and must be a WorkflowMetadata object" );
+    }
+
+    this.workflows.set( path.resolve( metadata.getFilePath() ), metadata );
+  }
+
+  /**
+   * Get the list of workflows in the graph.
+   *
+   * @returns {Map} A map of WorkflowMetadata objects keyed by the full path to the XAML file.
+   * @since 1.1.0
+   */
+  getWorkflows() {
+    return this.workflows;
+  }
+
+  /**
+   * Return a flag indicating if a workflow is public.
+   *
+   * @param {string} filePath The path to the XAML file.
+   * @returns {boolean} True if the workflow is public, false if it is not.
+   * @since 1.1.0
+   */
+  isPublic( filePath ) {
+    return this.publicFiles.has( path.resolve( filePath ) );
+  }
+
+  /**
+   * Resolve the file name used by an Invoke Workflow File activity to a XAML file in the project.
+   *
+   * @param {string} workflowFileName The file name, relative to the UiPath project directory.
+   * @returns {string|null} The full path to the XAML file, or null if it is not part of the project.
+   * @throws {TypeError} Parameter workflowFileName is required and must be a string.
+   * @since 1.1.0
+   */
+  resolveWorkflowFile( workflowFileName ) {
+
+    if ( !workflowFileName || typeof workflowFileName !== "string" ) {
+      throw new TypeError( "workflowFileName parameter is required and must be a string" );
+    }
+
+    // UiPath Studio uses Windows path separators.
+    let filePath = path.resolve(
+      this.projectInfo.getProjectPath(),
+      workflowFileName.split( "\\" ).join( "/" )
+    );
+
+    if ( this.xamlFiles.has( filePath ) ) {
+      return filePath;
+    } else {
+      return null;
+    }
+  }
+
+  /**
+   * Get the list of workflows invoked by a workflow.
+   *
+   * @param {WorkflowMetadata} metadata The metadata extracted from a workflow.
+   * @returns {Array} The invoked workflows, with the resolved file path and metadata if available.
+   * @throws {TypeError} Parameter metadata is required and must be a WorkflowMetadata object.
+   * @since 1.1.0
+   */
+  getCalls( metadata ) {
+
+    if ( !metadata || !( metadata instanceof WorkflowMetadata ) ) {
+      throw new TypeError( "metadata parameter is required and must be a WorkflowMetadata object" );
+    }
+
+    let self = this;
+
+    return metadata.getInvokedWorkflows().map( function( invokedWorkflow ) {
+      let filePath = self.resolveWorkflowFile( invokedWorkflow.workflowFileName );
+      let target = null;
+
+      if ( filePath !== null && self.workflows.has( filePath ) ) {
+        target = self.workflows.get( filePath );
+      }
+
+      return {
+        "workflowFileName": invokedWorkflow.workflowFileName,
+        "displayName": invokedWorkflow.displayName,
+        "arguments": invokedWorkflow.arguments,
+        "filePath": filePath,
+        "metadata": target
+      };
+    } );
+  }
+
+  /**
+   * Get the list of workflows that invoke a workflow.
+   *
+   * @param {WorkflowMetadata} metadata The metadata extracted from a workflow.
+   * @returns {Array} An array of WorkflowMetadata objects for the calling workflows.
+   * @throws {TypeError} Parameter metadata is required and must be a WorkflowMetadata object.
+   * @since 1.1.0
+   */
+  getCalledBy( metadata ) {
+
+    if ( !metadata || !( metadata instanceof WorkflowMetadata ) ) {
+      throw new TypeError( "metadata parameter is required and must be a WorkflowMetadata object" );
+    }
+
+    let filePath = path.resolve( metadata.getFilePath() );
+    let callers = [];
+    let self = this;
+
+    this.workflows.forEach( function( caller ) {
+      let isCaller = self.getCalls( caller ).some( function( call ) {
+        return call.filePath === filePath;
+      } );
+
+      if ( isCaller ) {
+        callers.push( caller );
+      }
+    } );
+
+    return callers;
+  }
+
+  /**
+   * Get the list of workflows run by a set of workflows, including the workflows themselves and every workflow they
+   * invoke directly or indirectly.
+   *
+   * @param {Array} roots An array of WorkflowMetadata objects for the workflows to start from.
+   * @returns {Array} An array of WorkflowMetadata objects, each workflow is only included once.
+   * @throws {TypeError} Parameter roots is required and must be an array.
+   * @since 1.1.0
+   */
+  getReachableWorkflows( roots ) {
+
+    if ( !Array.isArray( roots ) ) {
+      throw new TypeError( "roots parameter is required and must be an array" );
+    }
+
+    let self = this;
+    let reachable = new Map();
+    let pending = roots.slice();
+
+    while ( pending.length > 0 ) {
+      let metadata = pending.shift();
+      let filePath = path.resolve( metadata.getFilePath() );
+
+      if ( reachable.has( filePath ) ) {
+        continue;
+      }
+
+      reachable.set( filePath, metadata );
+
+      self.getCalls( metadata ).forEach( function( call ) {
+        if ( call.metadata !== null ) {
+          pending.push( call.metadata );
+        }
+      } );
+    }
+
+    return Array.from( reachable.values() );
+  }
+
+  /**
+   * Get the Orchestrator assets, credentials and queues required to run a set of workflows, including the objects
+   * used by the workflows they invoke.
+   *
+   * Objects are identified by their type, name and folder path. Objects without a name, such as the queue of a Set
+   * Transaction Status activity, are left out.
+   *
+   * @param {Array} roots An array of WorkflowMetadata objects for the workflows to start from.
+   * @returns {Array} The Orchestrator objects sorted by type and name, each with the names of the activities and the
+   * labels of the workflows that use the object.
+   * @throws {TypeError} Parameter roots is required and must be an array.
+   * @since 1.1.0
+   */
+  getOrchestratorObjects( roots ) {
+
+    let self = this;
+    let objects = new Map();
+
+    this.getReachableWorkflows( roots ).forEach( function( metadata ) {
+      let label = self.getLabel( path.resolve( metadata.getFilePath() ) );
+
+      metadata.getOrchestratorObjects().forEach( function( orchestratorObject ) {
+        if ( orchestratorObject.name === "" ) {
+          return;
+        }
+
+        let key = [ orchestratorObject.type, orchestratorObject.name, orchestratorObject.folderPath ].join( "\n" );
+
+        if ( !objects.has( key ) ) {
+          objects.set( key, {
+            "type": orchestratorObject.type,
+            "name": orchestratorObject.name,
+            "folderPath": orchestratorObject.folderPath,
+            "activities": [],
+            "workflows": []
+          } );
+        }
+
+        let entry = objects.get( key );
+
+        if ( !entry.activities.includes( orchestratorObject.activity ) ) {
+          entry.activities.push( orchestratorObject.activity );
+        }
+
+        if ( !entry.workflows.includes( label ) ) {
+          entry.workflows.push( label );
+        }
+      } );
+    } );
+
+    return Array.from( objects.entries() ).sort( function( a, b ) {
+      return a[ 0 ].localeCompare( b[ 0 ] );
+    } ).map( function( entry ) {
+      entry[ 1 ].workflows.sort();
+
+      return entry[ 1 ];
+    } );
+  }
+
+  /**
+   * Get the list of unique edges in the graph.
+   *
+   * Invoked workflows that cannot be resolved to a file in the project are identified by the file name used in the activity.
+   *
+   * @returns {Array} An array of edges, each with a from and to label relative to the UiPath project directory.
+   * @since 1.1.0
+   */
+  getEdges() {
+
+    let edges = new Map();
+    let self = this;
+
+    this.workflows.forEach( function( caller, callerPath ) {
+      self.getCalls( caller ).forEach( function( call ) {
+        let from = self.getLabel( callerPath );
+        let to = call.workflowFileName;
+
+        if ( call.filePath !== null ) {
+          to = self.getLabel( call.filePath );
+        }
+
+        edges.set( from + "\n" + to, { "from": from, "to": to } );
+      } );
+    } );
+
+    return Array.from( edges.values() );
+  }
+
+  /**
+   * Get the list of unique node labels in the graph.
+   *
+   * @returns {Array} A sorted array of labels relative to the UiPath project directory.
+   * @since 1.1.0
+   */
+  getNodes() {
+
+    let nodes = new Set();
+    let self = this;
+
+    Array.from( this.workflows.keys() ).forEach( function( filePath ) {
+      nodes.add( self.getLabel( filePath ) );
+    } );
+
+    this.getEdges().forEach( function( edge ) {
+      nodes.add( edge.from );
+      nodes.add( edge.to );
+    } );
+
+    return Array.from( nodes ).sort();
+  }
+
+  /**
+   * Get the label for a workflow file, relative to the UiPath project directory.
+   *
+   * @param {string} filePath The path to the XAML file.
+   * @returns {string} The label for the workflow file.
+   * @since 1.1.0
+   */
+  getLabel( filePath ) {
+    return path.relative( this.projectInfo.getProjectPath(), filePath ).split( path.sep ).join( "/" );
+  }
+
+  /**
+   * Output the graph as a Mermaid flowchart.
+   *
+   * @returns {string} The graph in the Mermaid syntax.
+   * @since 1.1.0
+   */
+  toMermaid() {
+
+    let nodes = this.getNodes();
+    let content = [ "flowchart LR\n" ];
+
+    nodes.forEach( function( node, index ) {
+      content.push( util.format( "  n%d[\"%s\"]\n", index, node.replace( /"/g, "#quot;" ) ) );
+    } );
+
+    this.getEdges().forEach( function( edge ) {
+      content.push(
+        util.format( "  n%d --> n%d\n", nodes.indexOf( edge.from ), nodes.indexOf( edge.to ) )
+      );
+    } );
+
+    return content.join( "" );
+  }
+
+  /**
+   * Output the graph in the Graphviz DOT language.
+   *
+   * @returns {string} The graph in the DOT language.
+   * @since 1.1.0
+   */
+  toDot() {
+
+    let content = [ "digraph workflows {\n", "  rankdir=LR;\n", "  node [shape=box];\n" ];
+
+    let quote = function( label ) {
+      return "\"" + label.replace( /\\/g, "\\\\" ).replace( /"/g, "\\\"" ) + "\"";
+    };
+
+    this.getNodes().forEach( function( node ) {
+      content.push( util.format( "  %s;\n", quote( node ) ) );
+    } );
+
+    this.getEdges().forEach( function( edge ) {
+      content.push( util.format( "  %s -> %s;\n", quote( edge.from ), quote( edge.to ) ) );
+    } );
+
+    content.push( "}\n" );
+
+    return content.join( "" );
+  }
+}
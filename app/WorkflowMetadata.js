@@ -28,6 +28,22 @@ export class WorkflowMetadata {
 
     this.arguments = new Map();
 
+    this.variables = [];
+
+    this.invokedWorkflows = [];
+
+    this.states = [];
+
+    this.transitions = [];
+
+    this.orchestratorObjects = [];
+
+    this.exceptions = [];
+
+    this.logMessages = [];
+
+    this.activityTree = null;
+
   }
 
   /**
@@ -119,8 +135,8 @@ export class WorkflowMetadata {
       "name": name.trim(),
       "direction": direction.trim(),
       "type": type.trim(),
-      "annotation": annotation.trim().replace( /[\r\n]+/, " " ),
-      "defaultValue": defaultValue.trim().replace( "[", "" ).replace( "]", "" )
+      "annotation": annotation.trim(),
+      "defaultValue": defaultValue.trim().replace( /^\[([\s\S]*)\]$/, "$1" )
     } );
   }
 
@@ -133,6 +149,403 @@ export class WorkflowMetadata {
     return this.arguments;
   }
 
+  /**
+   * Add a variable to the list of variables defined in the workflow.
+   *
+   * @param {string} name The name of the variable.
+   * @param {string} type The data type of the variable.
+   * @param {string} annotation The annotation describing the variable.
+   * @param {string} defaultValue The default value.
+   * @param {string} scope The name of the container activity that defines the variable.
+   * @since 1.1.0
+   */
+  addVariable( name, type, annotation, defaultValue, scope ) {
+
+    if ( !name || typeof name !== "string" ) {
+      throw new TypeError( "name parameter is required and must be a string" );
+    }
+
+    if ( !type || typeof type !== "string" ) {
+      throw new TypeError( "type parameter is required and must be a string" );
+    }
+
+    if ( typeof annotation !== "string" ) {
+      throw new TypeError( "annotation parameter is required and must be a string" );
+    }
+
+    if ( typeof defaultValue !== "string" ) {
+      throw new TypeError( "defaultValue parameter is required and must be a string" );
+    }
+
+    if ( !scope || typeof scope !== "string" ) {
+      throw new TypeError( "scope parameter is required and must be a string" );
+    }
+
+    this.variables.push( {
+      "name": name.trim(),
+      "type": type.trim(),
+      "annotation": annotation.trim(),
+      "defaultValue": defaultValue.trim().replace( /^\[([\s\S]*)\]$/, "$1" ),
+      "scope": scope.trim()
+    } );
+  }
+
+  /**
+   * Get the list of variables.
+   *
+   * Variables with the same name can be defined in different scopes, so they are kept in the order they are defined.
+   *
+   * @returns {Array} An array of variable objects.
+   * @since 1.1.0
+   */
+  getVariables() {
+    return this.variables;
+  }
+
+  /**
+   * Add a workflow invoked by this workflow.
+   *
+   * @param {string} workflowFileName The file name of the invoked workflow, relative to the UiPath project directory.
+   * @param {string} displayName The DisplayName of the Invoke Workflow File activity.
+   * @param {Array} argumentBindings The arguments passed to the invoked workflow.
+   * @since 1.1.0
+   */
+  addInvokedWorkflow( workflowFileName, displayName, argumentBindings ) {
+
+    if ( !workflowFileName || typeof workflowFileName !== "string" ) {
+      throw new TypeError( "workflowFileName parameter is required and must be a string" );
+    }
+
+    if ( typeof displayName !== "string" ) {
+      throw new TypeError( "displayName parameter is required and must be a string" );
+    }
+
+    if ( !Array.isArray( argumentBindings ) ) {
+      throw new TypeError( "argumentBindings parameter is required and must be an array" );
+    }
+
+    this.invokedWorkflows.push( {
+      "workflowFileName": workflowFileName.trim(),
+      "displayName": displayName.trim(),
+      "arguments": argumentBindings.map( function( binding ) {
+        return {
+          "name": binding.name,
+          "direction": binding.direction,
+          "type": binding.type,
+          "value": binding.value.replace( /^\[([\s\S]*)\]$/, "$1" )
+        };
+      } )
+    } );
+  }
+
+  /**
+   * Get the list of workflows invoked by this workflow.
+   *
+   * @returns {Array} An array of invoked workflow objects.
+   * @since 1.1.0
+   */
+  getInvokedWorkflows() {
+    return this.invokedWorkflows;
+  }
+
+  /**
+   * Add an Orchestrator asset, credential or queue used by an activity in this workflow.
+   *
+   * @param {string} activity The name of the activity, for example GetRobotAsset.
+   * @param {string} displayName The DisplayName of the activity.
+   * @param {string} type The type of the Orchestrator object, for example Asset.
+   * @param {string} name The name of the Orchestrator object, or the expression used to name it.
+   * @param {string} folderPath The Orchestrator folder containing the object, or an empty string.
+   * @since 1.1.0
+   */
+  addOrchestratorObject( activity, displayName, type, name, folderPath ) {
+
+    if ( !activity || typeof activity !== "string" ) {
+      throw new TypeError( "activity parameter is required and must be a string" );
+    }
+
+    if ( typeof displayName !== "string" ) {
+      throw new TypeError( "displayName parameter is required and must be a string" );
+    }
+
+    if ( !type || typeof type !== "string" ) {
+      throw new TypeError( "type parameter is required and must be a string" );
+    }
+
+    if ( typeof name !== "string" ) {
+      throw new TypeError( "name parameter is required and must be a string" );
+    }
+
+    if ( typeof folderPath !== "string" ) {
+      throw new TypeError( "folderPath parameter is required and must be a string" );
+    }
+
+    this.orchestratorObjects.push( {
+      "activity": activity,
+      "displayName": displayName.trim(),
+      "type": type,
+      "name": name.trim(),
+      "folderPath": folderPath.trim()
+    } );
+  }
+
+  /**
+   * Get the list of Orchestrator assets, credentials and queues used by this workflow.
+   *
+   * @returns {Array} The list of Orchestrator objects.
+   * @since 1.1.0
+   */
+  getOrchestratorObjects() {
+    return this.orchestratorObjects;
+  }
+
+  /**
+   * Add an exception thrown by a Throw or Rethrow activity, or caught by the catch block of a Try Catch activity, in
+   * this workflow.
+   *
+   * @param {string} activity The name of the activity, one of Throw, Rethrow or Catch.
+   * @param {string} displayName The DisplayName of the activity, or of the Try Catch activity for a catch block.
+   * @param {string} type The type of the exception, or an empty string if it is not known.
+   * @param {string} message The message of a thrown exception if it is a string literal, or an empty string.
+   * @param {string} expression The expression used to create a thrown exception, or an empty string.
+   * @since 1.1.0
+   */
+  addException( activity, displayName, type, message, expression ) {
+
+    if ( !activity || typeof activity !== "string" ) {
+      throw new TypeError( "activity parameter is required and must be a string" );
+    }
+
+    if ( typeof displayName !== "string" ) {
+      throw new TypeError( "displayName parameter is required and must be a string" );
+    }
+
+    if ( typeof type !== "string" ) {
+      throw new TypeError( "type parameter is required and must be a string" );
+    }
+
+    if ( typeof message !== "string" ) {
+      throw new TypeError( "message parameter is required and must be a string" );
+    }
+
+    if ( typeof expression !== "string" ) {
+      throw new TypeError( "expression parameter is required and must be a string" );
+    }
+
+    this.exceptions.push( {
+      "activity": activity,
+      "displayName": displayName.trim(),
+      "type": type.trim(),
+      "message": message,
+      "expression": expression.trim()
+    } );
+  }
+
+  /**
+   * Get the list of exceptions thrown and caught by this workflow.
+   *
+   * @returns {Array} The list of exceptions.
+   * @since 1.1.0
+   */
+  getExceptions() {
+    return this.exceptions;
+  }
+
+  /**
+   * Add a log message written by a Log Message activity, or the log fields added or removed by an Add Log Fields
+   * or Remove Log Fields activity, in this workflow.
+   *
+   * @param {string} activity The name of the activity, one of LogMessage, AddLogFields or RemoveLogFields.
+   * @param {string} displayName The DisplayName of the activity.
+   * @param {string} level The level of the log message, or an empty string for the log fields activities.
+   * @param {string} message The expression of the log message, or an empty string for the log fields activities.
+   * @param {Array} fields The log fields, each with a name and value expression.
+   * @param {Array} identifiers The identifiers used in the message and field value expressions.
+   * @since 1.1.0
+   */
+  addLogMessage( activity, displayName, level, message, fields, identifiers ) {
+
+    if ( !activity || typeof activity !== "string" ) {
+      throw new TypeError( "activity parameter is required and must be a string" );
+    }
+
+    if ( typeof displayName !== "string" ) {
+      throw new TypeError( "displayName parameter is required and must be a string" );
+    }
+
+    if ( typeof level !== "string" ) {
+      throw new TypeError( "level parameter is required and must be a string" );
+    }
+
+    if ( typeof message !== "string" ) {
+      throw new TypeError( "message parameter is required and must be a string" );
+    }
+
+    if ( !Array.isArray( fields ) ) {
+      throw new TypeError( "fields parameter is required and must be an array" );
+    }
+
+    if ( !Array.isArray( identifiers ) ) {
+      throw new TypeError( "identifiers parameter is required and must be an array" );
+    }
+
+    this.logMessages.push( {
+      "activity": activity,
+      "displayName": displayName.trim(),
+      "level": level.trim(),
+      "message": message.trim(),
+      "fields": fields,
+      "identifiers": identifiers
+    } );
+  }
+
+  /**
+   * Get the list of log messages and log fields written by this workflow.
+   *
+   * @returns {Array} The list of log messages.
+   * @since 1.1.0
+   */
+  getLogMessages() {
+    return this.logMessages;
+  }
+
+  /**
+   * Set the tree of activities in this workflow.
+   *
+   * @param {object} activityTree The root activity returned by XamlProcessor.getActivityTree.
+   * @throws {TypeError} Parameter activityTree is required and must be an object.
+   * @since 1.1.0
+   */
+  setActivityTree( activityTree ) {
+
+    if ( !activityTree || typeof activityTree !== "object" ) {
+      throw new TypeError( "activityTree parameter is required and must be an object" );
+    }
+
+    this.activityTree = activityTree;
+  }
+
+  /**
+   * Get the tree of activities in this workflow.
+   *
+   * @returns {object|null} The root activity, or null if the tree of activities is not available.
+   * @since 1.1.0
+   */
+  getActivityTree() {
+    return this.activityTree;
+  }
+
+  /**
+   * Add a state of a workflow with a StateMachine root activity.
+   *
+   * @param {string} id The unique identifier of the state, used by transitions.
+   * @param {string} name The DisplayName of the state.
+   * @param {string} annotation The annotation describing the state.
+   * @param {boolean} isInitial Flag indicating if this is the initial state.
+   * @param {boolean} isFinal Flag indicating if this is a final state.
+   * @since 1.1.0
+   */
+  addState( id, name, annotation, isInitial, isFinal ) {
+
+    if ( !id || typeof id !== "string" ) {
+      throw new TypeError( "id parameter is required and must be a string" );
+    }
+
+    if ( !name || typeof name !== "string" ) {
+      throw new TypeError( "name parameter is required and must be a string" );
+    }
+
+    if ( typeof annotation !== "string" ) {
+      throw new TypeError( "annotation parameter is required and must be a string" );
+    }
+
+    if ( typeof isInitial !== "boolean" ) {
+      throw new TypeError( "isInitial parameter is required and must be a boolean" );
+    }
+
+    if ( typeof isFinal !== "boolean" ) {
+      throw new TypeError( "isFinal parameter is required and must be a boolean" );
+    }
+
+    this.states.push( {
+      "id": id,
+      "name": name.trim(),
+      "annotation": annotation.trim().replace( /[\r\n]+/g, " " ),
+      "isInitial": isInitial,
+      "isFinal": isFinal
+    } );
+  }
+
+  /**
+   * Get the list of states.
+   *
+   * @returns {Array} An array of state objects, empty if the workflow is not a state machine.
+   * @since 1.1.0
+   */
+  getStates() {
+    return this.states;
+  }
+
+  /**
+   * Add a transition between two states of a workflow with a StateMachine root activity.
+   *
+   * @param {string} from The identifier of the source state.
+   * @param {string} to The identifier of the target state.
+   * @param {string} displayName The DisplayName of the transition.
+   * @param {string} condition The condition of the transition.
+   * @since 1.1.0
+   */
+  addTransition( from, to, displayName, condition ) {
+
+    if ( !from || typeof from !== "string" ) {
+      throw new TypeError( "from parameter is required and must be a string" );
+    }
+
+    if ( !to || typeof to !== "string" ) {
+      throw new TypeError( "to parameter is required and must be a string" );
+    }
+
+    if ( typeof displayName !== "string" ) {
+      throw new TypeError( "displayName parameter is required and must be a string" );
+    }
+
+    if ( typeof condition !== "string" ) {
+      throw new TypeError( "condition parameter is required and must be a string" );
+    }
+
+    this.transitions.push( {
+      "from": from,
+      "to": to,
+      "displayName": displayName.trim(),
+      "condition": condition.trim().replace( /^\[([\s\S]*)\]$/, "$1" )
+    } );
+  }
+
+  /**
+   * Get the list of transitions.
+   *
+   * @returns {Array} An array of transition objects, empty if the workflow is not a state machine.
+   * @since 1.1.0
+   */
+  getTransitions() {
+    return this.transitions;
+  }
+
+  /**
+   * Return the name of a state using the unique identifier.
+   *
+   * @param {string} id The unique identifier of the state.
+   * @returns {string} The name of the state, or the identifier if the state is not found.
+   * @since 1.1.0
+   */
+  getStateName( id ) {
+    let state = this.states.find( function( element ) {
+      return element.id === id;
+    } );
+
+    return typeof state === "undefined" ? id : state.name;
+  }
+
   /**
    * Add the annotation / description of the workflow to the metadata.
    *
@@ -161,6 +574,32 @@ export class WorkflowMetadata {
     return this.workflowAnnotation.trim();
   }
 
+  /**
+   * Return a flag indicating if the annotation of the workflow has been set.
+   *
+   * @returns {boolean} True if the workflow annotation has been set, false if it has not.
+   * @since 1.1.0
+   */
+  hasWorkflowAnnotation() {
+    return typeof this.workflowAnnotation !== "undefined";
+  }
+
+  /**
+   * Return a summary of the workflow annotation.
+   *
+   * The summary is the first line of the annotation, suitable for use in tables of workflows.
+   *
+   * @returns {string} The summary of the workflow annotation or an empty string if it is not set.
+   * @since 1.1.0
+   */
+  getWorkflowSummary() {
+    if ( !this.hasWorkflowAnnotation() ) {
+      return "";
+    }
+
+    return this.getWorkflowAnnotation().split( /[\r\n]+/ )[ 0 ].trim();
+  }
+
   /**
    * Set the path to the file relative to the UiPath project directory.
    *
@@ -188,4 +627,78 @@ export class WorkflowMetadata {
     return this.projectFilePath;
   }
 
+  /**
+   * Return a plain object representation of the metadata, suitable for serialising as JSON.
+   *
+   * @returns {object} The metadata as a plain object.
+   * @since 1.1.0
+   */
+  toJSON() {
+
+    let projectFilePath = null;
+
+    if ( typeof this.projectFilePath !== "undefined" ) {
+      projectFilePath = this.projectFilePath.split( path.sep ).join( "/" );
+    }
+
+    return {
+      "name": this.getWorkflowName(),
+      "annotation": this.hasWorkflowAnnotation() ? this.getWorkflowAnnotation() : "",
+      "filePath": this.getFilePath(),
+      "projectFilePath": projectFilePath,
+      "arguments": Array.from( this.getArguments().values() ),
+      "variables": this.getVariables(),
+      "invokedWorkflows": this.getInvokedWorkflows(),
+      "states": this.getStates(),
+      "transitions": this.getTransitions(),
+      "orchestratorObjects": this.getOrchestratorObjects(),
+      "exceptions": this.getExceptions(),
+      "logMessages": this.getLogMessages(),
+      "activityTree": this.getActivityTree()
+    };
+  }
+
+  /**
+   * Create a new object from the plain object representation returned by the toJSON method.
+   *
+   * @param {object} data The metadata as a plain object.
+   * @returns {WorkflowMetadata} A new workflow metadata object.
+   * @throws {TypeError} Parameter data is required and must be an object.
+   * @since 1.1.0
+   */
+  static fromJSON( data ) {
+
+    if ( !data || typeof data !== "object" ) {
+      throw new TypeError( "data parameter is required and must be an object" );
+    }
+
+    let metadata = new WorkflowMetadata( data.filePath );
+
+    metadata.setWorkflowName( data.name );
+
+    if ( data.annotation !== "" ) {
+      metadata.setWorkflowAnnotation( data.annotation );
+    }
+
+    if ( data.projectFilePath !== null ) {
+      metadata.projectFilePath = data.projectFilePath.split( "/" ).join( path.sep );
+    }
+
+    // The values were cleaned when they were added, so they are copied rather than added again.
+    metadata.arguments = new Map( data.arguments.map( function( argument ) {
+      return [ argument.name, argument ];
+    } ) );
+
+    metadata.variables = data.variables;
+    metadata.invokedWorkflows = data.invokedWorkflows;
+    metadata.states = data.states;
+    metadata.transitions = data.transitions;
+    metadata.orchestratorObjects = data.orchestratorObjects;
+    metadata.exceptions = data.exceptions;
+    metadata.logMessages = data.logMessages;
+    metadata.activityTree = data.activityTree;
+
+    return metadata;
+  }
+
 }
@@ -1,8 +1,9 @@
 import { WorkflowMetadata } from "./WorkflowMetadata.js";
+import { NupkgArchive } from "./NupkgArchive.js";
+import { XamlTypeParser } from "./XamlTypeParser.js";
 
 import { DOMParser } from "xmldom";
 import * as xpath from "xpath";
-import * as fs from "fs";
 import * as util from "util";
 
 /**
@@ -19,13 +20,23 @@ export class XamlProcessor {
   /**
    * Construct a new object.
    *
+   * @param {NupkgArchive|null} [archive] The package that the workflow files are read from, or null if they are
+   * read from a project folder.
+   * @throws {TypeError} Parameter archive must be a NupkgArchive object or null.
    * @since 1.0.0
    */
-  constructor() {
+  constructor( archive = null ) {
+
+    if ( archive !== null && !( archive instanceof NupkgArchive ) ) {
+      throw new TypeError( "archive parameter must be a NupkgArchive object or null" );
+    }
+
+    this.archive = archive;
 
     this.xamlNamespaces = {
       "xaml": "http://schemas.microsoft.com/netfx/2009/xaml/activities",
       "x": "http://schemas.microsoft.com/winfx/2006/xaml",
+      "sap": "http://schemas.microsoft.com/netfx/2009/xaml/activities/presentation",
       "sap2010": "http://schemas.microsoft.com/netfx/2010/xaml/activities/presentation",
       "ui": "http://schemas.uipath.com/workflow/activities",
       "this": "clr-namespace:"
@@ -36,10 +47,32 @@ export class XamlProcessor {
     );
   }
 
+  /**
+   * Read a workflow file, using the package given to the constructor when the file is in it so the package is not
+   * opened again for each file.
+   *
+   * @param {string} filePath The path to the XAML file, which can be in a .nupkg file.
+   * @returns {Buffer} The contents of the file.
+   * @throws {TypeError} Parameter filePath is required and must be a string.
+   * @since 1.1.0
+   */
+  readXamlContent( filePath ) {
+
+    if ( !filePath || typeof( filePath ) !== "string" ) {
+      throw new TypeError( "filePath parameter is required and must be a string" );
+    }
+
+    if ( this.archive !== null && this.archive.containsPath( filePath ) ) {
+      return this.archive.readXamlFile( filePath );
+    }
+
+    return NupkgArchive.readWorkflowFile( filePath );
+  }
+
   /**
    * Get the metadata defined in the XAML file.
    *
-   * @param {string} filePath The path to the XAML file.
+   * @param {string} filePath The path to the XAML file, which can be in a .nupkg file.
    * @returns {WorkflowMetadata} A new workflow metadata object.
    * @throws {TypeError} Parameter filePath is required and must be a string.
    * @since 1.0.0
@@ -50,21 +83,30 @@ export class XamlProcessor {
       throw new TypeError( "filePath parameter is required and must be a string" );
     }
 
-    // eslint-disable-next-line security/detect-non-literal-fs-filename
-    let xamlContent = fs.readFileSync( filePath );
+    let xamlContent = this.readXamlContent( filePath );
     xamlContent = xamlContent.toString();
 
     // Parse the XML into a document for processing.
-    const doc = new DOMParser().parseFromString( xamlContent );
+    const doc = this.parseXaml( xamlContent );
 
     // Initialise a new workflow metadata object.
     let metadata = new WorkflowMetadata( filePath );
 
     // Add the workflow name.
-    metadata.setWorkflowName( this.getWorkflowName( doc ) );
+    let workflowName = this.getWorkflowName( doc );
+
+    if ( !workflowName ) {
+      throw new Error( "The root activity of the workflow does not have a DisplayName" );
+    }
+
+    metadata.setWorkflowName( workflowName );
 
-    // Add the workflow annotation.
-    metadata.setWorkflowAnnotation( this.getWorkflowAnnotation( doc ) );
+    // Add the workflow annotation, which may not be available.
+    let workflowAnnotation = this.getWorkflowAnnotation( doc );
+
+    if ( workflowAnnotation.trim() !== "" ) {
+      metadata.setWorkflowAnnotation( workflowAnnotation );
+    }
 
     // Add the workflow arguments.
     let workflowArguments = this.getWorkflowArguments( doc );
@@ -79,9 +121,131 @@ export class XamlProcessor {
       );
     } );
 
+    // Add the states and transitions of a state machine.
+    let stateMachine = this.getStateMachine( doc );
+
+    if ( stateMachine !== null ) {
+      stateMachine.states.forEach( function( state ) {
+        metadata.addState(
+          state.id,
+          state.name,
+          state.annotation,
+          state.isInitial,
+          state.isFinal
+        );
+      } );
+
+      stateMachine.transitions.forEach( function( transition ) {
+        metadata.addTransition(
+          transition.from,
+          transition.to,
+          transition.displayName,
+          transition.condition
+        );
+      } );
+    }
+
+    // Add the workflow variables.
+    let workflowVariables = this.getWorkflowVariables( doc );
+
+    workflowVariables.forEach( function( variable ) {
+      metadata.addVariable(
+        variable.name,
+        variable.type,
+        variable.annotation,
+        variable.defaultValue,
+        variable.scope
+      );
+    } );
+
+    // Add the workflows invoked by this workflow.
+    let invokedWorkflows = this.getInvokedWorkflows( doc );
+
+    invokedWorkflows.forEach( function( invokedWorkflow ) {
+      metadata.addInvokedWorkflow(
+        invokedWorkflow.workflowFileName,
+        invokedWorkflow.displayName,
+        invokedWorkflow.arguments
+      );
+    } );
+
+    // Add the Orchestrator assets, credentials and queues used by this workflow.
+    let orchestratorObjects = this.getOrchestratorObjects( doc );
+
+    orchestratorObjects.forEach( function( orchestratorObject ) {
+      metadata.addOrchestratorObject(
+        orchestratorObject.activity,
+        orchestratorObject.displayName,
+        orchestratorObject.type,
+        orchestratorObject.name,
+        orchestratorObject.folderPath
+      );
+    } );
+
+    // Add the exceptions thrown and caught by this workflow.
+    let exceptions = this.getExceptions( doc );
+
+    exceptions.forEach( function( exception ) {
+      metadata.addException(
+        exception.activity,
+        exception.displayName,
+        exception.type,
+        exception.message,
+        exception.expression
+      );
+    } );
+
+    // Add the log messages and log fields of this workflow.
+    let logMessages = this.getLogMessages( doc );
+
+    logMessages.forEach( function( logMessage ) {
+      metadata.addLogMessage(
+        logMessage.activity,
+        logMessage.displayName,
+        logMessage.level,
+        logMessage.message,
+        logMessage.fields,
+        logMessage.identifiers
+      );
+    } );
+
+    // Add the tree of activities in the workflow.
+    metadata.setActivityTree( this.getActivityTree( doc ) );
+
     return metadata;
   }
 
+  /**
+   * Parse the XAML code into a document for processing.
+   *
+   * @param {string} xamlContent The XAML code.
+   * @returns {DomParser} The XAML code represented as an XML DOMParser object.
+   * @throws {TypeError} Parameter xamlContent is required and must be a string.
+   * @throws {Error} If the XAML code is not well formed XML.
+   * @since 1.1.0
+   */
+  parseXaml( xamlContent ) {
+
+    if ( typeof( xamlContent ) !== "string" ) {
+      throw new TypeError( "xamlContent parameter is required and must be a string" );
+    }
+
+    // Errors are reported by xmldom with a prefix and the location on a new line.
+    let throwError = function( message ) {
+      message = message.split( "\n" )[ 0 ].replace( /^\[xmldom \w+\]\s*/, "" );
+      throw new Error( util.format( "Unable to parse the XAML code: %s", message ) );
+    };
+
+    const parser = new DOMParser( {
+      "errorHandler": {
+        "error": throwError,
+        "fatalError": throwError
+      }
+    } );
+
+    return parser.parseFromString( xamlContent );
+  }
+
   /**
    * Get the name of the workflow from the XAML code.
    *
@@ -97,13 +261,7 @@ export class XamlProcessor {
     }
 
     // Get the name of the workflow
-    let workflowElements = this.xpath( "/xaml:Activity/xaml:Flowchart", xamlDoc );
-
-    if ( workflowElements.length === 0 ) {
-      workflowElements = this.xpath( "/xaml:Activity/xaml:Sequence", xamlDoc );
-    }
-
-    return workflowElements[ 0 ].getAttribute( "DisplayName" );
+    return this.getRootActivity( xamlDoc ).getAttribute( "DisplayName" );
   }
 
   /**
@@ -120,18 +278,509 @@ export class XamlProcessor {
       throw new TypeError( "xamlDoc parameter is required and must be an instance of DOMParser object" );
     }
 
-    // Get the name of the workflow
-    let workflowElements = this.xpath( "/xaml:Activity/xaml:Flowchart", xamlDoc );
+    // Get the annotation of the workflow
+    let rootElement = this.getRootActivity( xamlDoc );
+
+    if ( rootElement.hasAttribute( "sap2010:Annotation.AnnotationText" ) === true ) {
+      return rootElement.getAttribute( "sap2010:Annotation.AnnotationText" );
+    } else {
+      return "";
+    }
+  }
+
+  /**
+   * Get the root activity of the workflow from the XAML code.
+   *
+   * @param {DomParser} xamlDoc The XAML code represented as an XML DOMParser object.
+   * @returns {object} The root Flowchart, Sequence or StateMachine element.
+   * @throws {TypeError} Parameter xamlDoc is required and must be a DomParser object.
+   * @throws {Error} If the workflow does not contain a supported root activity.
+   * @since 1.1.0
+   */
+  getRootActivity( xamlDoc ) {
+
+    if ( !xamlDoc || typeof( xamlDoc ) !== "object" ) {
+      throw new TypeError( "xamlDoc parameter is required and must be an instance of DOMParser object" );
+    }
+
+    let workflowElements = this.xpath(
+      "/xaml:Activity/xaml:Flowchart | /xaml:Activity/xaml:Sequence | /xaml:Activity/xaml:StateMachine",
+      xamlDoc
+    );
 
     if ( workflowElements.length === 0 ) {
-      workflowElements = this.xpath( "/xaml:Activity/xaml:Sequence", xamlDoc );
+      throw new Error( "The workflow does not contain a root Flowchart, Sequence or StateMachine activity" );
     }
 
-    if ( workflowElements[ 0 ].hasAttribute( "sap2010:Annotation.AnnotationText" ) === true ) {
-      return workflowElements[ 0 ].getAttribute( "sap2010:Annotation.AnnotationText" );
-    } else {
+    return workflowElements[ 0 ];
+  }
+
+  /**
+   * Get the states and transitions of a workflow with a StateMachine root activity.
+   *
+   * States can be defined as children of the StateMachine, or inline as the target of a transition.
+   * Both forms are identified by the x:Name attribute, which is used by references to the state.
+   *
+   * @param {DomParser} xamlDoc The XAML code represented as an XML DOMParser object.
+   * @returns {object|null} The states and transitions, or null if the root activity is not a StateMachine.
+   * @throws {TypeError} Parameter xamlDoc is required and must be a DomParser object.
+   * @since 1.1.0
+   */
+  getStateMachine( xamlDoc ) {
+
+    if ( !xamlDoc || typeof( xamlDoc ) !== "object" ) {
+      throw new TypeError( "xamlDoc parameter is required and must be an instance of DOMParser object" );
+    }
+
+    let rootElement = this.getRootActivity( xamlDoc );
+
+    if ( rootElement.localName !== "StateMachine" ) {
+      return null;
+    }
+
+    let self = this;
+    let states = [];
+    let transitions = [];
+
+    // Find the initial state, which is a reference or an inline state.
+    let initialState = this.getStateReference( rootElement, "InitialState" );
+
+    // Only include states that belong to this state machine, not nested state machines.
+    let stateElements = this.xpath( ".//xaml:State", rootElement ).filter( function( stateElement ) {
+      let parent = stateElement.parentNode;
+
+      while ( parent !== null && parent.localName !== "StateMachine" ) {
+        parent = parent.parentNode;
+      }
+
+      return parent === rootElement;
+    } );
+
+    stateElements.forEach( function( stateElement, index ) {
+      let stateId = stateElement.getAttribute( "x:Name" ) || util.format( "State_%d", index );
+
+      let annotation = "";
+
+      if ( stateElement.hasAttribute( "sap2010:Annotation.AnnotationText" ) ) {
+        annotation = stateElement.getAttribute( "sap2010:Annotation.AnnotationText" );
+      }
+
+      states.push( {
+        "id": stateId,
+        "name": stateElement.getAttribute( "DisplayName" ) || "State",
+        "annotation": annotation,
+        "isInitial": stateId === initialState,
+        "isFinal": stateElement.getAttribute( "IsFinal" ) === "True"
+      } );
+
+      let transitionElements = self.xpath( "./xaml:State.Transitions/xaml:Transition", stateElement );
+
+      transitionElements.forEach( function( transitionElement ) {
+        let condition = transitionElement.getAttribute( "Condition" );
+
+        if ( !condition ) {
+          let conditionElements = self.xpath( "./xaml:Transition.Condition", transitionElement );
+
+          if ( conditionElements.length > 0 ) {
+            condition = conditionElements[ 0 ].textContent.trim();
+          }
+        }
+
+        transitions.push( {
+          "from": stateId,
+          "to": self.getStateReference( transitionElement, "To" ),
+          "displayName": transitionElement.getAttribute( "DisplayName" ) || "",
+          "condition": condition || ""
+        } );
+      } );
+    } );
+
+    return {
+      "states": states,
+      "transitions": transitions
+    };
+  }
+
+  /**
+   * Get the x:Name of a state referenced by a property of an element.
+   *
+   * The property can be an attribute using the x:Reference markup extension, a property element
+   * containing an x:Reference element, or a property element containing the State itself.
+   *
+   * @param {object} element The element with the property, such as a StateMachine or Transition.
+   * @param {string} propertyName The name of the property, such as InitialState or To.
+   * @returns {string} The x:Name of the referenced state or an empty string if it is not found.
+   * @since 1.1.0
+   */
+  getStateReference( element, propertyName ) {
+
+    let attributeValue = element.getAttribute( propertyName );
+
+    if ( attributeValue ) {
+      let match = /^\{x:Reference\s+([^\s}]+)\s*\}$/.exec( attributeValue.trim() );
+      return match === null ? "" : match[ 1 ];
+    }
+
+    let propertyElements = this.xpath(
+      util.format( "./xaml:%s.%s/*", element.localName, propertyName ),
+      element
+    );
+
+    if ( propertyElements.length === 0 ) {
       return "";
     }
+
+    if ( propertyElements[ 0 ].localName === "Reference" ) {
+      return propertyElements[ 0 ].textContent.trim();
+    }
+
+    return propertyElements[ 0 ].getAttribute( "x:Name" );
+  }
+
+  /**
+   * Get the list of log messages written by the Log Message activities in the workflow, along with the log fields
+   * added and removed by the Add Log Fields and Remove Log Fields activities.
+   *
+   * The messages and field values are returned as they are written, along with the identifiers used in the
+   * expressions, which are the names of the variables, arguments and members that may be logged.
+   *
+   * @param {DomParser} xamlDoc The XAML code represented as an XML DOMParser object.
+   * @returns {Array} The list of log activities in the order of the activities, each with the activity, display
+   * name, level, message, fields and identifiers.
+   * @throws {TypeError} Parameter xamlDoc is required and must be a DomParser object.
+   * @since 1.1.0
+   */
+  getLogMessages( xamlDoc ) {
+
+    if ( !xamlDoc || typeof( xamlDoc ) !== "object" ) {
+      throw new TypeError( "xamlDoc parameter is required and must be an instance of DOMParser object" );
+    }
+
+    let self = this;
+
+    let activityElements = this.xpath(
+      "/xaml:Activity//ui:LogMessage | /xaml:Activity//ui:AddLogFields | /xaml:Activity//ui:RemoveLogFields",
+      xamlDoc
+    );
+
+    return activityElements.map( function( activityElement ) {
+      let activity = activityElement.localName;
+      let logMessage = {
+        "activity": activity,
+        "displayName": activityElement.getAttribute( "DisplayName" ) || activity,
+        "level": "",
+        "message": "",
+        "fields": [],
+        "identifiers": []
+      };
+
+      let expressions = [];
+
+      if ( activity === "LogMessage" ) {
+        logMessage.level = activityElement.getAttribute( "Level" ) || "Info";
+        logMessage.message = self.getActivityProperty( activityElement, "Message", false );
+        expressions.push( logMessage.message );
+      } else {
+        let argumentElements = self.xpath(
+          util.format( "./ui:%s.Fields//xaml:InArgument", activity ),
+          activityElement
+        );
+
+        logMessage.fields = argumentElements.map( function( argumentElement ) {
+          let value = argumentElement.textContent.trim();
+
+          // The fields removed by Remove Log Fields are listed by name, rather than keyed by name.
+          if ( activity === "RemoveLogFields" ) {
+            let literal = /^\[\s*"([^"]*)"\s*\]$/.exec( value );
+            return { "name": literal === null ? value : literal[ 1 ], "value": "" };
+          }
+
+          expressions.push( value );
+
+          return { "name": argumentElement.getAttribute( "x:Key" ), "value": value };
+        } );
+      }
+
+      expressions.forEach( function( expression ) {
+        self.getExpressionIdentifiers( expression ).forEach( function( identifier ) {
+          if ( !logMessage.identifiers.includes( identifier ) ) {
+            logMessage.identifiers.push( identifier );
+          }
+        } );
+      } );
+
+      return logMessage;
+    } );
+  }
+
+  /**
+   * Get the identifiers used in an expression, such as the names of variables, arguments and members.
+   *
+   * Only expressions in square brackets are searched, as other values are text. The text of string literals in
+   * the expression is ignored.
+   *
+   * @param {string} expression The expression, for example ["Processing invoice " + in_InvoiceNumber].
+   * @returns {Array} The unique identifiers in the order they are used.
+   * @since 1.1.0
+   */
+  getExpressionIdentifiers( expression ) {
+
+    let value = expression.trim();
+
+    if ( !value.startsWith( "[" ) || !value.endsWith( "]" ) ) {
+      return [];
+    }
+
+    let identifiers = [];
+    let code = value.substring( 1, value.length - 1 ).replace( /"[^"]*"/g, " " );
+
+    ( code.match( /[A-Za-z_]\w*/g ) || [] ).forEach( function( identifier ) {
+      if ( !identifiers.includes( identifier ) ) {
+        identifiers.push( identifier );
+      }
+    } );
+
+    return identifiers;
+  }
+
+  /**
+   * Get the tree of activities in the workflow, starting with the root activity.
+   *
+   * Designer-only elements, such as the view state and hint size of an activity, are skipped along with the
+   * variables and arguments. Elements that hold activities without being activities themselves, such as the steps
+   * of a Flowchart and the handlers of a ForEach, are also skipped, so the activities they hold are children of the
+   * enclosing activity. Each Flowchart includes the nodes and connections returned by the getFlowchart method.
+   *
+   * The activities in the branches of an If or TryCatch, other than the catch blocks, have a branch property with
+   * the name of the branch, for example Then or Finally.
+   *
+   * @param {DomParser} xamlDoc The XAML code represented as an XML DOMParser object.
+   * @returns {object} The root activity, with the type, display name, annotation and child activities.
+   * @throws {TypeError} Parameter xamlDoc is required and must be a DomParser object.
+   * @since 1.1.0
+   */
+  getActivityTree( xamlDoc ) {
+
+    if ( !xamlDoc || typeof( xamlDoc ) !== "object" ) {
+      throw new TypeError( "xamlDoc parameter is required and must be an instance of DOMParser object" );
+    }
+
+    let self = this;
+    let namespaces = this.getNamespaces( xamlDoc );
+
+    let createNode = function( element, displayName, children ) {
+      let node = {
+        "type": element.localName,
+        "displayName": element.getAttribute( "DisplayName" ) || displayName,
+        "annotation": element.getAttribute( "sap2010:Annotation.AnnotationText" ) || "",
+        "children": children
+      };
+
+      if ( element.localName === "Flowchart" ) {
+        node.flowchart = self.getFlowchart( element );
+      }
+
+      return node;
+    };
+
+    let getChildNodes = function( element ) {
+      let nodes = [];
+
+      Array.from( element.childNodes ).forEach( function( child ) {
+        if ( child.nodeType === child.ELEMENT_NODE ) {
+          nodes = nodes.concat( getNodes( child ) );
+        }
+      } );
+
+      return nodes;
+    };
+
+    let getNodes = function( element ) {
+      let name = element.localName;
+
+      if ( element.namespaceURI === self.xamlNamespaces.x ||
+        XamlProcessor.designerNamespaces.includes( element.namespaceURI ) ) {
+        return [];
+      }
+
+      // Property elements, such as If.Then, and containers, such as FlowStep, hold the child activities.
+      if ( name.includes( "." ) || XamlProcessor.activityContainers.includes( name ) ) {
+        let nodes = getChildNodes( element );
+
+        if ( XamlProcessor.branchProperties.includes( name ) ) {
+          nodes.forEach( function( node ) {
+            node.branch = name.split( "." )[ 1 ];
+          } );
+        }
+
+        return nodes;
+      }
+
+      if ( name === "Catch" ) {
+        let type = self.parseVariableTypeAttribute( element.getAttribute( "x:TypeArguments" ), namespaces );
+        return [ createNode( element, type, getChildNodes( element ) ) ];
+      }
+
+      // The steps following a decision or switch are nested in the XAML code, but not in the flowchart.
+      if ( name === "FlowDecision" || name === "FlowSwitch" ) {
+        return [ createNode( element, name.replace( "Flow", "" ), [] ) ].concat( getChildNodes( element ) );
+      }
+
+      if ( !self.isActivityElement( element ) ) {
+        return getChildNodes( element );
+      }
+
+      return [ createNode( element, name, getChildNodes( element ) ) ];
+    };
+
+    return getNodes( this.getRootActivity( xamlDoc ) )[ 0 ];
+  }
+
+  /**
+   * Return a flag indicating if an element is an activity, rather than a value or setting of an activity.
+   *
+   * Studio adds a display name, a reference id or a hint size to the activities in a workflow.
+   *
+   * @param {object} element The element to check.
+   * @returns {boolean} True if the element is an activity, false if it is not.
+   * @since 1.1.0
+   */
+  isActivityElement( element ) {
+    return element.hasAttribute( "DisplayName" ) ||
+      element.hasAttributeNS( this.xamlNamespaces.sap2010, "WorkflowViewState.IdRef" ) ||
+      element.hasAttributeNS( this.xamlNamespaces.sap, "VirtualizedContainerService.HintSize" );
+  }
+
+  /**
+   * Get the nodes of a Flowchart activity and the connections between them.
+   *
+   * Each node is a FlowStep, with the display name of its activity, a FlowDecision, with its condition, or a
+   * FlowSwitch, with its expression. The connections are labelled with the outcome of a decision or the case of a
+   * switch. Nodes are identified by the x:Name attribute, which is used by references to the node.
+   *
+   * @param {object} flowchartElement The Flowchart element.
+   * @returns {object} The id of the start node, or an empty string if it is not set, along with the nodes and
+   * connections of the flowchart.
+   * @throws {TypeError} Parameter flowchartElement is required and must be a Flowchart element.
+   * @since 1.1.0
+   */
+  getFlowchart( flowchartElement ) {
+
+    if ( !flowchartElement || flowchartElement.localName !== "Flowchart" ) {
+      throw new TypeError( "flowchartElement parameter is required and must be a Flowchart element" );
+    }
+
+    let self = this;
+    let nodeIds = new Map();
+    let nodes = [];
+    let connections = [];
+
+    // Only include nodes that belong to this flowchart, not nested flowcharts.
+    let nodeElements = this.xpath(
+      ".//xaml:FlowStep | .//xaml:FlowDecision | .//xaml:FlowSwitch",
+      flowchartElement
+    ).filter( function( nodeElement ) {
+      let parent = nodeElement.parentNode;
+
+      while ( parent !== null && parent.localName !== "Flowchart" ) {
+        parent = parent.parentNode;
+      }
+
+      return parent === flowchartElement;
+    } );
+
+    nodeElements.forEach( function( nodeElement, index ) {
+      nodeIds.set( nodeElement, nodeElement.getAttribute( "x:Name" ) || util.format( "FlowNode_%d", index ) );
+    } );
+
+    // A target is an x:Reference element, which may include an x:Key element, or the node itself.
+    let getTargetId = function( targetElement ) {
+      if ( targetElement.localName === "Reference" ) {
+        return Array.from( targetElement.childNodes ).filter( function( child ) {
+          return child.nodeType === child.TEXT_NODE;
+        } ).map( function( child ) {
+          return child.nodeValue;
+        } ).join( "" ).trim();
+      }
+
+      return nodeIds.get( targetElement ) || "";
+    };
+
+    let getReference = function( element, propertyName ) {
+      let attributeValue = element.getAttribute( propertyName );
+
+      if ( attributeValue ) {
+        let match = /^\{x:Reference\s+([^\s}]+)\s*\}$/.exec( attributeValue.trim() );
+        return match === null ? "" : match[ 1 ];
+      }
+
+      let targetElements = self.xpath(
+        util.format( "./*[local-name()='%s.%s']/*", element.localName, propertyName ),
+        element
+      );
+
+      return targetElements.length === 0 ? "" : getTargetId( targetElements[ 0 ] );
+    };
+
+    let connect = function( from, to, label ) {
+      if ( to !== "" ) {
+        connections.push( { "from": from, "to": to, "label": label } );
+      }
+    };
+
+    nodeElements.forEach( function( nodeElement ) {
+      let id = nodeIds.get( nodeElement );
+      let type = nodeElement.localName;
+      let node = { "id": id, "type": type, "displayName": "", "condition": "" };
+
+      if ( type === "FlowStep" ) {
+        let activityElements = self.xpath( "./*[not(contains(local-name(), '.'))]", nodeElement );
+
+        if ( activityElements.length > 0 ) {
+          node.displayName = activityElements[ 0 ].getAttribute( "DisplayName" ) ||
+            activityElements[ 0 ].localName;
+        }
+
+        connect( id, getReference( nodeElement, "Next" ), "" );
+      } else if ( type === "FlowDecision" ) {
+        node.displayName = nodeElement.getAttribute( "DisplayName" ) || "Decision";
+        node.condition = self.getActivityProperty( nodeElement, "Condition" );
+
+        connect( id, getReference( nodeElement, "True" ), nodeElement.getAttribute( "TrueLabel" ) || "True" );
+        connect( id, getReference( nodeElement, "False" ), nodeElement.getAttribute( "FalseLabel" ) || "False" );
+      } else {
+        node.displayName = nodeElement.getAttribute( "DisplayName" ) || "Switch";
+        node.condition = self.getActivityProperty( nodeElement, "Expression" );
+
+        // The cases are the child elements, keyed by the value of the expression.
+        let caseElements = self.xpath( "./*[not(contains(local-name(), '.'))]", nodeElement );
+
+        caseElements.forEach( function( caseElement ) {
+          let key = caseElement.getAttribute( "x:Key" );
+          let keyElements = self.xpath( "./x:Key", caseElement );
+
+          if ( keyElements.length > 0 ) {
+            key = keyElements[ 0 ].textContent.trim();
+          }
+
+          connect( id, getTargetId( caseElement ), key );
+        } );
+
+        connect(
+          id,
+          getReference( nodeElement, "Default" ),
+          nodeElement.getAttribute( "DefaultCaseDisplayName" ) || "Default"
+        );
+      }
+
+      nodes.push( node );
+    } );
+
+    return {
+      "startNode": getReference( flowchartElement, "StartNode" ),
+      "nodes": nodes,
+      "connections": connections
+    };
   }
 
   /**
@@ -153,6 +802,7 @@ export class XamlProcessor {
     let workflowArgumentElements = this.xpath( "/xaml:Activity/x:Members/x:Property", xamlDoc );
 
     let self = this;
+    let namespaces = this.getNamespaces( xamlDoc );
 
     if ( workflowArgumentElements.length > 0 ) {
       workflowArgumentElements.forEach( function( argument ) {
@@ -162,7 +812,10 @@ export class XamlProcessor {
 
         // Get the type attribute which is always available.
         let typeAttribute = argument.getAttribute( "Type" );
-        let argumentTypeInfo = self.parseArgumentTypeAttribute( typeAttribute );
+        let argumentTypeInfo = self.parseArgumentTypeAttribute(
+          typeAttribute,
+          namespaces
+        );
 
         // Get the annotation for the argument, which may not be available.
         let argumentAnnotation = "";
@@ -190,29 +843,467 @@ export class XamlProcessor {
 
   }
 
+  /**
+   * Get the list of variables from the XAML code.
+   *
+   * Variables can be defined in any container activity, such as a Sequence or Flowchart, at any level of nesting.
+   *
+   * @param {DomParser} xamlDoc The XAML code represented as an XML DOMParser object.
+   * @returns {Array} The list of variables defined in the workflow.
+   * @throws {TypeError} Parameter xamlDoc is required and must be a DomParser object.
+   * @since 1.1.0
+   */
+  getWorkflowVariables( xamlDoc ) {
+
+    if ( !xamlDoc || typeof( xamlDoc ) !== "object" ) {
+      throw new TypeError( "xamlDoc parameter is required and must be an instance of DOMParser object" );
+    }
+
+    let xamlVariables = [];
+
+    let workflowVariableElements = this.xpath( "/xaml:Activity//xaml:Variable", xamlDoc );
+
+    let self = this;
+    let namespaces = this.getNamespaces( xamlDoc );
+
+    workflowVariableElements.forEach( function( variable ) {
+
+      // Get the annotation for the variable, which may not be available.
+      let variableAnnotation = "";
+
+      if ( variable.hasAttribute( "sap2010:Annotation.AnnotationText" ) ) {
+        variableAnnotation = variable.getAttribute( "sap2010:Annotation.AnnotationText" );
+      }
+
+      // Get the default value if one has been specified, which is set using the Default attribute or, for
+      // multi-line and complex values, a Variable.Default element.
+      let defaultValue = self.getActivityProperty( variable, "Default", false );
+
+      // Visual Basic expressions in a Variable.Default element are stored in the ExpressionText attribute.
+      let expressionElements = self.xpath( "./*[local-name()='Variable.Default']/*[@ExpressionText]", variable );
+
+      if ( expressionElements.length > 0 ) {
+        defaultValue = "[" + expressionElements[ 0 ].getAttribute( "ExpressionText" ) + "]";
+      }
+
+      let variableType = variable.getAttribute( "x:TypeArguments" );
+
+      let variableMeta = {
+        "name": variable.getAttribute( "Name" ),
+        "type": self.parseVariableTypeAttribute( variableType, namespaces ),
+        "annotation": variableAnnotation,
+        "defaultValue": defaultValue,
+        "scope": self.getVariableScope( variable )
+      };
+
+      xamlVariables.push( variableMeta );
+    } );
+
+    return xamlVariables;
+  }
+
+  /**
+   * Get the name of the container activity that owns a variable.
+   *
+   * Variables are defined in a property element, such as Sequence.Variables, of the container activity.
+   * If the container activity does not have a DisplayName the name of the activity type is used, matching UiPath Studio.
+   *
+   * @param {object} variableElement The Variable element in the XAML code.
+   * @returns {string} The name of the container activity.
+   * @throws {TypeError} Parameter variableElement is required and must be an object.
+   * @since 1.1.0
+   */
+  getVariableScope( variableElement ) {
+
+    if ( !variableElement || typeof( variableElement ) !== "object" ) {
+      throw new TypeError( "variableElement parameter is required and must be an object" );
+    }
+
+    let containerElement = variableElement.parentNode.parentNode;
+
+    if ( containerElement.hasAttribute( "DisplayName" ) ) {
+      return containerElement.getAttribute( "DisplayName" );
+    } else {
+      return containerElement.localName;
+    }
+  }
+
+  /**
+   * Get the list of workflows invoked using the Invoke Workflow File activity.
+   *
+   * @param {DomParser} xamlDoc The XAML code represented as an XML DOMParser object.
+   * @returns {Array} The list of invoked workflows, including the argument bindings.
+   * @throws {TypeError} Parameter xamlDoc is required and must be a DomParser object.
+   * @since 1.1.0
+   */
+  getInvokedWorkflows( xamlDoc ) {
+
+    if ( !xamlDoc || typeof( xamlDoc ) !== "object" ) {
+      throw new TypeError( "xamlDoc parameter is required and must be an instance of DOMParser object" );
+    }
+
+    let invokedWorkflows = [];
+
+    let invokeElements = this.xpath( "/xaml:Activity//ui:InvokeWorkflowFile", xamlDoc );
+
+    let self = this;
+    let namespaces = this.getNamespaces( xamlDoc );
+
+    invokeElements.forEach( function( invokeElement ) {
+
+      let argumentBindings = [];
+
+      let argumentElements = self.xpath( "./ui:InvokeWorkflowFile.Arguments/*", invokeElement );
+
+      argumentElements.forEach( function( argumentElement ) {
+        let argumentType = argumentElement.getAttribute( "x:TypeArguments" );
+
+        argumentBindings.push( {
+          "name": argumentElement.getAttribute( "x:Key" ),
+          "direction": argumentElement.localName,
+          "type": self.parseVariableTypeAttribute( argumentType, namespaces ),
+          "value": argumentElement.textContent.trim()
+        } );
+      } );
+
+      let displayName = "Invoke Workflow File";
+
+      if ( invokeElement.hasAttribute( "DisplayName" ) ) {
+        displayName = invokeElement.getAttribute( "DisplayName" );
+      }
+
+      invokedWorkflows.push( {
+        "workflowFileName": invokeElement.getAttribute( "WorkflowFileName" ),
+        "displayName": displayName,
+        "arguments": argumentBindings
+      } );
+    } );
+
+    return invokedWorkflows;
+  }
+
+  /**
+   * Get the list of Orchestrator assets, credentials and queues referenced by the activities in the workflow.
+   *
+   * The Set Transaction Status activity does not name a queue, as the queue is identified by the transaction item,
+   * so its name is an empty string.
+   *
+   * @param {DomParser} xamlDoc The XAML code represented as an XML DOMParser object.
+   * @returns {Array} The list of Orchestrator objects in the order of the activities, each with the activity, display
+   * name, type, name and folder path.
+   * @throws {TypeError} Parameter xamlDoc is required and must be a DomParser object.
+   * @since 1.1.0
+   */
+  getOrchestratorObjects( xamlDoc ) {
+
+    if ( !xamlDoc || typeof( xamlDoc ) !== "object" ) {
+      throw new TypeError( "xamlDoc parameter is required and must be an instance of DOMParser object" );
+    }
+
+    let self = this;
+
+    // Select all of the activities at once to keep them in the order of the workflow.
+    let activities = XamlProcessor.orchestratorActivities;
+
+    let query = Array.from( activities.keys() ).map( function( activity ) {
+      return "/xaml:Activity//ui:" + activity;
+    } ).join( " | " );
+
+    let activityElements = this.xpath( query, xamlDoc );
+
+    return activityElements.map( function( activityElement ) {
+      let activity = activities.get( activityElement.localName );
+      let name = "";
+
+      if ( activity.nameProperty !== null ) {
+        name = self.getActivityProperty( activityElement, activity.nameProperty );
+      }
+
+      let displayName = activityElement.localName;
+
+      if ( activityElement.hasAttribute( "DisplayName" ) ) {
+        displayName = activityElement.getAttribute( "DisplayName" );
+      }
+
+      return {
+        "activity": activityElement.localName,
+        "displayName": displayName,
+        "type": activity.type,
+        "name": name,
+        "folderPath": self.getActivityProperty( activityElement, "FolderPath" )
+      };
+    } );
+  }
+
+  /**
+   * Get the list of exceptions thrown by the Throw and Rethrow activities, and caught by the catch blocks of the
+   * Try Catch activities, in the workflow.
+   *
+   * The type and message of a thrown exception are read from expressions such as New BusinessRuleException("...").
+   * A Rethrow activity throws the exception caught by the catch block that contains it.
+   *
+   * @param {DomParser} xamlDoc The XAML code represented as an XML DOMParser object.
+   * @returns {Array} The list of exceptions in the order of the activities, each with the activity, display name,
+   * type, message and expression.
+   * @throws {TypeError} Parameter xamlDoc is required and must be a DomParser object.
+   * @since 1.1.0
+   */
+  getExceptions( xamlDoc ) {
+
+    if ( !xamlDoc || typeof( xamlDoc ) !== "object" ) {
+      throw new TypeError( "xamlDoc parameter is required and must be an instance of DOMParser object" );
+    }
+
+    let self = this;
+    let namespaces = this.getNamespaces( xamlDoc );
+
+    let getCatchType = function( catchElement ) {
+      return self.parseVariableTypeAttribute( catchElement.getAttribute( "x:TypeArguments" ), namespaces );
+    };
+
+    let activityElements = this.xpath(
+      "/xaml:Activity//xaml:Throw | /xaml:Activity//xaml:Rethrow | " +
+      "/xaml:Activity//xaml:TryCatch/xaml:TryCatch.Catches/xaml:Catch",
+      xamlDoc
+    );
+
+    return activityElements.map( function( activityElement ) {
+      let activity = activityElement.localName;
+      let displayName = activity;
+      let exception = { "type": "", "message": "", "expression": "" };
+
+      if ( activity === "Catch" ) {
+        let tryCatchElement = activityElement.parentNode.parentNode;
+
+        displayName = "Try Catch";
+
+        if ( tryCatchElement.hasAttribute( "DisplayName" ) ) {
+          displayName = tryCatchElement.getAttribute( "DisplayName" );
+        }
+
+        exception.type = getCatchType( activityElement );
+      } else if ( activity === "Rethrow" ) {
+        let parent = activityElement.parentNode;
+
+        while ( parent !== null && parent.localName !== "Catch" ) {
+          parent = parent.parentNode;
+        }
+
+        if ( parent !== null ) {
+          exception.type = getCatchType( parent );
+        }
+      } else {
+        exception = self.parseExceptionExpression( self.getActivityProperty( activityElement, "Exception" ) );
+      }
+
+      if ( activity !== "Catch" && activityElement.hasAttribute( "DisplayName" ) ) {
+        displayName = activityElement.getAttribute( "DisplayName" );
+      }
+
+      return {
+        "activity": activity,
+        "displayName": displayName,
+        "type": exception.type,
+        "message": exception.message,
+        "expression": exception.expression
+      };
+    } );
+  }
+
+  /**
+   * Parse the expression used to create an exception, such as New BusinessRuleException("Invalid credential").
+   *
+   * Both the VB.NET and C# syntax are supported. The message is only returned if it is a string literal.
+   *
+   * @param {string} expression The expression, which may be in square brackets.
+   * @returns {object} The type and message of the exception, or empty strings if they cannot be found, along with
+   * the expression without the square brackets.
+   * @since 1.1.0
+   */
+  parseExceptionExpression( expression ) {
+
+    let value = expression.trim().replace( /^\[([\s\S]*)\]$/, "$1" ).trim();
+    let exception = { "type": "", "message": "", "expression": value };
+
+    let match = /^new\s+([A-Za-z_][\w.]*)\s*\(/i.exec( value );
+
+    if ( match === null ) {
+      return exception;
+    }
+
+    exception.type = match[ 1 ];
+
+    // Read the first argument, which ends at a comma or bracket that is not in a string or nested brackets.
+    let argument = "";
+    let depth = 0;
+    let isString = false;
+    let position = match[ 0 ].length;
+
+    while ( position < value.length ) {
+      let character = value.charAt( position );
+
+      if ( character === "\"" && value.charAt( position - 1 ) !== "\\" ) {
+        isString = !isString;
+      } else if ( !isString && character === "(" ) {
+        depth++;
+      } else if ( !isString && ( character === ")" || character === "," ) ) {
+        if ( depth === 0 ) {
+          break;
+        }
+
+        if ( character === ")" ) {
+          depth--;
+        }
+      }
+
+      argument += character;
+      position++;
+    }
+
+    argument = argument.trim();
+
+    // A string literal can contain quotes escaped as "" in VB.NET or \" in C#.
+    let text = argument.substring( 1, argument.length - 1 );
+    let isLiteral = argument.length >= 2 && argument.startsWith( "\"" ) && argument.endsWith( "\"" ) &&
+      !text.replace( /""/g, "" ).replace( /\\"/g, "" ).includes( "\"" );
+
+    if ( isLiteral ) {
+      exception.message = text.replace( /""/g, "\"" ).replace( /\\"/g, "\"" );
+    }
+
+    return exception;
+  }
+
+  /**
+   * Get the value of a property of an activity, which can be set using an attribute or a property element.
+   *
+   * String literals are returned without the quotes, for example ["Invoices"] is returned as Invoices, while other
+   * expressions are returned as they are written.
+   *
+   * @param {object} activityElement The element of the activity.
+   * @param {string} propertyName The name of the property.
+   * @param {boolean} unquote Optional flag, set to false to return string literals as they are written.
+   * @returns {string} The value of the property, or an empty string if it is not set.
+   * @since 1.1.0
+   */
+  getActivityProperty( activityElement, propertyName, unquote = true ) {
+
+    let value = "";
+
+    if ( activityElement.hasAttribute( propertyName ) ) {
+      value = activityElement.getAttribute( propertyName );
+    } else {
+      let propertyElements = this.xpath(
+        util.format( "./*[local-name()='%s.%s']", activityElement.localName, propertyName ),
+        activityElement
+      );
+
+      if ( propertyElements.length > 0 ) {
+        value = propertyElements[ 0 ].textContent;
+      }
+    }
+
+    value = value.trim();
+
+    if ( value === "{x:Null}" ) {
+      return "";
+    }
+
+    if ( !unquote ) {
+      return value;
+    }
+
+    let literal = /^\[\s*"([^"]*)"\s*\]$/.exec( value ) || /^"([^"]*)"$/.exec( value );
+
+    return literal === null ? value : literal[ 1 ];
+  }
+
+  /**
+   * Get the namespaces declared on the root element of the XAML code.
+   *
+   * @param {DomParser} xamlDoc The XAML code represented as an XML DOMParser object.
+   * @returns {Map} A map of namespace URIs keyed by prefix, the default namespace has an empty prefix.
+   * @throws {TypeError} Parameter xamlDoc is required and must be a DomParser object.
+   * @since 1.1.0
+   */
+  getNamespaces( xamlDoc ) {
+
+    if ( !xamlDoc || typeof( xamlDoc ) !== "object" ) {
+      throw new TypeError( "xamlDoc parameter is required and must be an instance of DOMParser object" );
+    }
+
+    let namespaces = new Map();
+
+    Array.from( xamlDoc.documentElement.attributes ).forEach( function( attribute ) {
+      if ( attribute.name === "xmlns" ) {
+        namespaces.set( "", attribute.value );
+      } else if ( attribute.name.startsWith( "xmlns:" ) ) {
+        namespaces.set( attribute.name.slice( "xmlns:".length ), attribute.value );
+      }
+    } );
+
+    return namespaces;
+  }
+
+  /**
+   * Parse the variable type XAML element attribute.
+   *
+   * @param {string} variableType The string contained in the element attribute.
+   * @param {Map} namespaces Optional map of the namespaces declared in the XAML code, used to resolve prefixes.
+   * @returns {string} The .NET data type of the variable.
+   * @throws {TypeError} Parameter variableType is required and must be a string.
+   * @since 1.1.0
+   */
+  parseVariableTypeAttribute( variableType, namespaces = new Map() ) {
+
+    if ( !variableType || typeof( variableType ) !== "string" ) {
+      throw new TypeError( "variableType parameter is required and must be a string" );
+    }
+
+    try {
+      return new XamlTypeParser( namespaces ).getTypeName( variableType );
+    } catch ( err ) {
+
+      // Document the type as it appears in the XAML code if it cannot be parsed.
+      return variableType.trim();
+    }
+  }
+
   /**
    * Parse the argument type XAML element attribute.
    *
    * @param {string} argumentType The string contained in the element attribute.
-   * @returns {Array} The list of elements parse from the attribute string.
-   * @throws {TypeError} Parameter argumentType is required and must be a DomParser object.
+   * @param {Map} namespaces Optional map of the namespaces declared in the XAML code, used to resolve prefixes.
+   * @returns {Array} The direction and .NET data type of the argument.
+   * @throws {TypeError} Parameter argumentType is required and must be a string.
    * @since 1.0.0
    */
-  parseArgumentTypeAttribute( argumentType ) {
+  parseArgumentTypeAttribute( argumentType, namespaces = new Map() ) {
 
     if ( !argumentType || typeof( argumentType ) !== "string" ) {
       throw new TypeError( "argumentType parameter is required and must be a string" );
     }
 
-    // Determine the direction of the argument.
-    let direction = argumentType.slice( 0, argumentType.indexOf( "(" ) );
+    let parser = new XamlTypeParser( namespaces );
+    let type = null;
 
-    // Determine the data type of the argument.
-    let dataType = argumentType.slice( ( argumentType.indexOf( ":" ) + 1 ), argumentType.indexOf( ")" ) );
+    try {
+      type = parser.parse( argumentType );
+    } catch ( err ) {
 
-    let data = [ direction, dataType ];
+      // Document the type as it appears in the XAML code if it cannot be parsed.
+      return [
+        argumentType.slice( 0, argumentType.indexOf( "(" ) ),
+        argumentType.slice( argumentType.indexOf( "(" ) + 1, argumentType.lastIndexOf( ")" ) )
+      ];
+    }
 
-    return data;
+    // The direction of the argument is the generic type, and the data type is its type argument.
+    if ( type.typeArguments.length === 0 ) {
+      return [ type.name, "" ];
+    }
+
+    return [ type.name, parser.format( type.typeArguments[ 0 ] ) ];
   }
 
   /**
@@ -266,3 +1357,45 @@ export class XamlProcessor {
   }
 
 }
+
+/**
+ * The activities that use Orchestrator objects, keyed by the name of the activity, each with the type of the object
+ * and the property of the activity that names the object.
+ *
+ * @type {Map}
+ */
+XamlProcessor.orchestratorActivities = new Map( [
+  [ "GetRobotAsset", { "type": "Asset", "nameProperty": "AssetName" } ],
+  [ "GetRobotCredential", { "type": "Credential", "nameProperty": "AssetName" } ],
+  [ "SetAsset", { "type": "Asset", "nameProperty": "AssetName" } ],
+  [ "AddQueueItem", { "type": "Queue", "nameProperty": "QueueType" } ],
+  [ "BulkAddQueueItems", { "type": "Queue", "nameProperty": "QueueName" } ],
+  [ "GetTransactionItem", { "type": "Queue", "nameProperty": "QueueType" } ],
+  [ "SetTransactionStatus", { "type": "Queue", "nameProperty": null } ]
+] );
+
+/**
+ * The namespaces of the elements and attributes used by the workflow designer, such as the view state and hint
+ * size of an activity, which do not change the logic of the workflow.
+ *
+ * @type {Array}
+ */
+XamlProcessor.designerNamespaces = [
+  "http://schemas.microsoft.com/netfx/2009/xaml/activities/presentation",
+  "http://schemas.microsoft.com/netfx/2010/xaml/activities/presentation",
+  "http://schemas.openxmlformats.org/markup-compatibility/2006"
+];
+
+/**
+ * The elements that hold activities, but are not activities themselves.
+ *
+ * @type {Array}
+ */
+XamlProcessor.activityContainers = [ "ActivityAction", "ActivityFunc", "FlowStep" ];
+
+/**
+ * The property elements that hold the activities in a branch of an If or TryCatch activity.
+ *
+ * @type {Array}
+ */
+XamlProcessor.branchProperties = [ "If.Then", "If.Else", "TryCatch.Try", "TryCatch.Finally" ];
@@ -0,0 +1,408 @@
+import * as util from "util";
+
+/**
+ * Parse the type expressions used in XAML code, such as InArgument(scg:Dictionary(x:String, x:Object)), into .NET
+ * type names, such as System.Collections.Generic.Dictionary<String, Object>.
+ *
+ * Namespace prefixes are resolved using the xmlns declarations of the XAML document. Types from the XAML language
+ * namespace, such as x:String and x:Int32, are built in types and are named without a namespace.
+ */
+export class XamlTypeParser {
+
+  /**
+   * Construct a new object.
+   *
+   * @param {Map} namespaces A map of the namespace URIs declared in the XAML document, keyed by prefix.
+   * @throws {TypeError} Parameter namespaces must be a Map object.
+   * @since 1.1.0
+   */
+  constructor( namespaces = new Map() ) {
+
+    if ( !( namespaces instanceof Map ) ) {
+      throw new TypeError( "namespaces parameter must be a Map object" );
+    }
+
+    this.namespaces = namespaces;
+  }
+
+  /**
+   * Parse a type expression.
+   *
+   * @param {string} expression The type expression.
+   * @returns {object} The parsed type with the prefix, namespace, name, type arguments and array ranks.
+   * @throws {TypeError} Parameter expression is required and must be a string.
+   * @throws {Error} If the type expression is not valid.
+   * @since 1.1.0
+   */
+  parse( expression ) {
+
+    if ( !expression || typeof expression !== "string" ) {
+      throw new TypeError( "expression parameter is required and must be a string" );
+    }
+
+    let tokens = this.tokenise( expression );
+    let position = 0;
+    const self = this;
+
+    let fail = function( reason ) {
+      return new Error( util.format( "Unable to parse the type '%s': %s", expression, reason ) );
+    };
+
+    // Get the next token without consuming it, or an empty token at the end of the expression.
+    let peek = function() {
+      // eslint-disable-next-line security/detect-object-injection
+      return tokens[ position ] || { "kind": "end", "value": "" };
+    };
+
+    let parseType = function() {
+      let token = peek();
+
+      if ( token.kind !== "name" ) {
+        throw fail( "expected a type name" );
+      }
+
+      position++;
+
+      let type = self.resolveName( token.value );
+
+      if ( peek().value === "(" ) {
+        position++;
+        type.typeArguments.push( parseType() );
+
+        while ( peek().value === "," ) {
+          position++;
+          type.typeArguments.push( parseType() );
+        }
+
+        if ( peek().value !== ")" ) {
+          throw fail( "expected a closing bracket" );
+        }
+
+        position++;
+      }
+
+      while ( peek().kind === "array" ) {
+        type.arrayRanks.push( peek().value );
+        position++;
+      }
+
+      return type;
+    };
+
+    let type = parseType();
+
+    if ( position !== tokens.length ) {
+      throw fail( util.format( "unexpected '%s'", peek().value ) );
+    }
+
+    return type;
+  }
+
+  /**
+   * Parse an assembly qualified type name, as used by the .NET reflection API and in the project.json file, for
+   * example System.Collections.Generic.List`1[[System.String, mscorlib]], mscorlib.
+   *
+   * The assembly names are ignored. Types in the System namespace that are built in types in the XAML language,
+   * such as System.String, are named without a namespace so they match the types of the workflow arguments.
+   *
+   * @param {string} qualifiedName The assembly qualified type name.
+   * @returns {object} The parsed type with the prefix, namespace, name, type arguments and array ranks.
+   * @throws {TypeError} Parameter qualifiedName is required and must be a string.
+   * @throws {Error} If the type name is not valid.
+   * @since 1.1.0
+   */
+  parseClrName( qualifiedName ) {
+
+    if ( !qualifiedName || typeof qualifiedName !== "string" ) {
+      throw new TypeError( "qualifiedName parameter is required and must be a string" );
+    }
+
+    let position = 0;
+    const self = this;
+
+    let fail = function( reason ) {
+      return new Error( util.format( "Unable to parse the type '%s': %s", qualifiedName, reason ) );
+    };
+
+    let peek = function() {
+      return qualifiedName.charAt( position );
+    };
+
+    let skipSpaces = function() {
+      while ( peek() === " " ) {
+        position++;
+      }
+    };
+
+    // The assembly name follows a comma, and ends at the closing bracket of a type argument.
+    let skipAssembly = function() {
+      if ( peek() === "," ) {
+        while ( position < qualifiedName.length && peek() !== "]" ) {
+          position++;
+        }
+      }
+    };
+
+    let parseType = function() {
+      let start = position;
+
+      while ( position < qualifiedName.length && !"[],".includes( peek() ) ) {
+        position++;
+      }
+
+      // Nested types are separated from the declaring type by a plus sign.
+      let fullName = qualifiedName.slice( start, position ).trim().replace( /\+/g, "." );
+
+      if ( fullName === "" ) {
+        throw fail( "expected a type name" );
+      }
+
+      let type = self.resolveClrName( fullName );
+      let arrayRank = /^\[,*\]/;
+
+      // Type arguments are either assembly qualified names in brackets, or type names.
+      if ( peek() === "[" && !arrayRank.test( qualifiedName.slice( position ) ) ) {
+        position++;
+
+        do {
+          if ( peek() === "," ) {
+            position++;
+          }
+
+          skipSpaces();
+
+          if ( peek() === "[" ) {
+            position++;
+            type.typeArguments.push( parseType() );
+            skipAssembly();
+
+            if ( peek() !== "]" ) {
+              throw fail( "expected a closing bracket" );
+            }
+
+            position++;
+          } else {
+            type.typeArguments.push( parseType() );
+          }
+        } while ( peek() === "," );
+
+        if ( peek() !== "]" ) {
+          throw fail( "expected a closing bracket" );
+        }
+
+        position++;
+      }
+
+      let match = arrayRank.exec( qualifiedName.slice( position ) );
+
+      while ( match !== null ) {
+        type.arrayRanks.push( match[ 0 ] );
+        position += match[ 0 ].length;
+        match = arrayRank.exec( qualifiedName.slice( position ) );
+      }
+
+      return type;
+    };
+
+    let type = parseType();
+
+    skipAssembly();
+
+    if ( position !== qualifiedName.length ) {
+      throw fail( util.format( "unexpected '%s'", peek() ) );
+    }
+
+    return type;
+  }
+
+  /**
+   * Resolve a full type name, including the namespace, to a type.
+   *
+   * @param {string} fullName The type name, for example System.Collections.Generic.List`1.
+   * @returns {object} The type without type arguments or array ranks.
+   * @since 1.1.0
+   */
+  resolveClrName( fullName ) {
+
+    let namespace = "";
+    let name = fullName;
+
+    if ( fullName.includes( "." ) ) {
+      namespace = fullName.slice( 0, fullName.lastIndexOf( "." ) );
+      name = fullName.slice( fullName.lastIndexOf( "." ) + 1 );
+    }
+
+    // Generic type names in the CLR include the number of type parameters, for example List`1.
+    name = name.replace( /`\d+$/, "" );
+
+    if ( namespace === "System" && XamlTypeParser.builtInTypes.includes( name ) ) {
+      namespace = "";
+    }
+
+    return {
+      "prefix": "",
+      "namespace": namespace,
+      "name": name,
+      "typeArguments": [],
+      "arrayRanks": []
+    };
+  }
+
+  /**
+   * Split a type expression into tokens.
+   *
+   * @param {string} expression The type expression.
+   * @returns {Array} The list of tokens, each with a kind and value.
+   * @throws {Error} If the type expression contains an invalid character.
+   * @since 1.1.0
+   */
+  tokenise( expression ) {
+
+    const tokens = [];
+    const pattern = /\s*(?:(\[,*\])|([(),])|([^\s(),[\]]+))/y;
+
+    let match = null;
+    let position = 0;
+
+    while ( position < expression.trimEnd().length ) {
+      pattern.lastIndex = position;
+      match = pattern.exec( expression );
+
+      if ( match === null ) {
+        throw new Error( util.format(
+          "Unable to parse the type '%s': unexpected '%s'",
+          expression,
+          expression.charAt( position )
+        ) );
+      }
+
+      if ( typeof match[ 1 ] !== "undefined" ) {
+        tokens.push( { "kind": "array", "value": match[ 1 ] } );
+      } else if ( typeof match[ 2 ] !== "undefined" ) {
+        tokens.push( { "kind": "punctuation", "value": match[ 2 ] } );
+      } else {
+        tokens.push( { "kind": "name", "value": match[ 3 ] } );
+      }
+
+      position = pattern.lastIndex;
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Resolve a, possibly prefixed, type name to a type.
+   *
+   * @param {string} qualifiedName The type name, for example scg:Dictionary.
+   * @returns {object} The type without type arguments or array ranks.
+   * @since 1.1.0
+   */
+  resolveName( qualifiedName ) {
+
+    let prefix = "";
+    let name = qualifiedName;
+
+    if ( qualifiedName.includes( ":" ) ) {
+      prefix = qualifiedName.slice( 0, qualifiedName.indexOf( ":" ) );
+      name = qualifiedName.slice( qualifiedName.indexOf( ":" ) + 1 );
+    }
+
+    // Generic type names in the CLR include the number of type parameters, for example List`1.
+    name = name.replace( /`\d+$/, "" );
+
+    return {
+      "prefix": prefix,
+      "namespace": this.getClrNamespace( prefix ),
+      "name": name,
+      "typeArguments": [],
+      "arrayRanks": []
+    };
+  }
+
+  /**
+   * Get the CLR namespace for a prefix.
+   *
+   * @param {string} prefix The namespace prefix, or an empty string for the default namespace.
+   * @returns {string} The CLR namespace, or an empty string if the prefix does not map to a CLR namespace.
+   * @since 1.1.0
+   */
+  getClrNamespace( prefix ) {
+
+    let uri = this.namespaces.get( prefix );
+
+    if ( typeof uri !== "string" || !uri.startsWith( "clr-namespace:" ) ) {
+      return "";
+    }
+
+    return uri.slice( "clr-namespace:".length ).split( ";" )[ 0 ].trim();
+  }
+
+  /**
+   * Format a parsed type as a .NET type name.
+   *
+   * Nullable value types are formatted using the shorthand, so a nullable Int32 is formatted as Int32?
+   *
+   * @param {object} type The parsed type.
+   * @returns {string} The .NET type name.
+   * @since 1.1.0
+   */
+  format( type ) {
+
+    const self = this;
+
+    let typeArguments = type.typeArguments.map( function( typeArgument ) {
+      return self.format( typeArgument );
+    } );
+
+    let typeName = "";
+
+    if ( type.name === "Nullable" && typeArguments.length === 1 &&
+      [ "", "System" ].includes( type.namespace ) ) {
+      typeName = typeArguments[ 0 ] + "?";
+    } else {
+      typeName = type.namespace === "" ? type.name : type.namespace + "." + type.name;
+
+      if ( typeArguments.length > 0 ) {
+        typeName += "<" + typeArguments.join( ", " ) + ">";
+      }
+    }
+
+    return typeName + type.arrayRanks.join( "" );
+  }
+
+  /**
+   * Parse a type expression and format it as a .NET type name.
+   *
+   * @param {string} expression The type expression.
+   * @returns {string} The .NET type name.
+   * @throws {TypeError} Parameter expression is required and must be a string.
+   * @throws {Error} If the type expression is not valid.
+   * @since 1.1.0
+   */
+  getTypeName( expression ) {
+    return this.format( this.parse( expression ) );
+  }
+
+  /**
+   * Parse an assembly qualified type name and format it as a .NET type name.
+   *
+   * @param {string} qualifiedName The assembly qualified type name.
+   * @returns {string} The .NET type name.
+   * @throws {TypeError} Parameter qualifiedName is required and must be a string.
+   * @throws {Error} If the type name is not valid.
+   * @since 1.1.0
+   */
+  getClrTypeName( qualifiedName ) {
+    return this.format( this.parseClrName( qualifiedName ) );
+  }
+}
+
+/**
+ * The types in the System namespace that are built in types in the XAML language.
+ *
+ * @type {Array}
+ */
+XamlTypeParser.builtInTypes = [
+  "Boolean", "Byte", "Char", "Decimal", "Double", "Int16", "Int32", "Int64", "Object", "Single", "String",
+  "TimeSpan", "Uri"
+];
@@ -0,0 +1,64 @@
+/* eslint-env browser */
+
+/**
+ * Search the documentation using the index built when the documentation was generated.
+ *
+ * The index is loaded by a script element, rather than requested, so the search works when the
+ * documentation is opened directly from a file share without a web server.
+ */
+( function() {
+  "use strict";
+
+  var input = document.getElementById( "search" );
+  var results = document.getElementById( "search-results" );
+  var workflows = document.getElementById( "workflows" );
+  var searchIndex = window.rpaDocSearchIndex || [];
+
+  if ( !input || !results ) {
+    return;
+  }
+
+  /**
+   * Display the workflows that match all of the search terms.
+   */
+  function search() {
+    var terms = input.value.toLowerCase().split( /\s+/ ).filter( function( term ) {
+      return term !== "";
+    } );
+
+    results.innerHTML = "";
+
+    if ( terms.length === 0 ) {
+      workflows.hidden = false;
+      return;
+    }
+
+    workflows.hidden = true;
+
+    searchIndex.filter( function( entry ) {
+      return terms.every( function( term ) {
+        return entry.text.indexOf( term ) !== -1;
+      } );
+    } ).forEach( function( entry ) {
+      var item = document.createElement( "li" );
+      var link = document.createElement( "a" );
+      var summary = document.createElement( "span" );
+
+      link.href = entry.url;
+      link.textContent = entry.name;
+      summary.textContent = entry.summary;
+
+      item.appendChild( link );
+      item.appendChild( summary );
+      results.appendChild( item );
+    } );
+
+    if ( results.children.length === 0 ) {
+      var empty = document.createElement( "li" );
+      empty.textContent = "No matching workflows.";
+      results.appendChild( empty );
+    }
+  }
+
+  input.addEventListener( "input", search );
+} )();
@@ -4,10 +4,25 @@ import { UiPathProject } from "./app/UiPathProject.js";
 
 import commander from "commander";
 import chalk from "chalk";
+import fs from "fs";
+import os from "os";
 import path from "path";
 import prettyMS from "pretty-ms";
 import { XamlProcessor } from "./app/XamlProcessor.js";
 import { OutputMarkdown } from "./app/OutputMarkdown.js";
+import { OutputJson } from "./app/OutputJson.js";
+import { OutputHtml } from "./app/OutputHtml.js";
+import { DocumentationBuilder } from "./app/DocumentationBuilder.js";
+import { BuildCache } from "./app/BuildCache.js";
+import { ParserPool } from "./app/ParserPool.js";
+import { NupkgArchive } from "./app/NupkgArchive.js";
+import { ProjectCatalogue } from "./app/ProjectCatalogue.js";
+import { ProjectWatcher } from "./app/ProjectWatcher.js";
+import { PreviewServer } from "./app/PreviewServer.js";
+import { ProjectDiff } from "./app/ProjectDiff.js";
+import { Configuration } from "./app/Configuration.js";
+import { CoverageReport } from "./app/CoverageReport.js";
+import { SecretScanner } from "./app/SecretScanner.js";
 
 const appPackage = require( "./package.json" );
 
@@ -18,101 +33,963 @@ const error = chalk.bold.red;
 const warn = chalk.bold.yellow;
 const success = chalk.bold.green;
 
-// Define basic program metadata.
-program.version( appPackage.version, "-v, --version" )
-  .description( "Generate documentation for UiPath projects developed by the Flinders RPA team" )
-  .option( "-i, --input <required>", "Path to UiPath project directory" )
-  .option( "-o, --output <required>", "Path to the documentation directory" )
-  .option( "-c, --clean", "Clean output directory prior to writing new files" )
-  .option( "-x, --xaml-names", "Use XAML file name to derive document file name" );
+// The classes used to output each of the supported formats.
+const outputFormats = {
+  "markdown": OutputMarkdown,
+  "json": OutputJson,
+  "html": OutputHtml
+};
 
-// Parse the command line parameters.
-program.parse( process.argv );
+// The formats that can be previewed in a web browser.
+const previewFormats = [ "markdown", "html" ];
+
+// Exit code used when one or more workflow files could not be documented.
+const workflowErrorExitCode = 2;
+
+// Exit code used when breaking changes are found, and the option to fail on them is set.
+const breakingChangeExitCode = 3;
+
+// Exit code used when the documentation coverage is below the threshold.
+const coverageExitCode = 4;
+
+// Exit code used when secrets are found, and the option to fail on them is set.
+const secretsExitCode = 5;
+
+/**
+ * Read the settings from the configuration file, exiting if they cannot be read.
+ *
+ * @param {object} options The command line options.
+ * @returns {Configuration} The settings.
+ */
+function loadConfiguration( options ) {
+  try {
+    return new Configuration(
+      options.input || process.cwd(),
+      options.config || null
+    );
+  } catch ( err ) {
+    log( error( "Error: " ) + err.message );
+    process.exit( 1 );
+  }
+}
+
+/**
+ * Generate the documentation for a UiPath project.
+ *
+ * @param {object} options The command line options.
+ * @param {commander.Command} command The command being run.
+ */
+function generate( options, command ) {
+
+  // Read the settings from the configuration file, the command line options take precedence.
+  let configuration = loadConfiguration( options );
+
+  options = configuration.merge( options );
+
+  // Check for required input path option.
+  // If missing assume current working directory.
+  if ( typeof( options.input ) === "undefined" ) {
+    options.input = process.cwd();
+  }
+
+  // Check for the required output path option.
+  if ( typeof( options.output ) === "undefined" ) {
+    log( error( "Error: " ) + "The --output option is required." );
+    command.outputHelp();
+    process.exit( 1 );
+  }
+
+  // Check the format, which may have been set in the configuration file.
+  if ( !Object.keys( outputFormats ).includes( options.format ) ) {
+    log(
+      error( "Error: " ) + "The format '%s' is not supported, expected one of %s.",
+      options.format,
+      Object.keys( outputFormats ).join( ", " )
+    );
+    process.exit( 1 );
+  }
+
+  // Output some useful information.
+  log( chalk.bold( "RPA Doc - " + appPackage.version ) );
+
+  if ( configuration.getSource() !== "" ) {
+    log( "INFO: Using settings from '%s'", configuration.getSource() );
+  }
+
+  // Resolve a relative path if required.
+  if ( !path.isAbsolute( options.input ) ) {
+    options.input = path.resolve( process.cwd().toString(), options.input );
+  } else {
+
+    // Normalise the path for sanity.
+    options.input = path.normalize( options.input );
+  }
+
+  if ( !path.isAbsolute( options.output ) ) {
+    options.output = path.resolve( process.cwd().toString(), options.output );
+  } else {
+
+    // Normalise the path for sanity.
+    options.output = path.normalize( options.output );
+  }
+
+  // Document every project beneath the input directory.
+  if ( options.monorepo ) {
+    generateCatalogue( options, configuration );
+    return;
+  }
+
+  // Get some information about the project.
+  let projectInfo = readProject( options.input );
+
+  if ( projectInfo.isPackage() && options.watch ) {
+    log( error( "Error: " ) + "The --watch option cannot be used with a .nupkg file." );
+    process.exit( 1 );
+  }
+
+  // Output some helpful information.
+  log( "INFO: Project name: %s", projectInfo.getName() );
+  log( "INFO: Project version: %s", projectInfo.getVersion() );
+
+  if ( projectInfo.isLibrary() !== true ) {
+    log( warn( "WARN:" ) + " This app works best with UiPath Library projects" );
+  }
+
+  logDependencyWarnings( projectInfo );
+
+  let pool = createPool( options );
+  let builder = createBuilder( projectInfo, options, configuration );
+
+  // Collect all of the metadata.
+  collect( builder, pool, function() {
+    writeDocumentation( builder, options );
+  } );
+}
+
+/**
+ * Generate the documentation for every UiPath project beneath the input directory, each in its own folder, along
+ * with a catalogue of the projects.
+ *
+ * @param {object} options The merged command line options and settings.
+ * @param {Configuration} configuration The settings, used to filter the workflow files of every project.
+ */
+function generateCatalogue( options, configuration ) {
+
+  if ( options.watch ) {
+    log( error( "Error: " ) + "The --watch option cannot be used with the --monorepo option." );
+    process.exit( 1 );
+  }
+
+  let catalogue = new ProjectCatalogue( options.input );
+
+  catalogue.getErrors().forEach( function( projectError ) {
+    log( warn( "WARN:" ) + " Unable to read project file '%s': %s", projectError.file, projectError.reason );
+  } );
+
+  if ( catalogue.getProjects().length === 0 ) {
+    log( error( "Error: " ) + "No UiPath projects were found in '%s'.", options.input );
+    process.exit( 1 );
+  }
+
+  log( "INFO: Found %s UiPath projects.", catalogue.getProjects().length );
+
+  let pool = createPool( options );
+
+  // The catalogue is written to the output directory, so check it before documenting the projects.
+  let output = createOutput( options );
+  let cache = createCache( options );
+
+  output.setCache( cache );
+
+  let projects = catalogue.getProjects().slice();
+  let hasFailures = false;
+
+  let finish = function() {
+    output.writeCatalogue( catalogue );
+
+    if ( cache !== null ) {
+      cache.getStaleOutputs().forEach( function( fileName ) {
+        output.deleteOutputFile( fileName );
+      } );
+
+      cache.save();
+    }
+
+    const endTime = process.hrtime.bigint();
+    const totalTime = Number( endTime - startTime ) * 1e-6;
+
+    log( "INFO: Elapsed time:", prettyMS( totalTime ) );
+
+    if ( hasFailures ) {
+      process.exit( workflowErrorExitCode );
+    }
+
+    log( success( "Documentation files successfully created." ) );
+  };
+
+  // Document the projects one at a time, in the order of their paths.
+  let next = function() {
+
+    if ( projects.length === 0 ) {
+      finish();
+      return;
+    }
+
+    let projectInfo = projects.shift();
+    let projectOptions = Object.assign( {}, options, {
+      "input": projectInfo.getProjectPath(),
+      "output": path.join( options.output, catalogue.getFolderName( projectInfo ) )
+    } );
+
+    log(
+      "INFO: Project: %s %s (%s)",
+      projectInfo.getName(),
+      projectInfo.getVersion(),
+      catalogue.getFolderName( projectInfo )
+    );
+
+    logDependencyWarnings( projectInfo );
+
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    fs.mkdirSync( projectOptions.output, { "recursive": true } );
+
+    let builder = createBuilder( projectInfo, projectOptions, configuration, catalogue );
+
+    collect( builder, pool, function() {
+      logWarnings( builder );
+
+      builder.write();
+
+      log( "INFO: Documented %s public workflow files.", builder.getPublicWorkflows().length );
+
+      if ( logFailures( builder, projectInfo.getProjectPath() ) ) {
+        hasFailures = true;
+      }
+
+      next();
+    } );
+  };
+
+  next();
+}
+
+/**
+ * Read the information about a UiPath project, exiting if it cannot be read.
+ *
+ * @param {string} inputPath The path to the UiPath project folder, or to a .nupkg file.
+ * @returns {UiPathProject} The information about the project.
+ */
+function readProject( inputPath ) {
+
+  try {
+    return new UiPathProject( inputPath );
+  } catch ( err ) {
+    if ( NupkgArchive.isArchivePath( inputPath ) ) {
+      log( error( "Error: " ) + "Unable to read the package '%s': %s", inputPath, err.message );
+    } else {
+      log( error( "Error: " ) + "Unable to read 'project.json' file." );
+    }
+
+    process.exit( 1 );
+  }
+}
+
+/**
+ * Create the pool of worker threads used to parse the workflow files, exiting if the number of workers is invalid.
+ *
+ * @param {object} options The merged command line options and settings.
+ * @returns {ParserPool|null} The pool, or null if the workflow files are parsed one at a time.
+ */
+function createPool( options ) {
+
+  if ( typeof options.parallel === "undefined" ) {
+    return null;
+  }
+
+  // The number of worker threads defaults to the number of CPUs.
+  let workers = options.parallel === true ? os.cpus().length : options.parallel;
+  let pool = null;
+
+  try {
+    pool = new ParserPool( workers );
+  } catch ( err ) {
+    log( error( "Error: " ) + "The number of workers must be a whole number above zero." );
+    process.exit( 1 );
+  }
+
+  log( "INFO: Worker threads used to parse workflow files: %d", pool.getSize() );
+
+  return pool;
+}
+
+/**
+ * Read the metadata from all of the workflow files, using the pool of worker threads if there is one.
+ *
+ * @param {DocumentationBuilder} builder The builder used to generate the documentation.
+ * @param {ParserPool|null} pool The pool of worker threads, or null to parse the workflow files one at a time.
+ * @param {Function} callback Function called once the metadata has been collected.
+ */
+function collect( builder, pool, callback ) {
+
+  // Report the error the same way whether the workflow files are parsed one at a time or in parallel, where the
+  // error is returned asynchronously and cannot be thrown to the caller.
+  let done = function( err ) {
+    if ( err !== null ) {
+      log( error( "Error: " ) + "Unable to document the workflow files: %s", err.message );
+      process.exitCode = workflowErrorExitCode;
+      return;
+    }
+
+    callback();
+  };
+
+  if ( pool === null ) {
+    let collectError = null;
+
+    // The callback is called outside of the try block, so errors writing the documentation are not reported
+    // as errors collecting the metadata.
+    try {
+      builder.collect();
+    } catch ( err ) {
+      collectError = err;
+    }
+
+    done( collectError );
+    return;
+  }
+
+  builder.collectInParallel( pool, done );
+}
+
+/**
+ * Write the documentation once the metadata has been collected, and watch for changes if required.
+ *
+ * @param {DocumentationBuilder} builder The builder used to generate the documentation.
+ * @param {object} options The merged command line options and settings.
+ */
+function writeDocumentation( builder, options ) {
+
+  logWarnings( builder );
+
+  log( "INFO: Metadata collected on %s public workflow files.", builder.getPublicWorkflows().length );
+
+  // Write the documentation, the index page for the project and the graph of invoked workflows.
+  builder.write();
+
+  const endTime = process.hrtime.bigint();
+  const totalTime = Number( endTime - startTime ) * 1e-6;
+
+  log( "INFO: Elapsed time:", prettyMS( totalTime ) );
+
+  // Summarise the workflow files that could not be documented.
+  if ( logFailures( builder, options.input ) ) {
+    if ( !options.watch ) {
+      process.exit( workflowErrorExitCode );
+    }
+  } else {
+    log( success( "Documentation files successfully created." ) );
+  }
+
+  if ( options.watch ) {
+    watch( builder );
+  }
+}
+
+/**
+ * Create the builder used to generate the documentation, exiting if the output cannot be created.
+ *
+ * @param {UiPathProject} projectInfo The information about the UiPath project.
+ * @param {object} options The merged command line options and settings.
+ * @param {Configuration} configuration The settings, used to filter the workflow files.
+ * @param {ProjectCatalogue} catalogue Optional catalogue, used to leave out the workflow files of other projects
+ * in sub folders.
+ * @returns {DocumentationBuilder} The builder.
+ */
+function createBuilder( projectInfo, options, configuration, catalogue = null ) {
+
+  return new DocumentationBuilder( projectInfo, createOutput( options ), {
+    "naming": options.naming,
+    "failFast": options.failFast,
+    "cache": createCache( options ),
+    "isIncluded": function( projectFilePath ) {
+      let isProjectFile = catalogue === null ||
+        catalogue.isProjectFile( projectInfo, projectFilePath );
+
+      return isProjectFile && configuration.isIncluded( projectFilePath );
+    }
+  } );
+}
+
+/**
+ * Create the output used to write the documentation, exiting if the output cannot be created.
+ *
+ * @param {object} options The merged command line options and settings.
+ * @returns {OutputMarkdown|OutputJson|OutputHtml} The output for the selected format.
+ */
+function createOutput( options ) {
+
+  let output = null;
+  try {
+    output = new outputFormats[ options.format ]( options.output, options.clean );
+
+    Object.entries( options.sections ).forEach( function( section ) {
+      output.setSectionEnabled( section[ 0 ], section[ 1 ] );
+    } );
+
+    Object.entries( options.templates ).forEach( function( template ) {
+      output.loadTemplate( template[ 0 ], template[ 1 ] );
+    } );
+  } catch ( err ) {
+    log( error( "Error: " ) + err.message );
+    process.exit( 1 );
+  }
+
+  return output;
+}
+
+/**
+ * Create the cache used to skip the workflow files and output files that have not changed since the last run.
+ *
+ * @param {object} options The merged command line options and settings.
+ * @returns {BuildCache|null} The cache loaded from the output directory, or null if the cache is not used.
+ */
+function createCache( options ) {
+
+  if ( options.cache === false ) {
+    return null;
+  }
 
-// Check for required input path option.
-// If missing assume current working directory.
-if ( typeof( program.input ) === "undefined" ) {
-  program.input = process.cwd();
+  let cache = new BuildCache( options.output, appPackage.version );
+  cache.load();
+
+  return cache;
+}
+
+/**
+ * Output the private workflow files that could not be read.
+ *
+ * @param {DocumentationBuilder} builder The builder used to generate the documentation.
+ */
+function logWarnings( builder ) {
+  builder.getWarnings().forEach( function( warning ) {
+    log( warn( "WARN:" ) + " Unable to read private workflow '%s': %s", warning.file, warning.reason );
+  } );
 }
 
-// Check for the required output path option.
-if ( typeof( program.output ) === "undefined" ) {
-  log( error( "Error: " ) + "The --output option is required." );
-  program.outputHelp();
-  process.exit( 1 );
+/**
+ * Output the problems found with the dependencies of a project, such as prerelease packages.
+ *
+ * @param {UiPathProject} projectInfo The information about the project.
+ */
+function logDependencyWarnings( projectInfo ) {
+  projectInfo.getDependencyWarnings().forEach( function( warning ) {
+    log( warn( "WARN:" ) + " %s", warning.reason );
+  } );
+}
+
+/**
+ * Summarise the workflow files that could not be documented.
+ *
+ * @param {DocumentationBuilder} builder The builder used to generate the documentation.
+ * @param {string} projectPath The path to the UiPath project, used to shorten the file paths.
+ * @returns {boolean} True if there are workflow files that could not be documented, false if there are not.
+ */
+function logFailures( builder, projectPath ) {
+
+  let failures = builder.getFailures();
+
+  if ( failures.length === 0 ) {
+    return false;
+  }
+
+  log( error( "Error: " ) + "Unable to document %s workflow files:", failures.length );
+
+  failures.forEach( function( failure ) {
+    log( "  %s - %s", warn( path.relative( projectPath, failure.file ) ), failure.reason );
+  } );
+
+  return true;
 }
 
-// Output some useful information.
-log( chalk.bold( "RPA Doc - " + appPackage.version ) );
+/**
+ * Watch the UiPath project for changes, and update the documentation until the process is stopped.
+ *
+ * @param {DocumentationBuilder} builder The builder used to generate the documentation.
+ * @param {Function} onUpdate Optional function called after the documentation is updated.
+ */
+function watch( builder, onUpdate = null ) {
 
-// Resolve a relative path if required.
-if ( !path.isAbsolute( program.input ) ) {
-  program.input = path.resolve( process.cwd().toString(), program.input );
-} else {
+  let projectPath = builder.getProject().getProjectPath();
+  let watcher = new ProjectWatcher( projectPath );
 
-  // Normalise the path for sanity.
-  program.input = path.normalize( program.input );
+  watcher.start( function( changes ) {
+    let projectFile = changes.find( function( filePath ) {
+      return watcher.isProjectFile( filePath );
+    } );
+
+    try {
+      if ( typeof projectFile !== "undefined" ) {
+
+        // The public workflows and dependencies may have changed, so document all of the workflows.
+        log( "INFO: The project file changed, updating all of the workflows." );
+
+        builder.setProject( new UiPathProject( projectPath ) );
+        builder.collect();
+        builder.write();
+      } else {
+        changes.forEach( function( filePath ) {
+          log( "INFO: Changed '%s'", path.relative( projectPath, filePath ) );
+        } );
+
+        let written = builder.update( changes );
+
+        log( "INFO: Updated the documentation for %s workflow files.", written.length );
+      }
+    } catch ( err ) {
+      log( error( "Error: " ) + err.message );
+    }
+
+    logWarnings( builder );
+    logFailures( builder, projectPath );
+
+    if ( onUpdate !== null ) {
+      onUpdate();
+    }
+  } );
+
+  log( "INFO: Watching '%s' for changes, press Ctrl+C to stop.", projectPath );
 }
 
-if ( !path.isAbsolute( program.output ) ) {
-  program.output = path.resolve( process.cwd().toString(), program.output );
-} else {
+/**
+ * Generate the documentation for a UiPath project into a temporary directory, and serve it over HTTP.
+ *
+ * @param {object} options The command line options.
+ */
+function serve( options ) {
+
+  // Read the settings from the configuration file, the command line options take precedence.
+  let configuration = loadConfiguration( options );
+
+  options = configuration.merge( options );
+
+  if ( typeof( options.input ) === "undefined" ) {
+    options.input = process.cwd();
+  }
+
+  // Check the format, which may have been set in the configuration file.
+  if ( !previewFormats.includes( options.format ) ) {
+    log(
+      error( "Error: " ) + "The format '%s' cannot be previewed, expected one of %s.",
+      options.format,
+      previewFormats.join( ", " )
+    );
+    process.exit( 1 );
+  }
+
+  if ( !Number.isInteger( options.port ) || options.port < 0 || options.port > 65535 ) {
+    log( error( "Error: " ) + "The port must be a number between 0 and 65535." );
+    process.exit( 1 );
+  }
+
+  log( chalk.bold( "RPA Doc - " + appPackage.version ) );
+
+  if ( configuration.getSource() !== "" ) {
+    log( "INFO: Using settings from '%s'", configuration.getSource() );
+  }
+
+  options.input = path.resolve( process.cwd().toString(), options.input );
+
+  let projectInfo = readProject( options.input );
+
+  log( "INFO: Project name: %s", projectInfo.getName() );
+  log( "INFO: Project version: %s", projectInfo.getVersion() );
+
+  // The documentation is written to a temporary directory, which is removed when the server stops.
+  options.output = fs.mkdtempSync( path.join( os.tmpdir(), "rpa-doc-" ) );
+  options.clean = false;
+  options.cache = false;
+
+  let builder = createBuilder( projectInfo, options, configuration );
+
+  builder.collect();
+  logWarnings( builder );
+  builder.write();
+  logFailures( builder, options.input );
+
+  let server = new PreviewServer( options.output );
+
+  let stop = function() {
+    server.stop();
+    fs.rmSync( options.output, { "recursive": true, "force": true } );
+    process.exit( 0 );
+  };
+
+  server.start( options.port, function( err, url ) {
+    if ( err !== null ) {
+      log( error( "Error: " ) + "Unable to start the server: %s", err.message );
+      fs.rmSync( options.output, { "recursive": true, "force": true } );
+      process.exit( 1 );
+    }
+
+    log( success( "Serving the documentation at " + url ) );
+
+    // A package cannot change, so there is nothing to watch.
+    if ( projectInfo.isPackage() ) {
+      return;
+    }
 
-  // Normalise the path for sanity.
-  program.output = path.normalize( program.output );
+    // The documentation can still be previewed if the project cannot be watched.
+    try {
+      watch( builder, function() {
+        server.reload();
+      } );
+    } catch ( err ) {
+      log(
+        error( "Error: " ) + "Unable to watch the project, the documentation will not be updated: %s",
+        err.message
+      );
+    }
+  } );
+
+  process.on( "SIGINT", stop );
+  process.on( "SIGTERM", stop );
 }
 
-// Get some information about the project.
-let projectInfo = null;
-try {
-  projectInfo = new UiPathProject( program.input );
-} catch ( err ) {
-  log( error( "Error: " ) + "Unable to read 'project.json' file." );
-  process.exit( 1 );
+/**
+ * Check the documentation coverage of the public workflows in a UiPath project.
+ *
+ * @param {object} options The command line options.
+ */
+function check( options ) {
+
+  // Read the settings from the configuration file, the command line options take precedence.
+  let configuration = loadConfiguration( options );
+
+  options = configuration.merge( options );
+
+  if ( typeof( options.input ) === "undefined" ) {
+    options.input = process.cwd();
+  }
+
+  // Check the threshold, which may have been set in the configuration file.
+  if ( typeof options.threshold !== "number" || isNaN( options.threshold ) ||
+    options.threshold < 0 || options.threshold > 100 ) {
+    log( error( "Error: " ) + "The threshold must be a number between 0 and 100." );
+    process.exit( 1 );
+  }
+
+  log( chalk.bold( "RPA Doc - " + appPackage.version ) );
+
+  if ( configuration.getSource() !== "" ) {
+    log( "INFO: Using settings from '%s'", configuration.getSource() );
+  }
+
+  options.input = path.resolve( process.cwd().toString(), options.input );
+
+  let projectInfo = readProject( options.input );
+
+  log( "INFO: Project name: %s", projectInfo.getName() );
+  log( "INFO: Project version: %s", projectInfo.getVersion() );
+
+  let publicFiles = projectInfo.getXamlFiles( true, true );
+  let workflowFiles = publicFiles.filter( function( workflowFile ) {
+    return configuration.isIncluded(
+      path.relative( projectInfo.getProjectPath(), path.resolve( workflowFile ) )
+    );
+  } );
+  let processor = new XamlProcessor( projectInfo.getArchive() );
+  let report = new CoverageReport( projectInfo );
+  let failures = [];
+
+  workflowFiles.forEach( function( workflowFile ) {
+    try {
+      report.addWorkflow( processor.getMetadata( workflowFile ) );
+    } catch ( err ) {
+      failures.push( { "file": workflowFile, "reason": err.message } );
+    }
+  } );
+
+  // Output the coverage of each workflow as a table.
+  log( "\n  %s  %s  %s", "Coverage", " Checks", "Workflow" );
+
+  report.getWorkflows().forEach( function( workflow ) {
+    let coverage = ( workflow.coverage.toFixed( 1 ) + "%" ).padStart( 8 );
+
+    log(
+      "  %s  %s  %s",
+      workflow.coverage < 100 ? warn( coverage ) : success( coverage ),
+      ( workflow.passed + "/" + workflow.total ).padStart( 7 ),
+      workflow.workflow
+    );
+  } );
+
+  log( "" );
+
+  report.getIssues().forEach( function( issue ) {
+    log( "  %s - %s", warn( issue.workflow ), issue.description );
+  } );
+
+  // Write the machine readable reports.
+  try {
+    if ( typeof options.json !== "undefined" ) {
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      fs.writeFileSync( options.json, JSON.stringify( report, null, 2 ) + "\n" );
+      log( "INFO: JSON report written to '%s'", options.json );
+    }
+
+    if ( typeof options.junit !== "undefined" ) {
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      fs.writeFileSync( options.junit, report.toJUnit() );
+      log( "INFO: JUnit report written to '%s'", options.junit );
+    }
+  } catch ( err ) {
+    log( error( "Error: " ) + err.message );
+    process.exit( 1 );
+  }
+
+  if ( failures.length > 0 ) {
+    log( error( "Error: " ) + "Unable to check %s workflow files:", failures.length );
+
+    failures.forEach( function( failure ) {
+      log( "  %s - %s", warn( path.relative( options.input, failure.file ) ), failure.reason );
+    } );
+
+    process.exit( workflowErrorExitCode );
+  }
+
+  log(
+    "INFO: Documentation coverage: %s%% (threshold %s%%)",
+    report.getCoverage(),
+    options.threshold
+  );
+
+  if ( !report.meetsThreshold( options.threshold ) ) {
+    log( error( "Error: " ) + "The documentation coverage is below the threshold." );
+    process.exit( coverageExitCode );
+  }
+
+  log( success( "Documentation coverage meets the threshold." ) );
 }
 
-// Output some helpful information.
-log( "INFO: Project name: %s", projectInfo.getName() );
-log( "INFO: Project version: %s", projectInfo.getVersion() );
+/**
+ * Scan the workflows of a UiPath project for hard-coded secrets and sensitive data.
+ *
+ * @param {object} options The command line options.
+ */
+function scan( options ) {
+
+  // Read the settings from the configuration file, the command line options take precedence.
+  let configuration = loadConfiguration( options );
+
+  options = configuration.merge( options );
+
+  if ( typeof( options.input ) === "undefined" ) {
+    options.input = process.cwd();
+  }
+
+  if ( typeof options.failOn !== "undefined" && !SecretScanner.severities.includes( options.failOn ) ) {
+    log( error( "Error: " ) + "The severity must be one of %s.", SecretScanner.severities.join( ", " ) );
+    process.exit( 1 );
+  }
+
+  log( chalk.bold( "RPA Doc - " + appPackage.version ) );
+
+  if ( configuration.getSource() !== "" ) {
+    log( "INFO: Using settings from '%s'", configuration.getSource() );
+  }
+
+  options.input = path.resolve( process.cwd().toString(), options.input );
+
+  let projectInfo = readProject( options.input );
+
+  log( "INFO: Project name: %s", projectInfo.getName() );
+  log( "INFO: Project version: %s", projectInfo.getVersion() );
+
+  let workflowFiles = projectInfo.getXamlFiles( true ).filter( function( workflowFile ) {
+    return configuration.isIncluded(
+      path.relative( projectInfo.getProjectPath(), path.resolve( workflowFile ) )
+    );
+  } );
+  let scanner = new SecretScanner( projectInfo );
+  let failures = [];
+
+  workflowFiles.forEach( function( workflowFile ) {
+    try {
+      scanner.scanWorkflow( workflowFile );
+    } catch ( err ) {
+      failures.push( { "file": workflowFile, "reason": err.message } );
+    }
+  } );
 
-if ( projectInfo.isLibrary() !== true ) {
-  log( warn( "WARN:" ) + " This app works best with UiPath Library projects" );
+  let findings = scanner.getFindings();
+
+  if ( findings.length === 0 ) {
+    log( "INFO: No secrets or sensitive data were found in %s workflow files.", workflowFiles.length );
+  } else {
+    log( "INFO: Found %s secrets or sensitive data:\n", findings.length );
+
+    findings.forEach( function( finding ) {
+      let severity = finding.severity.toUpperCase().padEnd( 6 );
+
+      log(
+        "  %s  %s - %s: %s%s",
+        finding.severity === "low" ? warn( severity ) : error( severity ),
+        finding.workflow,
+        finding.location,
+        finding.description,
+        finding.excerpt === "" ? "" : " (" + finding.excerpt + ")"
+      );
+    } );
+
+    log( "" );
+  }
+
+  // Write the machine readable report.
+  if ( typeof options.json !== "undefined" ) {
+    try {
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      fs.writeFileSync( options.json, JSON.stringify( scanner, null, 2 ) + "\n" );
+      log( "INFO: JSON report written to '%s'", options.json );
+    } catch ( err ) {
+      log( error( "Error: " ) + err.message );
+      process.exit( 1 );
+    }
+  }
+
+  if ( failures.length > 0 ) {
+    log( error( "Error: " ) + "Unable to scan %s workflow files:", failures.length );
+
+    failures.forEach( function( failure ) {
+      log( "  %s - %s", warn( path.relative( options.input, failure.file ) ), failure.reason );
+    } );
+
+    process.exit( workflowErrorExitCode );
+  }
+
+  if ( typeof options.failOn !== "undefined" && scanner.hasFindings( options.failOn ) ) {
+    log( error( "Error: " ) + "Secrets or sensitive data with a severity of %s or higher were found.", options.failOn );
+    process.exit( secretsExitCode );
+  }
 }
 
-// Collect all of the metadata.
-let workflowMeta = [];
-let workflowFiles = projectInfo.getXamlFiles( true, true );
-let processor = new XamlProcessor();
+/**
+ * Compare two versions of a UiPath project and report the changes to the public workflows.
+ *
+ * @param {string} previous Path to the previous version of the project, or its manifest file.
+ * @param {string} current Path to the current version of the project, or its manifest file.
+ * @param {object} options The command line options.
+ */
+function diff( previous, current, options ) {
+
+  log( chalk.bold( "RPA Doc - " + appPackage.version ) );
+
+  let projectDiff = null;
+  try {
+    projectDiff = new ProjectDiff( previous, current );
+  } catch ( err ) {
+    log( error( "Error: " ) + err.message );
+    process.exit( 1 );
+  }
 
-workflowFiles.forEach( function( workflowFile ) {
-  let meta = processor.getMetadata( workflowFile );
+  let changes = projectDiff.getChanges();
 
-  // Use file names derived from the UiPath project path.
-  if ( program.xamlNames ) {
-    meta.setProjectFilePath( projectInfo.getProjectPath() );
+  // The version does not need to change if the public workflows are the same.
+  if ( changes.length === 0 ) {
+    log( "INFO: No changes to the public workflows were found." );
+    return;
   }
 
-  workflowMeta.push( meta );
-} );
+  log( "INFO: Found %s changes to the public workflows:", changes.length );
+
+  changes.forEach( function( change ) {
+    log(
+      "  %s %s - %s",
+      change.breaking ? error( "BREAKING" ) : success( "Non-breaking" ),
+      change.workflow,
+      change.description
+    );
+  } );
 
-log( "INFO: Metadata collected on %s public workflow files.", workflowMeta.length );
+  let suggestedVersion = projectDiff.getSuggestedVersion();
+
+  if ( suggestedVersion === null ) {
+    log( "INFO: Suggested version bump: %s", projectDiff.getSuggestedBump() );
+  } else {
+    log(
+      "INFO: Suggested version bump: %s (%s -> %s)",
+      projectDiff.getSuggestedBump(),
+      projectDiff.getPreviousVersion(),
+      suggestedVersion
+    );
+  }
 
-let output = null;
-try {
-  output = new OutputMarkdown( program.output, program.clean );
-} catch ( err ) {
-  log( error( "Error: " ) + err.message );
-  process.exit( 1 );
+  if ( projectDiff.isBreaking() && options.failOnBreaking ) {
+    process.exit( breakingChangeExitCode );
+  }
 }
 
-// Write the documentation.
-workflowMeta.forEach( function( meta ) {
-  // eslint-disable-next-line security/detect-non-literal-fs-filename
-  output.writeFile( meta );
-} );
+// Define basic program metadata.
+program.version( appPackage.version, "-v, --version" )
+  .description( "Generate documentation for UiPath projects developed by the Flinders RPA team" );
 
-const endTime = process.hrtime.bigint();
-const totalTime = Number( endTime - startTime ) * 1e-6;
+program.command( "generate", { "isDefault": true } )
+  .description( "Generate documentation for a UiPath project" )
+  .option( "-i, --input <required>", "Path to UiPath project directory or .nupkg file" )
+  .option( "-o, --output <required>", "Path to the documentation directory" )
+  .option( "-c, --clean", "Clean output directory prior to writing new files" )
+  .option( "--no-cache", "Read and write all of the files, instead of only the files that have changed" )
+  .option( "-m, --monorepo", "Document every UiPath project found in the input directory" )
+  .option( "-j, --parallel [workers]", "Parse the workflow files using worker threads (default: CPU count)", Number )
+  .option( "-x, --xaml-names", "Use XAML file name to derive document file name" )
+  .option( "--fail-fast", "Stop at the first workflow file that cannot be documented" )
+  .option( "-w, --watch", "Keep running and update the documentation when the project changes" )
+  .addOption(
+    new commander.Option( "-f, --format <format>", "Format of the documentation (default: markdown)" )
+      .choices( Object.keys( outputFormats ) )
+  )
+  .option( "--config <file>", "Path to a configuration file, instead of " + Configuration.fileName )
+  .action( generate );
+
+program.command( "serve" )
+  .description( "Preview the documentation for a UiPath project in a web browser" )
+  .option( "-i, --input <required>", "Path to UiPath project directory or .nupkg file" )
+  .option( "-p, --port <port>", "Port to serve the documentation on", Number, 8080 )
+  .option( "-x, --xaml-names", "Use XAML file name to derive document file name" )
+  .addOption(
+    new commander.Option( "-f, --format <format>", "Format of the documentation (default: markdown)" )
+      .choices( previewFormats )
+  )
+  .option( "--config <file>", "Path to a configuration file, instead of " + Configuration.fileName )
+  .action( serve );
+
+program.command( "check" )
+  .description( "Report the documentation coverage of the public workflows in a UiPath project" )
+  .option( "-i, --input <required>", "Path to UiPath project directory or .nupkg file" )
+  .option( "-t, --threshold <percent>", "Minimum coverage required (default: 100)", Number )
+  .option( "--json <file>", "Write the report to a JSON file" )
+  .option( "--junit <file>", "Write the report to a JUnit XML file" )
+  .option( "--config <file>", "Path to a configuration file, instead of " + Configuration.fileName )
+  .action( check );
+
+program.command( "scan" )
+  .description( "Scan the workflows in a UiPath project for hard-coded secrets and sensitive data" )
+  .option( "-i, --input <required>", "Path to UiPath project directory or .nupkg file" )
+  .option(
+    "--fail-on <severity>",
+    "Exit with an error code if there are findings of this severity or higher: " +
+      SecretScanner.severities.join( ", " )
+  )
+  .option( "--json <file>", "Write the report to a JSON file" )
+  .option( "--config <file>", "Path to a configuration file, instead of " + Configuration.fileName )
+  .action( scan );
 
-log( "INFO: Elapsed time:", prettyMS( totalTime ) );
-log( success( "Markdown files successfully created." ) );
+program.command( "diff <previous> <current>" )
+  .description(
+    "Compare the public workflows of two versions of a UiPath project, " +
+    "each a project directory, a .nupkg file or a JSON manifest file"
+  )
+  .option( "--fail-on-breaking", "Exit with an error code if there are breaking changes" )
+  .action( diff );
+
+// Parse the command line parameters.
+program.parse( process.argv );
@@ -0,0 +1,234 @@
+import { BuildCache } from "../app/BuildCache.js";
+import { WorkflowMetadata } from "../app/WorkflowMetadata.js";
+
+import { createTempDirectory, removeTempDirectory } from "./helpers/Fixtures.js";
+
+import * as assert from "assert";
+import * as fs from "fs";
+import * as path from "path";
+
+/**
+ * Create the metadata of a workflow for testing.
+ *
+ * @returns {WorkflowMetadata} The metadata.
+ */
+function createMetadata() {
+  let metadata = new WorkflowMetadata( "./test/artefacts/uno.xaml" );
+  metadata.setWorkflowName( "uno" );
+  metadata.addArgument( "testArgument", "InArgument", "String", "For testing", "" );
+
+  return metadata;
+}
+
+/**
+ * Test the BuildCache object.
+ */
+describe( "BuildCache", function() {
+
+  /**
+   * Test constructing a new instance of the class.
+   */
+  describe( "#constructor", function() {
+    it( "should throw an error if the output path is not supplied", function() {
+      assert.throws( function() {
+        new BuildCache();
+      }, TypeError );
+    } );
+
+    it( "should throw an error if the version is not supplied", function() {
+      assert.throws( function() {
+        new BuildCache( "./test/artefacts/output" );
+      }, TypeError );
+    } );
+  } );
+
+  /**
+   * Test getting the hash of some content.
+   */
+  describe( "#getHash", function() {
+    it( "should return the same hash for a string and a buffer", function() {
+      let cache = new BuildCache( "./test/artefacts/output", "1.0.0" );
+
+      assert.strictEqual( cache.getHash( "# Ünø\n" ), cache.getHash( Buffer.from( "# Ünø\n" ) ) );
+      assert.notStrictEqual( cache.getHash( "# Uno\n" ), cache.getHash( "# Dos\n" ) );
+    } );
+  } );
+
+  /**
+   * Test getting the metadata of a workflow file from the cache.
+   */
+  describe( "#getWorkflow", function() {
+    it( "should return the metadata if the workflow file has not changed", function() {
+      let cache = new BuildCache( "./test/artefacts/output", "1.0.0" );
+
+      cache.setWorkflow( "uno.xaml", "abc", createMetadata() );
+
+      let metadata = cache.getWorkflow( "uno.xaml", "abc", "/moved/uno.xaml" );
+
+      assert.ok( metadata instanceof WorkflowMetadata );
+      assert.strictEqual( metadata.getWorkflowName(), "uno" );
+      assert.strictEqual( metadata.getFilePath(), path.normalize( "/moved/uno.xaml" ) );
+      assert.strictEqual( metadata.getArguments().size, 1 );
+    } );
+
+    it( "should return null if the workflow file has changed", function() {
+      let cache = new BuildCache( "./test/artefacts/output", "1.0.0" );
+
+      cache.setWorkflow( "uno.xaml", "abc", createMetadata() );
+
+      assert.strictEqual( cache.getWorkflow( "uno.xaml", "def", "/uno.xaml" ), null );
+      assert.strictEqual( cache.getWorkflow( "uno.xaml", "abc", "/uno.xaml" ), null );
+      assert.strictEqual( cache.getWorkflow( "dos.xaml", "abc", "/dos.xaml" ), null );
+    } );
+  } );
+
+  /**
+   * Test saving and loading the cache.
+   */
+  describe( "#load", function() {
+    it( "should load the cache saved by the same version", function() {
+      let outputPath = createTempDirectory();
+      let cache = new BuildCache( outputPath, "1.0.0" );
+
+      cache.setWorkflow( "uno.xaml", "abc", createMetadata() );
+      cache.setOutput( "uno.md", "def" );
+      cache.save();
+
+      cache = new BuildCache( outputPath, "1.0.0" );
+      cache.load();
+
+      assert.strictEqual( cache.getWorkflow( "uno.xaml", "abc", "/uno.xaml" ).getWorkflowName(), "uno" );
+      assert.strictEqual( cache.getOutputHash( "uno.md" ), "def" );
+
+      removeTempDirectory( outputPath );
+    } );
+
+    it( "should ignore the cache saved by another version", function() {
+      let outputPath = createTempDirectory();
+      let cache = new BuildCache( outputPath, "1.0.0" );
+
+      cache.setWorkflow( "uno.xaml", "abc", createMetadata() );
+      cache.setOutput( "uno.md", "def" );
+      cache.save();
+
+      cache = new BuildCache( outputPath, "1.1.0" );
+      cache.load();
+
+      assert.strictEqual( cache.getWorkflow( "uno.xaml", "abc", "/uno.xaml" ), null );
+      assert.strictEqual( cache.getOutputHash( "uno.md" ), null );
+
+      removeTempDirectory( outputPath );
+    } );
+
+    it( "should ignore the cache saved with another version of the workflow metadata", function() {
+      let outputPath = createTempDirectory();
+      let cache = new BuildCache( outputPath, "1.0.0" );
+
+      cache.setWorkflow( "uno.xaml", "abc", createMetadata() );
+      cache.save();
+
+      let manifestPath = path.join( outputPath, BuildCache.fileName );
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      let manifest = JSON.parse( fs.readFileSync( manifestPath ).toString() );
+
+      manifest.schemaVersion = BuildCache.schemaVersion - 1;
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      fs.writeFileSync( manifestPath, JSON.stringify( manifest ) );
+
+      cache = new BuildCache( outputPath, "1.0.0" );
+      cache.load();
+
+      assert.strictEqual( cache.getWorkflow( "uno.xaml", "abc", "/uno.xaml" ), null );
+
+      removeTempDirectory( outputPath );
+    } );
+
+    it( "should ignore a manifest file that cannot be parsed", function() {
+      let outputPath = createTempDirectory();
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      fs.writeFileSync( path.join( outputPath, BuildCache.fileName ), "{" );
+
+      let cache = new BuildCache( outputPath, "1.0.0" );
+
+      assert.doesNotThrow( function() {
+        cache.load();
+      } );
+      assert.deepStrictEqual( cache.getStaleOutputs(), [] );
+
+      removeTempDirectory( outputPath );
+    } );
+
+    it( "should ignore files outside the output path", function() {
+      let outputPath = createTempDirectory();
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      fs.writeFileSync( path.join( outputPath, BuildCache.fileName ), JSON.stringify( {
+        "version": "1.0.0",
+        "schemaVersion": BuildCache.schemaVersion,
+        "workflows": {},
+        "outputs": { "../uno.md": "abc", "dos.md": "def" }
+      } ) );
+
+      let cache = new BuildCache( outputPath, "1.0.0" );
+      cache.load();
+
+      assert.deepStrictEqual( cache.getStaleOutputs(), [ "dos.md" ] );
+
+      removeTempDirectory( outputPath );
+    } );
+  } );
+
+  /**
+   * Test saving the cache.
+   */
+  describe( "#save", function() {
+    it( "should only save the workflow files used since the cache was loaded", function() {
+      let outputPath = createTempDirectory();
+      let cache = new BuildCache( outputPath, "1.0.0" );
+
+      cache.setWorkflow( "uno.xaml", "abc", createMetadata() );
+      cache.setWorkflow( "dos.xaml", "def", createMetadata() );
+      cache.save();
+
+      cache = new BuildCache( outputPath, "1.0.0" );
+      cache.load();
+      cache.getWorkflow( "uno.xaml", "abc", "/uno.xaml" );
+      cache.save();
+
+      cache = new BuildCache( outputPath, "1.0.0" );
+      cache.load();
+
+      assert.notStrictEqual( cache.getWorkflow( "uno.xaml", "abc", "/uno.xaml" ), null );
+      assert.strictEqual( cache.getWorkflow( "dos.xaml", "def", "/dos.xaml" ), null );
+
+      removeTempDirectory( outputPath );
+    } );
+  } );
+
+  /**
+   * Test getting the files that are no longer written.
+   */
+  describe( "#getStaleOutputs", function() {
+    it( "should return the files written by a previous run only", function() {
+      let outputPath = createTempDirectory();
+      let cache = new BuildCache( outputPath, "1.0.0" );
+
+      cache.setOutput( "uno.md", "abc" );
+      cache.setOutput( "dos.md", "def" );
+      cache.setOutput( "README.md", "ghi" );
+      cache.save();
+
+      cache = new BuildCache( outputPath, "1.0.0" );
+      cache.load();
+      cache.setOutput( "uno.md", "abc" );
+      cache.setOutput( "tres.md", "jkl" );
+      cache.removeOutput( "README.md" );
+
+      assert.deepStrictEqual( cache.getStaleOutputs(), [ "dos.md" ] );
+
+      removeTempDirectory( outputPath );
+    } );
+  } );
+} );
@@ -0,0 +1,189 @@
+import { Configuration } from "../app/Configuration.js";
+
+import * as assert from "assert";
+import * as path from "path";
+
+/**
+ * Test the Configuration object.
+ */
+describe( "Configuration", function() {
+
+  /**
+   * Test constructing a new instance of the class.
+   */
+  describe( "#constructor", function() {
+    it( "should throw an error if the parameter is not supplied", function() {
+      assert.throws( function() {
+        new Configuration();
+      }, TypeError );
+    } );
+
+    it( "should use the default settings if there is no configuration", function() {
+      let configuration = new Configuration( "./test/artefacts" );
+
+      assert.strictEqual( configuration.getSource(), "" );
+      assert.strictEqual( configuration.get( "format" ), "markdown" );
+      assert.strictEqual( configuration.get( "clean" ), false );
+      assert.strictEqual( configuration.get( "threshold" ), 100 );
+      assert.strictEqual( configuration.get( "naming" ), "workflow" );
+      assert.strictEqual( configuration.get( "input" ), undefined );
+    } );
+
+    it( "should prefer the configuration file to the project file", function() {
+      let configuration = new Configuration( "./test/projects/config/file" );
+
+      assert.strictEqual(
+        configuration.getSource(),
+        path.join( "test", "projects", "config", "file", ".rpadoc.json" )
+      );
+      assert.strictEqual( configuration.get( "format" ), "html" );
+      assert.strictEqual( configuration.get( "clean" ), true );
+      assert.strictEqual( configuration.get( "naming" ), "xaml" );
+      assert.deepStrictEqual( configuration.get( "sections" ), { "variables": false } );
+    } );
+
+    it( "should read the settings from the project file", function() {
+      let configuration = new Configuration( "./test/projects/config/project" );
+
+      assert.strictEqual( configuration.get( "format" ), "json" );
+    } );
+
+    it( "should read a configuration file that is supplied", function() {
+      let configuration = new Configuration(
+        "./test/artefacts",
+        "./test/projects/config/file/.rpadoc.json"
+      );
+
+      assert.strictEqual( configuration.get( "format" ), "html" );
+    } );
+
+    it( "should resolve paths relative to the configuration file", function() {
+      let configuration = new Configuration( "./test/projects/config/file" );
+
+      assert.strictEqual(
+        configuration.get( "output" ),
+        path.resolve( "./test/projects/config/file/docs" )
+      );
+      assert.deepStrictEqual( configuration.get( "templates" ), {
+        "header": path.resolve( "./test/projects/config/file/templates/header.md" )
+      } );
+
+      configuration = new Configuration( "./test/projects/config/project" );
+
+      assert.strictEqual( configuration.get( "output" ), path.resolve( "./test/projects/config/docs" ) );
+    } );
+
+    it( "should throw an error if a configuration file is missing", function() {
+      assert.throws( function() {
+        new Configuration( "./test/artefacts", "./test/projects/config/missing.json" );
+      }, /^Error: Unable to read '.\/test\/projects\/config\/missing.json'/ );
+    } );
+
+    it( "should throw an error if a setting is unknown", function() {
+      assert.throws( function() {
+        new Configuration( "./test/projects/config/invalid" );
+      }, /^Error: Unknown setting 'colour'/ );
+    } );
+  } );
+
+  /**
+   * Test validating the settings.
+   */
+  describe( "#validate", function() {
+    it( "should throw an error if a setting has the wrong type", function() {
+      let configuration = new Configuration( "./test/artefacts" );
+
+      assert.throws( function() {
+        configuration.validate( { "clean": "yes" } );
+      }, /The 'clean' setting in '' must be true or false$/ );
+
+      assert.throws( function() {
+        configuration.validate( { "naming": "title" } );
+      }, /The 'naming' setting in '' must be one of workflow, xaml$/ );
+
+      assert.throws( function() {
+        configuration.validate( { "exclude": "Tests/**" } );
+      }, /The 'exclude' setting in '' must be an array of glob patterns$/ );
+
+      assert.throws( function() {
+        configuration.validate( { "sections": { "variables": "no" } } );
+      }, /The 'sections' setting/ );
+
+      assert.throws( function() {
+        configuration.validate( { "threshold": 120 } );
+      }, /The 'threshold' setting in '' must be a number between 0 and 100$/ );
+
+      assert.throws( function() {
+        configuration.validate( [] );
+      }, /The settings in '' must be an object$/ );
+    } );
+
+    it( "should not throw an error if the settings are valid", function() {
+      let configuration = new Configuration( "./test/artefacts" );
+
+      assert.doesNotThrow( function() {
+        configuration.validate( {
+          "input": ".",
+          "output": "docs",
+          "format": "markdown",
+          "clean": false,
+          "naming": "workflow",
+          "include": [ "**/*.xaml" ],
+          "exclude": [],
+          "sections": { "calls": false },
+          "templates": { "footer": "footer.md" }
+        } );
+      } );
+    } );
+  } );
+
+  /**
+   * Test merging the command line options.
+   */
+  describe( "#merge", function() {
+    it( "should let the command line options override the settings", function() {
+      let configuration = new Configuration( "./test/projects/config/file" );
+
+      let options = configuration.merge( {
+        "input": undefined,
+        "output": "./output",
+        "format": undefined,
+        "failFast": true
+      } );
+
+      assert.strictEqual( options.output, "./output" );
+      assert.strictEqual( options.format, "html" );
+      assert.strictEqual( options.failFast, true );
+      assert.strictEqual( options.input, undefined );
+      assert.strictEqual( options.naming, "xaml" );
+    } );
+
+    it( "should use the XAML naming scheme if the flag is set", function() {
+      let configuration = new Configuration( "./test/artefacts" );
+
+      assert.strictEqual( configuration.merge( {} ).naming, "workflow" );
+      assert.strictEqual( configuration.merge( { "xamlNames": true } ).naming, "xaml" );
+    } );
+  } );
+
+  /**
+   * Test filtering the workflow files.
+   */
+  describe( "#isIncluded", function() {
+    it( "should include every workflow file by default", function() {
+      let configuration = new Configuration( "./test/artefacts" );
+
+      assert.strictEqual( configuration.isIncluded( "Main.xaml" ), true );
+      assert.strictEqual( configuration.isIncluded( path.join( "Tests", "Main.xaml" ) ), true );
+    } );
+
+    it( "should apply the include and exclude globs", function() {
+      let configuration = new Configuration( "./test/projects/config/file" );
+
+      assert.strictEqual( configuration.isIncluded( "Main.xaml" ), true );
+      assert.strictEqual( configuration.isIncluded( path.join( "Tests", "Main.xaml" ) ), false );
+      assert.strictEqual( configuration.isIncluded( path.join( "Shared", "~Main.xaml" ) ), false );
+      assert.strictEqual( configuration.isIncluded( "Notes.txt" ), false );
+    } );
+  } );
+} );
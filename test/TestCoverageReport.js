@@ -0,0 +1,212 @@
+import { CoverageReport } from "../app/CoverageReport.js";
+import { UiPathProject } from "../app/UiPathProject.js";
+import { WorkflowMetadata } from "../app/WorkflowMetadata.js";
+import { XamlProcessor } from "../app/XamlProcessor.js";
+
+import * as assert from "assert";
+import * as path from "path";
+
+/**
+ * Build a report containing all of the public test artefacts.
+ *
+ * @returns {CoverageReport} The report of the test artefacts.
+ */
+function buildReport() {
+  let projectInfo = new UiPathProject( "./test/artefacts" );
+  let processor = new XamlProcessor();
+  let report = new CoverageReport( projectInfo );
+
+  projectInfo.getXamlFiles( true, true ).forEach( function( xamlFile ) {
+    report.addWorkflow( processor.getMetadata( xamlFile ) );
+  } );
+
+  return report;
+}
+
+/**
+ * Build a report containing a single workflow without any documentation.
+ *
+ * @returns {CoverageReport} The report.
+ */
+function buildUndocumentedReport() {
+  let report = new CoverageReport( new UiPathProject( "./test/artefacts" ) );
+  let metadata = new WorkflowMetadata( path.resolve( "./test/artefacts/Temp.xaml" ) );
+
+  metadata.setWorkflowName( "Sequence" );
+  metadata.addArgument( "in_Config", "InArgument", "String", "", "" );
+  metadata.addVariable( "Count", "Int32", "", "", "Sequence" );
+  metadata.addInvokedWorkflow( "uno.xaml", "Invoke Workflow File", [] );
+
+  report.addWorkflow( metadata );
+
+  return report;
+}
+
+/**
+ * Test the CoverageReport object.
+ */
+describe( "CoverageReport", function() {
+
+  /**
+   * Test constructing a new instance of the class.
+   */
+  describe( "#constructor", function() {
+    it( "should throw an error if the parameter is not supplied", function() {
+      assert.throws( function() {
+        new CoverageReport();
+      }, TypeError );
+    } );
+
+    it( "should throw an error if the parameter is the wrong type", function() {
+      assert.throws( function() {
+        new CoverageReport( new Object() );
+      }, TypeError );
+    } );
+  } );
+
+  /**
+   * Test adding a workflow to the report.
+   */
+  describe( "#addWorkflow", function() {
+    it( "should throw an error if the parameter is not supplied", function() {
+      let report = new CoverageReport( new UiPathProject( "./test/artefacts" ) );
+
+      assert.throws( function() {
+        report.addWorkflow();
+      }, TypeError );
+    } );
+  } );
+
+  /**
+   * Test getting the coverage of each workflow.
+   */
+  describe( "#getWorkflows", function() {
+    it( "should return the workflows sorted by path", function() {
+      let workflows = buildReport().getWorkflows();
+
+      assert.deepStrictEqual( workflows.map( function( workflow ) {
+        return workflow.workflow;
+      } ), [ "sub-folder/dos.xaml", "uno.xaml" ] );
+    } );
+
+    it( "should count the checks that passed", function() {
+      let workflows = buildReport().getWorkflows();
+
+      assert.strictEqual( workflows[ 0 ].total, 10 );
+      assert.strictEqual( workflows[ 0 ].passed, 2 );
+      assert.strictEqual( workflows[ 0 ].coverage, 20 );
+      assert.strictEqual( workflows[ 1 ].coverage, 100 );
+    } );
+  } );
+
+  /**
+   * Test getting the checks that failed.
+   */
+  describe( "#getIssues", function() {
+    it( "should report each type of issue", function() {
+      let issues = buildUndocumentedReport().getIssues();
+
+      assert.deepStrictEqual( issues.map( function( issue ) {
+        return issue.type;
+      } ), [
+        "workflowAnnotation",
+        "displayName",
+        "argumentAnnotation",
+        "variableAnnotation",
+        "displayName"
+      ] );
+
+      assert.strictEqual( issues[ 0 ].workflow, "Temp.xaml" );
+      assert.strictEqual( issues[ 2 ].description, "The argument 'in_Config' does not have an annotation" );
+    } );
+  } );
+
+  /**
+   * Test getting the coverage of the project.
+   */
+  describe( "#getCoverage", function() {
+    it( "should return the percentage of checks that passed", function() {
+      assert.strictEqual( buildReport().getCoverage(), 61.9 );
+      assert.strictEqual( buildUndocumentedReport().getCoverage(), 0 );
+    } );
+
+    it( "should return 100 if there are no workflows", function() {
+      let report = new CoverageReport( new UiPathProject( "./test/artefacts" ) );
+
+      assert.strictEqual( report.getCoverage(), 100 );
+    } );
+  } );
+
+  /**
+   * Test comparing the coverage to a threshold.
+   */
+  describe( "#meetsThreshold", function() {
+    it( "should throw an error if the threshold is not valid", function() {
+      let report = buildReport();
+
+      assert.throws( function() {
+        report.meetsThreshold( "80" );
+      }, TypeError );
+
+      assert.throws( function() {
+        report.meetsThreshold( 101 );
+      }, TypeError );
+    } );
+
+    it( "should compare the coverage to the threshold", function() {
+      let report = buildReport();
+
+      assert.strictEqual( report.meetsThreshold( 61.9 ), true );
+      assert.strictEqual( report.meetsThreshold( 62 ), false );
+    } );
+  } );
+
+  /**
+   * Test the JSON representation of the report.
+   */
+  describe( "#toJSON", function() {
+    it( "should include the project and the coverage", function() {
+      let json = JSON.parse( JSON.stringify( buildReport() ) );
+
+      assert.strictEqual( json.name, "Flinders.Foundation" );
+      assert.strictEqual( json.coverage, 61.9 );
+      assert.strictEqual( json.workflows.length, 2 );
+    } );
+  } );
+
+  /**
+   * Test the JUnit XML representation of the report.
+   */
+  describe( "#toJUnit", function() {
+    it( "should add a test suite for each workflow", function() {
+      let xml = buildReport().toJUnit();
+
+      assert.ok( xml.startsWith( "<?xml version=\"1.0\" encoding=\"UTF-8\"?>\n" ) );
+      assert.ok( xml.includes( "<testsuites name=\"Documentation coverage of Flinders.Foundation\" " +
+        "tests=\"21\" failures=\"8\">" ) );
+      assert.ok( xml.includes( "<testsuite name=\"uno.xaml\" tests=\"11\" failures=\"0\">" ) );
+    } );
+
+    it( "should add a failure for each check that did not pass", function() {
+      let xml = buildUndocumentedReport().toJUnit();
+
+      assert.ok( xml.includes(
+        "<failure type=\"argumentAnnotation\" " +
+        "message=\"The argument &apos;in_Config&apos; does not have an annotation\" />"
+      ) );
+    } );
+  } );
+
+  /**
+   * Test identifying default DisplayNames.
+   */
+  describe( "#isDefaultDisplayName", function() {
+    it( "should ignore case", function() {
+      let report = new CoverageReport( new UiPathProject( "./test/artefacts" ) );
+
+      assert.strictEqual( report.isDefaultDisplayName( "sequence" ), true );
+      assert.strictEqual( report.isDefaultDisplayName( "Invoke Workflow File" ), true );
+      assert.strictEqual( report.isDefaultDisplayName( "Process Transaction" ), false );
+    } );
+  } );
+} );
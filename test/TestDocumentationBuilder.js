@@ -0,0 +1,576 @@
+import { BuildCache } from "../app/BuildCache.js";
+import { DocumentationBuilder } from "../app/DocumentationBuilder.js";
+import { OutputMarkdown } from "../app/OutputMarkdown.js";
+import { ParserPool } from "../app/ParserPool.js";
+import { UiPathProject } from "../app/UiPathProject.js";
+
+import { createTempDirectory, removeTempDirectory } from "./helpers/Fixtures.js";
+
+import AdmZip from "adm-zip";
+import * as assert from "assert";
+import * as fs from "fs";
+import * as path from "path";
+
+/**
+ * Copy a directory and its contents, skipping the output directories.
+ *
+ * @param {string} sourcePath The path to the directory to copy.
+ * @param {string} targetPath The path to the new directory.
+ */
+function copyDirectory( sourcePath, targetPath ) {
+
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  fs.mkdirSync( targetPath );
+
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  fs.readdirSync( sourcePath, { "withFileTypes": true } ).forEach( function( entry ) {
+    let entryPath = path.join( sourcePath, entry.name );
+
+    if ( entry.name === "output" ) {
+      return;
+    }
+
+    if ( entry.isDirectory() ) {
+      copyDirectory( entryPath, path.join( targetPath, entry.name ) );
+    } else {
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      fs.copyFileSync( entryPath, path.join( targetPath, entry.name ) );
+    }
+  } );
+}
+
+/**
+ * Copy the test artefacts to a temporary project, and create a temporary output directory.
+ *
+ * @returns {object} The paths to the temporary, project and output directories.
+ */
+function createTempProject() {
+  let tempPath = createTempDirectory();
+  let projectPath = path.join( tempPath, "project" );
+  let outputPath = path.join( tempPath, "output" );
+
+  copyDirectory( "./test/artefacts", projectPath );
+
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  fs.mkdirSync( outputPath );
+
+  return { "tempPath": tempPath, "projectPath": projectPath, "outputPath": outputPath };
+}
+
+/**
+ * Remove a temporary project and its output directory.
+ *
+ * @param {object} paths The paths returned by createTempProject.
+ */
+function removeTempProject( paths ) {
+  removeTempDirectory( paths.tempPath );
+}
+
+/**
+ * Read a file from the temporary project or output directory.
+ *
+ * @param {string} directoryPath The path to the directory.
+ * @param {string} fileName The name of the file, relative to the directory.
+ * @returns {string|null} The content of the file, or null if the file does not exist.
+ */
+function readTempFile( directoryPath, fileName ) {
+  let filePath = path.join( directoryPath, fileName );
+
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  if ( !fs.existsSync( filePath ) ) {
+    return null;
+  }
+
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  return fs.readFileSync( filePath ).toString();
+}
+
+/**
+ * Write a file to the temporary project or output directory.
+ *
+ * @param {string} directoryPath The path to the directory.
+ * @param {string} fileName The name of the file, relative to the directory.
+ * @param {string} content The content of the file.
+ * @returns {string} The full path to the file.
+ */
+function writeTempFile( directoryPath, fileName, content ) {
+  let filePath = path.join( directoryPath, fileName );
+
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  fs.writeFileSync( filePath, content );
+
+  return filePath;
+}
+
+/**
+ * Create a builder for a temporary project.
+ *
+ * @param {object} paths The paths to the temporary project and output directories.
+ * @param {boolean} useCache Flag to load and use the cache in the output directory.
+ * @returns {DocumentationBuilder} The builder.
+ */
+function createBuilder( paths, useCache = false ) {
+  let cache = null;
+
+  if ( useCache ) {
+    cache = new BuildCache( paths.outputPath, "1.0.0" );
+    cache.load();
+  }
+
+  return new DocumentationBuilder(
+    new UiPathProject( paths.projectPath ),
+    new OutputMarkdown( paths.outputPath ),
+    { "cache": cache }
+  );
+}
+
+/**
+ * Test the DocumentationBuilder object.
+ */
+describe( "DocumentationBuilder", function() {
+
+  /**
+   * Test constructing a new instance of the class.
+   */
+  describe( "#constructor", function() {
+    it( "should throw an error if the project parameter is not supplied", function() {
+      assert.throws( function() {
+        new DocumentationBuilder();
+      }, TypeError );
+    } );
+
+    it( "should throw an error if the output parameter is not supplied", function() {
+      assert.throws( function() {
+        new DocumentationBuilder( new UiPathProject( "./test/artefacts" ) );
+      }, TypeError );
+    } );
+
+    it( "should throw an error if the cache option is not a BuildCache object", function() {
+      assert.throws( function() {
+        new DocumentationBuilder(
+          new UiPathProject( "./test/artefacts" ),
+          new OutputMarkdown( "./test/artefacts/output" ),
+          { "cache": {} }
+        );
+      }, TypeError );
+    } );
+  } );
+
+  /**
+   * Test getting the list of workflow files to document.
+   */
+  describe( "#getWorkflowFiles", function() {
+    it( "should only include the files that match the filter", function() {
+      let builder = new DocumentationBuilder(
+        new UiPathProject( "./test/artefacts" ),
+        new OutputMarkdown( "./test/artefacts/output" ),
+        {
+          "isIncluded": function( projectFilePath ) {
+            return !projectFilePath.startsWith( "sub-folder" );
+          }
+        }
+      );
+
+      assert.deepStrictEqual( builder.getWorkflowFiles(), [
+        path.resolve( "./test/artefacts/uno.xaml" )
+      ] );
+    } );
+  } );
+
+  /**
+   * Test collecting and writing the documentation.
+   */
+  describe( "#write", function() {
+    it( "should write the documentation for the public workflows", function() {
+      let paths = createTempProject();
+      let builder = createBuilder( paths );
+
+      builder.collect();
+      builder.write();
+
+      assert.strictEqual( builder.getPublicWorkflows().length, 2 );
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      assert.deepStrictEqual( fs.readdirSync( paths.outputPath ).sort(), [
+        "README.md",
+        "call-graph.dot",
+        "call-graph.md",
+        "dos.md",
+        "uno.md"
+      ] );
+
+      removeTempProject( paths );
+    } );
+
+    it( "should write the same documentation for a package of the project", function() {
+      let paths = createTempProject();
+      let packagePaths = createTempProject();
+      let zip = new AdmZip();
+
+      packagePaths.projectPath = path.join( packagePaths.projectPath, "Flinders.Foundation.nupkg" );
+
+      zip.addFile( "Flinders.Foundation.nuspec", Buffer.from(
+        "<package><metadata><id>Flinders.Foundation</id><version>2.0.0-alpha</version></metadata></package>"
+      ) );
+      zip.addLocalFolder( paths.projectPath, "lib/net45" );
+      zip.writeZip( packagePaths.projectPath );
+
+      [ paths, packagePaths ].forEach( function( projectPaths ) {
+        let builder = createBuilder( projectPaths, true );
+
+        builder.collect();
+        builder.write();
+      } );
+
+      [ "uno.md", "dos.md", "call-graph.md" ].forEach( function( fileName ) {
+        assert.notStrictEqual( readTempFile( packagePaths.outputPath, fileName ), null );
+        assert.strictEqual(
+          readTempFile( packagePaths.outputPath, fileName ),
+          readTempFile( paths.outputPath, fileName )
+        );
+      } );
+
+      removeTempProject( paths );
+      removeTempProject( packagePaths );
+    } );
+
+    it( "should record the workflow files that cannot be read", function() {
+      let paths = createTempProject();
+      let builder = createBuilder( paths );
+
+      writeTempFile( paths.projectPath, "uno.xaml", "<Activity>" );
+
+      builder.collect();
+      builder.write();
+
+      assert.strictEqual( builder.getFailures().length, 1 );
+      assert.strictEqual( builder.getFailures()[ 0 ].file, path.join( paths.projectPath, "uno.xaml" ) );
+      assert.strictEqual( readTempFile( paths.outputPath, "uno.md" ), null );
+
+      removeTempProject( paths );
+    } );
+
+    it( "should throw the error if the fail fast option is set", function() {
+      let paths = createTempProject();
+      let builder = new DocumentationBuilder(
+        new UiPathProject( paths.projectPath ),
+        new OutputMarkdown( paths.outputPath ),
+        { "failFast": true }
+      );
+
+      writeTempFile( paths.projectPath, "uno.xaml", "<Activity>" );
+
+      assert.throws( function() {
+        builder.collect();
+      }, /root Flowchart, Sequence or StateMachine/ );
+
+      removeTempProject( paths );
+    } );
+  } );
+
+  /**
+   * Test collecting the metadata using worker threads.
+   */
+  describe( "#collectInParallel", function() {
+    it( "should throw an error if the pool parameter is not supplied", function() {
+      let paths = createTempProject();
+      let builder = createBuilder( paths );
+
+      assert.throws( function() {
+        builder.collectInParallel( null, function() {} );
+      }, TypeError );
+
+      removeTempProject( paths );
+    } );
+
+    it( "should write the same documentation as the collect method", function( done ) {
+      let paths = createTempProject();
+      let parallelPaths = createTempProject();
+
+      writeTempFile( paths.projectPath, "broken.xaml", "<Activity>" );
+      writeTempFile( parallelPaths.projectPath, "broken.xaml", "<Activity>" );
+
+      let builder = createBuilder( paths );
+
+      builder.collect();
+      builder.write();
+
+      let parallelBuilder = createBuilder( parallelPaths );
+
+      parallelBuilder.collectInParallel( new ParserPool( 2 ), function( err ) {
+        assert.strictEqual( err, null );
+
+        parallelBuilder.write();
+
+        assert.deepStrictEqual(
+          parallelBuilder.getPublicWorkflows().map( function( metadata ) {
+            return metadata.toJSON().name;
+          } ),
+          builder.getPublicWorkflows().map( function( metadata ) {
+            return metadata.toJSON().name;
+          } )
+        );
+
+        let failures = parallelBuilder.getFailures();
+
+        assert.strictEqual( failures.length, 1 );
+        assert.strictEqual( failures[ 0 ].reason, builder.getFailures()[ 0 ].reason );
+
+        [ "README.md", "call-graph.md", "dos.md", "uno.md" ].forEach( function( fileName ) {
+          assert.strictEqual(
+            readTempFile( parallelPaths.outputPath, fileName ),
+            readTempFile( paths.outputPath, fileName )
+          );
+        } );
+
+        removeTempProject( paths );
+        removeTempProject( parallelPaths );
+
+        done();
+      } );
+    } );
+
+    it( "should only parse the workflow files that are not in the cache", function( done ) {
+      let paths = createTempProject();
+      let builder = createBuilder( paths, true );
+
+      builder.collect();
+      builder.write();
+
+      let filePath = writeTempFile(
+        paths.projectPath,
+        "sub-folder/dos.xaml",
+        readTempFile( paths.projectPath, "sub-folder/dos.xaml" )
+          .replace( "DisplayName=\"dos\"", "DisplayName=\"tres\"" )
+      );
+
+      let pool = new ParserPool( 1 );
+      let getMetadata = pool.getMetadata;
+      let parsed = null;
+
+      pool.getMetadata = function( filePaths, callback ) {
+        parsed = filePaths;
+        getMetadata.call( this, filePaths, callback );
+      };
+
+      builder = createBuilder( paths, true );
+
+      builder.collectInParallel( pool, function( err ) {
+        assert.strictEqual( err, null );
+        assert.deepStrictEqual( parsed, [ filePath ] );
+        assert.deepStrictEqual( builder.getPublicWorkflows().map( function( metadata ) {
+          return metadata.getWorkflowName();
+        } ), [ "tres", "uno" ] );
+
+        removeTempProject( paths );
+
+        done();
+      } );
+    } );
+
+    it( "should return the error if the fail fast option is set", function( done ) {
+      let paths = createTempProject();
+      let builder = new DocumentationBuilder(
+        new UiPathProject( paths.projectPath ),
+        new OutputMarkdown( paths.outputPath ),
+        { "failFast": true }
+      );
+
+      writeTempFile( paths.projectPath, "uno.xaml", "<Activity>" );
+
+      builder.collectInParallel( new ParserPool( 1 ), function( err ) {
+        assert.match( err.message, /root Flowchart, Sequence or StateMachine/ );
+
+        removeTempProject( paths );
+
+        done();
+      } );
+    } );
+  } );
+
+  /**
+   * Test using the cache written by a previous run.
+   */
+  describe( "#cache", function() {
+    it( "should not read the workflow files that have not changed", function() {
+      let paths = createTempProject();
+      let builder = createBuilder( paths, true );
+
+      builder.collect();
+      builder.write();
+
+      let filePath = writeTempFile(
+        paths.projectPath,
+        "sub-folder/dos.xaml",
+        readTempFile( paths.projectPath, "sub-folder/dos.xaml" )
+          .replace( "DisplayName=\"dos\"", "DisplayName=\"tres\"" )
+      );
+
+      let read = [];
+
+      builder = createBuilder( paths, true );
+
+      let getMetadata = builder.processor.getMetadata;
+
+      builder.processor.getMetadata = function( workflowFile ) {
+        read.push( workflowFile );
+        return getMetadata.call( this, workflowFile );
+      };
+
+      builder.collect();
+
+      assert.deepStrictEqual( read, [ filePath ] );
+      assert.deepStrictEqual( builder.getPublicWorkflows().map( function( metadata ) {
+        return metadata.getWorkflowName();
+      } ), [ "tres", "uno" ] );
+
+      removeTempProject( paths );
+    } );
+
+    it( "should remove the files written by a previous run that are no longer written", function() {
+      let paths = createTempProject();
+      let builder = createBuilder( paths, true );
+
+      builder.collect();
+      builder.write();
+
+      writeTempFile( paths.outputPath, "notes.md", "Not written by the builder" );
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      fs.unlinkSync( path.join( paths.projectPath, "sub-folder", "dos.xaml" ) );
+
+      builder = createBuilder( paths, true );
+      builder.collect();
+      builder.write();
+
+      assert.strictEqual( readTempFile( paths.outputPath, "dos.md" ), null );
+      assert.notStrictEqual( readTempFile( paths.outputPath, "uno.md" ), null );
+      assert.notStrictEqual( readTempFile( paths.outputPath, "notes.md" ), null );
+
+      let manifest = JSON.parse( readTempFile( paths.outputPath, BuildCache.fileName ) );
+
+      assert.deepStrictEqual( Object.keys( manifest.workflows ), [ "uno.xaml" ] );
+      assert.strictEqual( Object.keys( manifest.outputs ).includes( "dos.md" ), false );
+
+      removeTempProject( paths );
+    } );
+
+    it( "should not write the files that have not changed", function() {
+      let paths = createTempProject();
+      let builder = createBuilder( paths, true );
+
+      builder.collect();
+      builder.write();
+
+      let filePath = path.join( paths.outputPath, "dos.md" );
+
+      writeTempFile( paths.outputPath, "uno.md", "edited" );
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      fs.utimesSync( filePath, new Date( 2000, 0, 1 ), new Date( 2000, 0, 1 ) );
+
+      builder = createBuilder( paths, true );
+      builder.collect();
+      builder.write();
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      assert.strictEqual( fs.statSync( filePath ).mtime.getFullYear(), 2000 );
+      assert.notStrictEqual( readTempFile( paths.outputPath, "uno.md" ), "edited" );
+
+      removeTempProject( paths );
+    } );
+  } );
+
+  /**
+   * Test updating the documentation after workflow files change.
+   */
+  describe( "#update", function() {
+    it( "should throw an error if the parameter is not supplied", function() {
+      let paths = createTempProject();
+      let builder = createBuilder( paths );
+
+      assert.throws( function() {
+        builder.update();
+      }, TypeError );
+
+      removeTempProject( paths );
+    } );
+
+    it( "should only write the changed workflows and the workflows related to them", function() {
+      let paths = createTempProject();
+      let builder = createBuilder( paths );
+
+      builder.collect();
+      builder.write();
+
+      writeTempFile( paths.outputPath, "uno.md", "unchanged" );
+
+      let written = builder.update( [ path.join( paths.projectPath, "sub-folder", "dos.xaml" ) ] );
+
+      // The uno workflow invokes the dos workflow, so it is written again.
+      assert.deepStrictEqual( written, [
+        path.join( paths.projectPath, "sub-folder", "dos.xaml" ),
+        path.join( paths.projectPath, "uno.xaml" )
+      ] );
+
+      let unrelated = writeTempFile(
+        paths.projectPath,
+        "unrelated.xaml",
+        readTempFile( paths.projectPath, "sub-folder/dos.xaml" )
+          .replace( "DisplayName=\"dos\"", "DisplayName=\"unrelated\"" )
+      );
+
+      builder.update( [ unrelated ] );
+
+      writeTempFile( paths.outputPath, "uno.md", "unchanged" );
+
+      written = builder.update( [ unrelated ] );
+
+      assert.deepStrictEqual( written, [ unrelated ] );
+      assert.strictEqual( readTempFile( paths.outputPath, "uno.md" ), "unchanged" );
+
+      removeTempProject( paths );
+    } );
+
+    it( "should remove the documentation for deleted workflows", function() {
+      let paths = createTempProject();
+      let builder = createBuilder( paths );
+
+      builder.collect();
+      builder.write();
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      fs.unlinkSync( path.join( paths.projectPath, "sub-folder", "dos.xaml" ) );
+
+      builder.update( [ path.join( paths.projectPath, "sub-folder", "dos.xaml" ) ] );
+
+      assert.strictEqual( builder.getPublicWorkflows().length, 1 );
+      assert.strictEqual( readTempFile( paths.outputPath, "dos.md" ), null );
+      assert.notStrictEqual( readTempFile( paths.outputPath, "uno.md" ), null );
+
+      removeTempProject( paths );
+    } );
+
+    it( "should remove the previous documentation if a workflow is renamed", function() {
+      let paths = createTempProject();
+      let builder = createBuilder( paths );
+
+      builder.collect();
+      builder.write();
+
+      let filePath = writeTempFile(
+        paths.projectPath,
+        "sub-folder/dos.xaml",
+        readTempFile( paths.projectPath, "sub-folder/dos.xaml" )
+          .replace( "DisplayName=\"dos\"", "DisplayName=\"tres\"" )
+      );
+
+      builder.update( [ filePath ] );
+
+      assert.strictEqual( readTempFile( paths.outputPath, "dos.md" ), null );
+      assert.notStrictEqual( readTempFile( paths.outputPath, "tres.md" ), null );
+
+      removeTempProject( paths );
+    } );
+  } );
+} );
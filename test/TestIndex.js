@@ -0,0 +1,79 @@
+import { createTempDirectory, removeTempDirectory } from "./helpers/Fixtures.js";
+
+import * as assert from "assert";
+import { spawnSync } from "child_process";
+import * as fs from "fs";
+import * as path from "path";
+
+/**
+ * Create a project in a temporary directory with a workflow file that cannot be read, and an output directory.
+ *
+ * @returns {string} The path to the temporary directory.
+ */
+function createBrokenProject() {
+  let tempPath = createTempDirectory();
+
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  fs.copyFileSync( "./test/artefacts/project.json", path.join( tempPath, "project.json" ) );
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  fs.writeFileSync( path.join( tempPath, "broken.xaml" ), "<Activity" );
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  fs.mkdirSync( path.join( tempPath, "output" ) );
+
+  return tempPath;
+}
+
+/**
+ * Run the app with the command line arguments.
+ *
+ * @param {Array} args The command line arguments.
+ * @returns {object} The result of the process, with the exit code in the status property.
+ */
+function runApp( args ) {
+  return spawnSync( process.execPath, [ "-r", "esm", "index.js" ].concat( args ), {
+    "encoding": "utf8",
+    "timeout": 60000,
+    "env": Object.assign( {}, process.env, { "FORCE_COLOR": "0" } )
+  } );
+}
+
+/**
+ * Test the command line app.
+ */
+describe( "RPA Doc", function() {
+
+  /**
+   * Test generating the documentation with the --fail-fast option.
+   */
+  describe( "#generate", function() {
+    it( "should report an unreadable workflow file when parsing one at a time", function() {
+      this.timeout( 60000 );
+
+      let tempPath = createBrokenProject();
+      let result = runApp( [
+        "generate", "-i", tempPath, "-o", path.join( tempPath, "output" ), "--fail-fast"
+      ] );
+
+      assert.strictEqual( result.status, 2 );
+      assert.ok( result.stdout.includes( "Error: Unable to document the workflow files: " ) );
+      assert.strictEqual( result.stderr, "" );
+
+      removeTempDirectory( tempPath );
+    } );
+
+    it( "should report an unreadable workflow file when parsing in parallel", function() {
+      this.timeout( 60000 );
+
+      let tempPath = createBrokenProject();
+      let result = runApp( [
+        "generate", "-i", tempPath, "-o", path.join( tempPath, "output" ), "--fail-fast", "-j", "1"
+      ] );
+
+      assert.strictEqual( result.status, 2 );
+      assert.ok( result.stdout.includes( "Error: Unable to document the workflow files: " ) );
+      assert.strictEqual( result.stderr, "" );
+
+      removeTempDirectory( tempPath );
+    } );
+  } );
+} );
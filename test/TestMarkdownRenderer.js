@@ -0,0 +1,125 @@
+import { MarkdownRenderer } from "../app/MarkdownRenderer.js";
+
+import * as assert from "assert";
+
+/**
+ * Test the MarkdownRenderer object.
+ */
+describe( "MarkdownRenderer", function() {
+
+  /**
+   * Test escaping text.
+   */
+  describe( "#escape", function() {
+    it( "should escape pipes, backticks and angle brackets", function() {
+      let markdown = new MarkdownRenderer();
+
+      assert.strictEqual(
+        markdown.escape( "List<String> | `code` \\ path" ),
+        "List&lt;String&gt; \\| \\`code\\` \\\\ path"
+      );
+    } );
+
+    it( "should convert values to strings", function() {
+      let markdown = new MarkdownRenderer();
+
+      assert.strictEqual( markdown.escape( 42 ), "42" );
+    } );
+  } );
+
+  /**
+   * Test rendering a paragraph.
+   */
+  describe( "#paragraph", function() {
+    it( "should return an empty string if there is no text", function() {
+      let markdown = new MarkdownRenderer();
+
+      assert.strictEqual( markdown.paragraph( "" ), "" );
+      assert.strictEqual( markdown.paragraph( "\n  \n" ), "" );
+    } );
+
+    it( "should keep the line breaks in the text", function() {
+      let markdown = new MarkdownRenderer();
+
+      assert.strictEqual(
+        markdown.paragraph( "First line\r\nSecond line\n\nNew paragraph" ),
+        "First line  \nSecond line\n\nNew paragraph\n\n"
+      );
+    } );
+  } );
+
+  /**
+   * Test rendering a table cell.
+   */
+  describe( "#cell", function() {
+    it( "should replace line breaks with HTML line breaks", function() {
+      let markdown = new MarkdownRenderer();
+
+      assert.strictEqual( markdown.cell( "First line \n Second | line\n" ), "First line<br>Second \\| line" );
+    } );
+  } );
+
+  /**
+   * Test rendering inline code.
+   */
+  describe( "#code", function() {
+    it( "should return an empty string if there is no text", function() {
+      let markdown = new MarkdownRenderer();
+
+      assert.strictEqual( markdown.code( "" ), "" );
+    } );
+
+    it( "should render text as inline code", function() {
+      let markdown = new MarkdownRenderer();
+
+      assert.strictEqual(
+        markdown.code( "Dictionary<String, Object>" ),
+        "`Dictionary<String, Object>`"
+      );
+    } );
+
+    it( "should escape pipes and join lines", function() {
+      let markdown = new MarkdownRenderer();
+
+      assert.strictEqual(
+        markdown.code( "If(a Or b,\n  \"x|y\",\n  c)" ),
+        "`If(a Or b, \"x\\|y\", c)`"
+      );
+    } );
+
+    it( "should use a fence longer than the backticks in the text", function() {
+      let markdown = new MarkdownRenderer();
+
+      assert.strictEqual( markdown.code( "a `b` c" ), "``a `b` c``" );
+      assert.strictEqual( markdown.code( "`b`" ), "`` `b` ``" );
+    } );
+  } );
+
+  /**
+   * Test rendering a link.
+   */
+  describe( "#linkTo", function() {
+    it( "should escape the text and encode the target", function() {
+      let markdown = new MarkdownRenderer();
+
+      assert.strictEqual(
+        markdown.linkTo( "Get [Data]", "Get Data (v2).md" ),
+        "[Get \\[Data\\]](Get%20Data%20%28v2%29.md)"
+      );
+    } );
+  } );
+
+  /**
+   * Test rendering a table.
+   */
+  describe( "#table", function() {
+    it( "should render the headings and rows", function() {
+      let markdown = new MarkdownRenderer();
+
+      assert.strictEqual(
+        markdown.table( [ "Name", "Type" ], [ [ "a", "`String`" ], [ "b", "" ] ] ),
+        "| Name | Type |\n| ---- | ---- |\n|a|`String`|\n|b||\n"
+      );
+    } );
+  } );
+} );
@@ -0,0 +1,185 @@
+import { NupkgArchive } from "../app/NupkgArchive.js";
+
+import { createPackage, removePackage } from "./helpers/Fixtures.js";
+
+import * as assert from "assert";
+import * as fs from "fs";
+import * as path from "path";
+
+/**
+ * Test the NupkgArchive object.
+ */
+describe( "NupkgArchive", function() {
+
+  /**
+   * Test constructing a new instance of the class.
+   */
+  describe( "#constructor", function() {
+    it( "should throw an error if the parameter is not supplied", function() {
+      assert.throws( function() {
+        new NupkgArchive();
+      }, TypeError );
+    } );
+
+    it( "should throw an error if the file is not a package", function() {
+      assert.throws( function() {
+        new NupkgArchive( "./test/artefacts/project.json" );
+      }, Error );
+    } );
+
+    it( "should throw an error if the package does not contain a .nuspec file", function() {
+      let archivePath = createPackage( new Map( [
+        [ "lib/net45/uno.xaml", "./test/artefacts/uno.xaml" ]
+      ] ) );
+
+      assert.throws( function() {
+        new NupkgArchive( archivePath );
+      }, /does not contain a \.nuspec file/ );
+
+      removePackage( archivePath );
+    } );
+  } );
+
+  /**
+   * Test getting the project information from the package.
+   */
+  describe( "#getProjectContents", function() {
+    it( "should read the metadata from the .nuspec file", function() {
+      let archivePath = createPackage();
+      let contents = new NupkgArchive( archivePath ).getProjectContents();
+
+      assert.strictEqual( contents.name, "Flinders.Foundation" );
+      assert.strictEqual( contents.projectVersion, "2.0.1" );
+      assert.strictEqual( contents.description, "The published Flinders.Foundation library" );
+      assert.deepStrictEqual( contents.dependencies, {
+        "UiPath.Excel.Activities": "[2.6.2]",
+        "UiPath.System.Activities": "[19.6.0, )"
+      } );
+
+      removePackage( archivePath );
+    } );
+
+    it( "should read the other settings from the packaged project.json file", function() {
+      let archivePath = createPackage();
+      let contents = new NupkgArchive( archivePath ).getProjectContents();
+
+      assert.strictEqual( contents.projectType, "Library" );
+      assert.ok( Array.isArray( contents.libraryOptions.privateWorkflows ) );
+
+      removePackage( archivePath );
+    } );
+
+    it( "should not require a packaged project.json file", function() {
+      let archivePath = createPackage( new Map( [
+        [ "Flinders.Foundation.nuspec", null ],
+        [ "lib/net45/uno.xaml", "./test/artefacts/uno.xaml" ]
+      ] ) );
+
+      let contents = new NupkgArchive( archivePath ).getProjectContents();
+
+      assert.strictEqual( contents.name, "Flinders.Foundation" );
+      assert.strictEqual( typeof contents.projectType, "undefined" );
+
+      removePackage( archivePath );
+    } );
+  } );
+
+  /**
+   * Test getting the workflow files in the package.
+   */
+  describe( "#getXamlFiles", function() {
+    it( "should return the paths to the workflow files in the content folder", function() {
+      let archivePath = createPackage();
+      let archive = new NupkgArchive( archivePath );
+
+      assert.strictEqual( archive.getContentFolder(), "lib/net45/" );
+      assert.deepStrictEqual( archive.getXamlFiles(), [
+        path.join( archivePath, "Test Case.xaml" ),
+        path.join( archivePath, "sub-folder", "dos.xaml" ),
+        path.join( archivePath, "uno.xaml" )
+      ] );
+
+      removePackage( archivePath );
+    } );
+
+    it( "should use another framework folder if there is no lib/net45 folder", function() {
+      let archivePath = createPackage( new Map( [
+        [ "Flinders.Foundation.nuspec", null ],
+        [ "lib/net6.0-windows7.0/uno.xaml", "./test/artefacts/uno.xaml" ]
+      ] ) );
+
+      let archive = new NupkgArchive( archivePath );
+
+      assert.strictEqual( archive.getContentFolder(), "lib/net6.0-windows7.0/" );
+      assert.deepStrictEqual( archive.getXamlFiles(), [ path.join( archivePath, "uno.xaml" ) ] );
+
+      removePackage( archivePath );
+    } );
+  } );
+
+  /**
+   * Test checking if a path is to a file in the package.
+   */
+  describe( "#containsPath", function() {
+    it( "should only contain the paths inside the package", function() {
+      let archivePath = createPackage();
+      let archive = new NupkgArchive( archivePath );
+
+      assert.ok( archive.containsPath( path.join( archivePath, "sub-folder", "dos.xaml" ) ) );
+      assert.ok( !archive.containsPath( archivePath ) );
+      assert.ok( !archive.containsPath( path.join( path.dirname( archivePath ), "uno.xaml" ) ) );
+      assert.ok( !archive.containsPath( "./test/artefacts/uno.xaml" ) );
+
+      removePackage( archivePath );
+    } );
+  } );
+
+  /**
+   * Test reading files from disk or from a package.
+   */
+  describe( "#readWorkflowFile", function() {
+    it( "should read a workflow file from a package", function() {
+      let archivePath = createPackage();
+
+      assert.deepStrictEqual(
+        NupkgArchive.readWorkflowFile( path.join( archivePath, "sub-folder", "dos.xaml" ) ),
+        fs.readFileSync( "./test/artefacts/sub-folder/dos.xaml" )
+      );
+
+      assert.deepStrictEqual(
+        NupkgArchive.readWorkflowFile( path.join( archivePath, "Test Case.xaml" ) ),
+        fs.readFileSync( "./test/artefacts/uno.xaml" )
+      );
+
+      removePackage( archivePath );
+    } );
+
+    it( "should read a file from disk", function() {
+      assert.deepStrictEqual(
+        NupkgArchive.readWorkflowFile( "./test/artefacts/uno.xaml" ),
+        fs.readFileSync( "./test/artefacts/uno.xaml" )
+      );
+    } );
+
+    it( "should throw an error if the workflow file is not in the package", function() {
+      let archivePath = createPackage();
+
+      assert.throws( function() {
+        NupkgArchive.readWorkflowFile( path.join( archivePath, "missing.xaml" ) );
+      }, /does not contain the file 'lib\/net45\/missing.xaml'/ );
+
+      removePackage( archivePath );
+    } );
+  } );
+
+  /**
+   * Test checking if a path is to a package.
+   */
+  describe( "#isArchivePath", function() {
+    it( "should check the extension of the path", function() {
+      assert.ok( NupkgArchive.isArchivePath( "Flinders.Foundation.2.0.1.nupkg" ) );
+      assert.ok( NupkgArchive.isArchivePath( "Flinders.Foundation.2.0.1.NUPKG" ) );
+      assert.ok( !NupkgArchive.isArchivePath( "./test/artefacts" ) );
+    } );
+  } );
+} );
@@ -0,0 +1,315 @@
+import { BuildCache } from "../app/BuildCache.js";
+import { Output } from "../app/Output.js";
+import { WorkflowMetadata } from "../app/WorkflowMetadata.js";
+import { UiPathProject } from "../app/UiPathProject.js";
+
+import { createTempDirectory, removeTempDirectory } from "./helpers/Fixtures.js";
+
+import * as assert from "assert";
+import * as fs from "fs";
+import * as path from "path";
+
+/**
+ * Test the Output object.
+ */
+describe( "Output", function() {
+
+  /**
+   * Test constructing a new instance of the class.
+   */
+  describe( "#constructor", function() {
+    it( "should throw an error if the parameter is not supplied", function() {
+      assert.throws( function() {
+        new Output();
+      }, TypeError );
+    } );
+
+    it( "should only consider files with the given extensions", function() {
+
+      fs.writeFileSync( "./test/artefacts/output/graph.dot", "" );
+
+      assert.doesNotThrow( function() {
+        new Output( "./test/artefacts/output", false, [ ".json" ] );
+      } );
+
+      assert.throws( function() {
+        new Output( "./test/artefacts/output", false, [ ".md", ".dot" ] );
+      }, /The output path .* is not an empty directory$/ );
+
+      new Output( "./test/artefacts/output", true, [ ".md", ".dot" ] );
+
+      assert.ok( !fs.existsSync( "./test/artefacts/output/graph.dot" ) );
+    } );
+
+    it( "should allow an output path containing files written by a previous run", function() {
+      let outputPath = createTempDirectory();
+      let cache = new BuildCache( outputPath, "1.0.0" );
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      fs.writeFileSync( path.join( outputPath, "uno.md" ), "# Uno\n" );
+
+      assert.throws( function() {
+        new Output( outputPath );
+      }, /is not an empty directory$/ );
+
+      cache.save();
+
+      assert.doesNotThrow( function() {
+        new Output( outputPath );
+      } );
+
+      removeTempDirectory( outputPath );
+    } );
+  } );
+
+  /**
+   * Test getting the name of the output file.
+   */
+  describe( "#getOutputFileName", function() {
+    it( "should use the first file extension", function() {
+      let metadata = new WorkflowMetadata( "./test/artefacts/uno.xaml" );
+      metadata.setWorkflowName( "uno" );
+
+      let output = new Output( "./test/artefacts/output", false, [ ".json", ".txt" ] );
+
+      assert.strictEqual( output.getOutputFileName( metadata ), "uno.json" );
+    } );
+  } );
+
+  /**
+   * Test writing a file to the output path.
+   */
+  describe( "#writeOutputFile", function() {
+    it( "should write the content to the output path", function() {
+      let output = new Output( "./test/artefacts/output" );
+
+      output.writeOutputFile( "output.md", "# Output\n" );
+
+      assert.strictEqual( fs.readFileSync( "./test/artefacts/output/output.md" ).toString(), "# Output\n" );
+
+      fs.unlinkSync( "./test/artefacts/output/output.md" );
+    } );
+  } );
+
+  /**
+   * Test writing files using a cache.
+   */
+  describe( "#setCache", function() {
+    it( "should throw an error if the parameter is not a BuildCache object", function() {
+      let output = new Output( "./test/artefacts/output" );
+
+      assert.throws( function() {
+        output.setCache( {} );
+      }, TypeError );
+    } );
+
+    it( "should not write a file that has not changed", function() {
+      let outputPath = createTempDirectory();
+      let filePath = path.join( outputPath, "output.md" );
+      let output = new Output( outputPath );
+
+      output.setCache( new BuildCache( outputPath, "1.0.0" ) );
+      output.writeOutputFile( "output.md", "# Output\n" );
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      fs.utimesSync( filePath, new Date( 2000, 0, 1 ), new Date( 2000, 0, 1 ) );
+
+      output.writeOutputFile( "output.md", "# Output\n" );
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      assert.strictEqual( fs.statSync( filePath ).mtime.getFullYear(), 2000 );
+
+      output.writeOutputFile( "output.md", "# Changed\n" );
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      assert.strictEqual( fs.readFileSync( filePath ).toString(), "# Changed\n" );
+
+      removeTempDirectory( outputPath );
+    } );
+
+    it( "should write a file that was changed since it was written", function() {
+      let outputPath = createTempDirectory();
+      let filePath = path.join( outputPath, "output.md" );
+      let output = new Output( outputPath );
+
+      output.setCache( new BuildCache( outputPath, "1.0.0" ) );
+      output.writeOutputFile( "output.md", "# Output\n" );
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      fs.writeFileSync( filePath, "# Edited\n" );
+
+      output.writeOutputFile( "output.md", "# Output\n" );
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      assert.strictEqual( fs.readFileSync( filePath ).toString(), "# Output\n" );
+
+      removeTempDirectory( outputPath );
+    } );
+  } );
+
+  /**
+   * Test deleting a file from the output path.
+   */
+  describe( "#deleteOutputFile", function() {
+    it( "should delete the file from the output path", function() {
+      let output = new Output( "./test/artefacts/output" );
+
+      output.writeOutputFile( "output.md", "# Output\n" );
+      output.deleteOutputFile( "output.md" );
+
+      assert.strictEqual( fs.existsSync( "./test/artefacts/output/output.md" ), false );
+    } );
+
+    it( "should not throw an error if the file does not exist", function() {
+      let output = new Output( "./test/artefacts/output" );
+
+      assert.doesNotThrow( function() {
+        output.deleteOutputFile( "missing.md" );
+      } );
+    } );
+  } );
+
+  /**
+   * Test enabling and disabling sections.
+   */
+  describe( "#setSectionEnabled", function() {
+    it( "should enable all of the sections by default", function() {
+      let output = new Output( "./test/artefacts/output" );
+
+      Output.sectionNames.forEach( function( name ) {
+        assert.strictEqual( output.isSectionEnabled( name ), true );
+      } );
+    } );
+
+    it( "should disable a section", function() {
+      let output = new Output( "./test/artefacts/output" );
+
+      output.setSectionEnabled( "variables", false );
+
+      assert.strictEqual( output.isSectionEnabled( "variables" ), false );
+      assert.strictEqual( output.isSectionEnabled( "arguments" ), true );
+    } );
+
+    it( "should throw an error if the section is unknown", function() {
+      let output = new Output( "./test/artefacts/output" );
+
+      assert.throws( function() {
+        output.setSectionEnabled( "summary", false );
+      }, /^Error: Unknown section 'summary'/ );
+    } );
+  } );
+
+  /**
+   * Test loading and using templates.
+   */
+  describe( "#getTemplate", function() {
+    it( "should return an empty string if the template is not loaded", function() {
+      let output = new Output( "./test/artefacts/output" );
+
+      assert.strictEqual( output.getTemplate( "header", "uno" ), "" );
+    } );
+
+    it( "should replace the placeholders in the template", function() {
+      let output = new Output( "./test/artefacts/output" );
+
+      output.loadTemplate( "header", "./test/projects/config/header.md" );
+      output.prepare( new UiPathProject( "./test/artefacts" ), [] );
+
+      assert.strictEqual(
+        output.getTemplate( "header", "uno" ),
+        "> Part of Flinders.Foundation 2.0.0-alpha: uno {{unknown}}\n\n"
+      );
+    } );
+
+    it( "should throw an error if the template is unknown", function() {
+      let output = new Output( "./test/artefacts/output" );
+
+      assert.throws( function() {
+        output.loadTemplate( "sidebar", "./test/projects/config/header.md" );
+      }, /^Error: Unknown template 'sidebar'/ );
+    } );
+  } );
+
+  /**
+   * Test getting the properties of a project.
+   */
+  describe( "#getProjectProperties", function() {
+    it( "should only include the optional properties that are set", function() {
+      let output = new Output( "./test/artefacts/output" );
+
+      assert.deepStrictEqual( output.getProjectProperties( new UiPathProject( "./test/artefacts" ) ), [
+        [ "Version", "2.0.0-alpha" ],
+        [ "Project Type", "Library" ],
+        [ "Main Workflow", "InvokeTestSuite.xaml" ],
+        [ "Studio Version", "19.4.4.0" ],
+        [ "Schema Version", "3.2" ],
+        [ "Include Original XAML", "No" ]
+      ] );
+    } );
+  } );
+
+  /**
+   * Test getting the settings in a group of settings.
+   */
+  describe( "#getSettingRows", function() {
+    it( "should label and format the settings", function() {
+      let output = new Output( "./test/artefacts/output" );
+
+      assert.deepStrictEqual( output.getSettingRows( {
+        "isPausable": true,
+        "isAttended": false,
+        "excludedLoggedData": [ "Private:*", "*password*" ],
+        "executionType": "Workflow",
+        "customSetting": 1,
+        "fileInfoCollection": [],
+        "libraryOptions": { "includeOriginalXaml": false }
+      } ), [
+        [ "Pausable", "Yes" ],
+        [ "Attended", "No" ],
+        [ "Excluded Logged Data", [ "Private:*", "*password*" ] ],
+        [ "Execution Type", "Workflow" ],
+        [ "customSetting", "1" ]
+      ] );
+    } );
+  } );
+
+  /**
+   * Test finding the log messages that use names covered by the excluded logged data.
+   */
+  describe( "#getLoggedDataWarnings", function() {
+    it( "should check the identifiers of the log messages and the names of the added log fields", function() {
+      let output = new Output( "./test/artefacts/output" );
+      let metadata = new WorkflowMetadata( "./test/artefacts/Login.xaml" );
+
+      metadata.addLogMessage( "LogMessage", "Log User", "Info", "[in_UserName]", [], [ "in_UserName" ] );
+      metadata.addLogMessage( "LogMessage", "Log Password", "Trace", "[in_Password]", [], [ "in_Password" ] );
+      metadata.addLogMessage( "AddLogFields", "Add Log Fields", "", "", [
+        { "name": "UserPassword", "value": "[apiKey]" }
+      ], [ "apiKey" ] );
+      metadata.addLogMessage( "RemoveLogFields", "Remove Log Fields", "", "", [
+        { "name": "UserPassword", "value": "" }
+      ], [] );
+
+      assert.deepStrictEqual( output.getLoggedDataWarnings( metadata ), [] );
+
+      output.prepare( new UiPathProject( "./test/artefacts" ), [ metadata ] );
+
+      assert.deepStrictEqual( output.getLoggedDataWarnings( metadata ), [
+        {
+          "displayName": "Log Password",
+          "name": "in_Password",
+          "pattern": "*password*",
+          "reason": "The activity 'Log Password' logs 'in_Password', which matches the excluded logged data " +
+            "pattern '*password*'"
+        },
+        {
+          "displayName": "Add Log Fields",
+          "name": "UserPassword",
+          "pattern": "*password*",
+          "reason": "The activity 'Add Log Fields' logs 'UserPassword', which matches the excluded logged data " +
+            "pattern '*password*'"
+        }
+      ] );
+    } );
+  } );
+} );
@@ -0,0 +1,341 @@
+import { UiPathProject } from "../app/UiPathProject.js";
+import { OutputHtml } from "../app/OutputHtml.js";
+import { XamlProcessor } from "../app/XamlProcessor.js";
+import { WorkflowGraph } from "../app/WorkflowGraph.js";
+import { WorkflowMetadata } from "../app/WorkflowMetadata.js";
+
+import { createCatalogue, removeTempDirectory } from "./helpers/Fixtures.js";
+
+import * as assert from "assert";
+import * as fs from "fs";
+
+/**
+ * Test the OutputHtml object.
+ */
+describe( "OutputHtml", function() {
+
+  /**
+   * Test constructing a new instance of the class.
+   */
+  describe( "#constructor", function() {
+    it( "should throw an error if the parameter is not supplied", function() {
+      assert.throws( function() {
+        new OutputHtml();
+      }, TypeError );
+    } );
+
+    it( "should throw an error if the output path contains HTML files", function() {
+
+      fs.writeFileSync( "./test/artefacts/output/existing.html", "<html></html>" );
+
+      assert.throws( function() {
+        new OutputHtml( "./test/artefacts/output" );
+      }, /The output path .* is not an empty directory$/ );
+
+      fs.unlinkSync( "./test/artefacts/output/existing.html" );
+    } );
+
+    it( "should delete HTML files if the empty flag is set", function() {
+
+      fs.writeFileSync( "./test/artefacts/output/existing.html", "<html></html>" );
+
+      new OutputHtml( "./test/artefacts/output", true );
+
+      assert.ok( !fs.existsSync( "./test/artefacts/output/existing.html" ) );
+    } );
+  } );
+
+  /**
+   * Test preparing the navigation.
+   */
+  describe( "#prepare", function() {
+    it( "should throw an error if the projectInfo parameter is not supplied", function() {
+      let output = new OutputHtml( "./test/artefacts/output" );
+      assert.throws( function() {
+        output.prepare();
+      }, /^TypeError: projectInfo/ );
+    } );
+
+    it( "should group the workflows by project folder", function() {
+      let projectInfo = new UiPathProject( "./test/artefacts" );
+      let processor = new XamlProcessor();
+      let output = new OutputHtml( "./test/artefacts/output" );
+
+      let workflowMeta = projectInfo.getXamlFiles( true ).map( function( xamlFile ) {
+        return processor.getMetadata( xamlFile );
+      } );
+
+      output.prepare( projectInfo, workflowMeta );
+
+      assert.deepStrictEqual( Array.from( output.navigation.keys() ), [ "", "sub-folder" ] );
+      assert.deepStrictEqual( output.navigation.get( "" ), [
+        { "name": "uno", "fileName": "uno.html" }
+      ] );
+      assert.deepStrictEqual( output.navigation.get( "sub-folder" ), [
+        { "name": "dos", "fileName": "dos.html" }
+      ] );
+    } );
+  } );
+
+  /**
+   * Test writing a file.
+   */
+  describe( "#writeFile", function() {
+    it( "should throw an error if the parameter is not supplied", function() {
+      let output = new OutputHtml( "./test/artefacts/output" );
+      assert.throws( function() {
+        output.writeFile();
+      }, TypeError );
+    } );
+
+    it( "should write a page with the navigation and workflow details", function() {
+      let projectInfo = new UiPathProject( "./test/artefacts" );
+      let processor = new XamlProcessor();
+      let graph = new WorkflowGraph( projectInfo );
+      let output = new OutputHtml( "./test/artefacts/output" );
+
+      let workflowMeta = projectInfo.getXamlFiles( true ).map( function( xamlFile ) {
+        let metadata = processor.getMetadata( xamlFile );
+        graph.addWorkflow( metadata );
+        return metadata;
+      } );
+
+      output.prepare( projectInfo, workflowMeta );
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      output.writeFile( workflowMeta[ 1 ], graph );
+
+      let content = fs.readFileSync( "./test/artefacts/output/uno.html" ).toString();
+
+      assert.ok( content.startsWith( "<!DOCTYPE html>\n" ) );
+      assert.ok( content.includes( "<title>uno - Flinders.Foundation</title>" ) );
+      assert.ok( content.includes( "<h3>sub-folder</h3>" ) );
+      assert.ok( content.includes( "<li><a href=\"uno.html\" class=\"current\">uno</a></li>" ) );
+      assert.ok( content.includes( "<h1>uno</h1>" ) );
+      assert.ok( content.includes(
+        "<td>Ichi</td><td>First argument using Japanese numbers.</td><td>In</td>" +
+        "<td><code>String</code></td><td><code>A default string value</code></td>"
+      ) );
+      assert.ok( content.includes( "<td>eins</td>" ) );
+      assert.ok( content.includes(
+        "<h2>Activities</h2>\n<details>\n<summary>Outline</summary>\n<ul>\n" +
+        "<li>uno (<code>Sequence</code>): This test XAML file is used as an artefact for the majority of unit tests\n" +
+        "<ul>\n<li>Sequence (<code>Sequence</code>)</li>\n"
+      ) );
+      assert.ok( content.includes( "<td><a href=\"dos.html\">dos</a></td>" ) );
+      assert.ok( content.includes(
+        "<p>This activity is not invoked by any workflows in the project.</p>"
+      ) );
+      assert.ok( content.includes( "<script src=\"search-index.js\"></script>" ) );
+
+      fs.unlinkSync( "./test/artefacts/output/uno.html" );
+    } );
+
+    it( "should list the exceptions thrown and caught by the workflow", function() {
+      let projectInfo = new UiPathProject( "./test/artefacts" );
+      let metadata = new WorkflowMetadata( "./test/artefacts/Login.xaml" );
+      let output = new OutputHtml( "./test/artefacts/output" );
+
+      metadata.setWorkflowName( "Login" );
+      metadata.addException(
+        "Throw",
+        "Throw Invalid",
+        "BusinessRuleException",
+        "The credential <is> not valid",
+        "New BusinessRuleException(\"The credential <is> not valid\")"
+      );
+
+      output.prepare( projectInfo, [ metadata ] );
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      output.writeFile( metadata );
+
+      let content = fs.readFileSync( "./test/artefacts/output/Login.html" ).toString();
+
+      assert.ok( content.includes( "<h2>Exceptions</h2>\n<h3>Thrown</h3>\n" ) );
+      assert.ok( content.includes(
+        "<td>Throw Invalid</td><td><code>BusinessRuleException</code></td>" +
+        "<td>The credential &lt;is&gt; not valid</td>"
+      ) );
+      assert.ok( content.includes(
+        "<h3>Caught</h3>\n<p>This activity does not catch any exceptions.</p>"
+      ) );
+      assert.ok( content.includes(
+        "<h2>Logging</h2>\n<p>This activity does not write any log messages.</p>"
+      ) );
+
+      fs.unlinkSync( "./test/artefacts/output/Login.html" );
+    } );
+
+    it( "should list the log messages and the names covered by the excluded logged data", function() {
+      let projectInfo = new UiPathProject( "./test/artefacts" );
+      let metadata = new WorkflowMetadata( "./test/artefacts/Login.xaml" );
+      let output = new OutputHtml( "./test/artefacts/output" );
+
+      metadata.setWorkflowName( "Login" );
+      metadata.addLogMessage( "LogMessage", "Log Password", "Trace", "[in_Password]", [], [ "in_Password" ] );
+
+      output.prepare( projectInfo, [ metadata ] );
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      output.writeFile( metadata );
+
+      let content = fs.readFileSync( "./test/artefacts/output/Login.html" ).toString();
+
+      assert.ok( content.includes(
+        "<td>Log Password</td><td>LogMessage</td><td>Trace</td><td><code>[in_Password]</code></td>"
+      ) );
+      assert.ok( content.includes(
+        "<li>The activity Log Password logs <code>in_Password</code>, which matches the excluded logged data " +
+        "pattern <code>*password*</code></li>"
+      ) );
+
+      fs.unlinkSync( "./test/artefacts/output/Login.html" );
+    } );
+  } );
+
+  /**
+   * Test writing the landing page.
+   */
+  describe( "#writeIndex", function() {
+    it( "should throw an error if the workflowMeta parameter is not an array", function() {
+      let projectInfo = new UiPathProject( "./test/artefacts" );
+      let output = new OutputHtml( "./test/artefacts/output" );
+      assert.throws( function() {
+        output.writeIndex( projectInfo, new Object() );
+      }, /^TypeError: workflowMeta/ );
+    } );
+
+    it( "should write the landing page, search index and assets", function() {
+      let projectInfo = new UiPathProject( "./test/artefacts" );
+      let processor = new XamlProcessor();
+      let output = new OutputHtml( "./test/artefacts/output" );
+
+      let workflowMeta = projectInfo.getXamlFiles( true ).map( function( xamlFile ) {
+        return processor.getMetadata( xamlFile );
+      } );
+
+      output.writeIndex( projectInfo, workflowMeta );
+
+      let content = fs.readFileSync( "./test/artefacts/output/index.html" ).toString();
+
+      assert.ok( content.includes( "<h1>Flinders.Foundation</h1>" ) );
+      assert.ok( content.includes( "<td>Version</td><td>2.0.0-alpha</td>" ) );
+      assert.ok( content.includes( "<td>UiPath.Excel.Activities</td><td><code>2.6.2</code></td><td>2.6.2 (inclusive)</td>" ) );
+      assert.ok( content.includes( "<td><a href=\"uno.html\">uno</a></td>" ) );
+
+      let searchIndex = fs.readFileSync( "./test/artefacts/output/search-index.js" ).toString();
+
+      assert.ok( searchIndex.startsWith( "window.rpaDocSearchIndex = " ) );
+
+      let entries = JSON.parse(
+        searchIndex.replace( "window.rpaDocSearchIndex = ", "" ).replace( /;\n$/, "" )
+      );
+
+      assert.strictEqual( entries.length, 2 );
+      assert.strictEqual( entries[ 1 ].name, "uno" );
+      assert.strictEqual( entries[ 1 ].url, "uno.html" );
+      assert.ok( entries[ 1 ].text.includes( "first argument using japanese numbers." ) );
+
+      assert.ok( fs.existsSync( "./test/artefacts/output/rpa-doc.css" ) );
+      assert.ok( fs.existsSync( "./test/artefacts/output/rpa-doc.js" ) );
+
+      fs.unlinkSync( "./test/artefacts/output/index.html" );
+      fs.unlinkSync( "./test/artefacts/output/search-index.js" );
+      fs.unlinkSync( "./test/artefacts/output/rpa-doc.css" );
+      fs.unlinkSync( "./test/artefacts/output/rpa-doc.js" );
+    } );
+
+    it( "should describe the entry points and options of the project", function() {
+      let projectInfo = new UiPathProject( "./test/projects/reframework" );
+      let output = new OutputHtml( "./test/artefacts/output" );
+
+      output.writeIndex( projectInfo, [] );
+
+      let content = fs.readFileSync( "./test/artefacts/output/index.html" ).toString();
+
+      assert.ok( content.includes( "<td>Main Workflow</td><td>Main.xaml</td>" ) );
+      assert.ok( content.includes( "<h2>Entry Points</h2>" ) );
+      assert.ok( content.includes( "<h3>Main.xaml</h3>" ) );
+      assert.ok( content.includes( "<td>in_OrchestratorQueueName</td><td>In</td><td><code>String</code></td>" ) );
+      assert.ok( content.includes( "<h2>Runtime Options</h2>" ) );
+      assert.ok( !content.includes( "<h2>Web Services</h2>" ) );
+
+      fs.unlinkSync( "./test/artefacts/output/index.html" );
+      fs.unlinkSync( "./test/artefacts/output/search-index.js" );
+      fs.unlinkSync( "./test/artefacts/output/rpa-doc.css" );
+      fs.unlinkSync( "./test/artefacts/output/rpa-doc.js" );
+    } );
+  } );
+
+  /**
+   * Test writing the graph of invoked workflows.
+   */
+  describe( "#writeGraph", function() {
+    it( "should write the edges as a table", function() {
+      let projectInfo = new UiPathProject( "./test/artefacts" );
+      let processor = new XamlProcessor();
+      let graph = new WorkflowGraph( projectInfo );
+      let output = new OutputHtml( "./test/artefacts/output" );
+
+      projectInfo.getXamlFiles( true ).forEach( function( xamlFile ) {
+        graph.addWorkflow( processor.getMetadata( xamlFile ) );
+      } );
+
+      output.writeGraph( graph );
+
+      let content = fs.readFileSync( "./test/artefacts/output/call-graph.html" ).toString();
+
+      assert.ok( content.includes( "<td>uno.xaml</td><td>sub-folder/dos.xaml</td>" ) );
+
+      fs.unlinkSync( "./test/artefacts/output/call-graph.html" );
+    } );
+  } );
+
+  /**
+   * Test escaping text.
+   */
+  describe( "#escape", function() {
+    it( "should escape HTML special characters", function() {
+      let output = new OutputHtml( "./test/artefacts/output" );
+      assert.strictEqual(
+        output.escape( "<a href=\"x\">Tom & Jerry's</a>" ),
+        "&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;"
+      );
+    } );
+  } );
+
+  /**
+   * Test writing the catalogue of projects.
+   */
+  describe( "#writeCatalogue", function() {
+    it( "should throw an error if the parameter is not supplied", function() {
+      let output = new OutputHtml( "./test/artefacts/output" );
+      assert.throws( function() {
+        output.writeCatalogue();
+      }, /^TypeError: catalogue/ );
+    } );
+
+    it( "should write an index page linking to each project", function() {
+      let output = new OutputHtml( "./test/artefacts/output" );
+      let catalogue = createCatalogue();
+
+      output.writeCatalogue( catalogue );
+
+      let content = fs.readFileSync( "./test/artefacts/output/index.html" ).toString();
+      let searchIndex = fs.readFileSync( "./test/artefacts/output/search-index.js" ).toString();
+
+      assert.ok( content.includes( "<h1>Projects</h1>" ) );
+      assert.ok( content.includes( "<a href=\"Library/index.html\">Flinders.Library</a>" ) );
+      assert.ok( !content.includes( "call-graph.html" ) );
+      assert.ok( searchIndex.includes( "Process/index.html" ) );
+
+      fs.unlinkSync( "./test/artefacts/output/index.html" );
+      fs.unlinkSync( "./test/artefacts/output/search-index.js" );
+      fs.unlinkSync( "./test/artefacts/output/rpa-doc.css" );
+      fs.unlinkSync( "./test/artefacts/output/rpa-doc.js" );
+
+      removeTempDirectory( catalogue.getRootPath() );
+    } );
+  } );
+} );
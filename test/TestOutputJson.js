@@ -0,0 +1,275 @@
+import { UiPathProject } from "../app/UiPathProject.js";
+import { OutputJson } from "../app/OutputJson.js";
+import { XamlProcessor } from "../app/XamlProcessor.js";
+import { WorkflowGraph } from "../app/WorkflowGraph.js";
+import { WorkflowMetadata } from "../app/WorkflowMetadata.js";
+
+import { createCatalogue, removeTempDirectory } from "./helpers/Fixtures.js";
+
+import * as assert from "assert";
+import * as fs from "fs";
+
+/**
+ * Test the OutputJson object.
+ */
+describe( "OutputJson", function() {
+
+  /**
+   * Test constructing a new instance of the class.
+   */
+  describe( "#constructor", function() {
+    it( "should throw an error if the parameter is not supplied", function() {
+      assert.throws( function() {
+        new OutputJson();
+      }, TypeError );
+    } );
+
+    it( "should throw an error if the output path contains JSON files", function() {
+
+      fs.writeFileSync( "./test/artefacts/output/existing.json", "{}" );
+
+      assert.throws( function() {
+        new OutputJson( "./test/artefacts/output" );
+      }, /The output path .* is not an empty directory$/ );
+
+      fs.unlinkSync( "./test/artefacts/output/existing.json" );
+    } );
+
+    it( "should delete JSON files if the empty flag is set", function() {
+
+      fs.writeFileSync( "./test/artefacts/output/existing.json", "{}" );
+
+      new OutputJson( "./test/artefacts/output", true );
+
+      assert.ok( !fs.existsSync( "./test/artefacts/output/existing.json" ) );
+    } );
+  } );
+
+  /**
+   * Test writing a file.
+   */
+  describe( "#writeFile", function() {
+    it( "should throw an error if the parameter is not supplied", function() {
+      let output = new OutputJson( "./test/artefacts/output" );
+      assert.throws( function() {
+        output.writeFile();
+      }, TypeError );
+    } );
+
+    it( "should write the metadata as JSON", function() {
+      let processor = new XamlProcessor();
+      let metadata = processor.getMetadata( "./test/artefacts/uno.xaml" );
+      let output = new OutputJson( "./test/artefacts/output" );
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      output.writeFile( metadata );
+
+      let content = JSON.parse( fs.readFileSync( "./test/artefacts/output/uno.json" ) );
+
+      assert.strictEqual( content.name, "uno" );
+      assert.strictEqual(
+        content.annotation,
+        "This test XAML file is used as an artefact for the majority of unit tests"
+      );
+      assert.strictEqual( content.projectFilePath, null );
+      assert.strictEqual( content.arguments.length, 4 );
+      assert.deepStrictEqual( content.arguments[ 0 ], {
+        "name": "Ichi",
+        "direction": "InArgument",
+        "type": "String",
+        "annotation": "First argument using Japanese numbers.",
+        "defaultValue": "A default string value"
+      } );
+      assert.strictEqual( content.calledBy, undefined );
+      assert.deepStrictEqual( content.logMessages, [] );
+      assert.deepStrictEqual( content.loggedDataWarnings, [] );
+
+      fs.unlinkSync( "./test/artefacts/output/uno.json" );
+    } );
+
+    it( "should list the log messages that match the excluded logged data", function() {
+      let metadata = new WorkflowMetadata( "./test/artefacts/Login.xaml" );
+      let output = new OutputJson( "./test/artefacts/output" );
+
+      metadata.setWorkflowName( "Login" );
+      metadata.addLogMessage( "LogMessage", "Log Password", "Trace", "[in_Password]", [], [ "in_Password" ] );
+
+      output.prepare( new UiPathProject( "./test/artefacts" ), [ metadata ] );
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      output.writeFile( metadata );
+
+      let content = JSON.parse( fs.readFileSync( "./test/artefacts/output/Login.json" ) );
+
+      assert.strictEqual( content.logMessages[ 0 ].message, "[in_Password]" );
+      assert.deepStrictEqual( content.loggedDataWarnings.map( function( warning ) {
+        return warning.name + " " + warning.pattern;
+      } ), [ "in_Password *password*" ] );
+
+      fs.unlinkSync( "./test/artefacts/output/Login.json" );
+    } );
+
+    it( "should add the project relative path and callers when a graph is supplied", function() {
+      let projectInfo = new UiPathProject( "./test/artefacts" );
+      let processor = new XamlProcessor();
+      let graph = new WorkflowGraph( projectInfo );
+      let output = new OutputJson( "./test/artefacts/output" );
+
+      let workflowMeta = projectInfo.getXamlFiles( true ).map( function( xamlFile ) {
+        let metadata = processor.getMetadata( xamlFile );
+        graph.addWorkflow( metadata );
+        return metadata;
+      } );
+
+      workflowMeta.forEach( function( metadata ) {
+        // eslint-disable-next-line security/detect-non-literal-fs-filename
+        output.writeFile( metadata, graph );
+      } );
+
+      let content = JSON.parse( fs.readFileSync( "./test/artefacts/output/dos.json" ) );
+
+      assert.strictEqual( content.projectFilePath, "sub-folder/dos.xaml" );
+      assert.deepStrictEqual( content.calledBy, [ "uno.xaml" ] );
+      assert.deepStrictEqual( content.orchestratorObjects, [] );
+      assert.deepStrictEqual( content.requiredOrchestratorObjects, [] );
+
+      fs.unlinkSync( "./test/artefacts/output/uno.json" );
+      fs.unlinkSync( "./test/artefacts/output/dos.json" );
+    } );
+  } );
+
+  /**
+   * Test writing the manifest file.
+   */
+  describe( "#writeIndex", function() {
+    it( "should throw an error if the projectInfo parameter is not supplied", function() {
+      let output = new OutputJson( "./test/artefacts/output" );
+      assert.throws( function() {
+        output.writeIndex();
+      }, /^TypeError: projectInfo/ );
+    } );
+
+    it( "should throw an error if the workflowMeta parameter is not an array", function() {
+      let projectInfo = new UiPathProject( "./test/artefacts" );
+      let output = new OutputJson( "./test/artefacts/output" );
+      assert.throws( function() {
+        output.writeIndex( projectInfo, new Object() );
+      }, /^TypeError: workflowMeta/ );
+    } );
+
+    it( "should write a manifest describing the project and workflows", function() {
+      let projectInfo = new UiPathProject( "./test/artefacts" );
+      let processor = new XamlProcessor();
+      let output = new OutputJson( "./test/artefacts/output" );
+
+      let workflowMeta = projectInfo.getXamlFiles( true ).map( function( xamlFile ) {
+        return processor.getMetadata( xamlFile );
+      } );
+
+      output.writeIndex( projectInfo, workflowMeta );
+
+      let content = JSON.parse( fs.readFileSync( "./test/artefacts/output/manifest.json" ) );
+
+      assert.strictEqual( content.name, "Flinders.Foundation" );
+      assert.strictEqual( content.projectVersion, "2.0.0-alpha" );
+      assert.strictEqual( content.projectType, "Library" );
+      assert.strictEqual( content.dependencies[ "UiPath.Excel.Activities" ], "2.6.2" );
+      assert.strictEqual( content.workflows.length, 2 );
+      assert.strictEqual( content.workflows[ 0 ].name, "dos" );
+      assert.strictEqual( content.workflows[ 0 ].projectFilePath, "sub-folder/dos.xaml" );
+      assert.strictEqual( content.workflows[ 0 ].outputFileName, "dos.json" );
+      assert.strictEqual( content.workflows[ 1 ].arguments.length, 4 );
+
+      fs.unlinkSync( "./test/artefacts/output/manifest.json" );
+    } );
+
+    it( "should include the entry points and options of the project", function() {
+      let projectInfo = new UiPathProject( "./test/projects/reframework" );
+      let output = new OutputJson( "./test/artefacts/output" );
+
+      output.writeIndex( projectInfo, [] );
+
+      let content = JSON.parse( fs.readFileSync( "./test/artefacts/output/manifest.json" ) );
+
+      assert.strictEqual( content.main, "Main.xaml" );
+      assert.strictEqual( content.targetFramework, "Legacy" );
+      assert.strictEqual( content.entryPoints[ 0 ].input[ 0 ].type, "String" );
+      assert.deepStrictEqual( content.runtimeOptions.excludedLoggedData, [ "Private:*", "*password*" ] );
+      assert.strictEqual( content.libraryOptions.includeOriginalXaml, false );
+      assert.deepStrictEqual( content.webServices, [] );
+      assert.strictEqual( content.packageDependencies[ 0 ].id, "UiPath.Excel.Activities" );
+      assert.strictEqual( content.packageDependencies[ 0 ].exact, true );
+      assert.strictEqual( content.packageDependencies[ 0 ].category, "UiPath" );
+      assert.deepStrictEqual( content.dependencyWarnings, [] );
+      assert.deepStrictEqual( content.orchestratorObjects, [] );
+
+      fs.unlinkSync( "./test/artefacts/output/manifest.json" );
+    } );
+  } );
+
+  /**
+   * Test writing the graph of invoked workflows.
+   */
+  describe( "#writeGraph", function() {
+    it( "should throw an error if the parameter is not supplied", function() {
+      let output = new OutputJson( "./test/artefacts/output" );
+      assert.throws( function() {
+        output.writeGraph();
+      }, TypeError );
+    } );
+
+    it( "should write the nodes and edges", function() {
+      let projectInfo = new UiPathProject( "./test/artefacts" );
+      let processor = new XamlProcessor();
+      let graph = new WorkflowGraph( projectInfo );
+      let output = new OutputJson( "./test/artefacts/output" );
+
+      projectInfo.getXamlFiles( true ).forEach( function( xamlFile ) {
+        graph.addWorkflow( processor.getMetadata( xamlFile ) );
+      } );
+
+      output.writeGraph( graph );
+
+      let content = JSON.parse( fs.readFileSync( "./test/artefacts/output/call-graph.json" ) );
+
+      assert.deepStrictEqual( content, {
+        "nodes": [ "sub-folder/dos.xaml", "uno.xaml" ],
+        "edges": [ { "from": "uno.xaml", "to": "sub-folder/dos.xaml" } ]
+      } );
+
+      fs.unlinkSync( "./test/artefacts/output/call-graph.json" );
+    } );
+  } );
+
+  /**
+   * Test writing the catalogue of projects.
+   */
+  describe( "#writeCatalogue", function() {
+    it( "should throw an error if the parameter is not supplied", function() {
+      let output = new OutputJson( "./test/artefacts/output" );
+      assert.throws( function() {
+        output.writeCatalogue();
+      }, /^TypeError: catalogue/ );
+    } );
+
+    it( "should write the projects and the relationships between them", function() {
+      let output = new OutputJson( "./test/artefacts/output" );
+      let catalogue = createCatalogue();
+
+      output.writeCatalogue( catalogue );
+
+      let content = JSON.parse( fs.readFileSync( "./test/artefacts/output/catalogue.json" ) );
+
+      assert.strictEqual( content.projects.length, 2 );
+      assert.strictEqual( content.projects[ 0 ].name, "Flinders.Library" );
+      assert.strictEqual( content.projects[ 0 ].projectType, "Library" );
+      assert.strictEqual( content.projects[ 0 ].manifest, "Library/manifest.json" );
+      assert.deepStrictEqual( content.projects[ 0 ].usedBy, [ "Flinders.Process" ] );
+      assert.deepStrictEqual( content.projects[ 1 ].dependsOn, [ "Flinders.Library" ] );
+
+      fs.unlinkSync( "./test/artefacts/output/catalogue.json" );
+
+      removeTempDirectory( catalogue.getRootPath() );
+    } );
+  } );
+} );
@@ -1,10 +1,32 @@
 import { UiPathProject } from "../app/UiPathProject.js";
 import { OutputMarkdown } from "../app/OutputMarkdown.js";
 import { XamlProcessor } from "../app/XamlProcessor.js";
+import { WorkflowGraph } from "../app/WorkflowGraph.js";
+import { WorkflowMetadata } from "../app/WorkflowMetadata.js";
+
+import { createCatalogue, removeTempDirectory } from "./helpers/Fixtures.js";
 
 import * as assert from "assert";
 import * as fs from "fs";
 
+/**
+ * A workflow with an If, a TryCatch and nested sequences, used for testing.
+ *
+ * @type {string}
+ */
+const nestedXaml = "<Activity xmlns=\"http://schemas.microsoft.com/netfx/2009/xaml/activities\" " +
+  "xmlns:s=\"clr-namespace:System;assembly=mscorlib\" " +
+  "xmlns:ui=\"http://schemas.uipath.com/workflow/activities\" " +
+  "xmlns:x=\"http://schemas.microsoft.com/winfx/2006/xaml\"><Sequence DisplayName=\"Pay Invoice\">" +
+  "<If Condition=\"[paid]\" DisplayName=\"Paid?\"><If.Then><ui:LogMessage DisplayName=\"Log Paid\" />" +
+  "</If.Then><If.Else><Sequence DisplayName=\"Pay\"><TryCatch DisplayName=\"Try Payment\"><TryCatch.Try>" +
+  "<Sequence DisplayName=\"Submit\"><ui:LogMessage DisplayName=\"Log Submitted\" /></Sequence>" +
+  "</TryCatch.Try><TryCatch.Catches><Catch x:TypeArguments=\"s:Exception\">" +
+  "<ActivityAction x:TypeArguments=\"s:Exception\"><Rethrow DisplayName=\"Rethrow\" /></ActivityAction>" +
+  "</Catch></TryCatch.Catches><TryCatch.Finally><ui:LogMessage DisplayName=\"Log Finished\" />" +
+  "</TryCatch.Finally></TryCatch></Sequence></If.Else></If><ui:LogMessage DisplayName=\"Log Done\" />" +
+  "</Sequence></Activity>";
+
 /**
  * Test the UiPathProject object.
  */
@@ -104,6 +126,308 @@ describe( "OutputMarkdown", function() {
 
     } );
 
+    it( "should write a file for a workflow without an annotation", function() {
+      let metadata = new WorkflowMetadata( "./test/artefacts/uno.xaml" );
+      metadata.setWorkflowName( "uno" );
+
+      let output = new OutputMarkdown( "./test/artefacts/output" );
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      output.writeFile( metadata );
+
+      let content = fs.readFileSync( "./test/artefacts/output/uno.md" ).toString();
+
+      assert.ok( content.startsWith( "# uno\n\n## Arguments\n\n" ) );
+
+      fs.unlinkSync( "./test/artefacts/output/uno.md" );
+    } );
+
+    it( "should include the states and transitions of a state machine", function() {
+      let processor = new XamlProcessor();
+
+      let metadata = processor.getMetadata( "./test/projects/reframework/Main.xaml" );
+
+      let output = new OutputMarkdown( "./test/artefacts/output" );
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      output.writeFile( metadata );
+
+      let content = fs.readFileSync( "./test/artefacts/output/General Business Process.md" ).toString();
+
+      assert.ok( content.includes( "|Initialization|Read the configuration and open the applications.|Yes|No|" ) );
+      assert.ok( content.includes( "|End Process||No|Yes|" ) );
+      assert.ok( content.includes(
+        "|Initialization|Get Transaction Data|Successful|`SystemException is Nothing`|"
+      ) );
+      assert.ok( content.includes( "```mermaid\nstateDiagram-v2\n" ) );
+      assert.ok( content.includes( "  [*] --> s0\n" ) );
+      assert.ok( content.includes( "  s1 --> [*]\n" ) );
+      assert.ok( content.includes( "  s0 --> s2 : Successful\n" ) );
+      assert.ok( content.includes( "- Initialization (`State`): Read the configuration and open the applications.\n" ) );
+      assert.ok( !content.includes( "flowchart TD" ) );
+
+      fs.unlinkSync( "./test/artefacts/output/General Business Process.md" );
+    } );
+
+    it( "should include the variables defined in the workflow", function() {
+      let processor = new XamlProcessor();
+
+      let metadata = processor.getMetadata( "./test/artefacts/uno.xaml" );
+
+      let output = new OutputMarkdown( "./test/artefacts/output" );
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      output.writeFile( metadata );
+
+      let content = fs.readFileSync( "./test/artefacts/output/uno.md" ).toString();
+
+      assert.ok( content.includes( "## Variables" ) );
+      assert.ok( content.includes( "|eins|This is the first variable|uno|`String`|`Hallo Welt`|" ) );
+      assert.ok( content.includes( "|drei|This is the third variable|Flowchart|`String`||" ) );
+
+      fs.unlinkSync( "./test/artefacts/output/uno.md" );
+    } );
+
+    it( "should include an outline and a flowchart of the activities", function() {
+      let processor = new XamlProcessor();
+
+      let metadata = processor.getMetadata( "./test/artefacts/uno.xaml" );
+
+      let output = new OutputMarkdown( "./test/artefacts/output" );
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      output.writeFile( metadata );
+
+      let content = fs.readFileSync( "./test/artefacts/output/uno.md" ).toString();
+
+      assert.ok( content.includes( "## Activities\n\n<details>\n<summary>Outline</summary>\n\n" ) );
+      assert.ok( content.includes(
+        "- uno (`Sequence`): This test XAML file is used as an artefact for the majority of unit tests\n" +
+        "  - Sequence (`Sequence`)\n" +
+        "  - Flowchart (`Flowchart`)\n" +
+        "  - Invoke dos workflow (`InvokeWorkflowFile`)\n\n</details>\n"
+      ) );
+      assert.ok( content.includes(
+        "```mermaid\nflowchart TD\n  start((Start))\n  n0[\"Sequence\"]\n  start --> n0\n"
+      ) );
+      assert.ok( content.includes( "  n2[\"Invoke dos workflow\"]\n  n1 --> n2\n  n2 --> finish((End))\n" ) );
+
+      fs.unlinkSync( "./test/artefacts/output/uno.md" );
+    } );
+
+    it( "should draw the branches and the nested activities of a sequence", function() {
+      let processor = new XamlProcessor();
+      let activityTree = processor.getActivityTree( processor.parseXaml( nestedXaml ) );
+
+      let output = new OutputMarkdown( "./test/artefacts/output" );
+
+      assert.strictEqual( output.getSequenceDiagram( activityTree ),
+        "flowchart TD\n" +
+        "  start((Start))\n" +
+        "  n0{\"Paid?\"}\n" +
+        "  n1[\"Log Paid\"]\n" +
+        "  start --> n0\n" +
+        "  n0 -->|\"Then\"| n1\n" +
+        "  subgraph n2 [\"Pay\"]\n" +
+        "    n3[\"Try Payment\"]\n" +
+        "    subgraph n4 [\"Submit\"]\n" +
+        "      n5[\"Log Submitted\"]\n" +
+        "    end\n" +
+        "    n6[\"Rethrow\"]\n" +
+        "    n7[\"Log Finished\"]\n" +
+        "  end\n" +
+        "  n0 -->|\"Else\"| n3\n" +
+        "  n3 -->|\"Try\"| n5\n" +
+        "  n3 -->|\"System.Exception\"| n6\n" +
+        "  n5 --> n7\n" +
+        "  n6 --> n7\n" +
+        "  n8[\"Log Done\"]\n" +
+        "  n1 --> n8\n" +
+        "  n7 --> n8\n" +
+        "  n8 --> finish((End))\n"
+      );
+    } );
+
+    it( "should draw the steps, decisions and switches of a flowchart", function() {
+      let metadata = new WorkflowMetadata( "./test/artefacts/Invoice.xaml" );
+      metadata.setWorkflowName( "Invoice" );
+      metadata.setActivityTree( {
+        "type": "Sequence",
+        "displayName": "Invoice",
+        "annotation": "",
+        "children": [ {
+          "type": "Flowchart",
+          "displayName": "Check Invoice",
+          "annotation": "",
+          "children": [],
+          "flowchart": {
+            "startNode": "__ReferenceID0",
+            "nodes": [
+              { "id": "__ReferenceID0", "type": "FlowStep", "displayName": "Read \"Invoice\"", "condition": "" },
+              { "id": "__ReferenceID1", "type": "FlowDecision", "displayName": "Paid?", "condition": "[paid]" },
+              { "id": "__ReferenceID2", "type": "FlowSwitch", "displayName": "Status", "condition": "[status]" }
+            ],
+            "connections": [
+              { "from": "__ReferenceID0", "to": "__ReferenceID1", "label": "" },
+              { "from": "__ReferenceID1", "to": "__ReferenceID2", "label": "False" },
+              { "from": "__ReferenceID2", "to": "__ReferenceID0", "label": "Retry" }
+            ]
+          }
+        } ]
+      } );
+
+      let output = new OutputMarkdown( "./test/artefacts/output" );
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      output.writeFile( metadata );
+
+      let content = fs.readFileSync( "./test/artefacts/output/Invoice.md" ).toString();
+
+      assert.ok( content.includes(
+        "\n### Check Invoice\n\n```mermaid\nflowchart TD\n  start((Start))\n" +
+        "  n0[\"Read #quot;Invoice#quot;\"]\n  n1{\"Paid?\"}\n  n2{{\"Status\"}}\n  start --> n0\n" +
+        "  n0 --> n1\n  n1 -->|\"False\"| n2\n  n2 -->|\"Retry\"| n0\n```\n"
+      ) );
+
+      fs.unlinkSync( "./test/artefacts/output/Invoice.md" );
+    } );
+
+    it( "should list the log messages and the names covered by the excluded logged data", function() {
+      let metadata = new WorkflowMetadata( "./test/artefacts/Login.xaml" );
+      metadata.setWorkflowName( "Login" );
+      metadata.addLogMessage( "LogMessage", "Log Password", "Trace", "[in_Password]", [], [ "in_Password" ] );
+      metadata.addLogMessage( "AddLogFields", "Add Log Fields", "", "", [
+        { "name": "InvoiceNumber", "value": "[invoice.Number]" },
+        { "name": "Stage", "value": "Login" }
+      ], [ "invoice", "Number" ] );
+      metadata.addLogMessage( "RemoveLogFields", "Remove Log Fields", "", "", [
+        { "name": "InvoiceNumber", "value": "" }
+      ], [] );
+
+      let output = new OutputMarkdown( "./test/artefacts/output" );
+      output.prepare( new UiPathProject( "./test/artefacts" ), [ metadata ] );
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      output.writeFile( metadata );
+
+      let content = fs.readFileSync( "./test/artefacts/output/Login.md" ).toString();
+
+      assert.ok( content.includes( "## Logging\n\n| Activity | Type | Level | Message |" ) );
+      assert.ok( content.includes( "|Log Password|LogMessage|Trace|`[in_Password]`|" ) );
+      assert.ok( content.includes(
+        "|Add Log Fields|AddLogFields||`InvoiceNumber` = `[invoice.Number]`<br>`Stage` = `Login`|"
+      ) );
+      assert.ok( content.includes( "|Remove Log Fields|RemoveLogFields||`InvoiceNumber`|" ) );
+      assert.ok( content.includes(
+        "\n**Warnings**\n\n- The activity Log Password logs `in_Password`, which matches the excluded " +
+        "logged data pattern `*password*`\n"
+      ) );
+
+      fs.unlinkSync( "./test/artefacts/output/Login.md" );
+    } );
+
+    it( "should list the exceptions thrown and caught by the workflow", function() {
+      let metadata = new WorkflowMetadata( "./test/artefacts/Login.xaml" );
+      metadata.setWorkflowName( "Login" );
+      metadata.addException(
+        "Throw",
+        "Throw Invalid",
+        "BusinessRuleException",
+        "The credential | is not valid",
+        "New BusinessRuleException(\"The credential | is not valid\")"
+      );
+      metadata.addException( "Rethrow", "Rethrow", "System.Exception", "", "" );
+      metadata.addException( "Throw", "Wrap", "", "", "exception" );
+      metadata.addException( "Catch", "Try Login", "System.Exception", "", "" );
+
+      let output = new OutputMarkdown( "./test/artefacts/output" );
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      output.writeFile( metadata );
+
+      let content = fs.readFileSync( "./test/artefacts/output/Login.md" ).toString();
+
+      assert.ok( content.includes( "## Exceptions\n\n### Thrown\n\n| Activity | Exception | Message |" ) );
+      assert.ok( content.includes(
+        "|Throw Invalid|`BusinessRuleException`|The credential \\| is not valid|"
+      ) );
+      assert.ok( content.includes( "|Rethrow|`System.Exception`|Rethrows the caught exception.|" ) );
+      assert.ok( content.includes( "|Wrap||`exception`|" ) );
+      assert.ok( content.includes( "\n### Caught\n\n| Activity | Exception |" ) );
+      assert.ok( content.includes( "|Try Login|`System.Exception`|" ) );
+
+      fs.unlinkSync( "./test/artefacts/output/Login.md" );
+    } );
+
+    it( "should state that a workflow does not throw or catch any exceptions", function() {
+      let processor = new XamlProcessor();
+
+      let metadata = processor.getMetadata( "./test/artefacts/uno.xaml" );
+
+      let output = new OutputMarkdown( "./test/artefacts/output" );
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      output.writeFile( metadata );
+
+      let content = fs.readFileSync( "./test/artefacts/output/uno.md" ).toString();
+
+      assert.ok( content.includes(
+        "## Exceptions\n\nThis activity does not throw or catch any exceptions.\n"
+      ) );
+      assert.ok( content.includes( "## Logging\n\nThis activity does not write any log messages.\n" ) );
+
+      fs.unlinkSync( "./test/artefacts/output/uno.md" );
+    } );
+
+    it( "should leave out disabled sections and add the templates", function() {
+      let processor = new XamlProcessor();
+
+      let metadata = processor.getMetadata( "./test/artefacts/uno.xaml" );
+
+      let output = new OutputMarkdown( "./test/artefacts/output" );
+      output.setSectionEnabled( "variables", false );
+      output.loadTemplate( "header", "./test/projects/config/header.md" );
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      output.writeFile( metadata );
+
+      let content = fs.readFileSync( "./test/artefacts/output/uno.md" ).toString();
+
+      assert.ok( content.startsWith( "> Part of  : uno {{unknown}}\n\n# uno\n\n" ) );
+      assert.ok( content.includes( "## Arguments" ) );
+      assert.ok( !content.includes( "## Variables" ) );
+
+      fs.unlinkSync( "./test/artefacts/output/uno.md" );
+    } );
+
+    it( "should escape characters that break the markdown formatting", function() {
+      let metadata = new WorkflowMetadata( "./test/artefacts/uno.xaml" );
+      metadata.setWorkflowName( "Escaped" );
+      metadata.setWorkflowAnnotation( "Reads <b>all</b> rows\nThen | filters them" );
+      metadata.addArgument(
+        "in_Lookup",
+        "InArgument",
+        "Dictionary<String, Object>",
+        "Values to look up | first line\nsecond line",
+        "[If(a, \"x|y\", `z`)]"
+      );
+
+      let output = new OutputMarkdown( "./test/artefacts/output" );
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      output.writeFile( metadata );
+
+      let content = fs.readFileSync( "./test/artefacts/output/Escaped.md" ).toString();
+
+      assert.ok( content.includes( "Reads &lt;b&gt;all&lt;/b&gt; rows  \nThen \\| filters them\n\n" ) );
+      assert.ok( content.includes(
+        "|in_Lookup|Values to look up \\| first line<br>second line|In|" +
+        "`Dictionary<String, Object>`|``If(a, \"x\\|y\", `z`)``|"
+      ) );
+
+      fs.unlinkSync( "./test/artefacts/output/Escaped.md" );
+    } );
+
     it( "should write files for each of the test artefacts", function() {
       let projectInfo = new UiPathProject( "./test/artefacts" );
 
@@ -151,4 +475,275 @@ describe( "OutputMarkdown", function() {
       fs.unlinkSync( "./test/artefacts/output/sub-folder-dos.md" );
     } );
   } );
+
+  /**
+   * Test writing the sections that use the graph of invoked workflows.
+   */
+  describe( "#writeFile with a graph", function() {
+    it( "should throw an error if the graph parameter is the wrong type", function() {
+      let processor = new XamlProcessor();
+      let metadata = processor.getMetadata( "./test/artefacts/uno.xaml" );
+      let output = new OutputMarkdown( "./test/artefacts/output" );
+
+      assert.throws( function() {
+        // eslint-disable-next-line security/detect-non-literal-fs-filename
+        output.writeFile( metadata, new Object() );
+      }, /^TypeError: graph/ );
+    } );
+
+    it( "should include the calls and called by sections", function() {
+      let projectInfo = new UiPathProject( "./test/artefacts" );
+      let processor = new XamlProcessor();
+      let graph = new WorkflowGraph( projectInfo );
+      let output = new OutputMarkdown( "./test/artefacts/output" );
+
+      let workflowMeta = projectInfo.getXamlFiles( true ).map( function( xamlFile ) {
+        let metadata = processor.getMetadata( xamlFile );
+        metadata.setProjectFilePath( projectInfo.getProjectPath() );
+        graph.addWorkflow( metadata );
+        return metadata;
+      } );
+
+      workflowMeta.forEach( function( metadata ) {
+        // eslint-disable-next-line security/detect-non-literal-fs-filename
+        output.writeFile( metadata, graph );
+      } );
+
+      let content = fs.readFileSync( "./test/artefacts/output/uno.md" ).toString();
+
+      assert.ok( content.includes( "## Calls" ) );
+      assert.ok( content.includes( "|[dos](sub-folder-dos.md)|Invoke dos workflow|ichi: `eins`<br>ni: `zwei`|" ) );
+      assert.ok( content.includes( "This activity is not invoked by any workflows in the project." ) );
+      assert.ok( !content.includes( "## Orchestrator Objects" ) );
+
+      content = fs.readFileSync( "./test/artefacts/output/sub-folder-dos.md" ).toString();
+
+      assert.ok( content.includes( "This activity does not invoke any workflows." ) );
+      assert.ok( content.includes( "## Called by\n\n- [uno](uno.md)\n" ) );
+
+      fs.unlinkSync( "./test/artefacts/output/uno.md" );
+      fs.unlinkSync( "./test/artefacts/output/sub-folder-dos.md" );
+    } );
+
+    it( "should list the Orchestrator objects used by the workflow and the workflows it invokes", function() {
+      let projectInfo = new UiPathProject( "./test/artefacts" );
+      let processor = new XamlProcessor();
+      let graph = new WorkflowGraph( projectInfo );
+
+      let uno = processor.getMetadata( "./test/artefacts/uno.xaml" );
+      let dos = processor.getMetadata( "./test/artefacts/sub-folder/dos.xaml" );
+
+      graph.addWorkflow( uno );
+      graph.addWorkflow( dos );
+
+      dos.addOrchestratorObject( "GetRobotCredential", "Get Okta Credential", "Credential", "Okta", "Shared" );
+
+      let output = new OutputMarkdown( "./test/artefacts/output" );
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      output.writeFile( uno, graph );
+
+      let content = fs.readFileSync( "./test/artefacts/output/uno.md" ).toString();
+
+      assert.ok( content.includes( "## Orchestrator Objects\n\n| Type | Name | Folder Path | Activities | Used In |" ) );
+      assert.ok( content.includes( "|Credential|`Okta`|`Shared`|GetRobotCredential|sub-folder/dos.xaml|" ) );
+
+      output.writeIndex( projectInfo, [ uno ], graph );
+
+      content = fs.readFileSync( "./test/artefacts/output/README.md" ).toString();
+
+      assert.ok( content.includes( "|Credential|`Okta`|`Shared`|GetRobotCredential|sub-folder/dos.xaml|" ) );
+
+      fs.unlinkSync( "./test/artefacts/output/uno.md" );
+      fs.unlinkSync( "./test/artefacts/output/README.md" );
+    } );
+  } );
+
+  /**
+   * Test writing the graph of invoked workflows.
+   */
+  describe( "#writeGraph", function() {
+    it( "should throw an error if the parameter is not supplied", function() {
+      let output = new OutputMarkdown( "./test/artefacts/output" );
+      assert.throws( function() {
+        output.writeGraph();
+      }, TypeError );
+    } );
+
+    it( "should write the Mermaid and DOT files", function() {
+      let projectInfo = new UiPathProject( "./test/artefacts" );
+      let processor = new XamlProcessor();
+      let graph = new WorkflowGraph( projectInfo );
+      let output = new OutputMarkdown( "./test/artefacts/output" );
+
+      projectInfo.getXamlFiles( true ).forEach( function( xamlFile ) {
+        graph.addWorkflow( processor.getMetadata( xamlFile ) );
+      } );
+
+      output.writeGraph( graph );
+
+      let content = fs.readFileSync( "./test/artefacts/output/call-graph.md" ).toString();
+      assert.ok( content.includes( "```mermaid\nflowchart LR\n" ) );
+
+      content = fs.readFileSync( "./test/artefacts/output/call-graph.dot" ).toString();
+      assert.strictEqual( content, graph.toDot() );
+
+      fs.unlinkSync( "./test/artefacts/output/call-graph.md" );
+      fs.unlinkSync( "./test/artefacts/output/call-graph.dot" );
+    } );
+  } );
+
+  /**
+   * Test getting the name of the output file.
+   */
+  describe( "#getOutputFileName", function() {
+    it( "should throw an error if the parameter is not supplied", function() {
+      let output = new OutputMarkdown( "./test/artefacts/output" );
+      assert.throws( function() {
+        output.getOutputFileName();
+      }, TypeError );
+    } );
+
+    it( "should return a file name derived from the workflow name", function() {
+      let processor = new XamlProcessor();
+      let metadata = processor.getMetadata( "./test/artefacts/sub-folder/dos.xaml" );
+      let output = new OutputMarkdown( "./test/artefacts/output" );
+
+      assert.strictEqual( output.getOutputFileName( metadata ), "dos.md" );
+    } );
+
+    it( "should return a file name derived from the UiPath project relative path", function() {
+      let projectInfo = new UiPathProject( "./test/artefacts" );
+      let processor = new XamlProcessor();
+      let metadata = processor.getMetadata( "./test/artefacts/sub-folder/dos.xaml" );
+      metadata.setProjectFilePath( projectInfo.getProjectPath() );
+      let output = new OutputMarkdown( "./test/artefacts/output" );
+
+      assert.strictEqual( output.getOutputFileName( metadata ), "sub-folder-dos.md" );
+    } );
+  } );
+
+  /**
+   * Test writing the index file.
+   */
+  describe( "#writeIndex", function() {
+    it( "should throw an error if the projectInfo parameter is not supplied", function() {
+      let output = new OutputMarkdown( "./test/artefacts/output" );
+      assert.throws( function() {
+        output.writeIndex();
+      }, /^TypeError: projectInfo/ );
+    } );
+
+    it( "should throw an error if the workflowMeta parameter is not an array", function() {
+      let projectInfo = new UiPathProject( "./test/artefacts" );
+      let output = new OutputMarkdown( "./test/artefacts/output" );
+      assert.throws( function() {
+        output.writeIndex( projectInfo, new Object() );
+      }, /^TypeError: workflowMeta/ );
+    } );
+
+    it( "should write an index file describing the project and workflows", function() {
+      let projectInfo = new UiPathProject( "./test/artefacts" );
+      let processor = new XamlProcessor();
+      let output = new OutputMarkdown( "./test/artefacts/output" );
+
+      let workflowMeta = projectInfo.getXamlFiles( true ).map( function( xamlFile ) {
+        let metadata = processor.getMetadata( xamlFile );
+        metadata.setProjectFilePath( projectInfo.getProjectPath() );
+        return metadata;
+      } );
+
+      output.writeIndex( projectInfo, workflowMeta );
+
+      assert.ok( fs.existsSync( "./test/artefacts/output/README.md" ) );
+
+      let content = fs.readFileSync( "./test/artefacts/output/README.md" ).toString();
+
+      assert.ok( content.startsWith( "# Flinders.Foundation\n" ) );
+      assert.ok( content.includes( "|Version|2.0.0-alpha|" ) );
+      assert.ok( content.includes( "|Project Type|Library|" ) );
+      assert.ok( content.includes( "|UiPath.Excel.Activities|`2.6.2`|" ) );
+      assert.ok( content.includes(
+        "|[uno](uno.md)|This test XAML file is used as an artefact for the majority of unit tests|"
+      ) );
+      assert.ok( content.includes(
+        "|[dos](sub-folder-dos.md)|This test XAML file is used as an artefact for some unit tests|"
+      ) );
+
+      fs.unlinkSync( "./test/artefacts/output/README.md" );
+    } );
+
+    it( "should describe the entry points and options of the project", function() {
+      let projectInfo = new UiPathProject( "./test/projects/reframework" );
+      let output = new OutputMarkdown( "./test/artefacts/output" );
+
+      output.writeIndex( projectInfo, [] );
+
+      let content = fs.readFileSync( "./test/artefacts/output/README.md" ).toString();
+
+      assert.ok( content.includes( "|Main Workflow|Main.xaml|" ) );
+      assert.ok( content.includes( "|Target Framework|Legacy|" ) );
+      assert.ok( content.includes( "|Expression Language|VisualBasic|" ) );
+      assert.ok( content.includes( "## Entry Points\n\n### Main.xaml\n" ) );
+      assert.ok( content.includes( "|in_OrchestratorQueueName|In|`String`|No|Yes|" ) );
+      assert.ok( content.includes( "## Runtime Options\n" ) );
+      assert.ok( content.includes( "|Excluded Logged Data|`Private:*`, `*password*`|" ) );
+      assert.ok( content.includes( "## Design Options\n" ) );
+      assert.ok( !content.includes( "## Web Services" ) );
+      assert.ok( content.includes( "|UiPath.Excel.Activities|`[2.9.3]`|2.9.3 (inclusive)|2.9.3 (inclusive)|Yes|UiPath|" ) );
+      assert.ok( !content.includes( "**Warnings**" ) );
+
+      fs.unlinkSync( "./test/artefacts/output/README.md" );
+    } );
+
+    it( "should list the problems with the dependencies", function() {
+      let projectInfo = new UiPathProject( "./test/artefacts" );
+      let output = new OutputMarkdown( "./test/artefacts/output" );
+
+      projectInfo.fileContents.projectVersion = "2.0.0";
+
+      output.writeIndex( projectInfo, [] );
+
+      let content = fs.readFileSync( "./test/artefacts/output/README.md" ).toString();
+
+      assert.ok( content.includes( "|Flinders.Foundation.Testing|`1.0.1-alpha.5`|1.0.1-alpha.5 (inclusive)||No|Internal|" ) );
+      assert.ok( content.includes( "**Warnings**\n\n- The prerelease version '1.0.1-alpha.5'" ) );
+
+      fs.unlinkSync( "./test/artefacts/output/README.md" );
+    } );
+  } );
+
+  /**
+   * Test writing the catalogue of projects.
+   */
+  describe( "#writeCatalogue", function() {
+    it( "should throw an error if the parameter is not supplied", function() {
+      let output = new OutputMarkdown( "./test/artefacts/output" );
+      assert.throws( function() {
+        output.writeCatalogue();
+      }, /^TypeError: catalogue/ );
+    } );
+
+    it( "should write an index file linking to each project", function() {
+      let output = new OutputMarkdown( "./test/artefacts/output" );
+      let catalogue = createCatalogue();
+
+      output.writeCatalogue( catalogue );
+
+      let content = fs.readFileSync( "./test/artefacts/output/README.md" ).toString();
+
+      assert.ok( content.startsWith( "# Projects\n" ) );
+      assert.ok( content.includes(
+        "|[Flinders.Library](Library/README.md)|Library|2.0.0||" +
+        "|[Flinders.Process](Process/README.md)|\n"
+      ) );
+      assert.ok( content.includes(
+        "|[Flinders.Process](Process/README.md)||||[Flinders.Library](Library/README.md)||\n"
+      ) );
+
+      fs.unlinkSync( "./test/artefacts/output/README.md" );
+
+      removeTempDirectory( catalogue.getRootPath() );
+    } );
+  } );
 } );
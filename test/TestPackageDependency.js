@@ -0,0 +1,129 @@
+import { PackageDependency } from "../app/PackageDependency.js";
+
+import * as assert from "assert";
+
+/**
+ * Test the PackageDependency object.
+ */
+describe( "PackageDependency", function() {
+
+  /**
+   * Test constructing a new instance of the class.
+   */
+  describe( "#constructor", function() {
+    it( "should throw an error if the id parameter is not supplied", function() {
+      assert.throws( function() {
+        new PackageDependency();
+      }, TypeError );
+    } );
+
+    it( "should throw an error if the range parameter is not a string", function() {
+      assert.throws( function() {
+        new PackageDependency( "UiPath.System.Activities", 19 );
+      }, TypeError );
+    } );
+
+    it( "should throw an error if the version range is not valid", function() {
+      [ "", "abc", "[19.6.0", "(19.6.0)", "[,]", "[1.0, 2.0, 3.0]", "1.2.3.4.5" ].forEach( function( range ) {
+        assert.throws( function() {
+          new PackageDependency( "UiPath.System.Activities", range );
+        }, /is not valid$/, range );
+      } );
+    } );
+  } );
+
+  /**
+   * Test parsing the version ranges.
+   */
+  describe( "#parseRange", function() {
+    it( "should use a version on its own as the minimum version", function() {
+      let dependency = new PackageDependency( "UiPath.Credentials.Activities", "1.1.6479.13204" );
+
+      assert.strictEqual( dependency.getMinimum(), "1.1.6479.13204" );
+      assert.strictEqual( dependency.isMinInclusive(), true );
+      assert.strictEqual( dependency.getMaximum(), "" );
+      assert.strictEqual( dependency.isExact(), false );
+    } );
+
+    it( "should parse an exact version", function() {
+      let dependency = new PackageDependency( "UiPath.System.Activities", "[19.6.0]" );
+
+      assert.strictEqual( dependency.getMinimum(), "19.6.0" );
+      assert.strictEqual( dependency.getMaximum(), "19.6.0" );
+      assert.strictEqual( dependency.isExact(), true );
+    } );
+
+    it( "should parse the inclusive and exclusive limits of a range", function() {
+      let dependency = new PackageDependency( "Newtonsoft.Json", "(12.0, 13.0]" );
+
+      assert.strictEqual( dependency.getMinimum(), "12.0" );
+      assert.strictEqual( dependency.isMinInclusive(), false );
+      assert.strictEqual( dependency.getMaximum(), "13.0" );
+      assert.strictEqual( dependency.isMaxInclusive(), true );
+      assert.strictEqual( dependency.isExact(), false );
+    } );
+
+    it( "should parse a range without a minimum or maximum version", function() {
+      let minimum = new PackageDependency( "UiPath.Excel.Activities", "[2.6.2, )" );
+      let maximum = new PackageDependency( "UiPath.Excel.Activities", "(, 2.6.2]" );
+
+      assert.strictEqual( minimum.getMinimum(), "2.6.2" );
+      assert.strictEqual( minimum.getMaximum(), "" );
+      assert.strictEqual( minimum.isMaxInclusive(), false );
+      assert.strictEqual( maximum.getMinimum(), "" );
+      assert.strictEqual( maximum.isMinInclusive(), false );
+      assert.strictEqual( maximum.getMaximum(), "2.6.2" );
+    } );
+
+    it( "should accept floating versions", function() {
+      [ "*", "19.*", "19.6.*", "1.0.1-*", "1.0.1-beta*" ].forEach( function( range ) {
+        let dependency = new PackageDependency( "UiPath.System.Activities", range );
+
+        assert.strictEqual( dependency.getMinimum(), range );
+        assert.strictEqual( dependency.isExact(), false );
+      } );
+    } );
+  } );
+
+  /**
+   * Test checking for prerelease versions.
+   */
+  describe( "#isPrerelease", function() {
+    it( "should check the minimum and maximum versions", function() {
+      assert.ok( new PackageDependency( "Flinders.Foundation.Testing", "1.0.1-alpha.5" ).isPrerelease() );
+      assert.ok( new PackageDependency( "Flinders.Foundation", "[1.0, 2.0-beta)" ).isPrerelease() );
+      assert.ok( !new PackageDependency( "Flinders.Foundation", "[2.0.0]" ).isPrerelease() );
+      assert.ok( !new PackageDependency( "Flinders.Foundation", "2.0.0+build-5" ).isPrerelease() );
+    } );
+  } );
+
+  /**
+   * Test getting the category of the package.
+   */
+  describe( "#getCategory", function() {
+    it( "should use the prefix of the package id ignoring case", function() {
+      assert.strictEqual( new PackageDependency( "UiPath.System.Activities", "19.6.0" ).getCategory(), "UiPath" );
+      assert.strictEqual( new PackageDependency( "flinders.foundation", "2.0.0" ).getCategory(), "Internal" );
+      assert.strictEqual( new PackageDependency( "Newtonsoft.Json", "12.0.3" ).getCategory(), "Third Party" );
+    } );
+  } );
+
+  /**
+   * Test getting the JSON representation of the dependency.
+   */
+  describe( "#toJSON", function() {
+    it( "should include the parsed version range", function() {
+      assert.deepStrictEqual( new PackageDependency( "UiPath.Excel.Activities", " [2.6.2] " ).toJSON(), {
+        "id": "UiPath.Excel.Activities",
+        "range": "[2.6.2]",
+        "minimum": "2.6.2",
+        "minInclusive": true,
+        "maximum": "2.6.2",
+        "maxInclusive": true,
+        "exact": true,
+        "prerelease": false,
+        "category": "UiPath"
+      } );
+    } );
+  } );
+} );
@@ -0,0 +1,98 @@
+import { ParserPool } from "../app/ParserPool.js";
+import { WorkflowMetadata } from "../app/WorkflowMetadata.js";
+import { XamlProcessor } from "../app/XamlProcessor.js";
+
+import * as assert from "assert";
+import * as os from "os";
+
+/**
+ * Test the ParserPool object.
+ */
+describe( "ParserPool", function() {
+
+  /**
+   * Test constructing a new instance of the class.
+   */
+  describe( "#constructor", function() {
+    it( "should use the number of CPUs by default", function() {
+      assert.strictEqual( new ParserPool().getSize(), os.cpus().length );
+    } );
+
+    it( "should throw an error if the size is not a positive integer", function() {
+      assert.throws( function() {
+        new ParserPool( 0 );
+      }, TypeError );
+
+      assert.throws( function() {
+        new ParserPool( 1.5 );
+      }, TypeError );
+
+      assert.throws( function() {
+        new ParserPool( NaN );
+      }, TypeError );
+    } );
+  } );
+
+  /**
+   * Test reading the metadata from workflow files.
+   */
+  describe( "#getMetadata", function() {
+    it( "should throw an error if the parameters are not supplied", function() {
+      let pool = new ParserPool( 1 );
+
+      assert.throws( function() {
+        pool.getMetadata();
+      }, TypeError );
+
+      assert.throws( function() {
+        pool.getMetadata( [] );
+      }, TypeError );
+    } );
+
+    it( "should return the metadata in the order of the workflow files", function( done ) {
+      let filePaths = [
+        "./test/artefacts/uno.xaml",
+        "./test/artefacts/sub-folder/dos.xaml",
+        "./test/artefacts/uno.xaml"
+      ];
+
+      new ParserPool( 2 ).getMetadata( filePaths, function( err, results ) {
+        assert.strictEqual( err, null );
+        assert.strictEqual( results.length, 3 );
+
+        results.forEach( function( metadata, index ) {
+          assert.ok( metadata instanceof WorkflowMetadata );
+          assert.deepStrictEqual(
+            metadata.toJSON(),
+            // eslint-disable-next-line security/detect-object-injection
+            new XamlProcessor().getMetadata( filePaths[ index ] ).toJSON()
+          );
+        } );
+
+        done();
+      } );
+    } );
+
+    it( "should return the error for a workflow file that cannot be read", function( done ) {
+      let filePaths = [ "./test/artefacts/missing.xaml", "./test/artefacts/uno.xaml" ];
+
+      new ParserPool( 1 ).getMetadata( filePaths, function( err, results ) {
+        assert.strictEqual( err, null );
+        assert.ok( results[ 0 ] instanceof Error );
+        assert.match( results[ 0 ].message, /no such file or directory/ );
+        assert.strictEqual( results[ 1 ].getWorkflowName(), "uno" );
+
+        done();
+      } );
+    } );
+
+    it( "should return an empty array if there are no workflow files", function( done ) {
+      new ParserPool( 1 ).getMetadata( [], function( err, results ) {
+        assert.strictEqual( err, null );
+        assert.deepStrictEqual( results, [] );
+
+        done();
+      } );
+    } );
+  } );
+} );
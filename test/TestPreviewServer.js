@@ -0,0 +1,222 @@
+import { PreviewServer } from "../app/PreviewServer.js";
+
+import { createTempDirectory, removeTempDirectory } from "./helpers/Fixtures.js";
+
+import * as assert from "assert";
+import * as fs from "fs";
+import * as http from "http";
+import * as path from "path";
+
+/**
+ * Create a temporary documentation directory for testing.
+ *
+ * @returns {string} The path to the temporary directory.
+ */
+function createTempDocs() {
+  let tempPath = createTempDirectory();
+
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  fs.writeFileSync( path.join( tempPath, "README.md" ), "# Project\n\n| A | B |\n| - | - |\n|a<br>b|`c`|\n" );
+
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  fs.writeFileSync( path.join( tempPath, "call-graph.dot" ), "digraph {}\n" );
+
+  return tempPath;
+}
+
+/**
+ * Request a page from a server.
+ *
+ * @param {string} url The URL of the page.
+ * @param {Function} callback Function called with the response and the body.
+ */
+function getPage( url, callback ) {
+  http.get( url, function( response ) {
+    let body = "";
+
+    response.on( "data", function( chunk ) {
+      body += chunk;
+    } );
+
+    response.on( "end", function() {
+      callback( response, body );
+    } );
+  } );
+}
+
+/**
+ * Test the PreviewServer object.
+ */
+describe( "PreviewServer", function() {
+
+  /**
+   * Test constructing a new instance of the class.
+   */
+  describe( "#constructor", function() {
+    it( "should throw an error if the parameter is not supplied", function() {
+      assert.throws( function() {
+        new PreviewServer();
+      }, TypeError );
+    } );
+  } );
+
+  /**
+   * Test resolving the path in a request to a file.
+   */
+  describe( "#resolveFile", function() {
+    it( "should resolve the root to the index page", function() {
+      let rootPath = createTempDocs();
+      let server = new PreviewServer( rootPath );
+
+      assert.strictEqual( server.resolveFile( "/" ), path.join( rootPath, "README.md" ) );
+
+      removeTempDirectory( rootPath );
+    } );
+
+    it( "should prefer the HTML index page", function() {
+      let rootPath = createTempDocs();
+      let server = new PreviewServer( rootPath );
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      fs.writeFileSync( path.join( rootPath, "index.html" ), "<html></html>" );
+
+      assert.strictEqual( server.resolveFile( "/" ), path.join( rootPath, "index.html" ) );
+
+      removeTempDirectory( rootPath );
+    } );
+
+    it( "should return null if the file does not exist", function() {
+      let rootPath = createTempDocs();
+      let server = new PreviewServer( rootPath );
+
+      assert.strictEqual( server.resolveFile( "/missing.md" ), null );
+
+      removeTempDirectory( rootPath );
+    } );
+
+    it( "should not resolve files outside the documentation directory", function() {
+      let rootPath = createTempDocs();
+      let server = new PreviewServer( path.join( rootPath, "docs" ) );
+
+      assert.strictEqual( server.resolveFile( "/../README.md" ), null );
+
+      removeTempDirectory( rootPath );
+    } );
+  } );
+
+  /**
+   * Test getting the content type of a file.
+   */
+  describe( "#getContentType", function() {
+    it( "should use the file extension", function() {
+      let rootPath = createTempDocs();
+      let server = new PreviewServer( rootPath );
+
+      assert.strictEqual( server.getContentType( "rpa-doc.css" ), "text/css; charset=utf-8" );
+      assert.strictEqual( server.getContentType( "manifest.JSON" ), "application/json; charset=utf-8" );
+      assert.strictEqual( server.getContentType( "file.bin" ), "application/octet-stream" );
+
+      removeTempDirectory( rootPath );
+    } );
+  } );
+
+  /**
+   * Test serving the documentation.
+   */
+  describe( "#start", function() {
+    it( "should render the markdown index page as HTML", function( done ) {
+      let rootPath = createTempDocs();
+      let server = new PreviewServer( rootPath );
+
+      server.start( 0, function( err, url ) {
+        assert.strictEqual( err, null );
+
+        getPage( url, function( response, body ) {
+          server.stop();
+
+          assert.strictEqual( response.statusCode, 200 );
+          assert.strictEqual( response.headers[ "content-type" ], "text/html; charset=utf-8" );
+          assert.ok( body.includes( "<h1>Project</h1>" ) );
+          assert.ok( body.includes( "<td>a<br>b</td>" ) );
+          assert.ok( body.includes( "new EventSource(\"/__rpa-doc/events\")" ) );
+
+          removeTempDirectory( rootPath );
+
+          done();
+        } );
+      } );
+    } );
+
+    it( "should return a not found page for missing files", function( done ) {
+      let rootPath = createTempDocs();
+      let server = new PreviewServer( rootPath );
+
+      server.start( 0, function( err, url ) {
+        assert.strictEqual( err, null );
+
+        getPage( url + "missing.md", function( response ) {
+          server.stop();
+
+          assert.strictEqual( response.statusCode, 404 );
+
+          removeTempDirectory( rootPath );
+
+          done();
+        } );
+      } );
+    } );
+
+    it( "should only allow GET requests", function( done ) {
+      let rootPath = createTempDocs();
+      let server = new PreviewServer( rootPath );
+
+      server.start( 0, function( err, url ) {
+        assert.strictEqual( err, null );
+
+        http.request( url, { "method": "POST" }, function( response ) {
+          server.stop();
+
+          assert.strictEqual( response.statusCode, 405 );
+
+          response.resume();
+          removeTempDirectory( rootPath );
+          done();
+        } ).end();
+      } );
+    } );
+
+    it( "should tell the browsers to reload the page", function( done ) {
+      let rootPath = createTempDocs();
+      let server = new PreviewServer( rootPath );
+
+      server.start( 0, function( err, url ) {
+        assert.strictEqual( err, null );
+
+        http.get( url + "__rpa-doc/events", function( response ) {
+          let events = "";
+
+          assert.strictEqual( response.headers[ "content-type" ], "text/event-stream" );
+
+          response.on( "data", function( chunk ) {
+            events += chunk;
+
+            // Stopping the server ends the response once the reload has been received.
+            if ( events.includes( "data: reload\n\n" ) ) {
+              server.stop();
+            } else if ( events.includes( ": connected\n\n" ) ) {
+              server.reload();
+            }
+          } );
+
+          response.on( "end", function() {
+            assert.strictEqual( events, ": connected\n\ndata: reload\n\n" );
+
+            removeTempDirectory( rootPath );
+
+            done();
+          } );
+        } );
+      } );
+    } );
+  } );
+} );
@@ -0,0 +1,214 @@
+import { ProjectCatalogue } from "../app/ProjectCatalogue.js";
+
+import { createTempDirectory, removeTempDirectory } from "./helpers/Fixtures.js";
+
+import * as assert from "assert";
+import * as fs from "fs";
+import * as path from "path";
+
+/**
+ * Write a project.json file in a sub folder of a directory.
+ *
+ * @param {string} rootPath The path to the directory.
+ * @param {string} folder The path to the project folder, relative to the directory.
+ * @param {object|string} contents The contents of the project.json file.
+ */
+function writeProject( rootPath, folder, contents ) {
+  let projectPath = path.join( rootPath, folder );
+
+  if ( typeof contents !== "string" ) {
+    contents = JSON.stringify( contents );
+  }
+
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  fs.mkdirSync( projectPath, { "recursive": true } );
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  fs.writeFileSync( path.join( projectPath, "project.json" ), contents );
+}
+
+/**
+ * Create a temporary directory containing several UiPath projects for testing.
+ *
+ * @returns {string} The path to the temporary directory.
+ */
+function createProjects() {
+  let rootPath = createTempDirectory();
+
+  writeProject( rootPath, "processes/Invoice", {
+    "name": "Flinders.Invoice",
+    "projectVersion": "1.0.0",
+    "dependencies": { "flinders.foundation": "[2.0.0]", "UiPath.System.Activities": "19.6.0" }
+  } );
+
+  writeProject( rootPath, "libraries/Foundation", {
+    "name": "Flinders.Foundation",
+    "projectVersion": "2.0.0",
+    "projectType": "Library"
+  } );
+
+  writeProject( rootPath, "libraries/Foundation/Tests", {
+    "name": "Flinders.Foundation.Tests",
+    "projectVersion": "0.1.0",
+    "dependencies": { "Flinders.Foundation": "2.0.0" }
+  } );
+
+  writeProject( rootPath, "broken", "{ \"name\": " );
+  writeProject( rootPath, ".local/cache", { "name": "Hidden" } );
+  writeProject( rootPath, "node_modules/package", { "name": "Module" } );
+
+  return rootPath;
+}
+
+/**
+ * Get the names of a list of projects.
+ *
+ * @param {Array} projects An array of UiPathProject objects.
+ * @returns {Array} The names of the projects.
+ */
+function getNames( projects ) {
+  return projects.map( function( project ) {
+    return project.getName();
+  } );
+}
+
+/**
+ * Test the ProjectCatalogue object.
+ */
+describe( "ProjectCatalogue", function() {
+
+  /**
+   * Test constructing a new instance of the class.
+   */
+  describe( "#constructor", function() {
+    it( "should throw an error if the parameter is not supplied", function() {
+      assert.throws( function() {
+        new ProjectCatalogue();
+      }, TypeError );
+    } );
+
+    it( "should find the projects in the order of their paths", function() {
+      let catalogue = new ProjectCatalogue( createProjects() );
+
+      assert.deepStrictEqual( getNames( catalogue.getProjects() ), [
+        "Flinders.Foundation",
+        "Flinders.Foundation.Tests",
+        "Flinders.Invoice"
+      ] );
+
+      removeTempDirectory( catalogue.getRootPath() );
+    } );
+
+    it( "should record the project files that cannot be read", function() {
+      let rootPath = createProjects();
+      let catalogue = new ProjectCatalogue( rootPath );
+      let errors = catalogue.getErrors();
+
+      assert.strictEqual( errors.length, 1 );
+      assert.strictEqual( errors[ 0 ].file, path.join( rootPath, "broken", "project.json" ) );
+      assert.ok( errors[ 0 ].reason.length > 0 );
+
+      removeTempDirectory( rootPath );
+    } );
+
+    it( "should find a project in the root directory", function() {
+      let catalogue = new ProjectCatalogue( "./test/artefacts" );
+
+      assert.deepStrictEqual( getNames( catalogue.getProjects() ), [ "Flinders.Foundation" ] );
+      assert.strictEqual( catalogue.getRootPath(), path.resolve( "./test/artefacts" ) );
+    } );
+  } );
+
+  /**
+   * Test getting the name of the folder used to document a project.
+   */
+  describe( "#getFolderName", function() {
+    it( "should throw an error if the parameter is not supplied", function() {
+      let catalogue = new ProjectCatalogue( "./test/artefacts" );
+
+      assert.throws( function() {
+        catalogue.getFolderName();
+      }, TypeError );
+    } );
+
+    it( "should use the path to the project", function() {
+      let catalogue = new ProjectCatalogue( createProjects() );
+
+      let folders = catalogue.getProjects().map( function( project ) {
+        return catalogue.getFolderName( project );
+      } );
+
+      assert.deepStrictEqual( folders, [
+        "libraries-Foundation",
+        "libraries-Foundation-Tests",
+        "processes-Invoice"
+      ] );
+
+      removeTempDirectory( catalogue.getRootPath() );
+    } );
+
+    it( "should use the name of a project in the root directory", function() {
+      let catalogue = new ProjectCatalogue( "./test/artefacts" );
+      let project = catalogue.getProjects()[ 0 ];
+
+      assert.strictEqual( catalogue.getFolderName( project ), "Flinders.Foundation" );
+    } );
+  } );
+
+  /**
+   * Test checking if a workflow file belongs to a project.
+   */
+  describe( "#isProjectFile", function() {
+    it( "should leave out the workflow files of projects in sub folders", function() {
+      let catalogue = new ProjectCatalogue( createProjects() );
+      let foundation = catalogue.getProjects()[ 0 ];
+      let tests = catalogue.getProjects()[ 1 ];
+
+      assert.ok( catalogue.isProjectFile( foundation, "Main.xaml" ) );
+      assert.ok( catalogue.isProjectFile( foundation, "TestsData/Main.xaml" ) );
+      assert.ok( !catalogue.isProjectFile( foundation, "Tests/Main.xaml" ) );
+      assert.ok( catalogue.isProjectFile( tests, "Main.xaml" ) );
+
+      removeTempDirectory( catalogue.getRootPath() );
+    } );
+  } );
+
+  /**
+   * Test getting the projects that a project depends on.
+   */
+  describe( "#getDependsOn", function() {
+    it( "should match the names of the dependencies ignoring case", function() {
+      let catalogue = new ProjectCatalogue( createProjects() );
+      let projects = catalogue.getProjects();
+
+      assert.deepStrictEqual( getNames( catalogue.getDependsOn( projects[ 0 ] ) ), [] );
+      assert.deepStrictEqual(
+        getNames( catalogue.getDependsOn( projects[ 1 ] ) ),
+        [ "Flinders.Foundation" ]
+      );
+      assert.deepStrictEqual(
+        getNames( catalogue.getDependsOn( projects[ 2 ] ) ),
+        [ "Flinders.Foundation" ]
+      );
+
+      removeTempDirectory( catalogue.getRootPath() );
+    } );
+  } );
+
+  /**
+   * Test getting the projects that depend on a project.
+   */
+  describe( "#getUsedBy", function() {
+    it( "should return the projects that depend on a project", function() {
+      let catalogue = new ProjectCatalogue( createProjects() );
+      let projects = catalogue.getProjects();
+
+      assert.deepStrictEqual(
+        getNames( catalogue.getUsedBy( projects[ 0 ] ) ),
+        [ "Flinders.Foundation.Tests", "Flinders.Invoice" ]
+      );
+      assert.deepStrictEqual( getNames( catalogue.getUsedBy( projects[ 2 ] ) ), [] );
+
+      removeTempDirectory( catalogue.getRootPath() );
+    } );
+  } );
+} );
@@ -0,0 +1,213 @@
+import { ProjectDiff } from "../app/ProjectDiff.js";
+
+import * as assert from "assert";
+
+/**
+ * Test the ProjectDiff object.
+ */
+describe( "ProjectDiff", function() {
+
+  /**
+   * Test constructing a new instance of the class.
+   */
+  describe( "#constructor", function() {
+    it( "should throw an error if the previousPath parameter is not supplied", function() {
+      assert.throws( function() {
+        new ProjectDiff();
+      }, /^TypeError: previousPath/ );
+    } );
+
+    it( "should throw an error if the currentPath parameter is not supplied", function() {
+      assert.throws( function() {
+        new ProjectDiff( "./test/artefacts" );
+      }, /^TypeError: currentPath/ );
+    } );
+
+    it( "should throw an error if a path does not exist", function() {
+      assert.throws( function() {
+        new ProjectDiff( "./test/artefacts", "./test/missing" );
+      }, /The path '.\/test\/missing' does not exist$/ );
+    } );
+
+    it( "should throw an error if a file is not a manifest", function() {
+      assert.throws( function() {
+        new ProjectDiff( "./test/artefacts", "./test/artefacts/project.json" );
+      }, /is not a rpa-doc manifest$/ );
+    } );
+  } );
+
+  /**
+   * Test loading a manifest.
+   */
+  describe( "#loadManifest", function() {
+    it( "should build a manifest from the public workflows in a project", function() {
+      let diff = new ProjectDiff( "./test/artefacts", "./test/artefacts" );
+      let manifest = diff.loadManifest( "./test/artefacts" );
+
+      assert.strictEqual( manifest.projectVersion, "2.0.0-alpha" );
+      assert.strictEqual( manifest.workflows.length, 2 );
+      assert.strictEqual( manifest.workflows[ 0 ].projectFilePath, "sub-folder/dos.xaml" );
+      assert.strictEqual( manifest.workflows[ 1 ].arguments.length, 4 );
+    } );
+
+    it( "should read a manifest file", function() {
+      let diff = new ProjectDiff( "./test/artefacts", "./test/artefacts" );
+      let manifest = diff.loadManifest( "./test/projects/diff/previous.json" );
+
+      assert.strictEqual( manifest.projectVersion, "1.4.2" );
+      assert.strictEqual( manifest.workflows.length, 3 );
+    } );
+  } );
+
+  /**
+   * Test getting the list of changes.
+   */
+  describe( "#getChanges", function() {
+    it( "should return an empty array if there are no changes", function() {
+      let diff = new ProjectDiff( "./test/artefacts", "./test/artefacts" );
+      assert.deepStrictEqual( diff.getChanges(), [] );
+    } );
+
+    it( "should classify the changes to workflows and arguments", function() {
+      let diff = new ProjectDiff(
+        "./test/projects/diff/previous.json",
+        "./test/projects/diff/current.json"
+      );
+
+      let changes = diff.getChanges().map( function( change ) {
+        return [ change.workflow, change.type, change.breaking, change.bump ];
+      } );
+
+      assert.deepStrictEqual( changes, [
+        [ "Email/SendEmail.xaml", "argumentRenamed", true, "major" ],
+        [ "Email/SendEmail.xaml", "argumentAdded", false, "minor" ],
+        [ "Email/SendEmail.xaml", "defaultChanged", false, "patch" ],
+        [ "Email/SendEmail.xaml", "typeChanged", true, "major" ],
+        [ "Email/SendEmail.xaml", "directionChanged", true, "major" ],
+        [ "ReadReport.xaml", "argumentAdded", false, "minor" ],
+        [ "LegacyLogin.xaml", "workflowRemoved", true, "major" ],
+        [ "ArchiveReport.xaml", "workflowAdded", false, "minor" ]
+      ] );
+    } );
+
+    it( "should describe the changes", function() {
+      let diff = new ProjectDiff(
+        "./test/projects/diff/previous.json",
+        "./test/projects/diff/current.json"
+      );
+
+      let changes = diff.getChanges();
+
+      assert.strictEqual( changes[ 0 ].description, "Argument 'in_To' was renamed to 'in_Recipient'" );
+      assert.strictEqual(
+        changes[ 2 ].description,
+        "Argument 'in_Retries' changed default value from '3' to '5'"
+      );
+      assert.strictEqual(
+        changes[ 3 ].description,
+        "Argument 'in_Body' changed type from String to String[]"
+      );
+      assert.strictEqual(
+        changes[ 4 ].description,
+        "Argument 'out_Sent' changed direction from OutArgument to InOutArgument"
+      );
+    } );
+  } );
+
+  /**
+   * Test comparing the arguments of a workflow.
+   */
+  describe( "#compareArguments", function() {
+    it( "should report an input argument added without a default value as breaking", function() {
+      let diff = new ProjectDiff( "./test/artefacts", "./test/artefacts" );
+      let changes = diff.compareArguments( "Main.xaml", [], [
+        { "name": "in_Name", "direction": "InArgument", "type": "String", "defaultValue": "" }
+      ] );
+
+      assert.strictEqual( changes.length, 1 );
+      assert.strictEqual( changes[ 0 ].breaking, true );
+      assert.strictEqual(
+        changes[ 0 ].description,
+        "Argument 'in_Name' was added without a default value"
+      );
+    } );
+
+    it( "should report a removed argument that cannot be paired as removed", function() {
+      let diff = new ProjectDiff( "./test/artefacts", "./test/artefacts" );
+      let changes = diff.compareArguments( "Main.xaml", [
+        { "name": "in_Name", "direction": "InArgument", "type": "String", "defaultValue": "" }
+      ], [
+        { "name": "in_Count", "direction": "InArgument", "type": "Int32", "defaultValue": "1" }
+      ] );
+
+      assert.deepStrictEqual( changes.map( function( change ) {
+        return change.type;
+      } ), [ "argumentRemoved", "argumentAdded" ] );
+    } );
+  } );
+
+  /**
+   * Test the breaking flag and suggested version.
+   */
+  describe( "#getSuggestedVersion", function() {
+    it( "should suggest a major bump for breaking changes", function() {
+      let diff = new ProjectDiff(
+        "./test/projects/diff/previous.json",
+        "./test/projects/diff/current.json"
+      );
+
+      assert.strictEqual( diff.isBreaking(), true );
+      assert.strictEqual( diff.getSuggestedBump(), "major" );
+      assert.strictEqual( diff.getSuggestedVersion(), "2.0.0" );
+    } );
+
+    it( "should suggest a minor bump for non-breaking additions", function() {
+      let diff = new ProjectDiff(
+        "./test/projects/diff/minor-previous.json",
+        "./test/projects/diff/minor.json"
+      );
+
+      assert.strictEqual( diff.isBreaking(), false );
+      assert.strictEqual( diff.getSuggestedBump(), "minor" );
+      assert.strictEqual( diff.getSuggestedVersion(), "1.5.0" );
+    } );
+
+    it( "should not suggest a version if there are no changes", function() {
+      let diff = new ProjectDiff(
+        "./test/projects/diff/previous.json",
+        "./test/projects/diff/previous.json"
+      );
+
+      assert.deepStrictEqual( diff.getChanges(), [] );
+      assert.strictEqual( diff.getSuggestedBump(), null );
+      assert.strictEqual( diff.getSuggestedVersion(), null );
+    } );
+
+    it( "should not suggest a version for identical projects", function() {
+      let diff = new ProjectDiff( "./test/artefacts", "./test/artefacts" );
+
+      assert.strictEqual( diff.getPreviousVersion(), "2.0.0-alpha" );
+      assert.strictEqual( diff.getSuggestedBump(), null );
+      assert.strictEqual( diff.getSuggestedVersion(), null );
+    } );
+
+    it( "should release a pre-release version", function() {
+      let diff = new ProjectDiff(
+        "./test/projects/diff/minor-previous.json",
+        "./test/projects/diff/minor.json"
+      );
+      diff.previous.projectVersion = "2.0.0-alpha";
+      assert.strictEqual( diff.getSuggestedBump(), "minor" );
+      assert.strictEqual( diff.getSuggestedVersion(), "2.0.0" );
+    } );
+
+    it( "should return null if the version is not a semantic version", function() {
+      let diff = new ProjectDiff(
+        "./test/projects/diff/minor-previous.json",
+        "./test/projects/diff/minor.json"
+      );
+      diff.previous.projectVersion = "1.0";
+      assert.strictEqual( diff.getSuggestedVersion(), null );
+    } );
+  } );
+} );
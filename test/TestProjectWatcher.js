@@ -0,0 +1,140 @@
+import { ProjectWatcher } from "../app/ProjectWatcher.js";
+
+import { createTempDirectory, removeTempDirectory } from "./helpers/Fixtures.js";
+
+import * as assert from "assert";
+import * as fs from "fs";
+import * as path from "path";
+
+/**
+ * Test the ProjectWatcher object.
+ */
+describe( "ProjectWatcher", function() {
+
+  /**
+   * Test constructing a new instance of the class.
+   */
+  describe( "#constructor", function() {
+    it( "should throw an error if the parameter is not supplied", function() {
+      assert.throws( function() {
+        new ProjectWatcher();
+      }, TypeError );
+    } );
+  } );
+
+  /**
+   * Test starting the watcher.
+   */
+  describe( "#start", function() {
+    it( "should throw an error if the callback is not a function", function() {
+      let watcher = new ProjectWatcher( "./test/artefacts" );
+
+      assert.throws( function() {
+        watcher.start( "callback" );
+      }, TypeError );
+    } );
+
+    it( "should report changes to the workflow files in sub folders", function( done ) {
+      let projectPath = createTempDirectory();
+      let watcher = new ProjectWatcher( projectPath, 10 );
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      fs.mkdirSync( path.join( projectPath, "sub-folder" ) );
+
+      watcher.start( function( changes ) {
+        assert.deepStrictEqual( changes, [ path.join( projectPath, "sub-folder", "dos.xaml" ) ] );
+
+        watcher.stop();
+
+        removeTempDirectory( projectPath );
+
+        done();
+      } );
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      fs.writeFileSync( path.join( projectPath, "sub-folder", "dos.xaml" ), "<Activity />" );
+    } );
+
+    it( "should report the workflow files in a directory moved into the project", function( done ) {
+      let projectPath = createTempDirectory();
+      let sourcePath = createTempDirectory();
+      let watcher = new ProjectWatcher( projectPath, 10 );
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      fs.mkdirSync( path.join( sourcePath, "sub-folder", "nested" ), { "recursive": true } );
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      fs.writeFileSync( path.join( sourcePath, "sub-folder", "nested", "dos.xaml" ), "<Activity />" );
+
+      watcher.start( function( changes ) {
+        assert.deepStrictEqual( changes, [ path.join( projectPath, "sub-folder", "nested", "dos.xaml" ) ] );
+
+        watcher.stop();
+
+        removeTempDirectory( projectPath );
+        removeTempDirectory( sourcePath );
+
+        done();
+      } );
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      fs.renameSync( path.join( sourcePath, "sub-folder" ), path.join( projectPath, "sub-folder" ) );
+    } );
+  } );
+
+  /**
+   * Test identifying the files that are watched.
+   */
+  describe( "#isWatched", function() {
+    it( "should watch XAML files and the project file", function() {
+      let watcher = new ProjectWatcher( "./test/artefacts" );
+
+      assert.strictEqual( watcher.isWatched( "uno.xaml" ), true );
+      assert.strictEqual( watcher.isWatched( path.join( "sub-folder", "dos.XAML" ) ), true );
+      assert.strictEqual( watcher.isWatched( "project.json" ), true );
+    } );
+
+    it( "should not watch other files", function() {
+      let watcher = new ProjectWatcher( "./test/artefacts" );
+
+      assert.strictEqual( watcher.isWatched( "~uno.xaml" ), false );
+      assert.strictEqual( watcher.isWatched( path.join( "output", "uno.md" ) ), false );
+      assert.strictEqual( watcher.isWatched( path.join( "sub-folder", "project.json" ) ), false );
+    } );
+  } );
+
+  /**
+   * Test reporting changes.
+   */
+  describe( "#notify", function() {
+    it( "should report the changes together once no more changes are made", function( done ) {
+      let watcher = new ProjectWatcher( "./test/artefacts", 10 );
+
+      watcher.callback = function( changes ) {
+        assert.deepStrictEqual( changes, [
+          path.resolve( "./test/artefacts/project.json" ),
+          path.resolve( "./test/artefacts/uno.xaml" )
+        ] );
+
+        done();
+      };
+
+      watcher.notify( "uno.xaml" );
+      watcher.notify( "uno.md" );
+      watcher.notify( "project.json" );
+      watcher.notify( "uno.xaml" );
+    } );
+
+    it( "should not report changes after the watcher is stopped", function( done ) {
+      let watcher = new ProjectWatcher( "./test/artefacts", 10 );
+
+      watcher.callback = function() {
+        assert.fail( "The changes should not be reported" );
+      };
+
+      watcher.notify( "uno.xaml" );
+      watcher.stop();
+
+      setTimeout( done, 30 );
+    } );
+  } );
+} );
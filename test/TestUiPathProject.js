@@ -1,8 +1,24 @@
 import { UiPathProject } from "../app/UiPathProject.js";
 
+import { createPackage, removePackage } from "./helpers/Fixtures.js";
+
 import * as assert from "assert";
 import * as path from "path";
 
+/**
+ * Create a package containing the project.json file and the test workflows in a temporary directory for testing.
+ *
+ * @returns {string} The path to the .nupkg file.
+ */
+function createProjectPackage() {
+  return createPackage( new Map( [
+    [ "Flinders.Foundation.nuspec", null ],
+    [ "lib/net45/uno.xaml", "./test/artefacts/uno.xaml" ],
+    [ "lib/net45/sub-folder/dos.xaml", "./test/artefacts/sub-folder/dos.xaml" ],
+    [ "lib/net45/project.json", "./test/artefacts/project.json" ]
+  ] ) );
+}
+
 /**
  * Test the UiPathProject object.
  */
@@ -34,6 +50,16 @@ describe( "UiPathProject", function() {
       new UiPathProject( "./test" );
     }, Error );
   } );
+
+  it( "should read the project information from a .nupkg file", function() {
+    let archivePath = createProjectPackage();
+    let projectInfo = new UiPathProject( archivePath );
+    assert.strictEqual( projectInfo.getName(), "Flinders.Foundation" );
+    assert.strictEqual( projectInfo.getVersion(), "2.0.1" );
+    assert.strictEqual( projectInfo.getProjectType(), "Library" );
+
+    removePackage( archivePath );
+  } );
 } );
 
   /**
@@ -99,6 +125,27 @@ describe( "UiPathProject", function() {
     } );
   } );
 
+  /**
+   * Test getting the project type of the UiPath project.
+   */
+  describe( "#getProjectType", function() {
+    it( "should return a string", function() {
+      let projectInfo = new UiPathProject( "./test/artefacts" );
+      assert.strictEqual( typeof( projectInfo.getProjectType() ), "string" );
+    } );
+
+    it( "should return a project type that matches what is in the JSON file", function() {
+      let projectInfo = new UiPathProject( "./test/artefacts" );
+      assert.strictEqual( projectInfo.getProjectType(), "Library" );
+    } );
+
+    it( "should return an empty string when projectType property is missing", function() {
+      let projectInfo = new UiPathProject( "./test/artefacts" );
+      projectInfo.fileContents = {};
+      assert.strictEqual( projectInfo.getProjectType(), "" );
+    } );
+  } );
+
   /**
    * Test determining if this is a library project or not.
    */
@@ -315,4 +362,295 @@ describe( "UiPathProject", function() {
       assert.ok( xamlFiles[ 0 ].endsWith( "dos.xaml" ) );
     } );
   } );
+
+  /**
+   * Test checking if the project is read from a package.
+   */
+  describe( "#isPackage", function() {
+    it( "should return false for a project folder", function() {
+      assert.strictEqual( new UiPathProject( "./test/artefacts" ).isPackage(), false );
+    } );
+
+    it( "should return true for a .nupkg file", function() {
+      let archivePath = createProjectPackage();
+
+      assert.strictEqual( new UiPathProject( archivePath ).isPackage(), true );
+
+      removePackage( archivePath );
+    } );
+  } );
+
+  /**
+   * Test getting the package the project is read from.
+   */
+  describe( "#getArchive", function() {
+    it( "should return null for a project folder", function() {
+      assert.strictEqual( new UiPathProject( "./test/artefacts" ).getArchive(), null );
+    } );
+
+    it( "should return the package for a .nupkg file", function() {
+      let archivePath = createProjectPackage();
+
+      let archive = new UiPathProject( archivePath ).getArchive();
+
+      assert.strictEqual( archive.getArchivePath(), archivePath );
+
+      removePackage( archivePath );
+    } );
+  } );
+
+  /**
+   * Test getting the XAML files in a package.
+   */
+  describe( "#getXamlFiles in a package", function() {
+    it( "should return the XAML files in the package", function() {
+      let archivePath = createProjectPackage();
+      let projectInfo = new UiPathProject( archivePath );
+
+      assert.deepStrictEqual( projectInfo.getXamlFiles(), [ path.join( archivePath, "uno.xaml" ) ] );
+      assert.strictEqual( projectInfo.getXamlFiles( true ).length, 2 );
+
+      removePackage( archivePath );
+    } );
+
+    it( "should only return public files if required", function() {
+      let archivePath = createProjectPackage();
+      let projectInfo = new UiPathProject( archivePath );
+      projectInfo.fileContents.libraryOptions.privateWorkflows = [ "uno.xaml" ];
+
+      let xamlFiles = projectInfo.getXamlFiles( true, true );
+
+      assert.strictEqual( xamlFiles.length, 1 );
+      assert.ok( xamlFiles[ 0 ].endsWith( "dos.xaml" ) );
+
+      removePackage( archivePath );
+    } );
+  } );
+
+  /**
+   * Test getting the settings that describe how the UiPath project is built.
+   */
+  describe( "#getMain", function() {
+    it( "should return the settings that match what is in the JSON file", function() {
+      let projectInfo = new UiPathProject( "./test/projects/reframework" );
+
+      assert.strictEqual( projectInfo.getMain(), "Main.xaml" );
+      assert.strictEqual( projectInfo.getStudioVersion(), "20.10.2.0" );
+      assert.strictEqual( projectInfo.getSchemaVersion(), "4.0" );
+      assert.strictEqual( projectInfo.getTargetFramework(), "Legacy" );
+      assert.strictEqual( projectInfo.getExpressionLanguage(), "VisualBasic" );
+    } );
+
+    it( "should return an empty string when the settings are missing", function() {
+      let projectInfo = new UiPathProject( "./test/artefacts" );
+      projectInfo.fileContents = {};
+
+      assert.strictEqual( projectInfo.getMain(), "" );
+      assert.strictEqual( projectInfo.getStudioVersion(), "" );
+      assert.strictEqual( projectInfo.getSchemaVersion(), "" );
+      assert.strictEqual( projectInfo.getTargetFramework(), "" );
+      assert.strictEqual( projectInfo.getExpressionLanguage(), "" );
+    } );
+  } );
+
+  /**
+   * Test getting the entry points of the UiPath project.
+   */
+  describe( "#getEntryPoints", function() {
+    it( "should return the entry points with .NET type names", function() {
+      let projectInfo = new UiPathProject( "./test/projects/reframework" );
+
+      assert.deepStrictEqual( projectInfo.getEntryPoints(), [ {
+        "filePath": "Main.xaml",
+        "uniqueId": "5d2b5c1e-2f1c-4d55-9a3a-4b5f0b6f6a11",
+        "input": [
+          { "name": "in_OrchestratorQueueName", "type": "String", "required": false, "hasDefault": true }
+        ],
+        "output": []
+      } ] );
+    } );
+
+    it( "should keep a type name that cannot be parsed", function() {
+      let projectInfo = new UiPathProject( "./test/artefacts" );
+      projectInfo.fileContents.entryPoints = [
+        { "filePath": "Main.xaml", "output": [ { "name": "out_Value", "type": "List`1[[String" } ] }
+      ];
+
+      let entryPoint = projectInfo.getEntryPoints()[ 0 ];
+
+      assert.deepStrictEqual( entryPoint.input, [] );
+      assert.strictEqual( entryPoint.output[ 0 ].type, "List`1[[String" );
+      assert.strictEqual( entryPoint.output[ 0 ].required, false );
+    } );
+
+    it( "should return an empty array when entry points are missing", function() {
+      assert.deepStrictEqual( new UiPathProject( "./test/artefacts" ).getEntryPoints(), [] );
+    } );
+  } );
+
+  /**
+   * Test getting the runtime options of the UiPath project.
+   */
+  describe( "#getRuntimeOptions", function() {
+    it( "should return the runtime options", function() {
+      let projectInfo = new UiPathProject( "./test/projects/reframework" );
+
+      assert.strictEqual( projectInfo.getRuntimeOptions().isAttended, false );
+      assert.strictEqual( projectInfo.getRuntimeOptions().requiresUserInteraction, true );
+      assert.deepStrictEqual( projectInfo.getExcludedLoggedData(), [ "Private:*", "*password*" ] );
+    } );
+
+    it( "should return empty options when the runtime options are missing", function() {
+      let projectInfo = new UiPathProject( "./test/artefacts" );
+      projectInfo.fileContents = { "runtimeOptions": [] };
+
+      assert.deepStrictEqual( projectInfo.getRuntimeOptions(), {} );
+      assert.deepStrictEqual( projectInfo.getExcludedLoggedData(), [] );
+    } );
+  } );
+
+  /**
+   * Test matching names against the excluded logged data of the UiPath project.
+   */
+  describe( "#getExcludedLoggedDataPattern", function() {
+    it( "should return the first pattern that matches the name ignoring case", function() {
+      let projectInfo = new UiPathProject( "./test/projects/reframework" );
+
+      assert.strictEqual( projectInfo.getExcludedLoggedDataPattern( "in_UserPassword" ), "*password*" );
+      assert.strictEqual( projectInfo.getExcludedLoggedDataPattern( "PASSWORD" ), "*password*" );
+      assert.strictEqual( projectInfo.getExcludedLoggedDataPattern( "Private:Token" ), "Private:*" );
+    } );
+
+    it( "should return null if no pattern matches the name", function() {
+      let projectInfo = new UiPathProject( "./test/projects/reframework" );
+
+      assert.strictEqual( projectInfo.getExcludedLoggedDataPattern( "in_UserName" ), null );
+      assert.strictEqual( projectInfo.getExcludedLoggedDataPattern( "pass" ), null );
+    } );
+
+    it( "should match patterns with wildcards in the middle or without wildcards", function() {
+      let projectInfo = new UiPathProject( "./test/artefacts" );
+      projectInfo.fileContents = { "runtimeOptions": { "excludedLoggedData": [ "api*key", "Token" ] } };
+
+      assert.strictEqual( projectInfo.getExcludedLoggedDataPattern( "ApiSecretKey" ), "api*key" );
+      assert.strictEqual( projectInfo.getExcludedLoggedDataPattern( "apikey" ), "api*key" );
+      assert.strictEqual( projectInfo.getExcludedLoggedDataPattern( "apikeys" ), null );
+      assert.strictEqual( projectInfo.getExcludedLoggedDataPattern( "token" ), "Token" );
+      assert.strictEqual( projectInfo.getExcludedLoggedDataPattern( "tokens" ), null );
+    } );
+  } );
+
+  /**
+   * Test getting the flag indicating if the original XAML files are published.
+   */
+  describe( "#getIncludeOriginalXaml", function() {
+    it( "should read the library options", function() {
+      let projectInfo = new UiPathProject( "./test/artefacts" );
+
+      assert.strictEqual( projectInfo.getIncludeOriginalXaml(), false );
+
+      projectInfo.fileContents.libraryOptions.includeOriginalXaml = true;
+
+      assert.strictEqual( projectInfo.getIncludeOriginalXaml(), true );
+    } );
+
+    it( "should read the library options in the design options", function() {
+      let projectInfo = new UiPathProject( "./test/projects/reframework" );
+
+      assert.strictEqual( projectInfo.getIncludeOriginalXaml(), false );
+
+      projectInfo.fileContents.designOptions.libraryOptions.includeOriginalXaml = true;
+
+      assert.strictEqual( projectInfo.getIncludeOriginalXaml(), true );
+    } );
+  } );
+
+  /**
+   * Test getting the design options of the UiPath project.
+   */
+  describe( "#getDesignOptions", function() {
+    it( "should return the design options", function() {
+      let projectInfo = new UiPathProject( "./test/projects/reframework" );
+
+      assert.strictEqual( projectInfo.getDesignOptions().outputType, "Process" );
+      assert.deepStrictEqual( new UiPathProject( "./test/artefacts" ).getDesignOptions(), {} );
+    } );
+  } );
+
+  /**
+   * Test getting the web services referenced by the UiPath project.
+   */
+  describe( "#getWebServices", function() {
+    it( "should return the web services", function() {
+      let projectInfo = new UiPathProject( "./test/artefacts" );
+
+      assert.deepStrictEqual( projectInfo.getWebServices(), [] );
+
+      projectInfo.fileContents.webServices = [ {
+        "namespace": "Calculator",
+        "serviceDocument": ".local/.webservices/Calculator.wsdl",
+        "webReferenceUrl": "http://www.dneonline.com/calculator.asmx?wsdl"
+      } ];
+
+      assert.deepStrictEqual( projectInfo.getWebServices(), [ {
+        "namespace": "Calculator",
+        "serviceDocument": ".local/.webservices/Calculator.wsdl",
+        "webReferenceUrl": "http://www.dneonline.com/calculator.asmx?wsdl"
+      } ] );
+    } );
+  } );
+
+  /**
+   * Test getting the parsed dependencies of the UiPath project.
+   */
+  describe( "#getPackageDependencies", function() {
+    it( "should parse the version range of each dependency", function() {
+      let dependencies = new UiPathProject( "./test/projects/reframework" ).getPackageDependencies();
+
+      assert.strictEqual( dependencies.length, 3 );
+      assert.strictEqual( dependencies[ 0 ].getId(), "UiPath.Excel.Activities" );
+      assert.strictEqual( dependencies[ 0 ].getMinimum(), "2.9.3" );
+      assert.ok( dependencies[ 0 ].isExact() );
+    } );
+
+    it( "should leave out the dependencies with version ranges that are not valid", function() {
+      let projectInfo = new UiPathProject( "./test/artefacts" );
+      projectInfo.fileContents.dependencies = { "UiPath.Excel.Activities": "[2.6.2", "Newtonsoft.Json": "12.0.3" };
+
+      let dependencies = projectInfo.getPackageDependencies();
+
+      assert.strictEqual( dependencies.length, 1 );
+      assert.strictEqual( dependencies[ 0 ].getId(), "Newtonsoft.Json" );
+    } );
+  } );
+
+  /**
+   * Test getting the problems with the dependencies of the UiPath project.
+   */
+  describe( "#getDependencyWarnings", function() {
+    it( "should allow prerelease dependencies in a prerelease project", function() {
+      assert.deepStrictEqual( new UiPathProject( "./test/artefacts" ).getDependencyWarnings(), [] );
+    } );
+
+    it( "should warn about prerelease dependencies in a project that is not a prerelease", function() {
+      let projectInfo = new UiPathProject( "./test/artefacts" );
+      projectInfo.fileContents.projectVersion = "2.0.0";
+
+      let warnings = projectInfo.getDependencyWarnings();
+
+      assert.strictEqual( warnings.length, 1 );
+      assert.strictEqual( warnings[ 0 ].id, "Flinders.Foundation.Testing" );
+      assert.ok( warnings[ 0 ].reason.includes( "'1.0.1-alpha.5'" ) );
+    } );
+
+    it( "should warn about version ranges that are not valid", function() {
+      let projectInfo = new UiPathProject( "./test/artefacts" );
+      projectInfo.fileContents.dependencies = { "UiPath.Excel.Activities": "[2.6.2" };
+
+      assert.deepStrictEqual( projectInfo.getDependencyWarnings(), [ {
+        "id": "UiPath.Excel.Activities",
+        "reason": "The version range '[2.6.2' of the package 'UiPath.Excel.Activities' is not valid"
+      } ] );
+    } );
+  } );
 } );
@@ -0,0 +1,280 @@
+import { WorkflowGraph } from "../app/WorkflowGraph.js";
+import { UiPathProject } from "../app/UiPathProject.js";
+import { XamlProcessor } from "../app/XamlProcessor.js";
+
+import * as assert from "assert";
+import * as path from "path";
+
+/**
+ * Build a graph containing all of the test artefacts.
+ *
+ * @returns {WorkflowGraph} The graph of the test artefacts.
+ */
+function buildGraph() {
+  let projectInfo = new UiPathProject( "./test/artefacts" );
+  let processor = new XamlProcessor();
+  let graph = new WorkflowGraph( projectInfo );
+
+  projectInfo.getXamlFiles( true ).forEach( function( xamlFile ) {
+    graph.addWorkflow( processor.getMetadata( xamlFile ) );
+  } );
+
+  return graph;
+}
+
+/**
+ * Test the WorkflowGraph object.
+ */
+describe( "WorkflowGraph", function() {
+
+  /**
+   * Test constructing a new instance of the class.
+   */
+  describe( "#constructor", function() {
+    it( "should throw an error if the parameter is not supplied", function() {
+      assert.throws( function() {
+        new WorkflowGraph();
+      }, TypeError );
+    } );
+
+    it( "should throw an error if the parameter is the wrong type", function() {
+      assert.throws( function() {
+        new WorkflowGraph( new Object() );
+      }, TypeError );
+    } );
+
+    it( "should return an object of the right type", function() {
+      let graph = new WorkflowGraph( new UiPathProject( "./test/artefacts" ) );
+
+      assert.ok( graph instanceof WorkflowGraph );
+    } );
+  } );
+
+  /**
+   * Test adding a workflow to the graph.
+   */
+  describe( "#addWorkflow", function() {
+    it( "should throw an error if the parameter is not supplied", function() {
+      let graph = new WorkflowGraph( new UiPathProject( "./test/artefacts" ) );
+
+      assert.throws( function() {
+        graph.addWorkflow();
+      }, TypeError );
+    } );
+
+    it( "should store the workflow using the full path", function() {
+      let graph = buildGraph();
+
+      assert.strictEqual( graph.getWorkflows().size, 2 );
+      assert.ok( graph.getWorkflows().has( path.resolve( "./test/artefacts/uno.xaml" ) ) );
+    } );
+  } );
+
+  /**
+   * Test determining if a workflow is public.
+   */
+  describe( "#isPublic", function() {
+    it( "should return true for a public workflow", function() {
+      let graph = new WorkflowGraph( new UiPathProject( "./test/artefacts" ) );
+
+      assert.strictEqual( graph.isPublic( "./test/artefacts/uno.xaml" ), true );
+    } );
+
+    it( "should return false for a private workflow", function() {
+      let projectInfo = new UiPathProject( "./test/artefacts" );
+      projectInfo.fileContents.libraryOptions.privateWorkflows = [ "uno.xaml" ];
+      let graph = new WorkflowGraph( projectInfo );
+
+      assert.strictEqual( graph.isPublic( "./test/artefacts/uno.xaml" ), false );
+    } );
+  } );
+
+  /**
+   * Test resolving the file name used by an Invoke Workflow File activity.
+   */
+  describe( "#resolveWorkflowFile", function() {
+    it( "should throw an error if the parameter is not supplied", function() {
+      let graph = new WorkflowGraph( new UiPathProject( "./test/artefacts" ) );
+
+      assert.throws( function() {
+        graph.resolveWorkflowFile();
+      }, TypeError );
+    } );
+
+    it( "should resolve a file name using Windows path separators", function() {
+      let graph = new WorkflowGraph( new UiPathProject( "./test/artefacts" ) );
+
+      assert.strictEqual(
+        graph.resolveWorkflowFile( "sub-folder\\dos.xaml" ),
+        path.resolve( "./test/artefacts/sub-folder/dos.xaml" )
+      );
+    } );
+
+    it( "should return null if the file is not part of the project", function() {
+      let graph = new WorkflowGraph( new UiPathProject( "./test/artefacts" ) );
+
+      assert.strictEqual( graph.resolveWorkflowFile( "does-not-exist.xaml" ), null );
+      assert.strictEqual( graph.resolveWorkflowFile( "[in_WorkflowName]" ), null );
+    } );
+  } );
+
+  /**
+   * Test getting the workflows invoked by a workflow.
+   */
+  describe( "#getCalls", function() {
+    it( "should throw an error if the parameter is not supplied", function() {
+      let graph = buildGraph();
+
+      assert.throws( function() {
+        graph.getCalls();
+      }, TypeError );
+    } );
+
+    it( "should link the invoked workflow to the workflow metadata", function() {
+      let graph = buildGraph();
+      let uno = graph.getWorkflows().get( path.resolve( "./test/artefacts/uno.xaml" ) );
+
+      let calls = graph.getCalls( uno );
+
+      assert.strictEqual( calls.length, 1 );
+      assert.strictEqual( calls[ 0 ].workflowFileName, "sub-folder\\dos.xaml" );
+      assert.strictEqual( calls[ 0 ].displayName, "Invoke dos workflow" );
+      assert.strictEqual( calls[ 0 ].filePath, path.resolve( "./test/artefacts/sub-folder/dos.xaml" ) );
+      assert.strictEqual( calls[ 0 ].metadata.getWorkflowName(), "dos" );
+      assert.strictEqual( calls[ 0 ].arguments.length, 2 );
+    } );
+  } );
+
+  /**
+   * Test getting the workflows that invoke a workflow.
+   */
+  describe( "#getCalledBy", function() {
+    it( "should throw an error if the parameter is not supplied", function() {
+      let graph = buildGraph();
+
+      assert.throws( function() {
+        graph.getCalledBy();
+      }, TypeError );
+    } );
+
+    it( "should return the workflows that invoke the workflow", function() {
+      let graph = buildGraph();
+      let uno = graph.getWorkflows().get( path.resolve( "./test/artefacts/uno.xaml" ) );
+      let dos = graph.getWorkflows().get( path.resolve( "./test/artefacts/sub-folder/dos.xaml" ) );
+
+      assert.deepStrictEqual( graph.getCalledBy( dos ), [ uno ] );
+      assert.deepStrictEqual( graph.getCalledBy( uno ), [] );
+    } );
+  } );
+
+  /**
+   * Test getting the workflows run by a set of workflows.
+   */
+  describe( "#getReachableWorkflows", function() {
+    it( "should throw an error if the parameter is not an array", function() {
+      let graph = buildGraph();
+
+      assert.throws( function() {
+        graph.getReachableWorkflows( new Object() );
+      }, TypeError );
+    } );
+
+    it( "should include the workflows invoked directly or indirectly", function() {
+      let graph = buildGraph();
+      let uno = graph.getWorkflows().get( path.resolve( "./test/artefacts/uno.xaml" ) );
+      let dos = graph.getWorkflows().get( path.resolve( "./test/artefacts/sub-folder/dos.xaml" ) );
+
+      assert.deepStrictEqual( graph.getReachableWorkflows( [ uno ] ), [ uno, dos ] );
+      assert.deepStrictEqual( graph.getReachableWorkflows( [ dos, uno ] ), [ dos, uno ] );
+      assert.deepStrictEqual( graph.getReachableWorkflows( [ dos ] ), [ dos ] );
+    } );
+  } );
+
+  /**
+   * Test getting the Orchestrator objects required by a set of workflows.
+   */
+  describe( "#getOrchestratorObjects", function() {
+    it( "should combine the objects used by the invoked workflows", function() {
+      let graph = buildGraph();
+      let uno = graph.getWorkflows().get( path.resolve( "./test/artefacts/uno.xaml" ) );
+      let dos = graph.getWorkflows().get( path.resolve( "./test/artefacts/sub-folder/dos.xaml" ) );
+
+      uno.addOrchestratorObject( "GetRobotAsset", "Get Okta URL", "Asset", "Okta_URL", "" );
+      dos.addOrchestratorObject( "SetAsset", "Set Okta URL", "Asset", "Okta_URL", "" );
+      dos.addOrchestratorObject( "AddQueueItem", "Add Invoice", "Queue", "Invoices", "Finance" );
+      dos.addOrchestratorObject( "SetTransactionStatus", "Set Status", "Queue", "", "" );
+
+      assert.deepStrictEqual( graph.getOrchestratorObjects( [ uno ] ), [
+        {
+          "type": "Asset",
+          "name": "Okta_URL",
+          "folderPath": "",
+          "activities": [ "GetRobotAsset", "SetAsset" ],
+          "workflows": [ "sub-folder/dos.xaml", "uno.xaml" ]
+        },
+        {
+          "type": "Queue",
+          "name": "Invoices",
+          "folderPath": "Finance",
+          "activities": [ "AddQueueItem" ],
+          "workflows": [ "sub-folder/dos.xaml" ]
+        }
+      ] );
+
+      let dosObjects = graph.getOrchestratorObjects( [ dos ] );
+
+      assert.strictEqual( dosObjects.length, 2 );
+      assert.deepStrictEqual( dosObjects[ 0 ].workflows, [ "sub-folder/dos.xaml" ] );
+    } );
+  } );
+
+  /**
+   * Test getting the nodes and edges of the graph.
+   */
+  describe( "#getEdges", function() {
+    it( "should return the unique edges using project relative labels", function() {
+      let graph = buildGraph();
+
+      assert.deepStrictEqual( graph.getEdges(), [
+        { "from": "uno.xaml", "to": "sub-folder/dos.xaml" }
+      ] );
+    } );
+
+    it( "should return the nodes in a sorted order", function() {
+      let graph = buildGraph();
+
+      assert.deepStrictEqual( graph.getNodes(), [ "sub-folder/dos.xaml", "uno.xaml" ] );
+    } );
+  } );
+
+  /**
+   * Test the Mermaid output.
+   */
+  describe( "#toMermaid", function() {
+    it( "should return a Mermaid flowchart", function() {
+      let graph = buildGraph();
+
+      assert.strictEqual(
+        graph.toMermaid(),
+        "flowchart LR\n" +
+        "  n0[\"sub-folder/dos.xaml\"]\n" +
+        "  n1[\"uno.xaml\"]\n" +
+        "  n1 --> n0\n"
+      );
+    } );
+  } );
+
+  /**
+   * Test the Graphviz DOT output.
+   */
+  describe( "#toDot", function() {
+    it( "should return a DOT digraph", function() {
+      let graph = buildGraph();
+      let dot = graph.toDot();
+
+      assert.ok( dot.startsWith( "digraph workflows {\n" ) );
+      assert.ok( dot.includes( "  \"uno.xaml\" -> \"sub-folder/dos.xaml\";\n" ) );
+      assert.ok( dot.endsWith( "}\n" ) );
+    } );
+  } );
+} );
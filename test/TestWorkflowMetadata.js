@@ -261,6 +261,23 @@ describe( "WorkflowMetadata", function() {
         "defaultValue": "Hello World!"
       } );
     } );
+
+    it( "should only remove the brackets that enclose the default value", function() {
+      let metadata = new WorkflowMetadata( "./test/artefacts/uno.xaml" );
+      metadata.addArgument( "testArgument", "InArgument", "String", "First line\nSecond line", "[items(0)]" );
+
+      let arg = metadata.arguments.get( "testArgument" );
+
+      assert.strictEqual( arg.annotation, "First line\nSecond line" );
+      assert.strictEqual( arg.defaultValue, "items(0)" );
+
+      metadata.addArgument( "other", "InArgument", "String[]", "", "[New String() {names(0), \"[x]\"}]" );
+
+      assert.strictEqual(
+        metadata.arguments.get( "other" ).defaultValue,
+        "New String() {names(0), \"[x]\"}"
+      );
+    } );
   } );
 
   /**
@@ -294,6 +311,369 @@ describe( "WorkflowMetadata", function() {
     } );
   } );
 
+  /**
+   * Test adding a variable.
+   */
+  describe( "#addVariable", function() {
+    it( "should throw an error if the name parameter is not provided", function() {
+      assert.throws( function() {
+        let metadata = new WorkflowMetadata( "./test/artefacts/uno.xaml" );
+        metadata.addVariable();
+      }, /^TypeError: name/ );
+    } );
+
+    it( "should throw an error if the type parameter is not provided", function() {
+      assert.throws( function() {
+        let metadata = new WorkflowMetadata( "./test/artefacts/uno.xaml" );
+        metadata.addVariable( "Name" );
+      }, /^TypeError: type/ );
+    } );
+
+    it( "should throw an error if the annotation parameter is not provided", function() {
+      assert.throws( function() {
+        let metadata = new WorkflowMetadata( "./test/artefacts/uno.xaml" );
+        metadata.addVariable( "Name", "String" );
+      }, /^TypeError: annotation/ );
+    } );
+
+    it( "should throw an error if the defaultValue parameter is not provided", function() {
+      assert.throws( function() {
+        let metadata = new WorkflowMetadata( "./test/artefacts/uno.xaml" );
+        metadata.addVariable( "Name", "String", "" );
+      }, /^TypeError: defaultValue/ );
+    } );
+
+    it( "should throw an error if the scope parameter is not provided", function() {
+      assert.throws( function() {
+        let metadata = new WorkflowMetadata( "./test/artefacts/uno.xaml" );
+        metadata.addVariable( "Name", "String", "", "" );
+      }, /^TypeError: scope/ );
+
+      assert.throws( function() {
+        let metadata = new WorkflowMetadata( "./test/artefacts/uno.xaml" );
+        metadata.addVariable( "Name", "String", "", "", "" );
+      }, /^TypeError: scope/ );
+    } );
+
+    it( "should store variables with the same name in different scopes", function() {
+      let metadata = new WorkflowMetadata( "./test/artefacts/uno.xaml" );
+      metadata.addVariable( "testVariable", "String", "A variable for testing", "[Hello World!]", "Outer" );
+      metadata.addVariable( "testVariable", "Int32", "", "", "Inner" );
+
+      assert.strictEqual( metadata.variables.length, 2 );
+
+      assert.deepStrictEqual( metadata.variables[ 0 ], {
+        "name": "testVariable",
+        "type": "String",
+        "annotation": "A variable for testing",
+        "defaultValue": "Hello World!",
+        "scope": "Outer"
+      } );
+
+      assert.strictEqual( metadata.variables[ 1 ].scope, "Inner" );
+    } );
+
+    it( "should only remove the brackets around the default value", function() {
+      let metadata = new WorkflowMetadata( "./test/artefacts/uno.xaml" );
+      metadata.addVariable( "choice", "String", "", "[If(a(0) = \"[x]\", b, c)]", "Main" );
+
+      assert.strictEqual( metadata.variables[ 0 ].defaultValue, "If(a(0) = \"[x]\", b, c)" );
+    } );
+  } );
+
+  /**
+   * Test getting the list of variables.
+   */
+  describe( "#getVariables", function() {
+    it( "should return an empty array by default", function() {
+      let metadata = new WorkflowMetadata( "./test/artefacts/uno.xaml" );
+      let workflowVariables = metadata.getVariables();
+
+      assert.ok( Array.isArray( workflowVariables ) );
+      assert.strictEqual( workflowVariables.length, 0 );
+    } );
+  } );
+
+  /**
+   * Test adding an invoked workflow.
+   */
+  describe( "#addInvokedWorkflow", function() {
+    it( "should throw an error if the workflowFileName parameter is not provided", function() {
+      assert.throws( function() {
+        let metadata = new WorkflowMetadata( "./test/artefacts/uno.xaml" );
+        metadata.addInvokedWorkflow();
+      }, /^TypeError: workflowFileName/ );
+    } );
+
+    it( "should throw an error if the displayName parameter is not provided", function() {
+      assert.throws( function() {
+        let metadata = new WorkflowMetadata( "./test/artefacts/uno.xaml" );
+        metadata.addInvokedWorkflow( "dos.xaml" );
+      }, /^TypeError: displayName/ );
+    } );
+
+    it( "should throw an error if the argumentBindings parameter is not provided", function() {
+      assert.throws( function() {
+        let metadata = new WorkflowMetadata( "./test/artefacts/uno.xaml" );
+        metadata.addInvokedWorkflow( "dos.xaml", "Invoke dos" );
+      }, /^TypeError: argumentBindings/ );
+    } );
+
+    it( "should store the invoked workflow without the expression brackets", function() {
+      let metadata = new WorkflowMetadata( "./test/artefacts/uno.xaml" );
+      metadata.addInvokedWorkflow( "dos.xaml", "Invoke dos", [
+        { "name": "ichi", "direction": "InArgument", "type": "String", "value": "[eins + \"[x]\"]" }
+      ] );
+
+      assert.deepStrictEqual( metadata.getInvokedWorkflows(), [
+        {
+          "workflowFileName": "dos.xaml",
+          "displayName": "Invoke dos",
+          "arguments": [
+            { "name": "ichi", "direction": "InArgument", "type": "String", "value": "eins + \"[x]\"" }
+          ]
+        }
+      ] );
+    } );
+  } );
+
+  /**
+   * Test adding an Orchestrator object.
+   */
+  describe( "#addOrchestratorObject", function() {
+    it( "should throw an error if the activity parameter is not provided", function() {
+      assert.throws( function() {
+        let metadata = new WorkflowMetadata( "./test/artefacts/uno.xaml" );
+        metadata.addOrchestratorObject();
+      }, /^TypeError: activity/ );
+    } );
+
+    it( "should throw an error if the type parameter is not provided", function() {
+      assert.throws( function() {
+        let metadata = new WorkflowMetadata( "./test/artefacts/uno.xaml" );
+        metadata.addOrchestratorObject( "GetRobotAsset", "Get Okta URL" );
+      }, /^TypeError: type/ );
+    } );
+
+    it( "should throw an error if the folderPath parameter is not provided", function() {
+      assert.throws( function() {
+        let metadata = new WorkflowMetadata( "./test/artefacts/uno.xaml" );
+        metadata.addOrchestratorObject( "GetRobotAsset", "Get Okta URL", "Asset", "Okta_URL" );
+      }, /^TypeError: folderPath/ );
+    } );
+
+    it( "should store the Orchestrator object", function() {
+      let metadata = new WorkflowMetadata( "./test/artefacts/uno.xaml" );
+      metadata.addOrchestratorObject( "GetRobotAsset", " Get Okta URL ", "Asset", " Okta_URL ", "" );
+
+      assert.deepStrictEqual( metadata.getOrchestratorObjects(), [ {
+        "activity": "GetRobotAsset",
+        "displayName": "Get Okta URL",
+        "type": "Asset",
+        "name": "Okta_URL",
+        "folderPath": ""
+      } ] );
+    } );
+  } );
+
+  /**
+   * Test adding an exception.
+   */
+  describe( "#addException", function() {
+    it( "should throw an error if the activity parameter is not provided", function() {
+      assert.throws( function() {
+        let metadata = new WorkflowMetadata( "./test/artefacts/uno.xaml" );
+        metadata.addException();
+      }, /^TypeError: activity/ );
+    } );
+
+    it( "should throw an error if the expression parameter is not provided", function() {
+      assert.throws( function() {
+        let metadata = new WorkflowMetadata( "./test/artefacts/uno.xaml" );
+        metadata.addException( "Throw", "Throw", "BusinessRuleException", "" );
+      }, /^TypeError: expression/ );
+    } );
+
+    it( "should store the exception", function() {
+      let metadata = new WorkflowMetadata( "./test/artefacts/uno.xaml" );
+      metadata.addException(
+        "Throw",
+        " Throw Invalid ",
+        "BusinessRuleException",
+        " Not valid ",
+        " New BusinessRuleException(\" Not valid \") "
+      );
+
+      assert.deepStrictEqual( metadata.getExceptions(), [ {
+        "activity": "Throw",
+        "displayName": "Throw Invalid",
+        "type": "BusinessRuleException",
+        "message": " Not valid ",
+        "expression": "New BusinessRuleException(\" Not valid \")"
+      } ] );
+    } );
+  } );
+
+  /**
+   * Test adding a log message.
+   */
+  describe( "#addLogMessage", function() {
+    it( "should throw an error if the activity parameter is not provided", function() {
+      assert.throws( function() {
+        let metadata = new WorkflowMetadata( "./test/artefacts/uno.xaml" );
+        metadata.addLogMessage();
+      }, /^TypeError: activity/ );
+    } );
+
+    it( "should throw an error if the fields parameter is not an array", function() {
+      assert.throws( function() {
+        let metadata = new WorkflowMetadata( "./test/artefacts/uno.xaml" );
+        metadata.addLogMessage( "LogMessage", "Log Message", "Info", "Started", null, [] );
+      }, /^TypeError: fields/ );
+    } );
+
+    it( "should store the log message", function() {
+      let metadata = new WorkflowMetadata( "./test/artefacts/uno.xaml" );
+      metadata.addLogMessage( "LogMessage", " Log Start ", " Info ", " [\"Started \" + eins] ", [], [ "eins" ] );
+
+      assert.deepStrictEqual( metadata.getLogMessages(), [ {
+        "activity": "LogMessage",
+        "displayName": "Log Start",
+        "level": "Info",
+        "message": "[\"Started \" + eins]",
+        "fields": [],
+        "identifiers": [ "eins" ]
+      } ] );
+    } );
+  } );
+
+  /**
+   * Test setting the tree of activities.
+   */
+  describe( "#setActivityTree", function() {
+    it( "should throw an error if the parameter is not an object", function() {
+      assert.throws( function() {
+        let metadata = new WorkflowMetadata( "./test/artefacts/uno.xaml" );
+        metadata.setActivityTree( "Sequence" );
+      }, /^TypeError: activityTree/ );
+    } );
+
+    it( "should store the tree of activities", function() {
+      let metadata = new WorkflowMetadata( "./test/artefacts/uno.xaml" );
+      let activityTree = { "type": "Sequence", "displayName": "uno", "annotation": "", "children": [] };
+
+      assert.strictEqual( metadata.getActivityTree(), null );
+
+      metadata.setActivityTree( activityTree );
+
+      assert.deepStrictEqual( metadata.getActivityTree(), activityTree );
+    } );
+  } );
+
+  /**
+   * Test adding a state.
+   */
+  describe( "#addState", function() {
+    it( "should throw an error if the parameters are not provided", function() {
+      let metadata = new WorkflowMetadata( "./test/artefacts/uno.xaml" );
+
+      assert.throws( function() {
+        metadata.addState();
+      }, /^TypeError: id/ );
+
+      assert.throws( function() {
+        metadata.addState( "State_1" );
+      }, /^TypeError: name/ );
+
+      assert.throws( function() {
+        metadata.addState( "State_1", "Init" );
+      }, /^TypeError: annotation/ );
+
+      assert.throws( function() {
+        metadata.addState( "State_1", "Init", "" );
+      }, /^TypeError: isInitial/ );
+
+      assert.throws( function() {
+        metadata.addState( "State_1", "Init", "", true );
+      }, /^TypeError: isFinal/ );
+    } );
+
+    it( "should store the new state", function() {
+      let metadata = new WorkflowMetadata( "./test/artefacts/uno.xaml" );
+      metadata.addState( "State_1", " Init ", "The first state", true, false );
+
+      assert.deepStrictEqual( metadata.getStates(), [ {
+        "id": "State_1",
+        "name": "Init",
+        "annotation": "The first state",
+        "isInitial": true,
+        "isFinal": false
+      } ] );
+    } );
+
+    it( "should replace every line break in the annotation", function() {
+      let metadata = new WorkflowMetadata( "./test/artefacts/uno.xaml" );
+      metadata.addState( "State_1", "Init", "The first\nstate\r\nof three", true, false );
+
+      assert.strictEqual( metadata.getStates()[ 0 ].annotation, "The first state of three" );
+    } );
+  } );
+
+  /**
+   * Test adding a transition.
+   */
+  describe( "#addTransition", function() {
+    it( "should throw an error if the parameters are not provided", function() {
+      let metadata = new WorkflowMetadata( "./test/artefacts/uno.xaml" );
+
+      assert.throws( function() {
+        metadata.addTransition();
+      }, /^TypeError: from/ );
+
+      assert.throws( function() {
+        metadata.addTransition( "State_1" );
+      }, /^TypeError: to/ );
+
+      assert.throws( function() {
+        metadata.addTransition( "State_1", "State_2" );
+      }, /^TypeError: displayName/ );
+
+      assert.throws( function() {
+        metadata.addTransition( "State_1", "State_2", "" );
+      }, /^TypeError: condition/ );
+    } );
+
+    it( "should store the new transition without the expression brackets", function() {
+      let metadata = new WorkflowMetadata( "./test/artefacts/uno.xaml" );
+      metadata.addTransition( "State_1", "State_2", "Successful", "[SystemException Is Nothing]" );
+
+      assert.deepStrictEqual( metadata.getTransitions(), [ {
+        "from": "State_1",
+        "to": "State_2",
+        "displayName": "Successful",
+        "condition": "SystemException Is Nothing"
+      } ] );
+    } );
+  } );
+
+  /**
+   * Test getting the name of a state.
+   */
+  describe( "#getStateName", function() {
+    it( "should return the name of the state", function() {
+      let metadata = new WorkflowMetadata( "./test/artefacts/uno.xaml" );
+      metadata.addState( "State_1", "Init", "", true, false );
+
+      assert.strictEqual( metadata.getStateName( "State_1" ), "Init" );
+    } );
+
+    it( "should return the identifier if the state is not found", function() {
+      let metadata = new WorkflowMetadata( "./test/artefacts/uno.xaml" );
+
+      assert.strictEqual( metadata.getStateName( "State_1" ), "State_1" );
+    } );
+  } );
+
   /**
    * Test setting the name of the workflow.
    */
@@ -340,6 +720,38 @@ describe( "WorkflowMetadata", function() {
     } );
   } );
 
+  /**
+   * Test checking if the annotation of the workflow has been set.
+   */
+  describe( "#hasWorkflowAnnotation", function() {
+    it( "should return false if the workflow annotation has not been set", function() {
+      let metadata = new WorkflowMetadata( "./test/artefacts/uno.xaml" );
+      assert.strictEqual( metadata.hasWorkflowAnnotation(), false );
+    } );
+
+    it( "should return true if the workflow annotation has been set", function() {
+      let metadata = new WorkflowMetadata( "./test/artefacts/uno.xaml" );
+      metadata.setWorkflowAnnotation( "This is a test workflow annotation." );
+      assert.strictEqual( metadata.hasWorkflowAnnotation(), true );
+    } );
+  } );
+
+  /**
+   * Test getting the summary of the workflow annotation.
+   */
+  describe( "#getWorkflowSummary", function() {
+    it( "should return an empty string if the workflow annotation has not been set", function() {
+      let metadata = new WorkflowMetadata( "./test/artefacts/uno.xaml" );
+      assert.strictEqual( metadata.getWorkflowSummary(), "" );
+    } );
+
+    it( "should return the first line of the workflow annotation", function() {
+      let metadata = new WorkflowMetadata( "./test/artefacts/uno.xaml" );
+      metadata.setWorkflowAnnotation( "The first line.\r\n\r\nThe second line." );
+      assert.strictEqual( metadata.getWorkflowSummary(), "The first line." );
+    } );
+  } );
+
   /**
    * Test setting the UiPath project relative file path.
    */
@@ -388,4 +800,88 @@ describe( "WorkflowMetadata", function() {
       assert.strictEqual( path.normalize( "sub-folder/uno.xaml" ), metadata.getProjectFilePath() );
     } );
   } );
+
+  /**
+   * Test getting a plain object representation of the metadata.
+   */
+  describe( "#toJSON", function() {
+    it( "should return the metadata as a plain object", function() {
+      let metadata = new WorkflowMetadata( "./test/artefacts/sub-folder/uno.xaml" );
+      metadata.setWorkflowName( "uno" );
+      metadata.addArgument( "testArgument", "InArgument", "string", "For testing", "" );
+      metadata.setProjectFilePath( "./test/artefacts/" );
+
+      let workflow = metadata.toJSON();
+
+      assert.strictEqual( workflow.name, "uno" );
+      assert.strictEqual( workflow.annotation, "" );
+      assert.strictEqual( workflow.filePath, path.normalize( "./test/artefacts/sub-folder/uno.xaml" ) );
+      assert.strictEqual( workflow.projectFilePath, "sub-folder/uno.xaml" );
+      assert.deepStrictEqual( workflow.arguments, [ {
+        "name": "testArgument",
+        "direction": "InArgument",
+        "type": "string",
+        "annotation": "For testing",
+        "defaultValue": ""
+      } ] );
+      assert.deepStrictEqual( workflow.variables, [] );
+    } );
+
+    it( "should be used when serialising the metadata as JSON", function() {
+      let metadata = new WorkflowMetadata( "./test/artefacts/uno.xaml" );
+      metadata.setWorkflowName( "uno" );
+
+      let workflow = JSON.parse( JSON.stringify( metadata ) );
+
+      assert.strictEqual( workflow.name, "uno" );
+      assert.strictEqual( workflow.projectFilePath, null );
+    } );
+  } );
+
+  /**
+   * Test creating the metadata from a plain object.
+   */
+  describe( "#fromJSON", function() {
+    it( "should throw an error if the parameter is not supplied", function() {
+      assert.throws( function() {
+        WorkflowMetadata.fromJSON();
+      }, TypeError );
+    } );
+
+    it( "should restore the metadata returned by the toJSON method", function() {
+      let metadata = new WorkflowMetadata( "./test/artefacts/sub-folder/uno.xaml" );
+      metadata.setWorkflowName( "uno" );
+      metadata.setWorkflowAnnotation( "Test annotation" );
+      metadata.addArgument( "testArgument", "InArgument", "string", "For testing", "[[\"a\"]]" );
+      metadata.addVariable( "testVariable", "Int32", "", "1", "uno" );
+      metadata.addInvokedWorkflow( "dos.xaml", "Invoke dos", [] );
+      metadata.addOrchestratorObject( "AddQueueItem", "Add Invoice", "Queue", "Invoices", "Finance" );
+      metadata.addException( "Catch", "Try Login", "System.Exception", "", "" );
+      metadata.addLogMessage( "LogMessage", "Log Start", "Info", "Started", [], [] );
+      metadata.setActivityTree( { "type": "Sequence", "displayName": "uno", "annotation": "", "children": [] } );
+      metadata.setProjectFilePath( "./test/artefacts/" );
+
+      let data = JSON.parse( JSON.stringify( metadata ) );
+      let restored = WorkflowMetadata.fromJSON( data );
+
+      assert.deepStrictEqual( restored.toJSON(), metadata.toJSON() );
+      assert.strictEqual( restored.getWorkflowAnnotation(), "Test annotation" );
+      let argument = restored.getArguments().get( "testArgument" );
+
+      assert.strictEqual( argument.defaultValue, "[\"a\"]" );
+      assert.strictEqual( restored.getProjectFilePath(), path.join( "sub-folder", "uno.xaml" ) );
+    } );
+
+    it( "should not set the annotation if it is empty", function() {
+      let metadata = new WorkflowMetadata( "./test/artefacts/uno.xaml" );
+      metadata.setWorkflowName( "uno" );
+
+      let restored = WorkflowMetadata.fromJSON( metadata.toJSON() );
+
+      assert.strictEqual( restored.hasWorkflowAnnotation(), false );
+      assert.throws( function() {
+        restored.getProjectFilePath();
+      }, ReferenceError );
+    } );
+  } );
 } );
@@ -1,10 +1,67 @@
 import { XamlProcessor } from "../app/XamlProcessor.js";
 import { WorkflowMetadata } from "../app/WorkflowMetadata.js";
+import { NupkgArchive } from "../app/NupkgArchive.js";
+
+import { createPackage, createTempDirectory, removePackage, removeTempDirectory } from "./helpers/Fixtures.js";
 
 import { DOMParser } from "xmldom";
 
 import * as assert from "assert";
 import * as fs from "fs";
+import * as path from "path";
+
+/**
+ * Write XAML code to a temporary file for testing.
+ *
+ * @param {string} xamlContent The XAML code to write.
+ * @returns {string} The path to the temporary file.
+ */
+function writeTempXaml( xamlContent ) {
+  let filePath = path.join( createTempDirectory(), "temp.xaml" );
+
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  fs.writeFileSync( filePath, xamlContent );
+
+  return filePath;
+}
+
+/**
+ * Remove a temporary file written for testing, along with its temporary directory.
+ *
+ * @param {string} filePath The path to the temporary file.
+ */
+function removeTempXaml( filePath ) {
+  removeTempDirectory( path.dirname( filePath ) );
+}
+
+/**
+ * A workflow with a Flowchart root activity, including a decision and a switch, used for testing.
+ *
+ * @type {string}
+ */
+const flowchartXaml = "<Activity xmlns=\"http://schemas.microsoft.com/netfx/2009/xaml/activities\" " +
+  "xmlns:sap=\"http://schemas.microsoft.com/netfx/2009/xaml/activities/presentation\" " +
+  "xmlns:sap2010=\"http://schemas.microsoft.com/netfx/2010/xaml/activities/presentation\" " +
+  "xmlns:ui=\"http://schemas.uipath.com/workflow/activities\" " +
+  "xmlns:x=\"http://schemas.microsoft.com/winfx/2006/xaml\">" +
+  "<Flowchart DisplayName=\"Process Invoice\" sap2010:Annotation.AnnotationText=\"Check an invoice.\">" +
+  "<sap:WorkflowViewStateService.ViewState><x:Boolean x:Key=\"IsExpanded\">True</x:Boolean>" +
+  "</sap:WorkflowViewStateService.ViewState>" +
+  "<Flowchart.StartNode><x:Reference>__ReferenceID0</x:Reference></Flowchart.StartNode>" +
+  "<FlowStep x:Name=\"__ReferenceID0\"><Sequence DisplayName=\"Read Invoice\">" +
+  "<Assign sap:VirtualizedContainerService.HintSize=\"242,60\"><Assign.To>" +
+  "<OutArgument x:TypeArguments=\"x:String\">[a]</OutArgument></Assign.To></Assign></Sequence>" +
+  "<FlowStep.Next><FlowDecision x:Name=\"__ReferenceID1\" Condition=\"[amount &gt; 1000]\" " +
+  "DisplayName=\"Large amount?\" TrueLabel=\"Yes\" False=\"{x:Reference __ReferenceID3}\">" +
+  "<FlowDecision.True><FlowSwitch x:TypeArguments=\"x:String\" x:Name=\"__ReferenceID2\" " +
+  "Expression=\"[status]\"><FlowSwitch.Default><x:Reference>__ReferenceID3</x:Reference>" +
+  "</FlowSwitch.Default><x:Reference>__ReferenceID3<x:Key>Approved</x:Key></x:Reference>" +
+  "<FlowStep x:Key=\"Rejected\" x:Name=\"__ReferenceID4\"><Throw DisplayName=\"Reject\" " +
+  "Exception=\"[New BusinessRuleException(&quot;Rejected&quot;)]\" /></FlowStep>" +
+  "</FlowSwitch></FlowDecision.True></FlowDecision></FlowStep.Next></FlowStep>" +
+  "<FlowStep x:Name=\"__ReferenceID3\"><ui:LogMessage DisplayName=\"Log Paid\" /></FlowStep>" +
+  "<x:Reference>__ReferenceID1</x:Reference><x:Reference>__ReferenceID2</x:Reference>" +
+  "<x:Reference>__ReferenceID4</x:Reference></Flowchart></Activity>";
 
 /**
  * Test the XamlProcessor object.
@@ -26,6 +83,12 @@ describe( "XamlProcessor", function() {
         processor instanceof  XamlProcessor
       );
     } );
+
+    it( "should throw an error if the archive is not a NupkgArchive object", function() {
+      assert.throws( function() {
+        new XamlProcessor( "./test/artefacts" );
+      }, TypeError );
+    } );
   } );
 
   /**
@@ -76,6 +139,50 @@ describe( "XamlProcessor", function() {
       assert.ok( metadata instanceof WorkflowMetadata );
     } );
 
+    it( "should read a workflow file from a package", function() {
+      let processor = new XamlProcessor();
+      let archivePath = createPackage( new Map( [
+        [ "Flinders.Foundation.nuspec", null ],
+        [ "lib/net45/uno.xaml", "./test/artefacts/uno.xaml" ]
+      ] ) );
+      let filePath = path.join( archivePath, "uno.xaml" );
+
+      let metadata = processor.getMetadata( filePath );
+
+      assert.strictEqual( metadata.getFilePath(), filePath );
+      assert.deepStrictEqual(
+        metadata.getArguments(),
+        processor.getMetadata( "./test/artefacts/uno.xaml" ).getArguments()
+      );
+
+      removePackage( archivePath );
+    } );
+
+    it( "should read the workflow files from the package given to the constructor", function() {
+      let archivePath = createPackage( new Map( [
+        [ "Flinders.Foundation.nuspec", null ],
+        [ "lib/net45/uno.xaml", "./test/artefacts/uno.xaml" ]
+      ] ) );
+      let archive = new NupkgArchive( archivePath );
+      let processor = new XamlProcessor( archive );
+      let readFiles = [];
+
+      // Record the files read from the package instead of opening it again.
+      let readXamlFile = archive.readXamlFile;
+      archive.readXamlFile = function( filePath ) {
+        readFiles.push( filePath );
+        return readXamlFile.call( archive, filePath );
+      };
+
+      let filePath = path.join( archivePath, "uno.xaml" );
+
+      assert.strictEqual( processor.getMetadata( filePath ).getFilePath(), filePath );
+      assert.strictEqual( processor.getMetadata( "./test/artefacts/uno.xaml" ).getWorkflowName(), "uno" );
+      assert.deepStrictEqual( readFiles, [ filePath ] );
+
+      removePackage( archivePath );
+    } );
+
     it( "should return a WorkflowMetadata object with the correct information", function() {
       let processor = new XamlProcessor();
 
@@ -138,6 +245,106 @@ describe( "XamlProcessor", function() {
 
       } );
 
+      assert.strictEqual( metadata.getVariables().length, 4 );
+
+    } );
+
+    it( "should throw an error if the XAML code is malformed", function() {
+      let processor = new XamlProcessor();
+
+      let filePath = writeTempXaml( "<Activity><Sequence DisplayName=\"a></Activity>" );
+
+      assert.throws( function() {
+        processor.getMetadata( filePath );
+      }, /^Error: Unable to parse the XAML code/ );
+
+      removeTempXaml( filePath );
+    } );
+
+    it( "should throw an error if the root activity does not have a DisplayName", function() {
+      let processor = new XamlProcessor();
+
+      let filePath = writeTempXaml(
+        "<Activity xmlns=\"http://schemas.microsoft.com/netfx/2009/xaml/activities\"><Sequence /></Activity>"
+      );
+
+      assert.throws( function() {
+        processor.getMetadata( filePath );
+      }, /does not have a DisplayName$/ );
+
+      removeTempXaml( filePath );
+    } );
+
+    it( "should not set the workflow annotation if it is missing", function() {
+      let processor = new XamlProcessor();
+
+      let filePath = writeTempXaml(
+        "<Activity xmlns=\"http://schemas.microsoft.com/netfx/2009/xaml/activities\">" +
+        "<Sequence DisplayName=\"Temp\" /></Activity>"
+      );
+
+      let metadata = processor.getMetadata( filePath );
+
+      assert.strictEqual( metadata.getWorkflowName(), "Temp" );
+      assert.strictEqual( metadata.hasWorkflowAnnotation(), false );
+
+      removeTempXaml( filePath );
+    } );
+    it( "should document arguments using .NET type names", function() {
+      let processor = new XamlProcessor();
+
+      let filePath = writeTempXaml(
+        "<Activity x:Class=\"Temp\" " +
+        "xmlns=\"http://schemas.microsoft.com/netfx/2009/xaml/activities\" " +
+        "xmlns:scg=\"clr-namespace:System.Collections.Generic;assembly=mscorlib\" " +
+        "xmlns:x=\"http://schemas.microsoft.com/winfx/2006/xaml\">" +
+        "<x:Members><x:Property Name=\"in_Config\" " +
+        "Type=\"InArgument(scg:Dictionary(x:String, x:Object))\" /></x:Members>" +
+        "<Sequence DisplayName=\"Temp\" /></Activity>"
+      );
+
+      let metadata = processor.getMetadata( filePath );
+
+      assert.strictEqual(
+        metadata.getArguments().get( "in_Config" ).type,
+        "System.Collections.Generic.Dictionary<String, Object>"
+      );
+
+      removeTempXaml( filePath );
+    } );
+  } );
+
+  /**
+   * Test parsing the XAML code.
+   */
+  describe( "#parseXaml", function() {
+    it( "should throw an error if the parameter is not a string", function() {
+      assert.throws( function() {
+        let processor = new XamlProcessor();
+
+        processor.parseXaml( new Object() );
+
+      }, TypeError );
+    } );
+
+    it( "should throw an error if the XAML code is empty", function() {
+      assert.throws( function() {
+        let processor = new XamlProcessor();
+
+        processor.parseXaml( "" );
+
+      }, /^Error: Unable to parse the XAML code: invalid doc source$/ );
+    } );
+
+    it( "should return a document if the XAML code is well formed", function() {
+      let processor = new XamlProcessor();
+
+      let xamlContent = fs.readFileSync( "./test/artefacts/uno.xaml" );
+      xamlContent = xamlContent.toString();
+
+      let doc = processor.parseXaml( xamlContent );
+
+      assert.strictEqual( processor.getWorkflowName( doc ), "uno" );
     } );
   } );
 
@@ -258,6 +465,144 @@ describe( "XamlProcessor", function() {
     } );
   } );
 
+  /**
+   * Test getting the root activity of a workflow.
+   */
+  describe( "#getRootActivity", function() {
+    it( "should throw an error if the parameter is not supplied", function() {
+      assert.throws( function() {
+        let processor = new XamlProcessor();
+
+        processor.getRootActivity();
+
+      }, TypeError );
+    } );
+
+    it( "should throw an error if there is no supported root activity", function() {
+      let processor = new XamlProcessor();
+
+      const doc = new DOMParser().parseFromString(
+        "<Activity xmlns=\"http://schemas.microsoft.com/netfx/2009/xaml/activities\"><Parallel /></Activity>"
+      );
+
+      assert.throws( function() {
+        processor.getRootActivity( doc );
+      }, /does not contain a root Flowchart, Sequence or StateMachine activity$/ );
+    } );
+
+    it( "should return the root Sequence or StateMachine element", function() {
+      let processor = new XamlProcessor();
+
+      let xamlContent = fs.readFileSync( "./test/artefacts/uno.xaml" );
+      xamlContent = xamlContent.toString();
+
+      let doc = new DOMParser().parseFromString( xamlContent );
+
+      assert.strictEqual( processor.getRootActivity( doc ).localName, "Sequence" );
+
+      xamlContent = fs.readFileSync( "./test/projects/reframework/Main.xaml" );
+      xamlContent = xamlContent.toString();
+
+      doc = new DOMParser().parseFromString( xamlContent );
+
+      assert.strictEqual( processor.getRootActivity( doc ).localName, "StateMachine" );
+    } );
+
+    it( "should support the name and annotation of a StateMachine root activity", function() {
+      let processor = new XamlProcessor();
+
+      let xamlContent = fs.readFileSync( "./test/projects/reframework/Main.xaml" );
+      xamlContent = xamlContent.toString();
+
+      let doc = new DOMParser().parseFromString( xamlContent );
+
+      assert.strictEqual( processor.getWorkflowName( doc ), "General Business Process" );
+      assert.strictEqual(
+        processor.getWorkflowAnnotation( doc ),
+        "Process transactions using the Robotic Enterprise Framework"
+      );
+    } );
+  } );
+
+  /**
+   * Test getting the states and transitions of a state machine.
+   */
+  describe( "#getStateMachine", function() {
+    it( "should throw an error if the parameter is not supplied", function() {
+      assert.throws( function() {
+        let processor = new XamlProcessor();
+
+        processor.getStateMachine();
+
+      }, TypeError );
+    } );
+
+    it( "should return null if the root activity is not a StateMachine", function() {
+      let processor = new XamlProcessor();
+
+      let xamlContent = fs.readFileSync( "./test/artefacts/uno.xaml" );
+      xamlContent = xamlContent.toString();
+
+      let doc = new DOMParser().parseFromString( xamlContent );
+
+      assert.strictEqual( processor.getStateMachine( doc ), null );
+    } );
+
+    it( "should return the states including those defined inline", function() {
+      let processor = new XamlProcessor();
+
+      let xamlContent = fs.readFileSync( "./test/projects/reframework/Main.xaml" );
+      xamlContent = xamlContent.toString();
+
+      let doc = new DOMParser().parseFromString( xamlContent );
+
+      let stateMachine = processor.getStateMachine( doc );
+
+      assert.strictEqual( stateMachine.states.length, 4 );
+
+      assert.deepStrictEqual( stateMachine.states[ 0 ], {
+        "id": "__ReferenceID3",
+        "name": "Initialization",
+        "annotation": "Read the configuration and open the applications.",
+        "isInitial": true,
+        "isFinal": false
+      } );
+
+      assert.deepStrictEqual( stateMachine.states[ 1 ], {
+        "id": "__ReferenceID1",
+        "name": "End Process",
+        "annotation": "",
+        "isInitial": false,
+        "isFinal": true
+      } );
+    } );
+
+    it( "should return the transitions using every form of state reference", function() {
+      let processor = new XamlProcessor();
+
+      let xamlContent = fs.readFileSync( "./test/projects/reframework/Main.xaml" );
+      xamlContent = xamlContent.toString();
+
+      let doc = new DOMParser().parseFromString( xamlContent );
+
+      let transitions = processor.getStateMachine( doc ).transitions;
+
+      assert.strictEqual( transitions.length, 5 );
+
+      assert.deepStrictEqual( transitions[ 0 ], {
+        "from": "__ReferenceID3",
+        "to": "__ReferenceID0",
+        "displayName": "Successful",
+        "condition": "[SystemException is Nothing]"
+      } );
+
+      assert.strictEqual( transitions[ 1 ].to, "__ReferenceID1" );
+      assert.strictEqual( transitions[ 1 ].condition, "[SystemException IsNot Nothing]" );
+      assert.strictEqual( transitions[ 3 ].to, "__ReferenceID1" );
+      assert.strictEqual( transitions[ 4 ].condition, "" );
+    } );
+  } );
+
   /**
    * Test getting the list of arguments.
    */
@@ -367,59 +712,841 @@ describe( "XamlProcessor", function() {
   } );
 
   /**
-   * Test parsing arguments to determine the type and direction.
+   * Test getting the list of variables.
    */
-  describe( "#parseArgumentTypeAttribute", function() {
+  describe( "#getWorkflowVariables", function() {
     it( "should throw an error if the parameter is not supplied", function() {
       assert.throws( function() {
         let processor = new XamlProcessor();
 
-        processor.parseArgumentTypeAttribute();
+        processor.getWorkflowVariables();
 
       }, TypeError );
     } );
 
-    it( "should throw an error if the parameter is the wrong type", function() {
+    it( "should throw an error if the parameter is not the correct type", function() {
       assert.throws( function() {
         let processor = new XamlProcessor();
 
-        processor.parseArgumentTypeAttribute( new Object() );
+        processor.getWorkflowVariables( "xamlDocument" );
 
       }, TypeError );
     } );
 
-    it( "should return an array of two elements", function() {
+    it( "should return the variables defined at every level of nesting", function() {
       let processor = new XamlProcessor();
 
-      let elements = processor.parseArgumentTypeAttribute( "InArgument(sd:DataTable)" );
+      let xamlContent = fs.readFileSync( "./test/artefacts/uno.xaml" );
+      xamlContent = xamlContent.toString();
 
-      assert.ok( Array.isArray( elements ) );
+      let doc = new DOMParser().parseFromString( xamlContent );
 
-      assert.strictEqual( elements.length, 2 );
+      let xamlVariables = processor.getWorkflowVariables( doc );
+
+      assert.strictEqual( xamlVariables.length, 4 );
+
+      assert.deepStrictEqual(
+        xamlVariables[ 0 ],
+        {
+          "name": "eins",
+          "type": "String",
+          "annotation": "This is the first variable",
+          "defaultValue": "Hallo Welt",
+          "scope": "uno"
+        }
+      );
+
+      assert.deepStrictEqual(
+        xamlVariables[ 2 ],
+        {
+          "name": "vier",
+          "type": "String",
+          "annotation": "This is the fourth variable",
+          "defaultValue": "",
+          "scope": "Sequence"
+        }
+      );
+
+      assert.deepStrictEqual(
+        xamlVariables[ 3 ],
+        {
+          "name": "drei",
+          "type": "String",
+          "annotation": "This is the third variable",
+          "defaultValue": "",
+          "scope": "Flowchart"
+        }
+      );
     } );
 
-    it( "should extract the right information", function() {
+    it( "should return an empty annotation for a variable without one", function() {
       let processor = new XamlProcessor();
 
-      let elements = processor.parseArgumentTypeAttribute( "InArgument(sd:DataTable)" );
+      let xamlContent = fs.readFileSync( "./test/artefacts/sub-folder/dos.xaml" );
+      xamlContent = xamlContent.toString();
 
-      assert.strictEqual( elements[ 0 ], "InArgument" );
-      assert.strictEqual( elements[ 1 ], "DataTable" );
+      let doc = new DOMParser().parseFromString( xamlContent );
 
-      elements = processor.parseArgumentTypeAttribute( "InArgument(x:String)" );
+      let xamlVariables = processor.getWorkflowVariables( doc );
 
-      assert.strictEqual( elements[ 0 ], "InArgument" );
-      assert.strictEqual( elements[ 1 ], "String" );
+      assert.strictEqual( xamlVariables.length, 4 );
+      assert.strictEqual( xamlVariables[ 0 ].name, "Eins" );
+      assert.strictEqual( xamlVariables[ 0 ].annotation, "" );
+      assert.strictEqual( xamlVariables[ 0 ].scope, "dos" );
+    } );
 
-      elements = processor.parseArgumentTypeAttribute( "OutArgument(x:Boolean)" );
+    it( "should read the default value from the Default attribute", function() {
+      let processor = new XamlProcessor();
 
-      assert.strictEqual( elements[ 0 ], "OutArgument" );
-      assert.strictEqual( elements[ 1 ], "Boolean" );
+      let doc = processor.parseXaml(
+        "<Activity xmlns=\"http://schemas.microsoft.com/netfx/2009/xaml/activities\" " +
+        "xmlns:x=\"http://schemas.microsoft.com/winfx/2006/xaml\"><Sequence DisplayName=\"Temp\">" +
+        "<Sequence.Variables><Variable x:TypeArguments=\"x:String\" Name=\"Choice\" " +
+        "Default=\"[If(a(0) = &quot;[x]&quot;, b, c)]\" /></Sequence.Variables></Sequence></Activity>"
+      );
 
-      elements = processor.parseArgumentTypeAttribute( "InOutArgument(x:String)" );
+      assert.strictEqual(
+        processor.getWorkflowVariables( doc )[ 0 ].defaultValue,
+        "[If(a(0) = \"[x]\", b, c)]"
+      );
+    } );
 
-      assert.strictEqual( elements[ 0 ], "InOutArgument" );
-      assert.strictEqual( elements[ 1 ], "String" );
+    it( "should read the default value from a Variable.Default element", function() {
+      let processor = new XamlProcessor();
+
+      let doc = processor.parseXaml(
+        "<Activity xmlns=\"http://schemas.microsoft.com/netfx/2009/xaml/activities\" " +
+        "xmlns:mva=\"clr-namespace:Microsoft.VisualBasic.Activities;assembly=System.Activities\" " +
+        "xmlns:x=\"http://schemas.microsoft.com/winfx/2006/xaml\"><Sequence DisplayName=\"Temp\">" +
+        "<Sequence.Variables><Variable x:TypeArguments=\"x:String\" Name=\"Query\"><Variable.Default>" +
+        "<Literal x:TypeArguments=\"x:String\">SELECT *\nFROM Invoices</Literal></Variable.Default>" +
+        "</Variable><Variable x:TypeArguments=\"x:String\" Name=\"Path\"><Variable.Default>" +
+        "<mva:VisualBasicValue x:TypeArguments=\"x:String\" ExpressionText=\"folder + &quot;\\in&quot;\" />" +
+        "</Variable.Default></Variable></Sequence.Variables></Sequence></Activity>"
+      );
+
+      let xamlVariables = processor.getWorkflowVariables( doc );
+
+      assert.strictEqual( xamlVariables[ 0 ].defaultValue, "SELECT *\nFROM Invoices" );
+      assert.strictEqual( xamlVariables[ 1 ].defaultValue, "[folder + \"\\in\"]" );
+    } );
+  } );
+
+  /**
+   * Test getting the scope of a variable.
+   */
+  describe( "#getVariableScope", function() {
+    it( "should throw an error if the parameter is not supplied", function() {
+      assert.throws( function() {
+        let processor = new XamlProcessor();
+
+        processor.getVariableScope();
+
+      }, TypeError );
+    } );
+
+    it( "should return the DisplayName of the container activity", function() {
+      let processor = new XamlProcessor();
+
+      let xamlContent = fs.readFileSync( "./test/artefacts/uno.xaml" );
+      xamlContent = xamlContent.toString();
+
+      let doc = new DOMParser().parseFromString( xamlContent );
+
+      let variable = processor.xpath( "//xaml:Variable[@Name='zwei']", doc )[ 0 ];
+
+      assert.strictEqual( processor.getVariableScope( variable ), "uno" );
+    } );
+
+    it( "should return the type of the container activity if there is no DisplayName", function() {
+      let processor = new XamlProcessor();
+
+      let xamlContent = fs.readFileSync( "./test/artefacts/uno.xaml" );
+      xamlContent = xamlContent.toString();
+
+      let doc = new DOMParser().parseFromString( xamlContent );
+
+      let variable = processor.xpath( "//xaml:Variable[@Name='drei']", doc )[ 0 ];
+
+      assert.strictEqual( processor.getVariableScope( variable ), "Flowchart" );
+    } );
+  } );
+
+  /**
+   * Test getting the list of invoked workflows.
+   */
+  describe( "#getInvokedWorkflows", function() {
+    it( "should throw an error if the parameter is not supplied", function() {
+      assert.throws( function() {
+        let processor = new XamlProcessor();
+
+        processor.getInvokedWorkflows();
+
+      }, TypeError );
+    } );
+
+    it( "should return the invoked workflows and argument bindings", function() {
+      let processor = new XamlProcessor();
+
+      let xamlContent = fs.readFileSync( "./test/artefacts/uno.xaml" );
+      xamlContent = xamlContent.toString();
+
+      let doc = new DOMParser().parseFromString( xamlContent );
+
+      assert.deepStrictEqual( processor.getInvokedWorkflows( doc ), [
+        {
+          "workflowFileName": "sub-folder\\dos.xaml",
+          "displayName": "Invoke dos workflow",
+          "arguments": [
+            { "name": "ichi", "direction": "InArgument", "type": "String", "value": "[eins]" },
+            { "name": "ni", "direction": "InArgument", "type": "String", "value": "[zwei]" }
+          ]
+        }
+      ] );
+    } );
+
+    it( "should return an empty array if no workflows are invoked", function() {
+      let processor = new XamlProcessor();
+
+      let xamlContent = fs.readFileSync( "./test/artefacts/sub-folder/dos.xaml" );
+      xamlContent = xamlContent.toString();
+
+      let doc = new DOMParser().parseFromString( xamlContent );
+
+      assert.deepStrictEqual( processor.getInvokedWorkflows( doc ), [] );
+    } );
+  } );
+
+  /**
+   * Test getting the Orchestrator objects used by the activities in a workflow.
+   */
+  describe( "#getOrchestratorObjects", function() {
+    it( "should throw an error if the parameter is not supplied", function() {
+      assert.throws( function() {
+        let processor = new XamlProcessor();
+
+        processor.getOrchestratorObjects();
+
+      }, TypeError );
+    } );
+
+    it( "should return the assets, credentials and queues in the order of the activities", function() {
+      let processor = new XamlProcessor();
+
+      let doc = new DOMParser().parseFromString(
+        "<Activity xmlns=\"http://schemas.microsoft.com/netfx/2009/xaml/activities\" " +
+        "xmlns:ui=\"http://schemas.uipath.com/workflow/activities\" " +
+        "xmlns:x=\"http://schemas.microsoft.com/winfx/2006/xaml\"><Sequence DisplayName=\"Temp\">" +
+        "<ui:GetRobotAsset DisplayName=\"Get Okta URL\" AssetName=\"Okta_URL\" FolderPath=\"{x:Null}\" />" +
+        "<ui:GetRobotCredential AssetName=\"[&quot;Okta_Credential&quot;]\" FolderPath=\"Shared/Finance\" />" +
+        "<ui:AddQueueItem DisplayName=\"Add Invoice\" QueueType=\"[in_QueueName]\" />" +
+        "<ui:GetTransactionItem DisplayName=\"Get Invoice\"><ui:GetTransactionItem.QueueType>" +
+        "<InArgument x:TypeArguments=\"x:String\">\"Invoices\"</InArgument>" +
+        "</ui:GetTransactionItem.QueueType></ui:GetTransactionItem>" +
+        "<ui:SetTransactionStatus DisplayName=\"Set Status\" TransactionItem=\"[in_TransactionItem]\" />" +
+        "</Sequence></Activity>"
+      );
+
+      assert.deepStrictEqual( processor.getOrchestratorObjects( doc ), [
+        {
+          "activity": "GetRobotAsset",
+          "displayName": "Get Okta URL",
+          "type": "Asset",
+          "name": "Okta_URL",
+          "folderPath": ""
+        },
+        {
+          "activity": "GetRobotCredential",
+          "displayName": "GetRobotCredential",
+          "type": "Credential",
+          "name": "Okta_Credential",
+          "folderPath": "Shared/Finance"
+        },
+        {
+          "activity": "AddQueueItem",
+          "displayName": "Add Invoice",
+          "type": "Queue",
+          "name": "[in_QueueName]",
+          "folderPath": ""
+        },
+        {
+          "activity": "GetTransactionItem",
+          "displayName": "Get Invoice",
+          "type": "Queue",
+          "name": "Invoices",
+          "folderPath": ""
+        },
+        {
+          "activity": "SetTransactionStatus",
+          "displayName": "Set Status",
+          "type": "Queue",
+          "name": "",
+          "folderPath": ""
+        }
+      ] );
+    } );
+
+    it( "should return an empty array if Orchestrator is not used", function() {
+      let processor = new XamlProcessor();
+
+      let xamlContent = fs.readFileSync( "./test/artefacts/uno.xaml" );
+      xamlContent = xamlContent.toString();
+
+      let doc = new DOMParser().parseFromString( xamlContent );
+
+      assert.deepStrictEqual( processor.getOrchestratorObjects( doc ), [] );
+    } );
+  } );
+
+  /**
+   * Test getting the exceptions thrown and caught in a workflow.
+   */
+  describe( "#getExceptions", function() {
+    it( "should throw an error if the parameter is not supplied", function() {
+      assert.throws( function() {
+        let processor = new XamlProcessor();
+
+        processor.getExceptions();
+
+      }, TypeError );
+    } );
+
+    it( "should return the thrown and caught exceptions in the order of the activities", function() {
+      let processor = new XamlProcessor();
+
+      let doc = processor.parseXaml(
+        "<Activity xmlns=\"http://schemas.microsoft.com/netfx/2009/xaml/activities\" " +
+        "xmlns:ui=\"http://schemas.uipath.com/workflow/activities\" " +
+        "xmlns:s=\"clr-namespace:System;assembly=mscorlib\" " +
+        "xmlns:x=\"http://schemas.microsoft.com/winfx/2006/xaml\"><Sequence DisplayName=\"Temp\">" +
+        "<Throw DisplayName=\"Throw Invalid\" " +
+        "Exception=\"[New BusinessRuleException(&quot;The credential is not valid&quot;)]\" />" +
+        "<TryCatch DisplayName=\"Try Login\"><TryCatch.Catches>" +
+        "<Catch x:TypeArguments=\"ui:BusinessRuleException\"><ActivityAction x:TypeArguments=\"" +
+        "ui:BusinessRuleException\"><Rethrow /></ActivityAction></Catch>" +
+        "<Catch x:TypeArguments=\"s:Exception\"><ActivityAction x:TypeArguments=\"s:Exception\">" +
+        "<Throw DisplayName=\"Wrap\"><Throw.Exception><InArgument x:TypeArguments=\"s:Exception\">" +
+        "[New ApplicationException(&quot;Login failed: &quot; + exception.Message)]</InArgument>" +
+        "</Throw.Exception></Throw></ActivityAction></Catch>" +
+        "</TryCatch.Catches></TryCatch></Sequence></Activity>"
+      );
+
+      assert.deepStrictEqual( processor.getExceptions( doc ), [
+        {
+          "activity": "Throw",
+          "displayName": "Throw Invalid",
+          "type": "BusinessRuleException",
+          "message": "The credential is not valid",
+          "expression": "New BusinessRuleException(\"The credential is not valid\")"
+        },
+        {
+          "activity": "Catch",
+          "displayName": "Try Login",
+          "type": "BusinessRuleException",
+          "message": "",
+          "expression": ""
+        },
+        {
+          "activity": "Rethrow",
+          "displayName": "Rethrow",
+          "type": "BusinessRuleException",
+          "message": "",
+          "expression": ""
+        },
+        {
+          "activity": "Catch",
+          "displayName": "Try Login",
+          "type": "System.Exception",
+          "message": "",
+          "expression": ""
+        },
+        {
+          "activity": "Throw",
+          "displayName": "Wrap",
+          "type": "ApplicationException",
+          "message": "",
+          "expression": "New ApplicationException(\"Login failed: \" + exception.Message)"
+        }
+      ] );
+    } );
+
+    it( "should return an empty array if no exceptions are thrown or caught", function() {
+      let processor = new XamlProcessor();
+
+      let xamlContent = fs.readFileSync( "./test/artefacts/uno.xaml" );
+      xamlContent = xamlContent.toString();
+
+      let doc = new DOMParser().parseFromString( xamlContent );
+
+      assert.deepStrictEqual( processor.getExceptions( doc ), [] );
+    } );
+  } );
+
+  /**
+   * Test parsing the expressions used to create exceptions.
+   */
+  describe( "#parseExceptionExpression", function() {
+    it( "should return the type and message of the exception", function() {
+      let processor = new XamlProcessor();
+
+      assert.deepStrictEqual(
+        processor.parseExceptionExpression( "[New BusinessRuleException(\"Say \"\"hello\"\", please\")]" ),
+        {
+          "type": "BusinessRuleException",
+          "message": "Say \"hello\", please",
+          "expression": "New BusinessRuleException(\"Say \"\"hello\"\", please\")"
+        }
+      );
+
+      assert.deepStrictEqual(
+        processor.parseExceptionExpression( "new System.Exception(\"Not \\\"found\\\"\", inner)" ),
+        {
+          "type": "System.Exception",
+          "message": "Not \"found\"",
+          "expression": "new System.Exception(\"Not \\\"found\\\"\", inner)"
+        }
+      );
+    } );
+
+    it( "should not return a message that is not a string literal", function() {
+      let processor = new XamlProcessor();
+
+      assert.deepStrictEqual(
+        processor.parseExceptionExpression( "[New Exception(String.Format(\"{0}, {1}\", a, b), inner)]" ),
+        {
+          "type": "Exception",
+          "message": "",
+          "expression": "New Exception(String.Format(\"{0}, {1}\", a, b), inner)"
+        }
+      );
+    } );
+
+    it( "should not return a type if the exception is not created", function() {
+      let processor = new XamlProcessor();
+
+      assert.deepStrictEqual(
+        processor.parseExceptionExpression( "[exception]" ),
+        { "type": "", "message": "", "expression": "exception" }
+      );
+    } );
+  } );
+
+  /**
+   * Test getting the log messages and log fields in a workflow.
+   */
+  describe( "#getLogMessages", function() {
+    it( "should throw an error if the parameter is not supplied", function() {
+      assert.throws( function() {
+        let processor = new XamlProcessor();
+
+        processor.getLogMessages();
+
+      }, TypeError );
+    } );
+
+    it( "should return the log activities in the order of the activities", function() {
+      let processor = new XamlProcessor();
+
+      let doc = processor.parseXaml(
+        "<Activity xmlns=\"http://schemas.microsoft.com/netfx/2009/xaml/activities\" " +
+        "xmlns:scg=\"clr-namespace:System.Collections.Generic;assembly=mscorlib\" " +
+        "xmlns:ui=\"http://schemas.uipath.com/workflow/activities\" " +
+        "xmlns:x=\"http://schemas.microsoft.com/winfx/2006/xaml\"><Sequence DisplayName=\"Temp\">" +
+        "<ui:LogMessage DisplayName=\"Log Start\" Level=\"Trace\" " +
+        "Message=\"[&quot;Password: &quot; + in_Password + in_Password.Length.ToString]\" />" +
+        "<ui:LogMessage Message=\"Started\" />" +
+        "<ui:AddLogFields DisplayName=\"Add Log Fields\"><ui:AddLogFields.Fields>" +
+        "<InArgument x:TypeArguments=\"x:String\" x:Key=\"InvoiceNumber\">[invoice.Number]</InArgument>" +
+        "</ui:AddLogFields.Fields></ui:AddLogFields>" +
+        "<ui:RemoveLogFields DisplayName=\"Remove Log Fields\"><ui:RemoveLogFields.Fields>" +
+        "<scg:List x:TypeArguments=\"InArgument(x:String)\" Capacity=\"4\">" +
+        "<InArgument x:TypeArguments=\"x:String\">[&quot;InvoiceNumber&quot;]</InArgument>" +
+        "</scg:List></ui:RemoveLogFields.Fields></ui:RemoveLogFields>" +
+        "</Sequence></Activity>"
+      );
+
+      assert.deepStrictEqual( processor.getLogMessages( doc ), [
+        {
+          "activity": "LogMessage",
+          "displayName": "Log Start",
+          "level": "Trace",
+          "message": "[\"Password: \" + in_Password + in_Password.Length.ToString]",
+          "fields": [],
+          "identifiers": [ "in_Password", "Length", "ToString" ]
+        },
+        {
+          "activity": "LogMessage",
+          "displayName": "LogMessage",
+          "level": "Info",
+          "message": "Started",
+          "fields": [],
+          "identifiers": []
+        },
+        {
+          "activity": "AddLogFields",
+          "displayName": "Add Log Fields",
+          "level": "",
+          "message": "",
+          "fields": [ { "name": "InvoiceNumber", "value": "[invoice.Number]" } ],
+          "identifiers": [ "invoice", "Number" ]
+        },
+        {
+          "activity": "RemoveLogFields",
+          "displayName": "Remove Log Fields",
+          "level": "",
+          "message": "",
+          "fields": [ { "name": "InvoiceNumber", "value": "" } ],
+          "identifiers": []
+        }
+      ] );
+    } );
+
+    it( "should return an empty array if no log messages are written", function() {
+      let processor = new XamlProcessor();
+
+      let xamlContent = fs.readFileSync( "./test/artefacts/uno.xaml" );
+      xamlContent = xamlContent.toString();
+
+      let doc = new DOMParser().parseFromString( xamlContent );
+
+      assert.deepStrictEqual( processor.getLogMessages( doc ), [] );
+    } );
+  } );
+
+  /**
+   * Test getting the identifiers used in an expression.
+   */
+  describe( "#getExpressionIdentifiers", function() {
+    it( "should ignore the text of string literals", function() {
+      let processor = new XamlProcessor();
+
+      assert.deepStrictEqual(
+        processor.getExpressionIdentifiers( "[\"User \" + in_UserName + \" has password\"]" ),
+        [ "in_UserName" ]
+      );
+    } );
+
+    it( "should not search values that are not expressions", function() {
+      let processor = new XamlProcessor();
+
+      assert.deepStrictEqual( processor.getExpressionIdentifiers( "Check the password" ), [] );
+    } );
+  } );
+
+  /**
+   * Test getting the tree of activities in a workflow.
+   */
+  describe( "#getActivityTree", function() {
+    it( "should throw an error if the parameter is not supplied", function() {
+      assert.throws( function() {
+        let processor = new XamlProcessor();
+
+        processor.getActivityTree();
+
+      }, TypeError );
+    } );
+
+    it( "should return the nested activities without the designer and variable elements", function() {
+      let processor = new XamlProcessor();
+
+      let xamlContent = fs.readFileSync( "./test/artefacts/uno.xaml" );
+      xamlContent = xamlContent.toString();
+
+      let activityTree = processor.getActivityTree( processor.parseXaml( xamlContent ) );
+
+      assert.deepStrictEqual( activityTree, {
+        "type": "Sequence",
+        "displayName": "uno",
+        "annotation": "This test XAML file is used as an artefact for the majority of unit tests",
+        "children": [
+          { "type": "Sequence", "displayName": "Sequence", "annotation": "", "children": [] },
+          {
+            "type": "Flowchart",
+            "displayName": "Flowchart",
+            "annotation": "",
+            "children": [],
+            "flowchart": { "startNode": "", "nodes": [], "connections": [] }
+          },
+          { "type": "InvokeWorkflowFile", "displayName": "Invoke dos workflow", "annotation": "", "children": [] }
+        ]
+      } );
+    } );
+
+    it( "should list the activities of the steps, decisions and switches of a flowchart", function() {
+      let processor = new XamlProcessor();
+
+      let doc = processor.parseXaml( flowchartXaml );
+      let activityTree = processor.getActivityTree( doc );
+
+      assert.strictEqual( activityTree.annotation, "Check an invoice." );
+      assert.deepStrictEqual( activityTree.children.map( function( child ) {
+        return child.type + ": " + child.displayName;
+      } ), [
+        "Sequence: Read Invoice",
+        "FlowDecision: Large amount?",
+        "FlowSwitch: Switch",
+        "Throw: Reject",
+        "LogMessage: Log Paid"
+      ] );
+      assert.deepStrictEqual( activityTree.children[ 0 ].children, [
+        { "type": "Assign", "displayName": "Assign", "annotation": "", "children": [] }
+      ] );
+      assert.strictEqual( activityTree.flowchart.nodes.length, 5 );
+    } );
+
+    it( "should name catch blocks using the type of the exception", function() {
+      let processor = new XamlProcessor();
+
+      let doc = processor.parseXaml(
+        "<Activity xmlns=\"http://schemas.microsoft.com/netfx/2009/xaml/activities\" " +
+        "xmlns:s=\"clr-namespace:System;assembly=mscorlib\" " +
+        "xmlns:x=\"http://schemas.microsoft.com/winfx/2006/xaml\"><Sequence DisplayName=\"Temp\">" +
+        "<TryCatch DisplayName=\"Try Login\"><TryCatch.Catches><Catch x:TypeArguments=\"s:Exception\">" +
+        "<ActivityAction x:TypeArguments=\"s:Exception\"><ActivityAction.Argument>" +
+        "<DelegateInArgument x:TypeArguments=\"s:Exception\" Name=\"exception\" />" +
+        "</ActivityAction.Argument><Rethrow DisplayName=\"Rethrow\" /></ActivityAction></Catch>" +
+        "</TryCatch.Catches></TryCatch></Sequence></Activity>"
+      );
+
+      assert.deepStrictEqual( processor.getActivityTree( doc ).children[ 0 ].children, [ {
+        "type": "Catch",
+        "displayName": "System.Exception",
+        "annotation": "",
+        "children": [ { "type": "Rethrow", "displayName": "Rethrow", "annotation": "", "children": [] } ]
+      } ] );
+    } );
+
+    it( "should name the branches of an If and a TryCatch", function() {
+      let processor = new XamlProcessor();
+
+      let doc = processor.parseXaml(
+        "<Activity xmlns=\"http://schemas.microsoft.com/netfx/2009/xaml/activities\">" +
+        "<Sequence DisplayName=\"Temp\"><If DisplayName=\"Paid?\"><If.Then><Rethrow DisplayName=\"A\" />" +
+        "</If.Then><If.Else><Rethrow DisplayName=\"B\" /></If.Else></If><TryCatch DisplayName=\"Try\">" +
+        "<TryCatch.Try><Rethrow DisplayName=\"C\" /></TryCatch.Try><TryCatch.Finally>" +
+        "<Rethrow DisplayName=\"D\" /></TryCatch.Finally></TryCatch></Sequence></Activity>"
+      );
+
+      let branches = processor.getActivityTree( doc ).children.map( function( child ) {
+        return child.children.map( function( branchChild ) {
+          return branchChild.branch + ": " + branchChild.displayName;
+        } );
+      } );
+
+      assert.deepStrictEqual( branches, [ [ "Then: A", "Else: B" ], [ "Try: C", "Finally: D" ] ] );
+    } );
+  } );
+
+  /**
+   * Test getting the nodes and connections of a flowchart.
+   */
+  describe( "#getFlowchart", function() {
+    it( "should throw an error if the parameter is not a Flowchart element", function() {
+      let processor = new XamlProcessor();
+
+      assert.throws( function() {
+        processor.getFlowchart();
+      }, TypeError );
+
+      assert.throws( function() {
+        let doc = processor.parseXaml( flowchartXaml );
+
+        processor.getFlowchart( doc.documentElement );
+      }, TypeError );
+    } );
+
+    it( "should return the nodes and the labelled connections between them", function() {
+      let processor = new XamlProcessor();
+
+      let doc = processor.parseXaml( flowchartXaml );
+      let flowchartElement = processor.getRootActivity( doc );
+
+      assert.deepStrictEqual( processor.getFlowchart( flowchartElement ), {
+        "startNode": "__ReferenceID0",
+        "nodes": [
+          { "id": "__ReferenceID0", "type": "FlowStep", "displayName": "Read Invoice", "condition": "" },
+          {
+            "id": "__ReferenceID1",
+            "type": "FlowDecision",
+            "displayName": "Large amount?",
+            "condition": "[amount > 1000]"
+          },
+          { "id": "__ReferenceID2", "type": "FlowSwitch", "displayName": "Switch", "condition": "[status]" },
+          { "id": "__ReferenceID4", "type": "FlowStep", "displayName": "Reject", "condition": "" },
+          { "id": "__ReferenceID3", "type": "FlowStep", "displayName": "Log Paid", "condition": "" }
+        ],
+        "connections": [
+          { "from": "__ReferenceID0", "to": "__ReferenceID1", "label": "" },
+          { "from": "__ReferenceID1", "to": "__ReferenceID2", "label": "Yes" },
+          { "from": "__ReferenceID1", "to": "__ReferenceID3", "label": "False" },
+          { "from": "__ReferenceID2", "to": "__ReferenceID3", "label": "Approved" },
+          { "from": "__ReferenceID2", "to": "__ReferenceID4", "label": "Rejected" },
+          { "from": "__ReferenceID2", "to": "__ReferenceID3", "label": "Default" }
+        ]
+      } );
+    } );
+  } );
+
+  /**
+   * Test getting the namespaces declared in the XAML code.
+   */
+  describe( "#getNamespaces", function() {
+    it( "should throw an error if the parameter is not supplied", function() {
+      assert.throws( function() {
+        let processor = new XamlProcessor();
+
+        processor.getNamespaces();
+
+      }, TypeError );
+    } );
+
+    it( "should return the namespaces keyed by prefix", function() {
+      let processor = new XamlProcessor();
+
+      let xamlDoc = processor.parseXaml(
+        "<Activity xmlns=\"http://schemas.microsoft.com/netfx/2009/xaml/activities\" " +
+        "xmlns:scg=\"clr-namespace:System.Collections.Generic;assembly=mscorlib\" />"
+      );
+
+      let namespaces = processor.getNamespaces( xamlDoc );
+
+      assert.strictEqual( namespaces.size, 2 );
+      assert.strictEqual( namespaces.get( "" ), "http://schemas.microsoft.com/netfx/2009/xaml/activities" );
+      assert.strictEqual(
+        namespaces.get( "scg" ),
+        "clr-namespace:System.Collections.Generic;assembly=mscorlib"
+      );
+    } );
+  } );
+
+  /**
+   * Test parsing variables to determine the type.
+   */
+  describe( "#parseVariableTypeAttribute", function() {
+    it( "should throw an error if the parameter is not supplied", function() {
+      assert.throws( function() {
+        let processor = new XamlProcessor();
+
+        processor.parseVariableTypeAttribute();
+
+      }, TypeError );
+    } );
+
+    it( "should extract the right information", function() {
+      let processor = new XamlProcessor();
+
+      assert.strictEqual( processor.parseVariableTypeAttribute( "x:String" ), "String" );
+      assert.strictEqual( processor.parseVariableTypeAttribute( "sd:DataTable" ), "DataTable" );
+    } );
+
+    it( "should resolve namespace prefixes", function() {
+      let processor = new XamlProcessor();
+
+      let namespaces = new Map( [
+        [ "scg", "clr-namespace:System.Collections.Generic;assembly=mscorlib" ]
+      ] );
+
+      assert.strictEqual(
+        processor.parseVariableTypeAttribute( "scg:List(x:String)", namespaces ),
+        "System.Collections.Generic.List<String>"
+      );
+    } );
+
+    it( "should return the type as it appears if it cannot be parsed", function() {
+      let processor = new XamlProcessor();
+
+      assert.strictEqual( processor.parseVariableTypeAttribute( "scg:List(x:String" ), "scg:List(x:String" );
+    } );
+  } );
+
+  /**
+   * Test parsing arguments to determine the type and direction.
+   */
+  describe( "#parseArgumentTypeAttribute", function() {
+    it( "should throw an error if the parameter is not supplied", function() {
+      assert.throws( function() {
+        let processor = new XamlProcessor();
+
+        processor.parseArgumentTypeAttribute();
+
+      }, TypeError );
+    } );
+
+    it( "should throw an error if the parameter is the wrong type", function() {
+      assert.throws( function() {
+        let processor = new XamlProcessor();
+
+        processor.parseArgumentTypeAttribute( new Object() );
+
+      }, TypeError );
+    } );
+
+    it( "should return an array of two elements", function() {
+      let processor = new XamlProcessor();
+
+      let elements = processor.parseArgumentTypeAttribute( "InArgument(sd:DataTable)" );
+
+      assert.ok( Array.isArray( elements ) );
+
+      assert.strictEqual( elements.length, 2 );
+    } );
+
+    it( "should extract the right information", function() {
+      let processor = new XamlProcessor();
+
+      let elements = processor.parseArgumentTypeAttribute( "InArgument(sd:DataTable)" );
+
+      assert.strictEqual( elements[ 0 ], "InArgument" );
+      assert.strictEqual( elements[ 1 ], "DataTable" );
+
+      elements = processor.parseArgumentTypeAttribute( "InArgument(x:String)" );
+
+      assert.strictEqual( elements[ 0 ], "InArgument" );
+      assert.strictEqual( elements[ 1 ], "String" );
+
+      elements = processor.parseArgumentTypeAttribute( "OutArgument(x:Boolean)" );
+
+      assert.strictEqual( elements[ 0 ], "OutArgument" );
+      assert.strictEqual( elements[ 1 ], "Boolean" );
+
+      elements = processor.parseArgumentTypeAttribute( "InOutArgument(x:String)" );
+
+      assert.strictEqual( elements[ 0 ], "InOutArgument" );
+      assert.strictEqual( elements[ 1 ], "String" );
+    } );
+
+    it( "should extract generic, array and nullable types", function() {
+      let processor = new XamlProcessor();
+
+      let namespaces = new Map( [
+        [ "s", "clr-namespace:System;assembly=mscorlib" ],
+        [ "scg", "clr-namespace:System.Collections.Generic;assembly=mscorlib" ]
+      ] );
+
+      let elements = processor.parseArgumentTypeAttribute(
+        "InArgument(scg:Dictionary(x:String, x:Object))",
+        namespaces
+      );
+
+      assert.strictEqual( elements[ 0 ], "InArgument" );
+      assert.strictEqual( elements[ 1 ], "System.Collections.Generic.Dictionary<String, Object>" );
+
+      elements = processor.parseArgumentTypeAttribute( "InArgument(s:String[])", namespaces );
+
+      assert.strictEqual( elements[ 1 ], "System.String[]" );
+
+      elements = processor.parseArgumentTypeAttribute( "OutArgument(s:Nullable(x:Int32))", namespaces );
+
+      assert.strictEqual( elements[ 1 ], "Int32?" );
+    } );
+
+    it( "should return the type as it appears if it cannot be parsed", function() {
+      let processor = new XamlProcessor();
+
+      let elements = processor.parseArgumentTypeAttribute( "InArgument(scg:List(x:String)" );
+
+      assert.strictEqual( elements[ 0 ], "InArgument" );
+      assert.strictEqual( elements[ 1 ], "scg:List(x:String" );
     } );
   } );
 
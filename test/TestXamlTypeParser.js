@@ -0,0 +1,225 @@
+import { XamlTypeParser } from "../app/XamlTypeParser.js";
+
+import * as assert from "assert";
+
+/**
+ * The namespaces declared in a typical UiPath workflow.
+ */
+const namespaces = new Map( [
+  [ "", "http://schemas.microsoft.com/netfx/2009/xaml/activities" ],
+  [ "x", "http://schemas.microsoft.com/winfx/2006/xaml" ],
+  [ "s", "clr-namespace:System;assembly=mscorlib" ],
+  [ "scg", "clr-namespace:System.Collections.Generic;assembly=mscorlib" ],
+  [ "sd", "clr-namespace:System.Data;assembly=System.Data" ]
+] );
+
+/**
+ * Test the XamlTypeParser object.
+ */
+describe( "XamlTypeParser", function() {
+
+  /**
+   * Test constructing a new instance of the class.
+   */
+  describe( "#constructor", function() {
+    it( "should not throw any errors", function() {
+      new XamlTypeParser();
+      new XamlTypeParser( namespaces );
+    } );
+
+    it( "should throw an error if the parameter is the wrong type", function() {
+      assert.throws( function() {
+        new XamlTypeParser( {} );
+      }, TypeError );
+    } );
+  } );
+
+  /**
+   * Test parsing a type expression.
+   */
+  describe( "#parse", function() {
+    it( "should throw an error if the parameter is not supplied", function() {
+      assert.throws( function() {
+        let parser = new XamlTypeParser();
+
+        parser.parse();
+      }, TypeError );
+    } );
+
+    it( "should parse nested type arguments", function() {
+      let parser = new XamlTypeParser( namespaces );
+
+      let type = parser.parse( "InArgument(scg:Dictionary(x:String, x:Object))" );
+
+      assert.strictEqual( type.name, "InArgument" );
+      assert.strictEqual( type.typeArguments.length, 1 );
+      assert.strictEqual( type.typeArguments[ 0 ].prefix, "scg" );
+      assert.strictEqual( type.typeArguments[ 0 ].namespace, "System.Collections.Generic" );
+      assert.strictEqual( type.typeArguments[ 0 ].name, "Dictionary" );
+      assert.strictEqual( type.typeArguments[ 0 ].typeArguments.length, 2 );
+    } );
+
+    it( "should parse array ranks", function() {
+      let parser = new XamlTypeParser( namespaces );
+
+      let type = parser.parse( "s:String[][,]" );
+
+      assert.deepStrictEqual( type.arrayRanks, [ "[]", "[,]" ] );
+    } );
+
+    it( "should throw an error if a bracket is not closed", function() {
+      let parser = new XamlTypeParser( namespaces );
+
+      assert.throws( function() {
+        parser.parse( "InArgument(scg:List(x:String)" );
+      }, /^Error: Unable to parse the type '.*': expected a closing bracket$/ );
+    } );
+
+    it( "should throw an error if a type name is missing", function() {
+      let parser = new XamlTypeParser( namespaces );
+
+      assert.throws( function() {
+        parser.parse( "scg:List()" );
+      }, /expected a type name$/ );
+    } );
+
+    it( "should throw an error if there is text after the type", function() {
+      let parser = new XamlTypeParser( namespaces );
+
+      assert.throws( function() {
+        parser.parse( "x:String)" );
+      }, /unexpected '\)'$/ );
+    } );
+  } );
+
+  /**
+   * Test getting the .NET type name for a type expression.
+   */
+  describe( "#getTypeName", function() {
+    it( "should name built in types without a namespace", function() {
+      let parser = new XamlTypeParser( namespaces );
+
+      assert.strictEqual( parser.getTypeName( "x:String" ), "String" );
+      assert.strictEqual( parser.getTypeName( "x:Int32" ), "Int32" );
+    } );
+
+    it( "should resolve namespace prefixes", function() {
+      let parser = new XamlTypeParser( namespaces );
+
+      assert.strictEqual( parser.getTypeName( "sd:DataTable" ), "System.Data.DataTable" );
+    } );
+
+    it( "should name types without a namespace if the prefix is not declared", function() {
+      let parser = new XamlTypeParser();
+
+      assert.strictEqual( parser.getTypeName( "sd:DataTable" ), "DataTable" );
+    } );
+
+    it( "should format generic types", function() {
+      let parser = new XamlTypeParser( namespaces );
+
+      assert.strictEqual(
+        parser.getTypeName( "scg:Dictionary(x:String, x:Object)" ),
+        "System.Collections.Generic.Dictionary<String, Object>"
+      );
+
+      assert.strictEqual(
+        parser.getTypeName( "scg:Dictionary(x:String, scg:List(sd:DataRow))" ),
+        "System.Collections.Generic.Dictionary<String, System.Collections.Generic.List<System.Data.DataRow>>"
+      );
+    } );
+
+    it( "should remove the number of type parameters from generic type names", function() {
+      let parser = new XamlTypeParser( namespaces );
+
+      assert.strictEqual(
+        parser.getTypeName( "scg:List`1(x:String)" ),
+        "System.Collections.Generic.List<String>"
+      );
+    } );
+
+    it( "should format arrays", function() {
+      let parser = new XamlTypeParser( namespaces );
+
+      assert.strictEqual( parser.getTypeName( "s:String[]" ), "System.String[]" );
+      assert.strictEqual( parser.getTypeName( "x:Object[,]" ), "Object[,]" );
+      assert.strictEqual(
+        parser.getTypeName( "scg:List(x:String)[]" ),
+        "System.Collections.Generic.List<String>[]"
+      );
+    } );
+
+    it( "should format nullable types using the shorthand", function() {
+      let parser = new XamlTypeParser( namespaces );
+
+      assert.strictEqual( parser.getTypeName( "s:Nullable(x:Int32)" ), "Int32?" );
+      assert.strictEqual( parser.getTypeName( "s:Nullable(s:DateTime)" ), "System.DateTime?" );
+    } );
+
+    it( "should ignore white space", function() {
+      let parser = new XamlTypeParser( namespaces );
+
+      assert.strictEqual(
+        parser.getTypeName( " scg:Dictionary( x:String ,x:Object ) " ),
+        "System.Collections.Generic.Dictionary<String, Object>"
+      );
+    } );
+  } );
+
+  /**
+   * Test getting the .NET type name for an assembly qualified type name.
+   */
+  describe( "#getClrTypeName", function() {
+    it( "should throw an error if the parameter is not supplied", function() {
+      assert.throws( function() {
+        new XamlTypeParser().getClrTypeName();
+      }, TypeError );
+    } );
+
+    it( "should ignore the assembly names", function() {
+      let parser = new XamlTypeParser();
+
+      assert.strictEqual(
+        parser.getClrTypeName( "System.Data.DataTable, System.Data, Version=4.0.0.0, Culture=neutral" ),
+        "System.Data.DataTable"
+      );
+    } );
+
+    it( "should name built in types without a namespace", function() {
+      let parser = new XamlTypeParser();
+
+      assert.strictEqual( parser.getClrTypeName( "System.String, mscorlib" ), "String" );
+      assert.strictEqual( parser.getClrTypeName( "System.DateTime, mscorlib" ), "System.DateTime" );
+    } );
+
+    it( "should format generic, nullable and array types", function() {
+      let parser = new XamlTypeParser();
+
+      assert.strictEqual(
+        parser.getClrTypeName(
+          "System.Collections.Generic.Dictionary`2[[System.String, mscorlib, Version=4.0.0.0]," +
+          "[System.Object, mscorlib, Version=4.0.0.0]], mscorlib, Version=4.0.0.0"
+        ),
+        "System.Collections.Generic.Dictionary<String, Object>"
+      );
+
+      assert.strictEqual(
+        parser.getClrTypeName( "System.Nullable`1[[System.Int32, System.Private.CoreLib]]" ),
+        "Int32?"
+      );
+
+      assert.strictEqual(
+        parser.getClrTypeName( "System.Collections.Generic.List`1[System.String][,], mscorlib" ),
+        "System.Collections.Generic.List<String>[,]"
+      );
+    } );
+
+    it( "should throw an error if the type name is not valid", function() {
+      let parser = new XamlTypeParser();
+
+      assert.throws( function() {
+        parser.getClrTypeName( "System.Collections.Generic.List`1[[System.String" );
+      }, /expected a closing bracket/ );
+    } );
+  } );
+} );
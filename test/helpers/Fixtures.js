@@ -0,0 +1,122 @@
+import { ProjectCatalogue } from "../../app/ProjectCatalogue.js";
+
+import AdmZip from "adm-zip";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+
+/**
+ * Create a temporary directory for testing.
+ *
+ * @returns {string} The path to the temporary directory.
+ */
+export function createTempDirectory() {
+  return fs.mkdtempSync( path.join( os.tmpdir(), "rpa-doc-" ) );
+}
+
+/**
+ * Remove a temporary directory created for testing, along with its contents.
+ *
+ * @param {string} tempPath The path to the temporary directory.
+ */
+export function removeTempDirectory( tempPath ) {
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  fs.rmSync( tempPath, { "recursive": true, "force": true } );
+}
+
+/**
+ * The .nuspec file of the package used for testing.
+ *
+ * @type {string}
+ */
+const nuspec = "<?xml version=\"1.0\" encoding=\"utf-8\"?>\n" +
+  "<package xmlns=\"http://schemas.microsoft.com/packaging/2013/05/nuspec.xsd\">\n" +
+  "<metadata>\n" +
+  "<id>Flinders.Foundation</id>\n" +
+  "<version>2.0.1</version>\n" +
+  "<description>The published Flinders.Foundation library</description>\n" +
+  "<dependencies>\n" +
+  "<group targetFramework=\".NETFramework4.6.1\">\n" +
+  "<dependency id=\"UiPath.Excel.Activities\" version=\"[2.6.2]\" />\n" +
+  "</group>\n" +
+  "<group targetFramework=\".NETFramework4.7.2\">\n" +
+  "<dependency id=\"UiPath.Excel.Activities\" version=\"[2.6.2]\" />\n" +
+  "<dependency id=\"UiPath.System.Activities\" version=\"[19.6.0, )\" />\n" +
+  "</group>\n" +
+  "</dependencies>\n" +
+  "</metadata>\n" +
+  "</package>\n";
+
+/**
+ * Create a package in a temporary directory for testing.
+ *
+ * By default the package contains a .nuspec file, the project.json file and the test workflows, including a
+ * workflow with a name that NuGet encodes.
+ *
+ * @param {Map} files Optional map of the paths in the package and the paths of the files to add, where a null path
+ * adds the .nuspec file.
+ * @returns {string} The path to the .nupkg file.
+ */
+export function createPackage( files = null ) {
+  let zip = new AdmZip();
+  let archivePath = path.join(
+    createTempDirectory(),
+    "Flinders.Foundation.2.0.1.nupkg"
+  );
+
+  if ( files === null ) {
+    files = new Map( [
+      [ "Flinders.Foundation.nuspec", null ],
+      [ "lib/net45/uno.xaml", "./test/artefacts/uno.xaml" ],
+      [ "lib/net45/sub-folder/dos.xaml", "./test/artefacts/sub-folder/dos.xaml" ],
+      [ "lib/net45/Test%20Case.xaml", "./test/artefacts/uno.xaml" ],
+      [ "lib/net45/project.json", "./test/artefacts/project.json" ]
+    ] );
+  }
+
+  files.forEach( function( filePath, entryName ) {
+    if ( filePath === null ) {
+      zip.addFile( entryName, Buffer.from( nuspec ) );
+    } else {
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      zip.addFile( entryName, fs.readFileSync( filePath ) );
+    }
+  } );
+
+  zip.writeZip( archivePath );
+
+  return archivePath;
+}
+
+/**
+ * Remove a package created for testing, along with its temporary directory.
+ *
+ * @param {string} archivePath The path to the .nupkg file.
+ */
+export function removePackage( archivePath ) {
+  removeTempDirectory( path.dirname( archivePath ) );
+}
+
+/**
+ * Create a catalogue of two UiPath projects in a temporary directory, where the process depends on the library,
+ * for testing.
+ *
+ * @returns {ProjectCatalogue} The catalogue of projects, which can be removed using the root path.
+ */
+export function createCatalogue() {
+  let rootPath = createTempDirectory();
+
+  let projects = new Map( [
+    [ "Library", { "name": "Flinders.Library", "projectVersion": "2.0.0", "projectType": "Library" } ],
+    [ "Process", { "name": "Flinders.Process", "dependencies": { "Flinders.Library": "[2.0.0]" } } ]
+  ] );
+
+  projects.forEach( function( contents, folder ) {
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    fs.mkdirSync( path.join( rootPath, folder ) );
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    fs.writeFileSync( path.join( rootPath, folder, "project.json" ), JSON.stringify( contents ) );
+  } );
+
+  return new ProjectCatalogue( rootPath );
+}